@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * 启动本地夹具文档站点
+ * 用于在离线环境下调试选择器和 doc-target 配置，例如：
+ *   node scripts/serve-fixture-site.js --port 4310
+ *   node src/app.js --config ./my-fixture-config.json
+ */
+
+import { startFixtureServer } from '../tests/e2e/fixtureServer.js';
+import { createDocsFixtureConfig } from '../tests/e2e/fixtureConfig.js';
+
+function parsePort(argv) {
+  const index = argv.indexOf('--port');
+  if (index === -1) {
+    return 4310;
+  }
+
+  const port = Number.parseInt(argv[index + 1], 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port value: ${argv[index + 1]}`);
+  }
+  return port;
+}
+
+async function main() {
+  const server = await startFixtureServer({ port: parsePort(process.argv.slice(2)) });
+
+  console.log(`📚 Fixture docs site: ${server.url('/docs/overview')}`);
+  console.log(`📰 Paginated blog:    ${server.url('/blog')}`);
+  console.log(`🗺️  Sitemap:           ${server.url('/sitemap.xml')}`);
+  console.log('\nExample config:');
+  console.log(
+    JSON.stringify(
+      createDocsFixtureConfig(server.origin, { pdfDir: '.temp/fixture-pdfs' }),
+      null,
+      2
+    )
+  );
+
+  const stop = async () => {
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -136,6 +136,8 @@ function stripDocSpecificConfig(config) {
     'enablePDFStyleProcessing',
     'navigationStrategy',
     'markdownSource',
+    'discovery',
+    'sitemap',
   ];
 
   for (const key of docSpecificKeys) {
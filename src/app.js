@@ -2,21 +2,45 @@ import path from 'path';
 import { createContainer, shutdownContainer, getContainerHealth } from './core/setup.js';
 import PythonRunner from './core/pythonRunner.js';
 import { createLogger } from './utils/logger.js';
+import { buildCrawlPlan, formatCrawlPlanTree } from './utils/crawlPlan.js';
+import { ConfigLoader } from './config/configLoader.js';
+import { CollectionRunner } from './core/collectionRunner.js';
+import { TargetWizard, suggestTargetName } from './core/targetWizard.js';
+import { ValidationError } from './utils/errors.js';
 
 /**
  * 主应用程序类
  * 提供完整的应用程序生命周期管理
  */
 class Application {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.configPath] - 基础配置文件路径
+   * @param {string} [options.docTarget] - 本次运行使用的 doc-target（不修改 config.json）
+   * @param {string} [options.profile] - 本次运行使用的设备配置
+   * @param {Object|Object[]} [options.overrides] - 配置覆盖项
+   * @param {string} [options.namespace] - 输出子目录（合集中的目标）
+   */
   constructor(options = {}) {
-    const { setupSignalHandlers = true, processRef = process } = options;
+    const {
+      setupSignalHandlers = true,
+      processRef = process,
+      configPath = null,
+      docTarget = null,
+      profile = null,
+      overrides = null,
+      namespace = null,
+    } = options;
 
     this.container = null;
     this.logger = createLogger('Application');
     this.pythonRunner = null;
+    this.pythonEnvironment = null;
     this.isShuttingDown = false;
     this.startTime = null;
     this.processRef = processRef;
+    this.configPath = configPath;
+    this.configOptions = { docTarget, profile, overrides, namespace };
 
     // 绑定信号处理
     if (setupSignalHandlers) {
@@ -63,7 +87,10 @@ class Application {
 
       // 1. 创建依赖注入容器
       this.logger.info('📦 Setting up dependency injection container...');
-      this.container = await createContainer();
+      this.container = await createContainer({
+        configPath: this.configPath,
+        ...this.configOptions,
+      });
 
       // 2. 获取配置和服务
       const config = await this.container.get('config');
@@ -75,9 +102,10 @@ class Application {
       // 4. 检查Python环境（可选）
       this.logger.info('🐍 Checking Python environment...');
       const pythonCheck = await this.pythonRunner.checkPythonEnvironment();
+      this.pythonEnvironment = pythonCheck;
       if (!pythonCheck.available) {
         this.logger.warn('⚠️ Python environment not available:', pythonCheck.error);
-        this.logger.warn('📄 PDF merge functionality will be limited');
+        this.logger.warn('📄 PDF merge will use the pdf-lib engine');
       } else {
         this.logger.info('✅ Python environment ready:', pythonCheck.version);
       }
@@ -97,8 +125,10 @@ class Application {
 
   /**
    * 运行爬虫任务
+   * @param {Object} [options]
+   * @param {'resume'|'refresh'} [options.mode] - 运行模式，默认读取 config.runMode
    */
-  async runScraping() {
+  async runScraping(options = {}) {
     try {
       this.logger.info('🕷️  Starting web scraping process...');
       const scrapeStartTime = Date.now();
@@ -114,8 +144,15 @@ class Application {
       // await fileService.cleanDirectory(config.pdfDir); // Don't clean on start to allow resume
       await fileService.ensureDirectory(config.pdfDir);
 
+      // 变更报告：抓取前保留上次的 Markdown 作为比较基准
+      const changeReportService = config.changeReport?.enabled
+        ? await this.container.get('changeReportService')
+        : null;
+      const previousRun = changeReportService ? await changeReportService.savePreviousRun() : null;
+
       // 执行爬虫任务
-      await scraper.run();
+      const runMode = options.mode || config.runMode || 'resume';
+      await scraper.run({ mode: runMode });
 
       // 获取爬虫统计信息
       const stats = progressTracker.getStats();
@@ -130,10 +167,33 @@ class Application {
         stats: normalizedStats,
       });
 
+      const glossaryIssues = scraper.translationService?.getGlossaryIssues?.() || [];
+      if (glossaryIssues.length > 0) {
+        this.logger.warn('⚠️  Some translated segments do not follow the glossary', {
+          count: glossaryIssues.length,
+          examples: glossaryIssues.slice(0, 5),
+        });
+      }
+
+      let changes = null;
+      if (previousRun?.pages > 0) {
+        try {
+          const { report, outputs } = await changeReportService.generate();
+          changes = { ...report.summary, outputs };
+        } catch (error) {
+          this.logger.warn('⚠️  Change report could not be generated', { error: error.message });
+        }
+      }
+
       return {
         success: true,
         duration: scrapeTime,
         stats: normalizedStats,
+        mode: runMode,
+        refresh: runMode === 'refresh' ? { ...scraper.refreshStats } : null,
+        pdfCache: scraper.pdfCacheService?.getStats?.() || null,
+        glossaryIssues: glossaryIssues.length,
+        changes,
       };
     } catch (error) {
       this.logger.error('❌ Web scraping failed:', error);
@@ -145,35 +205,21 @@ class Application {
   }
 
   /**
-   * 运行Python PDF合并
+   * 运行PDF合并（pdf.mergeEngine 选择 Python 或 pdf-lib，Python 不可用时自动使用 pdf-lib）
+   * @param {Object} [options]
+   * @param {boolean} [options.frontMatter=true] - false 时不加封面与版权页（合集中的目标）
    */
-  async runPythonMerge() {
+  async runPythonMerge(options = {}) {
     try {
       this.logger.info('📄 Starting PDF merge process...');
       const mergeStartTime = Date.now();
 
-      const pythonMergeService = await this.container.get('pythonMergeService');
-
       // 动态获取依赖
       const fs = await import('fs/promises');
       const path = await import('path');
       const config = await this.container.get('config');
       const pdfDir = config.pdfDir || 'pdfs';
-
-      // 为 Python 合并生成完整配置文件（config.json 仅保留公共配置，doc-target 在运行时合并）
-      const tempDirectory = path.resolve(config.output?.tempDirectory || '.temp');
-      const rootDir = path.resolve(process.cwd());
-      if (!tempDirectory.startsWith(rootDir)) {
-        throw new Error(`Unsafe temp directory: ${tempDirectory}`);
-      }
-
-      await fs.mkdir(tempDirectory, { recursive: true });
-
-      const mergedConfigPath = path.join(
-        tempDirectory,
-        `merged_config_${process.pid}_${Date.now()}.json`
-      );
-      await fs.writeFile(mergedConfigPath, JSON.stringify(config, null, 2), 'utf8');
+      const engine = await this._resolveMergeEngine(config);
 
       // 查找PDF源目录（排除finalPdf和metadata）
       let targetDirectory = null;
@@ -196,26 +242,58 @@ class Application {
         this.logger.warn('无法读取PDF目录，使用默认合并方式', { error: error.message });
       }
 
-      // 使用新的Python合并服务
       let result;
-      try {
-        result = await pythonMergeService.mergePDFs(
-          targetDirectory
-            ? { directory: targetDirectory, config: mergedConfigPath }
-            : { config: mergedConfigPath }
+      if (engine === 'pdf-lib') {
+        const pdfLibMergeService = await this.container.get('pdfLibMergeService');
+        result = await pdfLibMergeService.mergePDFs(
+          targetDirectory ? { directory: targetDirectory } : {}
         );
-      } finally {
+      } else {
+        const pythonMergeService = await this.container.get('pythonMergeService');
+
+        // 为 Python 合并生成完整配置文件（config.json 仅保留公共配置，doc-target 在运行时合并）
+        const tempDirectory = path.resolve(config.output?.tempDirectory || '.temp');
+        const rootDir = path.resolve(process.cwd());
+        if (!tempDirectory.startsWith(rootDir)) {
+          throw new Error(`Unsafe temp directory: ${tempDirectory}`);
+        }
+
+        await fs.mkdir(tempDirectory, { recursive: true });
+
+        const mergedConfigPath = path.join(
+          tempDirectory,
+          `merged_config_${process.pid}_${Date.now()}.json`
+        );
+        await fs.writeFile(mergedConfigPath, JSON.stringify(config, null, 2), 'utf8');
+
         try {
-          await fs.unlink(mergedConfigPath);
-        } catch {
-          // ignore cleanup errors
+          result = await pythonMergeService.mergePDFs(
+            targetDirectory
+              ? { directory: targetDirectory, config: mergedConfigPath }
+              : { config: mergedConfigPath }
+          );
+        } finally {
+          try {
+            await fs.unlink(mergedConfigPath);
+          } catch {
+            // ignore cleanup errors
+          }
         }
       }
 
+      const frontMatter =
+        result.success && options.frontMatter !== false
+          ? await this._addFrontMatter(
+              config,
+              result.mergedFiles || result.merged_files || [result.outputFile]
+            )
+          : null;
+
       const mergeTime = Date.now() - mergeStartTime;
 
       if (result.success) {
         this.logger.info('✅ PDF merge completed successfully', {
+          engine,
           duration: mergeTime,
           outputFile: result.outputFile,
           processedFiles: result.processedFiles,
@@ -225,7 +303,9 @@ class Application {
       }
 
       return {
+        engine,
         ...result,
+        frontMatter,
         duration: mergeTime,
       };
     } catch (error) {
@@ -237,10 +317,63 @@ class Application {
     }
   }
 
+  /**
+   * 选择合并引擎：pdf.mergeEngine 为 pdf-lib，或 Python 环境不可用时使用 pdf-lib
+   * @private
+   */
+  async _resolveMergeEngine(config) {
+    if (config.pdf?.mergeEngine === 'pdf-lib') {
+      return 'pdf-lib';
+    }
+
+    const pythonCheck =
+      this.pythonEnvironment ||
+      (this.pythonRunner ? await this.pythonRunner.checkPythonEnvironment() : null);
+    if (pythonCheck && !pythonCheck.available) {
+      this.logger.warn('⚠️ Python environment not available, merging with pdf-lib instead', {
+        error: pythonCheck.error,
+      });
+      return 'pdf-lib';
+    }
+
+    return 'python';
+  }
+
+  /**
+   * 给最终 PDF 加上封面页、版权页与文档信息（config.book.enabled）；失败时保留原 PDF
+   * @param {Object} config
+   * @param {string[]} pdfFiles
+   * @returns {Promise<Object[]|null>}
+   * @private
+   */
+  async _addFrontMatter(config, pdfFiles) {
+    const files = pdfFiles.filter(Boolean);
+    if (config.book?.enabled !== true || files.length === 0) {
+      return null;
+    }
+
+    try {
+      const bookFrontMatterService = await this.container.get('bookFrontMatterService');
+      const results = [];
+      for (const file of files) {
+        results.push(await bookFrontMatterService.addToPdf(file));
+      }
+      return results;
+    } catch (error) {
+      this.logger.warn('⚠️  Cover and colophon could not be added', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * 运行批量PDF生成（跳过Python合并，直接从markdown生成最终PDF）
+   * 同时按 output.formats 生成 EPUB、HTML 等其他格式
+   * @param {Object} [options]
+   * @param {string[]} [options.formats] - 要生成的格式，默认读取 config.output.formats
+   * @param {boolean} [options.frontMatter=true] - false 时不加封面与版权页（合集中的目标）
+   * @returns {Promise<Object>} outputs 只包含成功的格式，失败格式的错误信息在 errors 中
    */
-  async runBatchPdfGeneration() {
+  async runBatchPdfGeneration(options = {}) {
     try {
       this.logger.info('📄 Starting batch PDF generation (direct from markdown)...');
       const batchStartTime = Date.now();
@@ -250,6 +383,7 @@ class Application {
 
       const pdfDir = config.pdfDir || 'pdfs';
       const markdownDir = path.join(pdfDir, config.markdown?.outputDir || 'markdown');
+      const formats = options.formats || config.output?.formats || ['pdf'];
 
       // Generate output filename
       const url = new URL(config.rootURL);
@@ -258,13 +392,71 @@ class Application {
       const timestamp = Date.now().toString().slice(-6);
 
       const finalPdfDir = path.join(pdfDir, config.output?.finalPdfDirectory || 'finalPdf');
-      const outputPath = path.join(finalPdfDir, `${domain}_batch_${currentDate}_${timestamp}.pdf`);
+      const baseName = `${domain}_batch_${currentDate}_${timestamp}`;
+
+      // 批量 PDF 前插入 "What's new" 章节（来自最近一次变更报告）
+      const whatsNew = config.changeReport?.whatsNew
+        ? await (await this.container.get('changeReportService')).getWhatsNewMarkdown()
+        : null;
+
+      const outputs = {};
+      const errors = {};
+      let result = null;
 
-      const result = await markdownToPdfService.generateBatchPdf(
-        markdownDir,
-        outputPath,
-        config.markdownPdf || {}
-      );
+      for (const format of formats) {
+        const outputPath = path.join(finalPdfDir, `${baseName}.${format}`);
+
+        // 单个格式失败时记录错误并继续，不丢弃已经生成的其他格式
+        let formatResult;
+        try {
+          if (format === 'epub') {
+            formatResult = await markdownToPdfService.generateBatchEpub(markdownDir, outputPath, {
+              ...(config.markdownPdf || {}),
+              title: `${url.hostname} documentation`,
+              ...(config.output?.epub || {}),
+            });
+          } else if (format === 'html') {
+            // HTML 书籍是一个目录（index.html + 页面 + assets/）
+            formatResult = await markdownToPdfService.generateBatchHtml(
+              markdownDir,
+              path.join(finalPdfDir, `${baseName}_html`),
+              {
+                ...(config.markdownPdf || {}),
+                title: `${url.hostname} documentation`,
+                ...(config.output?.html || {}),
+              }
+            );
+          } else {
+            // markdownPdf.engine 选择 Pandoc（xelatex）或无头浏览器，两者输入相同
+            const pdfEngine =
+              config.markdownPdf?.engine === 'browser'
+                ? await this.container.get('browserPdfService')
+                : markdownToPdfService;
+            formatResult = await pdfEngine.generateBatchPdf(markdownDir, outputPath, {
+              ...(config.markdownPdf || {}),
+              ...(whatsNew ? { prependMarkdown: whatsNew } : {}),
+            });
+            if (formatResult.success && options.frontMatter !== false) {
+              formatResult.frontMatter = await this._addFrontMatter(config, [
+                formatResult.outputPath,
+              ]);
+            }
+          }
+        } catch (error) {
+          this.logger.error(`❌ Batch ${format.toUpperCase()} generation failed`, {
+            error: error.message,
+          });
+          errors[format] = error.message;
+          formatResult = { success: false, error: error.message };
+        }
+
+        if (formatResult.outputPath) {
+          outputs[format] = formatResult.outputPath;
+        }
+        result = result
+          ? { ...result, success: result.success && formatResult.success }
+          : { ...formatResult };
+      }
 
       const batchTime = Date.now() - batchStartTime;
 
@@ -272,14 +464,23 @@ class Application {
         this.logger.info('✅ Batch PDF generation completed successfully', {
           duration: batchTime,
           outputFile: result.outputPath,
+          outputs,
           filesProcessed: result.filesProcessed,
         });
       } else {
-        this.logger.error('❌ Batch PDF generation failed');
+        this.logger.error('❌ Batch PDF generation failed', { outputs, errors });
       }
 
+      const failedFormats = Object.keys(errors);
       return {
         ...result,
+        ...(failedFormats.length > 0
+          ? {
+              errors,
+              error: failedFormats.map((format) => `${format}: ${errors[format]}`).join('; '),
+            }
+          : {}),
+        outputs,
         duration: batchTime,
       };
     } catch (error) {
@@ -293,8 +494,10 @@ class Application {
 
   /**
    * 运行完整的应用程序流程
+   * @param {Object} [options]
+   * @param {'resume'|'refresh'} [options.mode] - 运行模式，refresh 仅重建变化的页面后重新生成最终PDF
    */
-  async run() {
+  async run(options = {}) {
     try {
       await this.initialize();
 
@@ -302,7 +505,7 @@ class Application {
       this.logger.info('🎯 Starting complete PDF scraping and merge workflow...');
 
       // 1. 执行网页爬虫
-      const scrapeResult = await this.runScraping();
+      const scrapeResult = await this.runScraping({ mode: options.mode });
       if (!scrapeResult.success) {
         throw new Error(`Scraping failed: ${scrapeResult.error}`);
       }
@@ -325,6 +528,19 @@ class Application {
         // 不抛出错误，因为爬虫部分已经成功
       }
 
+      // 标准模式下单独生成 EPUB / HTML（批量模式已在上面一并生成）
+      let booksResult = null;
+      const bookFormats = (config.output?.formats || ['pdf']).filter((format) => format !== 'pdf');
+      if (!useBatchMode && bookFormats.length > 0) {
+        if (config.markdown?.enabled) {
+          booksResult = await this.runBatchPdfGeneration({ formats: bookFormats });
+        } else {
+          this.logger.warn(
+            `${bookFormats.join('/').toUpperCase()} output requires markdown.enabled, skipping`
+          );
+        }
+      }
+
       const totalTime = Date.now() - totalStartTime;
 
       // 生成最终报告
@@ -333,9 +549,15 @@ class Application {
         scraping: scrapeResult,
         merge: mergeResult,
         batchMode: useBatchMode,
+        books: booksResult,
         timestamp: new Date().toISOString(),
       };
 
+      // 3. 归档本次运行（快照失败不影响已生成的输出）
+      if (config.archive?.enabled) {
+        finalReport.archive = await this.archiveRun(finalReport);
+      }
+
       this.logger.info('🎉 Application workflow completed!', finalReport);
 
       return finalReport;
@@ -345,6 +567,230 @@ class Application {
     }
   }
 
+  /**
+   * 只收集URL并输出爬取计划（JSON + 树形文本），不抓取页面、不生成PDF
+   * @returns {Promise<{plan: Object, text: string, outputs: {json: string, text: string}}>}
+   */
+  async runPlan() {
+    try {
+      await this.initialize();
+      this.logger.info('🗺️  Collecting URLs for crawl plan (dry run)...');
+
+      const scraper = await this.container.get('scraper');
+      const fileService = await this.container.get('fileService');
+      const pathService = await this.container.get('pathService');
+      const config = await this.container.get('config');
+
+      await scraper.initialize();
+      const urls = await scraper.collectUrls({ dryRun: true });
+
+      const plan = buildCrawlPlan({ config, urlQueue: urls, report: scraper.collectionReport });
+      const text = formatCrawlPlanTree(plan);
+
+      const jsonPath = pathService.getMetadataPath('crawlPlan');
+      const textPath = jsonPath.replace(/\.json$/, '.txt');
+      await fileService.writeJson(jsonPath, plan);
+      await fileService.writeText(textPath, text);
+
+      this.logger.info('✅ Crawl plan written', {
+        ...plan.summary,
+        json: jsonPath,
+        text: textPath,
+      });
+
+      return { plan, text, outputs: { json: jsonPath, text: textPath } };
+    } catch (error) {
+      this.logger.error('💥 Crawl plan failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 只重试上次运行记录的失败URL，不重新收集导航
+   * @returns {Promise<{total: number, successCount: number, failCount: number, skipCount: number}>}
+   */
+  async runRetryFailed() {
+    try {
+      await this.initialize();
+      this.logger.info('🔁 Retrying failed URLs from the previous run...');
+
+      const scraper = await this.container.get('scraper');
+      const stateManager = await this.container.get('stateManager');
+
+      const result = await scraper.retryFailedUrls();
+      await stateManager.save(true);
+
+      this.logger.info('✅ Retry of failed URLs completed', result);
+      return result;
+    } catch (error) {
+      this.logger.error('💥 Retry of failed URLs failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 比较当前输出与上次运行（或指定目录），写出变更报告，不抓取页面
+   * @param {Object} [options]
+   * @param {string} [options.against] - 作为旧版本的目录（pdfDir 结构或 Markdown 目录）
+   * @returns {Promise<{report: Object, outputs: {json: string, markdown: string, html: string}}>}
+   */
+  async runDiff(options = {}) {
+    try {
+      await this.initialize();
+      this.logger.info('🔍 Comparing Markdown output with the previous run...');
+
+      const changeReportService = await this.container.get('changeReportService');
+      return await changeReportService.generate({ against: options.against });
+    } catch (error) {
+      this.logger.error('💥 Change report failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 把当前输出保存为快照，并按 archive.keep / archive.maxAgeDays 删除旧快照
+   * @param {Object} runReport - 写入快照清单的运行报告
+   * @returns {Promise<{success: boolean, id?: string, dir?: string, pruned?: string[], error?: string}>}
+   */
+  async archiveRun(runReport) {
+    try {
+      const archiveService = await this.container.get('archiveService');
+      const pathService = await this.container.get('pathService');
+
+      const snapshot = await archiveService.createSnapshot(runReport);
+      const pruned = await archiveService.pruneSnapshots();
+
+      return {
+        success: true,
+        id: snapshot.id,
+        dir: pathService.getSnapshotDir(snapshot.id),
+        pruned,
+      };
+    } catch (error) {
+      this.logger.warn('Run archive failed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 管理当前目标的运行快照
+   * @param {'list'|'create'|'restore'|'prune'|'diff'} action
+   * @param {Object} [options]
+   * @param {string} [options.id] - 快照编号或 latest / previous（restore，diff 的旧版本）
+   * @param {string} [options.to] - diff 的新版本，省略时与当前输出比较
+   * @param {number} [options.keep] - prune 保留的快照数量，默认 archive.keep
+   * @param {number} [options.maxAgeDays] - prune 的最长保留天数，默认 archive.maxAgeDays
+   */
+  async runSnapshots(action, options = {}) {
+    try {
+      await this.initialize();
+      const archiveService = await this.container.get('archiveService');
+
+      switch (action) {
+        case 'list':
+          return await archiveService.listSnapshots();
+        case 'create':
+          return await archiveService.createSnapshot();
+        case 'restore':
+          return await archiveService.restoreSnapshot(options.id);
+        case 'prune':
+          return await archiveService.pruneSnapshots({
+            keep: options.keep,
+            maxAgeDays: options.maxAgeDays,
+          });
+        case 'diff':
+          return await archiveService.diffSnapshots(options.id, options.to);
+        default:
+          throw new Error(`Unknown snapshots action: ${action}`);
+      }
+    } catch (error) {
+      this.logger.error('💥 Snapshot command failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 运行合集：每个 doc-target 在独立的 Application 中抓取到 pdfDir/<合集>/<目标>，再合并成一本书
+   * @param {string} collectionName - collections/<name>.json 或配置目录内的路径
+   * @param {Object} [options]
+   * @param {'resume'|'refresh'} [options.mode] - 每个目标的运行模式
+   * @param {boolean} [options.scrape=true] - false 时跳过抓取，只用已有结果重新合并
+   * @returns {Promise<{collection: string, targets: Object[], build: Object}>}
+   */
+  async runCollection(collectionName, options = {}) {
+    try {
+      const loader = new ConfigLoader(this.configPath, this.configOptions);
+      const collection = await loader.loadCollection(collectionName);
+
+      // 命令行覆盖项最后合并，对合集中的每个目标都生效
+      const runner = new CollectionRunner({
+        collection,
+        logger: this.logger,
+        createApp: ({ docTarget, overrides, namespace }) =>
+          new Application({
+            setupSignalHandlers: false,
+            processRef: this.processRef,
+            configPath: this.configPath,
+            profile: this.configOptions.profile,
+            docTarget,
+            namespace,
+            overrides: [...overrides, this.configOptions.overrides].flat().filter(Boolean),
+          }),
+      });
+
+      const result = await runner.run(options);
+      this.logger.info('🎉 Collection completed!', result);
+      return result;
+    } catch (error) {
+      this.logger.error('💥 Collection failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 分析文档站的根页面，生成 doc-targets/<name>.json
+   * @param {string} rootURL
+   * @param {Object} [options]
+   * @param {string} [options.name] - 目标名称，默认由域名生成
+   * @param {boolean} [options.force=false] - 覆盖已存在的目标文件
+   * @param {number} [options.previewSections] - 预览的分区数量
+   * @returns {Promise<{name: string, outputPath: string, target: Object, preview: Object[], report: Object}>}
+   */
+  async runTargetWizard(rootURL, options = {}) {
+    try {
+      const name = options.name || suggestTargetName(rootURL);
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new ValidationError(`Invalid target name: ${name}`);
+      }
+
+      const configDir = path.dirname(this.configPath || path.join(process.cwd(), 'config.json'));
+      const outputPath = path.resolve(configDir, 'doc-targets', `${name}.json`);
+
+      await this.initialize();
+      const fileService = await this.container.get('fileService');
+      if (!options.force && (await fileService.exists(outputPath))) {
+        throw new ValidationError(`${outputPath} already exists (use --force to overwrite)`);
+      }
+
+      this.logger.info('🧭 Inspecting site for a new doc target...', { rootURL });
+      const config = await this.container.get('config');
+      const wizard = new TargetWizard({
+        pageManager: await this.container.get('pageManager'),
+        logger: await this.container.get('logger'),
+        timeout: config.pageTimeout,
+      });
+
+      const result = await wizard.run(rootURL, { previewSections: options.previewSections });
+      await fileService.writeJson(outputPath, result.target);
+
+      this.logger.info('✅ Doc target written', { name, outputPath });
+      return { name, outputPath, ...result };
+    } catch (error) {
+      this.logger.error('💥 Target wizard failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取应用程序状态
    */
@@ -378,6 +824,7 @@ class Application {
       if (this.pythonRunner) {
         await this.pythonRunner.dispose();
         this.pythonRunner = null;
+        this.pythonEnvironment = null;
       }
 
       // 2. 关闭容器和所有服务
@@ -442,39 +889,13 @@ class Application {
 }
 
 /**
- * 主入口函数
+ * 主入口函数（兼容 node src/app.js [plan] [--refresh] [--config <path>]），命令解析见 cli.js
+ * @param {string[]} [argv] - 不含 node 与脚本路径的参数
  */
-async function main() {
-  const app = new Application();
-
-  try {
-    // 运行应用程序
-    const result = await app.run();
-
-    console.log('\n' + '='.repeat(60));
-    console.log('🎉 APPLICATION COMPLETED SUCCESSFULLY');
-    console.log('='.repeat(60));
-    console.log(`📊 Total Duration: ${result.totalDuration}ms`);
-    console.log(`🕷️  Scraping: ${result.scraping.success ? '✅ Success' : '❌ Failed'}`);
-    console.log(`📄 PDF Merge: ${result.merge.success ? '✅ Success' : '❌ Failed'}`);
-    console.log('='.repeat(60));
-
-    // 优雅关闭
-    await app.shutdown();
-
-    process.exit(0);
-  } catch (error) {
-    console.error('\n' + '='.repeat(60));
-    console.error('💥 APPLICATION FAILED');
-    console.error('='.repeat(60));
-    console.error('Error:', error.message);
-    console.error('='.repeat(60));
-
-    // 确保清理资源
-    await app.cleanup();
-
-    process.exit(1);
-  }
+async function main(argv = process.argv.slice(2)) {
+  const { runCli } = await import('./cli.js');
+  const exitCode = await runCli(argv);
+  process.exit(exitCode);
 }
 
 // 导出应用程序类和主函数
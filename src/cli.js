@@ -0,0 +1,709 @@
+#!/usr/bin/env node
+// src/cli.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { Application } from './app.js';
+import {
+  ConfigLoader,
+  DOC_TARGETS,
+  DEVICE_PROFILES,
+  COLLECTIONS_DIR,
+} from './config/configLoader.js';
+import { formatTargetPreview } from './core/targetWizard.js';
+import { ValidationError } from './utils/errors.js';
+
+const HELP_TEXT = `
+Usage: docs-pdf <command> [options]
+
+Commands:
+  scrape                    Scrape the target and build the final PDF/EPUB (default)
+  merge                     Merge already scraped page PDFs (Python, or pdf-lib without it)
+  build-pdf                 Build the final PDF/EPUB from already scraped Markdown
+  plan                      Collect URLs only and write the crawl plan
+  retry-failed              Retry the URLs that failed in the previous run
+  diff                      Report what changed in the Markdown output since the previous run
+  snapshots list            List the archived runs of the target
+  snapshots create          Archive the current output as a new snapshot
+  snapshots restore <id>    Restore Markdown, metadata and final files from a snapshot
+  snapshots prune           Delete old snapshots (archive.keep / archive.maxAgeDays)
+  snapshots diff <from> [to]
+                            Change report between two snapshots (or a snapshot and now)
+  collections list          List collections (collections/*.json)
+  collections show <name>   Show the targets of a collection
+  targets list              List doc targets (doc-targets/*.json)
+  targets show [name]       Show the merged configuration summary of a target
+  targets validate [name]   Validate one target, or every target when no name is given
+  targets init <url>        Inspect a docs site and write doc-targets/<name>.json
+  profiles list             List device profiles (config-profiles/*.json)
+  help                      Show this help
+
+Options:
+  --config <path>           Base configuration file (default: ./config.json)
+  -t, --target <name>       Doc target for this run (alias, doc-targets/<name>.json or a path)
+  -c, --collection <name>   Run every target of collections/<name>.json and build one book
+                            (scrape, merge, build-pdf)
+  -p, --profile <name>      Device profile for this run (e.g. kindle7, paperwhite)
+  -o, --output <dir>        Output directory (overrides pdfDir)
+  --set <key=value>         Override a config value, e.g. --set concurrency=2 (repeatable)
+  --refresh                 Re-check pages and rebuild only changed ones (scrape)
+  --against <dir>           Output directory or Markdown folder to compare with (diff)
+  --keep <n>                Snapshots to keep (snapshots prune)
+  --max-age-days <n>        Delete snapshots older than n days (snapshots prune)
+  --name <name>             Name of the generated target (targets init, default: host name)
+  --force                   Overwrite an existing target file (targets init)
+  --no-cache                Re-render every page PDF instead of reusing cached ones
+  -h, --help                Show this help
+
+None of the options are written back to config.json, so several runs with different
+targets can share one checkout.
+`;
+
+/**
+ * 解析单个 --set 表达式：key.path=value，value 按 JSON 解析，失败时作为字符串
+ * @param {string} expression
+ * @returns {{keyPath: string[], value: *}}
+ */
+export function parseSetOverride(expression) {
+  const separator = String(expression).indexOf('=');
+  if (separator <= 0) {
+    throw new ValidationError(`Invalid --set value (expected key=value): ${expression}`);
+  }
+
+  const keyPath = expression.slice(0, separator).trim().split('.');
+  if (keyPath.some((key) => !key || key === '__proto__' || key === 'constructor')) {
+    throw new ValidationError(`Invalid --set key: ${expression}`);
+  }
+
+  const rawValue = expression.slice(separator + 1);
+  let value;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    value = rawValue;
+  }
+
+  return { keyPath, value };
+}
+
+/**
+ * 把 --set、--output 与 --no-cache 转换为配置覆盖对象
+ * @param {{set?: string[], output?: string, 'no-cache'?: boolean}} options
+ * @param {string} [cwd] - 解析 --output 相对路径的目录
+ * @returns {Object|null}
+ */
+export function buildConfigOverrides(options = {}, cwd = process.cwd()) {
+  const overrides = {};
+
+  for (const expression of options.set || []) {
+    const { keyPath, value } = parseSetOverride(expression);
+    let node = overrides;
+    keyPath.slice(0, -1).forEach((key) => {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+    node[keyPath[keyPath.length - 1]] = value;
+  }
+
+  if (options.output) {
+    overrides.pdfDir = path.resolve(cwd, options.output);
+  }
+
+  if (options['no-cache']) {
+    overrides.pdf = { ...overrides.pdf, cache: { ...overrides.pdf?.cache, enabled: false } };
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+}
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - 不含 node 与脚本路径的参数
+ * @returns {{command: string, args: string[], options: Object}}
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string' },
+        target: { type: 'string', short: 't' },
+        collection: { type: 'string', short: 'c' },
+        profile: { type: 'string', short: 'p' },
+        output: { type: 'string', short: 'o' },
+        set: { type: 'string', multiple: true },
+        refresh: { type: 'boolean' },
+        against: { type: 'string' },
+        keep: { type: 'string' },
+        'max-age-days': { type: 'string' },
+        name: { type: 'string' },
+        force: { type: 'boolean' },
+        'no-cache': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const [command = 'scrape', ...args] = parsed.positionals;
+  return {
+    command: parsed.values.help ? 'help' : command,
+    args,
+    options: parsed.values,
+  };
+}
+
+const readJsonIfExists = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const listJsonFiles = (dir) => {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith('.json'))
+      .sort((a, b) => a.localeCompare(b));
+  } catch {
+    return [];
+  }
+};
+
+const aliasesFor = (mapping, fileName) =>
+  Object.entries(mapping)
+    .filter(([alias, file]) => file === fileName && `${alias}.json` !== fileName)
+    .map(([alias]) => alias);
+
+/**
+ * 命令行入口：解析参数并执行子命令
+ * @param {string[]} argv - 不含 node 与脚本路径的参数
+ * @param {Object} [deps]
+ * @param {{log: Function, error: Function}} [deps.io] - 输出（默认 console）
+ * @param {Function} [deps.createApp] - 创建 Application 的工厂（测试注入）
+ * @param {string} [deps.cwd]
+ * @returns {Promise<number>} 进程退出码
+ */
+export async function runCli(argv, deps = {}) {
+  const {
+    io = console,
+    createApp = (options) => new Application(options),
+    cwd = process.cwd(),
+  } = deps;
+
+  let command;
+  let args;
+  let options;
+  let overrides;
+  try {
+    ({ command, args, options } = parseCliArgs(argv));
+    overrides = buildConfigOverrides(options, cwd);
+  } catch (error) {
+    io.error(`❌ ${error.message}`);
+    io.log(HELP_TEXT);
+    return 1;
+  }
+
+  if (options.collection && options.target) {
+    io.error('❌ --collection and --target cannot be used together');
+    return 1;
+  }
+  if (options.collection && !['scrape', 'merge', 'build-pdf'].includes(command)) {
+    io.error(`❌ --collection is not supported by the ${command} command`);
+    return 1;
+  }
+
+  const configPath = path.resolve(cwd, options.config || 'config.json');
+  const configDir = path.dirname(configPath);
+  const configOptions = {
+    docTarget: options.target,
+    profile: options.profile,
+    overrides,
+  };
+
+  const withApp = async (label, task) => {
+    const app = createApp({ configPath, ...configOptions });
+    try {
+      const exitCode = await task(app);
+      await app.shutdown();
+      return exitCode;
+    } catch (error) {
+      io.error(`💥 ${label} FAILED: ${error.message}`);
+      await app.cleanup();
+      return 1;
+    }
+  };
+
+  // merge 与 build-pdf 分别固定使用页面 PDF 合并与批量模式，scrape 沿用目标配置
+  const withCollection = async (label, runOptions, batchMode) => {
+    const modeOverrides = batchMode === undefined ? null : { markdownPdf: { batchMode } };
+    const app = createApp({
+      configPath,
+      ...configOptions,
+      overrides: [modeOverrides, overrides].filter(Boolean),
+    });
+    try {
+      const result = await app.runCollection(options.collection, runOptions);
+      const exitCode = printCollectionReport(io, result);
+      await app.shutdown();
+      return exitCode;
+    } catch (error) {
+      io.error(`💥 ${label} FAILED: ${error.message}`);
+      await app.cleanup();
+      return 1;
+    }
+  };
+
+  if (options.collection) {
+    switch (command) {
+      case 'merge':
+        return withCollection('MERGE', { scrape: false }, false);
+      case 'build-pdf':
+        return withCollection('BUILD', { scrape: false }, true);
+      default:
+        return withCollection('COLLECTION', {
+          mode: options.refresh ? 'refresh' : undefined,
+        });
+    }
+  }
+
+  switch (command) {
+    case 'scrape':
+      return withApp('APPLICATION', async (app) => {
+        const result = await app.run({ mode: options.refresh ? 'refresh' : undefined });
+        printRunReport(io, result);
+        return 0;
+      });
+
+    case 'merge':
+      return withApp('MERGE', async (app) => {
+        await app.initialize();
+        const result = await app.runPythonMerge();
+        io.log(`📄 PDF Merge: ${result.success ? '✅ Success' : '❌ Failed'}`);
+        if (result.outputFile) io.log(`📍 ${result.outputFile}`);
+        if (!result.success && result.error) io.error(`Error: ${result.error}`);
+        return result.success ? 0 : 1;
+      });
+
+    case 'build-pdf':
+      return withApp('BUILD', async (app) => {
+        await app.initialize();
+        const result = await app.runBatchPdfGeneration();
+        io.log(`📄 Build: ${result.success ? '✅ Success' : '❌ Failed'}`);
+        for (const [format, outputPath] of Object.entries(result.outputs || {})) {
+          io.log(`📍 ${format}: ${outputPath}`);
+        }
+        if (!result.success && result.error) io.error(`Error: ${result.error}`);
+        return result.success ? 0 : 1;
+      });
+
+    case 'plan':
+      return withApp('PLAN', async (app) => {
+        const { text, outputs } = await app.runPlan();
+        io.log('\n' + text);
+        io.log(`🗺️  Plan written to ${outputs.json} and ${outputs.text}`);
+        return 0;
+      });
+
+    case 'retry-failed':
+      return withApp('RETRY', async (app) => {
+        const result = await app.runRetryFailed();
+        io.log(
+          `🔁 Retried ${result.total} URLs: ${result.successCount} succeeded, ` +
+            `${result.failCount} failed, ${result.skipCount} skipped`
+        );
+        return result.failCount > 0 ? 1 : 0;
+      });
+
+    case 'diff':
+      return withApp('DIFF', async (app) => {
+        const { report, outputs } = await app.runDiff({
+          against: options.against ? path.resolve(cwd, options.against) : undefined,
+        });
+        const { changed, added, removed, unchanged, sectionChanges } = report.summary;
+        io.log(
+          `🔍 Changes: ${changed} changed, ${added} added, ${removed} removed, ` +
+            `${unchanged} unchanged pages; ${sectionChanges} section changes`
+        );
+        io.log(`📍 markdown: ${outputs.markdown}`);
+        io.log(`📍 html: ${outputs.html}`);
+        return 0;
+      });
+
+    case 'snapshots':
+      return runSnapshotsCommand(args, { io, options, withApp });
+
+    case 'targets':
+      return runTargetsCommand(args, {
+        io,
+        options,
+        withApp,
+        configPath,
+        configDir,
+        configOptions,
+      });
+
+    case 'profiles':
+      return runProfilesCommand(args, { io, configDir });
+
+    case 'collections':
+      return runCollectionsCommand(args, { io, configPath, configDir, configOptions });
+
+    case 'help':
+      io.log(HELP_TEXT);
+      return 0;
+
+    default:
+      io.error(`❌ Unknown command: ${command}`);
+      io.log(HELP_TEXT);
+      return 1;
+  }
+}
+
+function printRunReport(io, result) {
+  io.log('\n' + '='.repeat(60));
+  io.log('🎉 APPLICATION COMPLETED SUCCESSFULLY');
+  io.log('='.repeat(60));
+  io.log(`📊 Total Duration: ${result.totalDuration}ms`);
+  io.log(`🕷️  Scraping: ${result.scraping.success ? '✅ Success' : '❌ Failed'}`);
+  if (result.scraping.refresh) {
+    const { unchanged, changed, added, removed } = result.scraping.refresh;
+    io.log(
+      `🔄 Refresh: ${unchanged} unchanged, ${changed} updated, ${added} new, ${removed} removed`
+    );
+  }
+  if (result.scraping.pdfCache?.hits + result.scraping.pdfCache?.misses > 0) {
+    const { hits, misses } = result.scraping.pdfCache;
+    io.log(`💾 PDF cache: ${hits} reused, ${misses} rendered`);
+  }
+  if (result.scraping.changes) {
+    const { changed, added, removed, outputs } = result.scraping.changes;
+    io.log(`🔍 Changes: ${changed} changed, ${added} added, ${removed} removed (${outputs.html})`);
+  }
+  io.log(`📄 PDF Merge: ${result.merge.success ? '✅ Success' : '❌ Failed'}`);
+  if (result.archive) {
+    io.log(
+      result.archive.success
+        ? `📦 Snapshot: ${result.archive.id}`
+        : `📦 Snapshot: ❌ Failed (${result.archive.error})`
+    );
+  }
+  const bookOutputs = { ...result.books?.outputs, ...result.merge.outputs };
+  if (bookOutputs.epub) {
+    io.log(`📚 EPUB: ${bookOutputs.epub}`);
+  }
+  if (bookOutputs.html) {
+    io.log(`🌐 HTML: ${bookOutputs.html}`);
+  }
+  io.log('='.repeat(60));
+}
+
+function printCollectionReport(io, result) {
+  const failed = result.targets.filter((target) => !target.success);
+
+  io.log(`\n📚 Collection ${result.collection}`);
+  for (const target of result.targets) {
+    io.log(
+      `  ${target.success ? '✅' : '❌'} ${target.name}` +
+        (target.success ? '' : `: ${target.error}`)
+    );
+  }
+  io.log(`📄 Book: ${result.build.success ? '✅ Success' : '❌ Failed'}`);
+  if (result.build.outputPath) io.log(`📍 ${result.build.outputPath}`);
+  if (!result.build.success && result.build.error) io.error(`Error: ${result.build.error}`);
+
+  return result.build.success && failed.length === 0 ? 0 : 1;
+}
+
+const parseCount = (value, flag) => {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new ValidationError(`${flag} expects a non-negative integer: ${value}`);
+  }
+  return Number(value);
+};
+
+/**
+ * snapshots list | create | restore <id> | prune | diff <from> [to]
+ */
+async function runSnapshotsCommand(args, { io, options, withApp }) {
+  const [subcommand, id, to] = args;
+
+  switch (subcommand) {
+    case 'list':
+      return withApp('SNAPSHOTS', async (app) => {
+        const snapshots = await app.runSnapshots('list');
+        io.log(snapshots.length > 0 ? 'Snapshots (newest first):' : 'No snapshots yet');
+        for (const snapshot of snapshots) {
+          io.log(
+            `  ${snapshot.id}  ${snapshot.pages} pages` +
+              (snapshot.finalFiles.length > 0 ? `  ${snapshot.finalFiles.join(', ')}` : '')
+          );
+        }
+        return 0;
+      });
+
+    case 'create':
+      return withApp('SNAPSHOT', async (app) => {
+        const snapshot = await app.runSnapshots('create');
+        io.log(`📦 Snapshot ${snapshot.id} created (${snapshot.pages} pages)`);
+        return 0;
+      });
+
+    case 'restore':
+      if (!id) {
+        io.error('❌ snapshots restore needs a snapshot id (or latest / previous)');
+        return 1;
+      }
+      return withApp('RESTORE', async (app) => {
+        const snapshot = await app.runSnapshots('restore', { id });
+        io.log(`♻️  Restored snapshot ${snapshot.id} into ${snapshot.restoredTo}`);
+        return 0;
+      });
+
+    case 'prune': {
+      let policy;
+      try {
+        policy = {
+          keep: parseCount(options.keep, '--keep'),
+          maxAgeDays: parseCount(options['max-age-days'], '--max-age-days'),
+        };
+      } catch (error) {
+        io.error(`❌ ${error.message}`);
+        return 1;
+      }
+      return withApp('PRUNE', async (app) => {
+        const removed = await app.runSnapshots('prune', policy);
+        io.log(
+          `🧹 Removed ${removed.length} snapshots` +
+            (removed.length ? `: ${removed.join(', ')}` : '')
+        );
+        return 0;
+      });
+    }
+
+    case 'diff':
+      if (!id) {
+        io.error('❌ snapshots diff needs the snapshot to compare from');
+        return 1;
+      }
+      return withApp('DIFF', async (app) => {
+        const { report, outputs } = await app.runSnapshots('diff', { id, to });
+        const { changed, added, removed, unchanged } = report.summary;
+        io.log(
+          `🔍 ${id} → ${to || 'current'}: ${changed} changed, ${added} added, ` +
+            `${removed} removed, ${unchanged} unchanged pages`
+        );
+        io.log(`📍 markdown: ${outputs.markdown}`);
+        io.log(`📍 html: ${outputs.html}`);
+        return 0;
+      });
+
+    default:
+      io.error(`❌ Unknown snapshots command: ${subcommand || '(none)'}`);
+      io.log(HELP_TEXT);
+      return 1;
+  }
+}
+
+/**
+ * targets list | show [name] | validate [name] | init <url>
+ */
+async function runTargetsCommand(
+  args,
+  { io, options, withApp, configPath, configDir, configOptions }
+) {
+  const [subcommand, name] = args;
+  const targetsDir = path.join(configDir, 'doc-targets');
+  const defaultTarget = readJsonIfExists(configPath)?.docTarget || null;
+
+  const loadTarget = (docTarget) =>
+    new ConfigLoader(configPath, { ...configOptions, docTarget }).load();
+
+  switch (subcommand) {
+    case 'list': {
+      io.log('Doc targets:');
+      for (const fileName of listJsonFiles(targetsDir)) {
+        const targetName = path.basename(fileName, '.json');
+        const aliases = aliasesFor(DOC_TARGETS, fileName);
+        const isDefault = defaultTarget === targetName || aliases.includes(defaultTarget);
+        io.log(
+          `  ${isDefault ? '*' : ' '} ${targetName}` +
+            (aliases.length > 0 ? ` (alias: ${aliases.join(', ')})` : '')
+        );
+      }
+      if (defaultTarget) {
+        io.log(`\n* default in ${path.basename(configPath)}`);
+      }
+      return 0;
+    }
+
+    case 'show': {
+      const docTarget = name || configOptions.docTarget || defaultTarget;
+      try {
+        const config = await loadTarget(docTarget);
+        io.log(`Doc target      : ${docTarget || '(none)'}`);
+        io.log(`Root URL        : ${config.rootURL}`);
+        io.log(`Base URL        : ${config.baseUrl || '(not set)'}`);
+        io.log(`Discovery       : ${config.discovery || 'navigation'}`);
+        io.log(`Allowed domains : ${(config.allowedDomains || []).join(', ')}`);
+        io.log(`Entry points    : ${(config.sectionEntryPoints || []).length}`);
+        io.log(`Site adapter    : ${config.adapter || 'auto'}`);
+        io.log(`Content selector: ${config.contentSelector || '(detected at run time)'}`);
+        io.log(`Output dir      : ${config.pdfDir}`);
+        if (config.pdf?.deviceProfile) {
+          io.log(`Device profile  : ${config.pdf.deviceProfile}`);
+        }
+        return 0;
+      } catch (error) {
+        io.error(`❌ ${docTarget}: ${error.message}`);
+        return 1;
+      }
+    }
+
+    case 'validate': {
+      const names = name
+        ? [name]
+        : listJsonFiles(targetsDir).map((fileName) => path.basename(fileName, '.json'));
+      let failures = 0;
+
+      for (const docTarget of names) {
+        try {
+          await loadTarget(docTarget);
+          io.log(`✅ ${docTarget}`);
+        } catch (error) {
+          failures++;
+          io.error(`❌ ${docTarget}: ${error.message}`);
+        }
+      }
+
+      io.log(`\n${names.length - failures}/${names.length} targets valid`);
+      return failures > 0 ? 1 : 0;
+    }
+
+    case 'init': {
+      if (!name) {
+        io.error('❌ targets init requires the root URL of the docs site');
+        return 1;
+      }
+
+      return withApp('TARGET WIZARD', async (app) => {
+        const result = await app.runTargetWizard(name, {
+          name: options.name,
+          force: options.force,
+        });
+        const { report } = result;
+        io.log(`Navigation      : ${report.nav?.selector || '(none)'}`);
+        io.log(`Content         : ${report.content?.selector || '(none)'}`);
+        io.log(`Pagination      : ${report.pagination?.selector || '(none)'}`);
+        io.log(`Site adapter    : ${report.adapter?.name || '(none)'}`);
+        io.log(`Markdown source : ${report.markdownSource ? 'yes' : 'no'}`);
+        io.log(`Sitemap         : ${report.sitemap ? `${report.sitemap.pages} pages` : 'no'}`);
+        io.log('\nPreview:');
+        io.log(formatTargetPreview(result.preview));
+        io.log(`\n📝 Doc target written to ${result.outputPath}`);
+        io.log(`   Run it with: docs-pdf scrape --target ${result.name}`);
+        return 0;
+      });
+    }
+
+    default:
+      io.error(`❌ Unknown targets command: ${subcommand || '(none)'}`);
+      io.log(HELP_TEXT);
+      return 1;
+  }
+}
+
+/**
+ * collections list | show <name>
+ */
+async function runCollectionsCommand(args, { io, configPath, configDir, configOptions }) {
+  const [subcommand, name] = args;
+  const loader = new ConfigLoader(configPath, configOptions);
+
+  switch (subcommand) {
+    case 'list': {
+      io.log('Collections:');
+      for (const fileName of listJsonFiles(path.join(configDir, COLLECTIONS_DIR))) {
+        const collection = readJsonIfExists(path.join(configDir, COLLECTIONS_DIR, fileName));
+        const targets = Array.isArray(collection?.targets) ? collection.targets.length : 0;
+        io.log(`  ${path.basename(fileName, '.json')} - ${targets} targets`);
+      }
+      return 0;
+    }
+
+    case 'show': {
+      try {
+        const collection = await loader.loadCollection(name);
+        io.log(`Collection      : ${collection.name}`);
+        io.log(`Title           : ${collection.title}`);
+        io.log('Targets         :');
+        for (const target of collection.targets) {
+          io.log(`  ${target.namespace} - ${target.title}`);
+        }
+        return 0;
+      } catch (error) {
+        io.error(`❌ ${name || '(none)'}: ${error.message}`);
+        return 1;
+      }
+    }
+
+    default:
+      io.error(`❌ Unknown collections command: ${subcommand || '(none)'}`);
+      io.log(HELP_TEXT);
+      return 1;
+  }
+}
+
+/**
+ * profiles list
+ */
+async function runProfilesCommand(args, { io, configDir }) {
+  const [subcommand] = args;
+  if (subcommand !== 'list') {
+    io.error(`❌ Unknown profiles command: ${subcommand || '(none)'}`);
+    io.log(HELP_TEXT);
+    return 1;
+  }
+
+  const profilesDir = path.join(configDir, 'config-profiles');
+  io.log('Device profiles:');
+  for (const fileName of listJsonFiles(profilesDir)) {
+    const profile = readJsonIfExists(path.join(profilesDir, fileName)) || {};
+    const aliases = aliasesFor(DEVICE_PROFILES, fileName);
+    const details = [
+      profile.pdf?.fontSize && `font ${profile.pdf.fontSize}`,
+      profile.pdf?.format && `format ${profile.pdf.format}`,
+      profile.output?.finalPdfDirectory && `output ${profile.output.finalPdfDirectory}`,
+    ].filter(Boolean);
+
+    io.log(
+      `  ${path.basename(fileName, '.json')}` +
+        (aliases.length > 0 ? ` (alias: ${aliases.join(', ')})` : '') +
+        (details.length > 0 ? ` - ${details.join(', ')}` : '')
+    );
+  }
+  return 0;
+}
+
+// 直接运行（node src/cli.js 或通过 npm bin 链接）时执行
+const resolveEntryFile = () => {
+  try {
+    return process.argv[1] ? fs.realpathSync(process.argv[1]) : null;
+  } catch {
+    return null;
+  }
+};
+const entryFilePath = resolveEntryFile();
+
+if (entryFilePath === fileURLToPath(import.meta.url)) {
+  runCli(process.argv.slice(2)).then((exitCode) => process.exit(exitCode));
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { validateConfig } from './configValidator.js';
+import { applySiteAdapter } from './siteAdapters.js';
 import { createLogger } from '../utils/logger.js';
 
 const DOC_TARGETS = {
@@ -12,13 +13,35 @@ const DOC_TARGETS = {
   'claude-blog': 'claude-blog.json',
 };
 
+const COLLECTIONS_DIR = 'collections';
+
+const DEVICE_PROFILES = {
+  kindle7: 'kindle7.json',
+  paperwhite: 'kindle-paperwhite.json',
+  oasis: 'kindle-oasis.json',
+  scribe: 'kindle-scribe.json',
+};
+
 /**
  * 配置加载器类
  * 负责加载、验证和管理应用程序配置
  */
 class ConfigLoader {
-  constructor(configPath = null) {
+  /**
+   * @param {string} [configPath] - 基础配置文件路径，默认使用工作目录下的 config.json
+   * @param {Object} [options] - 运行时选择，不会写回配置文件
+   * @param {string} [options.docTarget] - doc-target 名称或路径，优先于 DOC_TARGET 与 config.docTarget
+   * @param {string} [options.profile] - 设备配置（config-profiles/*.json）名称或路径
+   * @param {Object|Object[]} [options.overrides] - 最后合并的配置覆盖项（命令行 --set/--output），
+   *   传入数组时按顺序依次合并
+   * @param {string} [options.namespace] - 输出子目录，拼接在最终 pdfDir 之后（合集中的每个目标）
+   */
+  constructor(configPath = null, options = {}) {
     this.configPath = configPath || path.join(process.cwd(), 'config.json');
+    this.docTarget = options.docTarget || null;
+    this.profile = options.profile || null;
+    this.overrides = options.overrides || null;
+    this.namespace = options.namespace || null;
     this.config = null;
     this.logger = createLogger('ConfigLoader');
     this.loaded = false;
@@ -42,7 +65,17 @@ class ConfigLoader {
       this.logger.debug('Raw configuration loaded:', parsedConfig);
 
       // 合并 doc-target 配置（如果配置了 docTarget 或环境变量 DOC_TARGET）
-      const mergedConfig = await this.applyDocTargetConfig(parsedConfig);
+      const targetConfig = await this.applyDocTargetConfig(parsedConfig);
+
+      // 合并设备配置与命令行覆盖项（顺序：基础 -> doc-target -> 设备 -> 覆盖项）
+      const profiledConfig = await this.applyProfileConfig(targetConfig);
+      const mergedConfig = [this.overrides]
+        .flat()
+        .reduce((config, overrides) => this.deepMerge(config, overrides), profiledConfig);
+
+      if (this.namespace) {
+        mergedConfig.pdfDir = path.join(mergedConfig.pdfDir || 'pdfs', this.namespace);
+      }
 
       // 处理配置
       const processedConfig = await this.processConfig(mergedConfig);
@@ -89,9 +122,19 @@ class ConfigLoader {
    * @private
    */
   async processConfig(config) {
-    const processedConfig = { ...config };
+    let processedConfig = { ...config };
 
     try {
+      // 0. 指定了站点适配器时补全未设置的选择器（配置中显式设置的字段优先）
+      if (config.adapter && !['auto', 'none'].includes(config.adapter)) {
+        const { config: adaptedConfig, applied } = applySiteAdapter(
+          processedConfig,
+          config.adapter
+        );
+        processedConfig = adaptedConfig;
+        this.logger.debug('Site adapter applied', { adapter: config.adapter, applied });
+      }
+
       // 1. 处理路径配置
       processedConfig.pdfDir = this.resolvePath(config.pdfDir);
 
@@ -108,6 +151,12 @@ class ConfigLoader {
         );
       }
 
+      // 归档目录与 pdfDir 一样相对于配置文件目录
+      processedConfig.archive = {
+        ...config.archive,
+        directory: this.resolvePath(config.archive?.directory || 'archive'),
+      };
+
       // 2. 处理域名配置
       if (!processedConfig.allowedDomains || processedConfig.allowedDomains.length === 0) {
         processedConfig.allowedDomains = this.extractDomainsFromUrl(config.rootURL);
@@ -144,7 +193,7 @@ class ConfigLoader {
    */
   async applyDocTargetConfig(baseConfig) {
     const envDocTarget = process.env.DOC_TARGET ? String(process.env.DOC_TARGET).trim() : '';
-    const docTarget = envDocTarget || baseConfig?.docTarget;
+    const docTarget = this.docTarget || envDocTarget || baseConfig?.docTarget;
 
     if (!docTarget) {
       return baseConfig;
@@ -162,7 +211,131 @@ class ConfigLoader {
       targetPath,
     });
 
-    return this.deepMerge(baseConfig, targetConfig);
+    return this.deepMerge({ ...baseConfig, docTarget }, targetConfig);
+  }
+
+  /**
+   * 合并设备配置（config-profiles/*.json）
+   * @private
+   */
+  async applyProfileConfig(config) {
+    if (!this.profile) {
+      return config;
+    }
+
+    const profilePath = await this.resolveProfileConfigPath(String(this.profile).trim());
+    const profileConfig = await this.readJsonFile(profilePath);
+
+    this.logger.info('Applying device profile configuration', {
+      profile: this.profile,
+      profilePath,
+    });
+
+    return this.deepMerge(config, profileConfig);
+  }
+
+  /**
+   * 解析设备配置文件路径：支持别名（如 paperwhite）、文件名或配置目录内的路径
+   * @private
+   */
+  async resolveProfileConfigPath(profile) {
+    const configDir = path.dirname(this.configPath);
+    const profilesDir = path.resolve(configDir, 'config-profiles');
+
+    if (profile.includes('/') || profile.includes('\\') || profile.endsWith('.json')) {
+      const resolvedPath = path.isAbsolute(profile) ? profile : path.resolve(configDir, profile);
+      this.assertPathInsideConfigDir(resolvedPath);
+      return resolvedPath;
+    }
+
+    const candidates = [`${profile}.json`, DEVICE_PROFILES[profile]].filter(Boolean);
+    for (const fileName of candidates) {
+      const candidatePath = path.resolve(profilesDir, fileName);
+      if (await this.isReadableFile(candidatePath)) {
+        return candidatePath;
+      }
+    }
+
+    throw new Error(`Device profile not found for: ${profile}`);
+  }
+
+  /**
+   * 读取合集配置（collections/*.json）：多个 doc-target 合并成一本书
+   * @param {string} name - 合集名称（collections/<name>.json）或配置目录内的路径
+   * @returns {Promise<{name: string, title: string, targets: Array<{name: string, title: string,
+   *   namespace: string, overrides: Object|null}>, overrides: Object|null, filePath: string}>}
+   */
+  async loadCollection(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('Invalid collection: expected a non-empty string');
+    }
+
+    const filePath = await this.resolveCollectionConfigPath(name.trim());
+    const raw = await this.readJsonFile(filePath);
+    const collectionName = path.basename(filePath, '.json');
+
+    if (!Array.isArray(raw.targets) || raw.targets.length === 0) {
+      throw new Error(`Collection ${collectionName} must list at least one target`);
+    }
+
+    const namespaces = new Set();
+    const targets = raw.targets.map((entry) => {
+      const target = typeof entry === 'string' ? { name: entry } : entry || {};
+      if (typeof target.name !== 'string' || target.name.trim().length === 0) {
+        throw new Error(`Collection ${collectionName} has a target without a name`);
+      }
+
+      const targetName = target.name.trim();
+      const namespace = path
+        .basename(targetName, '.json')
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^\.+/, '');
+      if (!namespace) {
+        throw new Error(`Collection ${collectionName} has an invalid target name: ${targetName}`);
+      }
+      if (namespaces.has(namespace)) {
+        throw new Error(`Collection ${collectionName} lists target ${namespace} more than once`);
+      }
+      namespaces.add(namespace);
+
+      return {
+        name: targetName,
+        title: target.title || namespace,
+        namespace,
+        overrides: target.overrides || null,
+      };
+    });
+
+    this.logger.info('Loaded collection', { collection: collectionName, targets: targets.length });
+
+    return {
+      name: collectionName,
+      title: raw.title || collectionName,
+      targets,
+      overrides: raw.overrides || null,
+      filePath,
+    };
+  }
+
+  /**
+   * 解析合集配置文件路径
+   * @private
+   */
+  async resolveCollectionConfigPath(name) {
+    const configDir = path.dirname(this.configPath);
+
+    if (name.includes('/') || name.includes('\\') || name.endsWith('.json')) {
+      const resolvedPath = path.isAbsolute(name) ? name : path.resolve(configDir, name);
+      this.assertPathInsideConfigDir(resolvedPath);
+      return resolvedPath;
+    }
+
+    const collectionPath = path.resolve(configDir, COLLECTIONS_DIR, `${name}.json`);
+    if (await this.isReadableFile(collectionPath)) {
+      return collectionPath;
+    }
+
+    throw new Error(`Collection config not found for: ${name}`);
   }
 
   /**
@@ -212,7 +385,7 @@ class ConfigLoader {
     const relative = path.relative(configDir, resolvedTarget);
 
     if (relative.startsWith('..') || path.isAbsolute(relative)) {
-      throw new Error(`Unsafe doc target path (outside config dir): ${targetPath}`);
+      throw new Error(`Unsafe config path (outside config dir): ${targetPath}`);
     }
   }
 
@@ -411,4 +584,11 @@ function createConfigLoader(configPath = null) {
   return new ConfigLoader(configPath);
 }
 
-export { ConfigLoader, loadConfig, createConfigLoader };
+export {
+  ConfigLoader,
+  loadConfig,
+  createConfigLoader,
+  DOC_TARGETS,
+  DEVICE_PROFILES,
+  COLLECTIONS_DIR,
+};
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { createLogger } from '../utils/logger.js';
+import { SITE_ADAPTER_NAMES } from './siteAdapters.js';
 
 // 配置验证模式
 const configSchema = Joi.object({
@@ -31,12 +32,38 @@ const configSchema = Joi.object({
     .default(500)
     .description('Delay before taking screenshot (ms)'),
 
-  navLinksSelector: Joi.string().required().description('CSS selector for navigation links'),
+  adapter: Joi.string()
+    .valid('auto', 'none', ...SITE_ADAPTER_NAMES)
+    .default('auto')
+    .description(
+      'Site adapter supplying selectors for a doc generator - "auto" detects it from page markers, "none" disables adapters'
+    ),
+
+  navLinksSelector: Joi.string()
+    .when('adapter', {
+      is: 'none',
+      then: Joi.when('discovery', { is: 'sitemap', otherwise: Joi.required() }),
+    })
+    .description(
+      'CSS selector for navigation links (supplied by the site adapter, not needed when discovery is "sitemap")'
+    ),
+
+  navExpandSelector: Joi.string()
+    .trim()
+    .allow('')
+    .optional()
+    .description('CSS selector for collapsed sidebar toggles clicked before collecting links'),
+
+  sectionTitleSelector: Joi.string()
+    .trim()
+    .allow('')
+    .optional()
+    .description('CSS selector for the current sidebar group title on a section entry page'),
 
   navExcludeSelector: Joi.string()
     .trim()
     .allow('')
-    .default('')
+    .optional()
     .description(
       'CSS selector for navigation elements to exclude during URL collection (e.g., ".nav-tabs, [role=tablist]")'
     ),
@@ -52,7 +79,9 @@ const configSchema = Joi.object({
     .default(10)
     .description('Maximum number of pages to crawl when pagination is enabled'),
 
-  contentSelector: Joi.string().required().description('CSS selector for main content'),
+  contentSelector: Joi.string()
+    .when('adapter', { is: 'none', then: Joi.required() })
+    .description('CSS selector for main content (supplied by the site adapter)'),
 
   removeSelectors: Joi.array()
     .items(Joi.string().trim().min(1))
@@ -77,6 +106,34 @@ const configSchema = Joi.object({
       'Manual override for section titles (URL -> Title mapping). If not provided, titles will be extracted from navigation menu'
     ),
 
+  discovery: Joi.string()
+    .valid('navigation', 'sitemap')
+    .default('navigation')
+    .description(
+      'URL discovery mode - "navigation" crawls navLinksSelector on the entry pages, "sitemap" reads sitemap.xml and groups pages into sections by path segment'
+    ),
+
+  sitemap: Joi.object({
+    url: Joi.string()
+      .uri()
+      .optional()
+      .description('Sitemap (or sitemap index) URL, defaults to <rootURL origin>/sitemap.xml'),
+
+    maxDepth: Joi.number()
+      .integer()
+      .min(0)
+      .max(5)
+      .default(2)
+      .description('Maximum nesting depth followed through sitemap index files'),
+
+    sectionTitles: Joi.object()
+      .pattern(Joi.string(), Joi.string())
+      .default({})
+      .description('Section title overrides keyed by first path segment (e.g. "guides")'),
+  })
+    .default()
+    .description('Sitemap discovery settings (used when discovery is "sitemap")'),
+
   ignoreURLs: Joi.array()
     .items(Joi.string())
     .default([])
@@ -129,6 +186,13 @@ const configSchema = Joi.object({
       'Preferred navigation wait strategy - "auto" uses default fallback order (domcontentloaded→networkidle2→networkidle0→load), specific strategy (e.g., "load") tries that first for better performance on SPAs'
     ),
 
+  runMode: Joi.string()
+    .valid('resume', 'refresh')
+    .default('resume')
+    .description(
+      'Run mode - "resume" skips URLs already in progress.json, "refresh" re-checks every URL and only re-renders pages whose content changed'
+    ),
+
   urlCollectionWaitUntil: Joi.string()
     .valid('domcontentloaded', 'networkidle2', 'networkidle0', 'load')
     .default('domcontentloaded')
@@ -250,9 +314,40 @@ const configSchema = Joi.object({
     tempDirectory: Joi.string()
       .default('.temp')
       .description('Temporary directory used for intermediate files'),
+
+    formats: Joi.array()
+      .items(Joi.string().valid('pdf', 'epub', 'html'))
+      .min(1)
+      .unique()
+      .default(['pdf'])
+      .description('Final book formats to build from the scraped markdown (pdf, epub, html)'),
+
+    epub: Joi.object({
+      title: Joi.string().optional().description('Book title (defaults to the root URL hostname)'),
+      author: Joi.string().optional().description('Book author / creator'),
+      publisher: Joi.string().optional().description('Book publisher'),
+      language: Joi.string().optional().description('BCP 47 language tag, e.g. "en" or "zh-CN"'),
+      description: Joi.string().optional().description('Book description'),
+      coverImage: Joi.string().optional().description('Path to the cover image'),
+      stylesheet: Joi.string().optional().description('Custom CSS stylesheet for the EPUB'),
+    })
+      .default()
+      .description('EPUB metadata, usually provided by the doc target'),
+
+    html: Joi.object({
+      title: Joi.string().optional().description('Book title (defaults to the root URL hostname)'),
+      language: Joi.string().optional().description('BCP 47 language tag for the lang attribute'),
+      layout: Joi.string()
+        .valid('single', 'multi')
+        .default('multi')
+        .description('One HTML file per page (multi) or the whole book in index.html (single)'),
+      stylesheet: Joi.string().optional().description('Extra CSS copied into the book'),
+    })
+      .default()
+      .description('Static HTML book with sidebar TOC and offline search'),
   })
     .default()
-    .description('Output directory settings'),
+    .description('Output settings'),
 
   // PDF生成配置
   pdf: Joi.object({
@@ -337,7 +432,7 @@ const configSchema = Joi.object({
 
     displayHeaderFooter: Joi.boolean()
       .default(false)
-      .description('Display header and footer in PDF'),
+      .description('Deprecated: use pdf.headerFooter'),
 
     preferCSSPageSize: Joi.boolean()
       .default(false)
@@ -356,12 +451,55 @@ const configSchema = Joi.object({
 
     bookmarks: Joi.boolean().default(true).description('Generate PDF bookmarks'),
 
+    mergeEngine: Joi.string()
+      .valid('python', 'pdf-lib')
+      .default('python')
+      .description(
+        'Engine that merges the per-page PDFs (standard mode); python falls back to pdf-lib when Python is unavailable'
+      ),
+
     maxMemoryMB: Joi.number()
       .integer()
       .min(100)
       .max(2000)
       .default(500)
       .description('Maximum memory usage for PDF operations (MB)'),
+
+    // 单页 PDF 缓存（Puppeteer 路径）
+    cache: Joi.object({
+      enabled: Joi.boolean()
+        .default(true)
+        .description('Reuse page PDFs whose content and style settings did not change'),
+      directory: Joi.string()
+        .optional()
+        .description('Cache directory (default: <output.tempDirectory>/pdf_cache)'),
+    })
+      .default()
+      .description('Per-page PDF cache keyed by content hash'),
+
+    // 页眉页脚：Puppeteer 路径使用 headerTemplate/footerTemplate，Pandoc 路径使用 fancyhdr
+    headerFooter: Joi.object({
+      enabled: Joi.boolean()
+        .optional()
+        .description(
+          'Print running headers and footers (default: on for batch PDFs, off for per-page PDFs whose page numbers restart on every page)'
+        ),
+      header: Joi.object({
+        left: Joi.string().allow('').default(''),
+        center: Joi.string().allow('').default(''),
+        right: Joi.string().allow('').default('{section}'),
+      }).default(),
+      footer: Joi.object({
+        left: Joi.string().allow('').default('{target}'),
+        center: Joi.string().allow('').default(''),
+        right: Joi.string().allow('').default('{pageNumber} / {totalPages}'),
+      }).default(),
+      fontSize: Joi.string().default('8px').description('Header/footer font size (Puppeteer)'),
+    })
+      .default()
+      .description(
+        'Header/footer templates; placeholders: {pageNumber} {totalPages} {title} {section} {target} {url} {date}'
+      ),
   })
     .default()
     .description('PDF generation settings'),
@@ -455,13 +593,35 @@ const configSchema = Joi.object({
 
     retryOn429: Joi.boolean()
       .default(true)
-      .description('Retry on 429 (Too Many Requests) responses'),
+      .description('Retry on 429 (Too Many Requests) and 503 responses after backing off'),
 
     rateLimitDelay: Joi.number()
       .integer()
-      .min(100)
+      .min(0)
       .default(1000)
-      .description('Delay between requests to avoid rate limiting (ms)'),
+      .description('Minimum delay between requests to the same host (ms)'),
+
+    maxThrottleRetries: Joi.number()
+      .integer()
+      .min(0)
+      .default(3)
+      .description('How many times a 429/503 response is retried before giving up'),
+
+    maxRetryAfter: Joi.number()
+      .integer()
+      .min(0)
+      .default(120000)
+      .description('Upper bound for the wait taken from a Retry-After header (ms)'),
+
+    respectRobotsTxt: Joi.boolean()
+      .default(true)
+      .description('Skip URLs disallowed by robots.txt and honour its Crawl-delay'),
+
+    robotsUserAgent: Joi.string()
+      .trim()
+      .min(1)
+      .default('documentation-pdf-scraper')
+      .description('User-agent token used to pick the robots.txt group'),
   })
     .default()
     .description('Network settings'),
@@ -477,10 +637,175 @@ const configSchema = Joi.object({
     includeFrontmatter: Joi.boolean()
       .default(true)
       .description('Include YAML frontmatter in generated markdown'),
+
+    images: Joi.object({
+      download: Joi.boolean()
+        .default(true)
+        .description('Download referenced images and rewrite them to local asset paths'),
+
+      assetsDir: Joi.string()
+        .default('assets')
+        .description('Content-addressed image directory (relative to the markdown outputDir)'),
+
+      convert: Joi.boolean()
+        .default(true)
+        .description('Convert SVG/WebP/AVIF/GIF/BMP images to PNG so LaTeX can embed them'),
+
+      maxBytes: Joi.number()
+        .integer()
+        .min(1)
+        .default(20 * 1024 * 1024)
+        .description('Skip images larger than this many bytes'),
+
+      timeout: Joi.number()
+        .integer()
+        .min(1000)
+        .default(30000)
+        .description('Timeout for a single image download in milliseconds'),
+    })
+      .default()
+      .description('Image asset pipeline for the Markdown workflow'),
+
+    diagrams: Joi.object({
+      enabled: Joi.boolean()
+        .default(true)
+        .description('Render ```mermaid and ```plantuml code blocks to images'),
+
+      format: Joi.string()
+        .valid('pdf', 'png', 'svg')
+        .default('png')
+        .description(
+          'Image format: png (every output), pdf (vector, Pandoc PDF only) or svg (HTML/EPUB/browser PDF)'
+        ),
+
+      theme: Joi.string().default('default').description('Mermaid theme'),
+
+      mermaidScript: Joi.string()
+        .default('https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js')
+        .description('URL or local path of the Mermaid browser bundle'),
+
+      plantumlServer: Joi.string()
+        .uri()
+        .default('https://www.plantuml.com/plantuml')
+        .description('PlantUML server used to render PlantUML diagrams to SVG'),
+
+      timeout: Joi.number()
+        .integer()
+        .min(1000)
+        .default(30000)
+        .description('Timeout for rendering a single diagram in milliseconds'),
+    })
+      .default()
+      .description('Diagram rendering for the Markdown workflow'),
   })
     .default()
     .description('Markdown conversion settings'),
 
+  // 跨页面链接处理（合并输出中的书内跳转与脚注）
+  links: Joi.object({
+    internal: Joi.boolean()
+      .default(true)
+      .description(
+        'Rewrite links to other scraped pages as jumps inside the merged book (Markdown anchors / PDF GoTo)'
+      ),
+
+    footnotes: Joi.boolean()
+      .default(false)
+      .description('Append the URL of out-of-scope links as a footnote (Markdown/Pandoc output)'),
+  })
+    .default()
+    .description('Cross-page link handling for merged outputs'),
+
+  // 两次抓取之间的内容变更报告
+  changeReport: Joi.object({
+    enabled: Joi.boolean()
+      .default(false)
+      .description(
+        'Keep the previous Markdown output before each scrape and write a change report afterwards'
+      ),
+
+    whatsNew: Joi.boolean()
+      .default(false)
+      .description('Prepend a "What\'s new" chapter built from the change report to the batch PDF'),
+
+    context: Joi.number()
+      .integer()
+      .min(0)
+      .max(20)
+      .default(3)
+      .description('Unchanged lines shown around each change in the unified diffs'),
+
+    maxDiffLines: Joi.number()
+      .integer()
+      .min(0)
+      .default(200)
+      .description('Diff lines per page in the "What\'s new" chapter (0 = no limit)'),
+  })
+    .default()
+    .description('Content-change report between two scrape runs'),
+
+  // 每次运行的版本化快照
+  archive: Joi.object({
+    enabled: Joi.boolean()
+      .default(false)
+      .description('Store the output of every run as a timestamped snapshot'),
+
+    directory: Joi.string()
+      .default('archive')
+      .description('Archive root; each doc target gets its own subdirectory'),
+
+    name: Joi.string()
+      .pattern(/^[\w.-]+$/)
+      .optional()
+      .description('Archive subdirectory name (defaults to the doc target or the host name)'),
+
+    keep: Joi.number()
+      .integer()
+      .min(0)
+      .default(10)
+      .description('Snapshots kept after each run (0 = no limit)'),
+
+    maxAgeDays: Joi.number()
+      .integer()
+      .min(0)
+      .default(0)
+      .description('Delete snapshots older than this many days (0 = no limit)'),
+  })
+    .default()
+    .description('Versioned run snapshots per doc target'),
+
+  // 最终 PDF 的封面页、版权页与文档信息，通常由 doc target 提供
+  book: Joi.object({
+    enabled: Joi.boolean()
+      .default(false)
+      .description('Add the cover page, colophon and PDF document info to the final PDF'),
+    cover: Joi.boolean().default(true).description('Insert a generated cover page'),
+    colophon: Joi.boolean()
+      .default(true)
+      .description('Append a colophon with the source URLs, crawl date and license'),
+    title: Joi.string()
+      .optional()
+      .description('Book title (defaults to output.epub.title or "<host> documentation")'),
+    subtitle: Joi.string().optional().description('Subtitle, also used as the PDF Subject'),
+    author: Joi.string().optional().description('PDF Author (defaults to the source host name)'),
+    language: Joi.string()
+      .optional()
+      .description('Book language (defaults to the translation target or the site lang)'),
+    license: Joi.string().optional().description('License notice printed on the colophon'),
+    logo: Joi.alternatives()
+      .try(Joi.boolean(), Joi.string())
+      .default(true)
+      .description(
+        "Cover logo: true = the site's og:image/favicon, a URL or file path, false = none"
+      ),
+    keywords: Joi.array()
+      .items(Joi.string())
+      .default([])
+      .description('PDF Keywords (defaults to the doc target and host name)'),
+  })
+    .default()
+    .description('Cover page, colophon and PDF document info for the final book'),
+
   // Markdown 转 PDF 配置
   markdownPdf: Joi.object({
     enabled: Joi.boolean()
@@ -493,6 +818,13 @@ const configSchema = Joi.object({
         'When true, skip individual PDF generation and create final PDF directly from all markdown files'
       ),
 
+    engine: Joi.string()
+      .valid('pandoc', 'browser')
+      .default('pandoc')
+      .description(
+        'Batch PDF engine: pandoc + xelatex, or the headless browser (no LaTeX or system fonts needed)'
+      ),
+
     stylesheet: Joi.string().optional().description('Custom CSS stylesheet for md-to-pdf'),
 
     highlightStyle: Joi.string()
@@ -517,6 +849,24 @@ const configSchema = Joi.object({
     })
       .default({ format: 'A4' })
       .description('Additional pdf_options for md-to-pdf'),
+
+    index: Joi.object({
+      enabled: Joi.boolean()
+        .default(false)
+        .description('Add a back-of-book index to the batch PDF, EPUB and HTML book'),
+      headings: Joi.boolean().default(true).description('Index page titles and headings'),
+      code: Joi.boolean()
+        .default(true)
+        .description(
+          'Index inline code identifiers (CLI flags, config keys, environment variables, commands)'
+        ),
+      terms: Joi.array()
+        .items(Joi.string())
+        .default([])
+        .description('Extra terms indexed wherever they appear in the page text'),
+    })
+      .default()
+      .description('Book index settings'),
   })
     .default()
     .description('Markdown to PDF settings'),
@@ -588,6 +938,69 @@ const configSchema = Joi.object({
       .valid('none', 'full', 'equal', 'decorrelated')
       .default('decorrelated')
       .description('Jitter strategy for translation retries'),
+
+    glossary: Joi.object({
+      terms: Joi.object()
+        .pattern(Joi.string(), Joi.string())
+        .default({})
+        .description('Source term -> fixed translation'),
+      protectedTerms: Joi.array()
+        .items(Joi.string().trim().min(1))
+        .unique()
+        .default([])
+        .description('Terms that must be kept untranslated (product names, CLI flags, ...)'),
+    })
+      .default()
+      .description('Per-target glossary injected into the prompt and checked after translation'),
+
+    provider: Joi.string()
+      .valid('gemini-cli', 'openai-compatible', 'ollama')
+      .default('gemini-cli')
+      .description('Translation backend'),
+
+    geminiCli: Joi.object({
+      command: Joi.string().default('gemini').description('Executable to spawn'),
+      args: Joi.array()
+        .items(Joi.string())
+        .default([])
+        .description('Extra arguments passed before the prompt'),
+    })
+      .default()
+      .description('gemini-cli provider settings'),
+
+    openaiCompatible: Joi.object({
+      baseUrl: Joi.string()
+        .uri()
+        .when('...provider', { is: 'openai-compatible', then: Joi.required() })
+        .description('API base URL, e.g. https://api.openai.com/v1'),
+      model: Joi.string()
+        .when('...provider', { is: 'openai-compatible', then: Joi.required() })
+        .description('Model name'),
+      apiKeyEnv: Joi.string()
+        .default('OPENAI_API_KEY')
+        .description('Environment variable holding the API key'),
+      temperature: Joi.number().min(0).max(2).default(0),
+      jsonMode: Joi.boolean().default(true).description('Request response_format json_object'),
+      headers: Joi.object()
+        .pattern(Joi.string(), Joi.string())
+        .default({})
+        .description('Additional request headers'),
+    })
+      .when('provider', { is: 'openai-compatible', then: Joi.required() })
+      .description('OpenAI-compatible chat completions provider settings'),
+
+    ollama: Joi.object({
+      baseUrl: Joi.string()
+        .uri()
+        .default('http://localhost:11434')
+        .description('Ollama server URL'),
+      model: Joi.string()
+        .when('...provider', { is: 'ollama', then: Joi.required() })
+        .description('Model name'),
+      temperature: Joi.number().min(0).max(2).default(0),
+    })
+      .when('provider', { is: 'ollama', then: Joi.required() })
+      .description('Ollama provider settings'),
   })
     .default()
     .description('Translation settings'),
@@ -0,0 +1,210 @@
+// src/config/siteAdapters.js
+
+/**
+ * 常见文档生成器的站点适配器
+ * - navLinksSelector / contentSelector / removeSelectors / navExcludeSelector：与 doc-target 中的同名字段相同
+ * - navExpandSelector：收集链接前在入口页面点击展开的折叠侧边栏分组
+ * - sectionTitleSelector：入口页面上当前侧边栏分组的标题
+ * - markdownSource：站点提供的 Markdown 源文件约定
+ * - markers：识别站点所用的 generator meta 与页面特征选择器
+ */
+export const SITE_ADAPTERS = {
+  mintlify: {
+    label: 'Mintlify',
+    markers: {
+      generator: /mintlify/i,
+      selectors: ['#content-area', 'script[src*="mintlify"]', 'link[href*="mintlify"]'],
+    },
+    navLinksSelector: '#sidebar-content a[href], #navigation-items a[href]',
+    navExcludeSelector: '.nav-tabs',
+    contentSelector: '#content-area',
+    removeSelectors: ['#pagination', '.feedback-toolbar'],
+    sectionTitleSelector: '.sidebar-group-header:has(+ .sidebar-group [aria-current="page"]) h5',
+    markdownSource: { enabled: true, urlSuffix: '.md' },
+  },
+
+  docusaurus: {
+    label: 'Docusaurus',
+    markers: {
+      generator: /docusaurus/i,
+      selectors: ['#__docusaurus', '.theme-doc-sidebar-container'],
+    },
+    navLinksSelector: '.theme-doc-sidebar-menu a.menu__link[href]:not([href="#"])',
+    contentSelector: '.theme-doc-markdown',
+    removeSelectors: [
+      '.hash-link',
+      '.theme-doc-breadcrumbs',
+      '.theme-doc-toc-mobile',
+      '.theme-doc-footer',
+      '.pagination-nav',
+    ],
+    navExpandSelector: [
+      '.menu__list-item--collapsed > .menu__list-item-collapsible > .menu__caret',
+      '.menu__list-item--collapsed > .menu__link--sublist-caret',
+    ].join(', '),
+    sectionTitleSelector:
+      '.theme-doc-sidebar-item-category-level-1:has(.menu__link--active) > .menu__list-item-collapsible > .menu__link',
+  },
+
+  nextra: {
+    label: 'Nextra',
+    markers: {
+      generator: /nextra/i,
+      selectors: ['.nextra-sidebar-container', '.nextra-nav-container', '.nextra-content'],
+    },
+    navLinksSelector: '.nextra-sidebar-container a[href], aside.nextra-sidebar a[href]',
+    contentSelector: 'main[data-pagefind-body], article main',
+    removeSelectors: ['.nextra-breadcrumb', '.nextra-toc', '.nextra-pagination'],
+    navExpandSelector: '.nextra-sidebar-container button[aria-expanded="false"]',
+  },
+
+  vitepress: {
+    label: 'VitePress',
+    markers: {
+      generator: /vitepress/i,
+      selectors: ['#VPContent', '.VPSidebar', '.vp-doc'],
+    },
+    navLinksSelector: '.VPSidebar a[href]',
+    contentSelector: '.vp-doc',
+    removeSelectors: ['.header-anchor', '.edit-info', '.prev-next'],
+    navExpandSelector: '.VPSidebar .VPSidebarItem.collapsed > .item > .caret',
+    sectionTitleSelector: '.VPSidebar .VPSidebarItem.level-0.has-active > .item .text',
+  },
+
+  'mkdocs-material': {
+    label: 'MkDocs Material',
+    markers: {
+      generator: /mkdocs/i,
+      selectors: ['[data-md-component="content"]', '.md-sidebar--primary'],
+    },
+    navLinksSelector: '.md-sidebar--primary a.md-nav__link[href]',
+    navExcludeSelector: '.md-nav--secondary',
+    contentSelector: 'article.md-content__inner',
+    removeSelectors: ['.headerlink', '.md-content__button', '.md-source-file', '.md-feedback'],
+    sectionTitleSelector: [
+      '.md-tabs__item--active > .md-tabs__link',
+      '.md-nav--primary > .md-nav__list > .md-nav__item--active.md-nav__item--nested > .md-nav__link',
+    ].join(', '),
+  },
+
+  gitbook: {
+    label: 'GitBook',
+    markers: {
+      generator: /gitbook/i,
+      selectors: ['[data-testid="table-of-contents"]', 'link[href*="gitbook"]'],
+    },
+    navLinksSelector: '[data-testid="table-of-contents"] a[href]',
+    contentSelector: 'main',
+    removeSelectors: ['main > header nav', 'main > footer'],
+    markdownSource: { enabled: true, urlSuffix: '.md' },
+  },
+
+  sphinx: {
+    label: 'Sphinx',
+    markers: {
+      generator: /sphinx|docutils/i,
+      selectors: [
+        'script[src*="_static/documentation_options.js"]',
+        '.sphinxsidebar',
+        '.wy-nav-side',
+      ],
+    },
+    navLinksSelector: [
+      '.wy-menu-vertical a.reference.internal[href]',
+      '.sphinxsidebar a.reference.internal[href]',
+      '.bd-sidebar-primary a.reference.internal[href]',
+    ].join(', '),
+    contentSelector: '[itemprop="articleBody"], article.bd-article, div.body[role="main"]',
+    removeSelectors: ['.headerlink', '.rst-footer-buttons', '.prev-next-area'],
+    sectionTitleSelector: '.wy-menu-vertical li.toctree-l1.current > a',
+  },
+};
+
+export const SITE_ADAPTER_NAMES = Object.keys(SITE_ADAPTERS);
+
+// 适配器可以提供的配置字段（markdownSource 单独处理）
+const SELECTOR_FIELDS = [
+  'navLinksSelector',
+  'navExcludeSelector',
+  'navExpandSelector',
+  'contentSelector',
+  'sectionTitleSelector',
+  'removeSelectors',
+];
+
+// 空字符串是显式关闭（例如 navExcludeSelector: ''），不会被适配器覆盖
+const isUnset = (value) =>
+  value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+/**
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getSiteAdapter(name) {
+  return Object.hasOwn(SITE_ADAPTERS, name) ? SITE_ADAPTERS[name] : null;
+}
+
+/**
+ * 所有适配器的特征选择器（在页面中逐个检查是否存在）
+ * @returns {string[]}
+ */
+export function getSiteAdapterMarkerSelectors() {
+  return [...new Set(Object.values(SITE_ADAPTERS).flatMap((adapter) => adapter.markers.selectors))];
+}
+
+/**
+ * 根据页面特征识别文档生成器：generator meta 优先，其次是特征选择器
+ * @param {{generator?: string, present?: string[]}} markers - 页面的 generator 与存在的特征选择器
+ * @returns {string|null} 适配器名称
+ */
+export function detectSiteAdapter({ generator = '', present = [] } = {}) {
+  const byGenerator = generator
+    ? SITE_ADAPTER_NAMES.find((name) => SITE_ADAPTERS[name].markers.generator.test(generator))
+    : null;
+  if (byGenerator) {
+    return byGenerator;
+  }
+
+  const found = new Set(present);
+  return (
+    SITE_ADAPTER_NAMES.find((name) =>
+      SITE_ADAPTERS[name].markers.selectors.some((selector) => found.has(selector))
+    ) || null
+  );
+}
+
+/**
+ * 用适配器补全配置中未设置的字段，配置中显式设置的字段保持不变
+ * @param {Object} config
+ * @param {string} name - 适配器名称
+ * @param {Object} [options]
+ * @param {boolean} [options.markdownSource=true] - 是否同时应用 Markdown 源文件约定
+ * @returns {{config: Object, applied: string[]}} 补全后的配置与被补全的字段
+ */
+export function applySiteAdapter(config, name, options = {}) {
+  const adapter = getSiteAdapter(name);
+  if (!adapter) {
+    return { config, applied: [] };
+  }
+
+  const adapted = { ...config };
+  const applied = [];
+
+  for (const field of SELECTOR_FIELDS) {
+    if (adapter[field] !== undefined && isUnset(config[field])) {
+      adapted[field] = Array.isArray(adapter[field]) ? [...adapter[field]] : adapter[field];
+      applied.push(field);
+    }
+  }
+
+  if (
+    options.markdownSource !== false &&
+    adapter.markdownSource &&
+    config.markdownSource?.enabled === undefined
+  ) {
+    adapted.markdownSource = { ...adapter.markdownSource, ...config.markdownSource };
+    applied.push('markdownSource');
+  }
+
+  return { config: adapted, applied };
+}
@@ -0,0 +1,344 @@
+// src/core/collectionRunner.js
+import fs from 'fs/promises';
+import path from 'path';
+import { PandocPdfService } from '../services/pandocPdfService.js';
+import { PythonMergeService } from '../services/PythonMergeService.js';
+import { PdfLibMergeService } from '../services/pdfLibMergeService.js';
+import { BookFrontMatterService } from '../services/bookFrontMatterService.js';
+
+/**
+ * 合集运行器：依次抓取合集中的每个 doc-target，再合并成一本书
+ *
+ * - 每个目标使用自己的配置（选择器、翻译、markdownSource 等），输出到 pdfDir/<合集>/<目标>
+ * - 批量模式：把各目标的 Markdown 作为一级部分交给 Pandoc，生成一份带分层目录的 PDF
+ * - 标准模式：先逐个目标合并出 PDF，再拼接成一本书，每个目标是一级书签；
+ *   任一目标使用了 pdf-lib 或 Python 不可用时，整本书也用 pdf-lib 拼接
+ * - 目标的 batchMode 不一致时，批量模式的目标改为生成自己的 PDF，整本书走标准模式
+ * - 封面与版权页（book.enabled）只加在整本书上，目标自己的 PDF 不加
+ */
+export class CollectionRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collection - ConfigLoader.loadCollection 的结果
+   * @param {Function} options.createApp - ({docTarget, overrides, namespace}) => Application
+   * @param {Object} options.logger
+   * @param {Function} [options.createPandocService] - (config, logger) => PandocPdfService
+   * @param {Function} [options.createMergeService] - (config, logger, engine) => PythonMergeService/PdfLibMergeService
+   * @param {Function} [options.createFrontMatterService] - ({config, logger, metadataService}) => BookFrontMatterService
+   */
+  constructor(options) {
+    const {
+      collection,
+      createApp,
+      logger,
+      createPandocService = (config, serviceLogger) =>
+        new PandocPdfService({ config, logger: serviceLogger }),
+      createMergeService = (config, serviceLogger, engine) =>
+        engine === 'pdf-lib'
+          ? new PdfLibMergeService(config, serviceLogger)
+          : new PythonMergeService(config, serviceLogger),
+      createFrontMatterService = (serviceOptions) => new BookFrontMatterService(serviceOptions),
+    } = options;
+
+    this.collection = collection;
+    this.createApp = createApp;
+    this.logger = logger;
+    this.createPandocService = createPandocService;
+    this.createMergeService = createMergeService;
+    this.createFrontMatterService = createFrontMatterService;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {'resume'|'refresh'} [options.mode] - 每个目标的抓取模式
+   * @param {boolean} [options.scrape=true] - false 时只用已有的抓取结果重新合并
+   * @returns {Promise<{collection: string, targets: Object[], build: Object}>}
+   */
+  async run(options = {}) {
+    const { mode, scrape = true } = options;
+    const targets = [];
+    const parts = [];
+    const progresses = [];
+    let baseConfig = null;
+    let pythonEnvironment = null;
+
+    this.logger.info('📚 Running collection', {
+      collection: this.collection.name,
+      targets: this.collection.targets.map((target) => target.name),
+      scrape,
+    });
+
+    for (const target of this.collection.targets) {
+      const app = this._createTargetApp(target);
+
+      try {
+        await app.initialize();
+        const config = await app.container.get('config');
+        baseConfig = baseConfig || config;
+        // Application.initialize 已检查过 Python 环境
+        pythonEnvironment = pythonEnvironment || app.pythonEnvironment || null;
+
+        let scraping = null;
+        if (scrape) {
+          scraping = await app.runScraping({ mode });
+          if (!scraping.success) {
+            throw new Error(`Scraping failed: ${scraping.error}`);
+          }
+        }
+
+        // 已经有目标生成了 PDF 时，后面的批量模式目标直接生成自己的 PDF
+        const part =
+          config.markdownPdf?.batchMode === true && parts.every((item) => item.type === 'markdown')
+            ? await this._buildMarkdownPart(app, config, target)
+            : await this._buildPdfPart(app, config, target);
+
+        parts.push(part);
+        if (baseConfig.book?.enabled === true) {
+          progresses.push(await (await app.container.get('metadataService')).getProgress());
+        }
+        targets.push({ name: target.name, success: true, pdfDir: config.pdfDir, scraping });
+      } catch (error) {
+        this.logger.error('❌ Collection target failed', {
+          collection: this.collection.name,
+          target: target.name,
+          error: error.message,
+        });
+        targets.push({ name: target.name, success: false, error: error.message });
+      } finally {
+        await app.shutdown();
+      }
+    }
+
+    // 只用 Puppeteer 的目标没有 Markdown，这时前面批量模式的目标也要改为拼接 PDF
+    if (new Set(parts.map((part) => part.type)).size > 1) {
+      this.logger.warn(
+        '⚠️ Collection targets use different markdownPdf.batchMode, merging their PDFs instead',
+        { collection: this.collection.name }
+      );
+      await this._convertMarkdownParts(parts, targets);
+    }
+
+    const build =
+      parts.length > 0
+        ? await this._buildBook(parts, baseConfig, pythonEnvironment)
+        : { success: false, error: 'No collection target produced output' };
+
+    if (build.success && baseConfig.book?.enabled === true) {
+      build.frontMatter = await this._addFrontMatter(build.outputPath, baseConfig, progresses);
+    }
+
+    return { collection: this.collection.name, targets, build };
+  }
+
+  /**
+   * 每个目标使用独立的应用实例，输出到 pdfDir/<合集>/<目标>
+   * @private
+   */
+  _createTargetApp(target) {
+    return this.createApp({
+      docTarget: target.name,
+      overrides: [this.collection.overrides, target.overrides],
+      namespace: path.join(this.collection.name, target.namespace),
+    });
+  }
+
+  /**
+   * 把批量模式目标的 Markdown 部分换成目标自己的 PDF（复用已有的抓取结果）；失败的目标从书中去掉
+   * @private
+   */
+  async _convertMarkdownParts(parts, targets) {
+    for (let i = parts.length - 1; i >= 0; i--) {
+      const { type, target } = parts[i];
+      if (type !== 'markdown') continue;
+
+      const app = this._createTargetApp(target);
+      try {
+        await app.initialize();
+        const config = await app.container.get('config');
+        parts[i] = await this._buildPdfPart(app, config, target);
+      } catch (error) {
+        this.logger.error('❌ Collection target failed', {
+          collection: this.collection.name,
+          target: target.name,
+          error: error.message,
+        });
+        parts.splice(i, 1);
+        const entry = targets.find((item) => item.name === target.name);
+        Object.assign(entry, { success: false, error: error.message });
+      } finally {
+        await app.shutdown();
+      }
+    }
+  }
+
+  /**
+   * 批量模式：读取目标的 Markdown，标题下移一级并加上目标前缀的锚点
+   * @private
+   */
+  async _buildMarkdownPart(app, config, target) {
+    const markdownToPdfService = await app.container.get('markdownToPdfService');
+    const markdownDir = path.join(config.pdfDir, config.markdown?.outputDir || 'markdown');
+    const { files, content } = await markdownToPdfService.prepareCollectionPart(markdownDir, {
+      title: target.title,
+      namespace: target.namespace,
+    });
+
+    return {
+      type: 'markdown',
+      title: target.title,
+      files,
+      content,
+      resourcePath: markdownDir,
+      target,
+    };
+  }
+
+  /**
+   * 标准模式：生成目标自己的 PDF（批量模式的目标用 Pandoc，其余用 Python/pdf-lib 合并）
+   * @private
+   */
+  async _buildPdfPart(app, config, target) {
+    const result =
+      config.markdownPdf?.batchMode === true
+        ? await app.runBatchPdfGeneration({ formats: ['pdf'], frontMatter: false })
+        : await app.runPythonMerge({ frontMatter: false });
+
+    const pdf = result.outputs?.pdf || result.outputPath || result.mergedFiles?.[0];
+    if (!result.success || !pdf) {
+      throw new Error(`PDF merge failed: ${result.error || 'no output file'}`);
+    }
+
+    return { type: 'pdf', title: target.title, pdf, engine: result.engine || null };
+  }
+
+  /**
+   * 把各目标的部分合并成最终的书：pdfDir/<合集>/finalPdf/<合集>_<日期>_<时间>.pdf
+   * @private
+   */
+  async _buildBook(parts, config, pythonEnvironment) {
+    const collectionDir = path.dirname(config.pdfDir);
+    const finalPdfDir = path.join(collectionDir, config.output?.finalPdfDirectory || 'finalPdf');
+    const currentDate = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const timestamp = Date.now().toString().slice(-6);
+    const outputPath = path.join(
+      finalPdfDir,
+      `${this.collection.name}_${currentDate}_${timestamp}.pdf`
+    );
+
+    try {
+      this.logger.info('📄 Building collection book', {
+        collection: this.collection.name,
+        parts: parts.length,
+        outputPath,
+      });
+
+      if (parts[0].type === 'markdown') {
+        const pandoc = this.createPandocService(config, this.logger);
+        return await pandoc.generateCollectionPdf(parts, outputPath, config.markdownPdf || {});
+      }
+
+      return await this._mergePdfParts(parts, outputPath, config, pythonEnvironment);
+    } catch (error) {
+      this.logger.error('❌ Collection book failed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 给整本书加上封面与版权页：标题使用合集标题，版权页列出所有目标的来源 URL；失败时保留原 PDF
+   * @private
+   */
+  async _addFrontMatter(outputPath, config, progresses) {
+    try {
+      const frontMatterService = this.createFrontMatterService({
+        config: { ...config, book: { ...config.book, title: this.collection.title } },
+        logger: this.logger,
+        metadataService: { getProgress: async () => mergeProgress(progresses) },
+      });
+      return await frontMatterService.addToPdf(outputPath);
+    } catch (error) {
+      this.logger.warn('⚠️  Cover and colophon could not be added', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 与 Application._resolveMergeEngine 相同：配置了 pdf-lib、任一目标用了 pdf-lib 或 Python 不可用时用 pdf-lib
+   * @private
+   */
+  _resolveMergeEngine(parts, config, pythonEnvironment) {
+    if (config.pdf?.mergeEngine === 'pdf-lib' || parts.some((part) => part.engine === 'pdf-lib')) {
+      return 'pdf-lib';
+    }
+
+    if (pythonEnvironment && !pythonEnvironment.available) {
+      this.logger.warn('⚠️ Python environment not available, merging with pdf-lib instead', {
+        error: pythonEnvironment.error,
+      });
+      return 'pdf-lib';
+    }
+
+    return 'python';
+  }
+
+  /**
+   * 写出合并清单并调用合并器，每个目标成为一级书签
+   * @private
+   */
+  async _mergePdfParts(parts, outputPath, config, pythonEnvironment = null) {
+    const tempDirectory = path.resolve(config.output?.tempDirectory || '.temp');
+    await fs.mkdir(tempDirectory, { recursive: true });
+
+    const manifestPath = path.join(tempDirectory, `collection_${process.pid}_${Date.now()}.json`);
+    await fs.writeFile(
+      manifestPath,
+      JSON.stringify(
+        {
+          title: this.collection.title,
+          output: outputPath,
+          bookmarks: config.pdf?.bookmarks !== false,
+          parts: parts.map(({ title, pdf }) => ({ title, pdf })),
+        },
+        null,
+        2
+      ),
+      'utf8'
+    );
+
+    try {
+      const engine = this._resolveMergeEngine(parts, config, pythonEnvironment);
+      const mergeService = this.createMergeService(config, this.logger, engine);
+      const result = await mergeService.mergePDFs({ collection: manifestPath });
+      return { ...result, outputPath: result.mergedFiles?.[0] || outputPath };
+    } finally {
+      await fs.unlink(manifestPath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * 合并各目标的抓取进度：页面索引按目标顺序依次后移，抓取时间取最新的一次
+ * @param {Object[]} progresses - 各目标 MetadataService.getProgress() 的结果
+ * @returns {{urlToIndex: Object, processedUrls: string[], savedAt?: string}}
+ */
+function mergeProgress(progresses) {
+  const merged = { urlToIndex: {}, processedUrls: [] };
+  let offset = 0;
+
+  for (const progress of progresses) {
+    const entries = Object.entries(progress.urlToIndex || {});
+    for (const [url, index] of entries) {
+      merged.urlToIndex[url] = offset + index;
+    }
+    offset += entries.reduce((max, [, index]) => Math.max(max, index + 1), 0);
+
+    // 没有 processedUrls 的进度视为全部抓取成功
+    merged.processedUrls.push(...(progress.processedUrls || entries.map(([url]) => url)));
+
+    if (progress.savedAt && (!merged.savedAt || progress.savedAt > merged.savedAt)) {
+      merged.savedAt = progress.savedAt;
+    }
+  }
+
+  return merged;
+}
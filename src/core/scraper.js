@@ -3,9 +3,22 @@
  */
 
 import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
 import { EventEmitter } from 'events';
 import { normalizeUrl, getUrlHash } from '../utils/url.js';
+import {
+  extractTargetUrlsFromSitemap,
+  extractSitemapIndexUrls,
+  groupUrlsIntoSections,
+  isSitemapIndex,
+} from '../utils/sitemapTargetBuilder.js';
 import { NetworkError, ValidationError } from '../utils/errors.js';
+import {
+  applySiteAdapter,
+  detectSiteAdapter,
+  getSiteAdapterMarkerSelectors,
+} from '../config/siteAdapters.js';
 import { retry, delay } from '../utils/common.js';
 
 export class Scraper extends EventEmitter {
@@ -28,14 +41,31 @@ export class Scraper extends EventEmitter {
     this.translationService = dependencies.translationService;
     this.markdownService = dependencies.markdownService;
     this.markdownToPdfService = dependencies.markdownToPdfService;
+    this.politenessService = dependencies.politenessService;
+    this.assetService = dependencies.assetService;
+    this.diagramService = dependencies.diagramService;
+    this.pdfCacheService = dependencies.pdfCacheService || null;
 
     // 内部状态
     this.urlQueue = [];
     this.urlSet = new Set();
+    // 最近一次URL收集的明细（section结构、被丢弃的URL、section冲突），供 plan 命令使用
+    this.collectionReport = null;
+    // 页面所在 section 的标题，供页眉页脚的 {section} 使用
+    this.sectionTitleByUrl = new Map();
+    // adapter 为 auto 时的文档框架识别（只执行一次，并发页面共用结果）
+    this.siteAdapterDetection = null;
+    this.dryRun = false;
     this.isInitialized = false;
     this.isRunning = false;
     this.startTime = null;
 
+    // 运行模式：resume（跳过已处理URL）或 refresh（重新检查所有URL，仅重建变化的页面）
+    this.runMode = 'resume';
+    this.refreshStats = { unchanged: 0, changed: 0, added: 0, removed: 0 };
+    // refresh 开始前上次产物的副本（原路径 -> 副本路径），复用页面时从副本复制
+    this.refreshSnapshot = null;
+
     this.logger.info('Scraper constructor called', {
       hasTranslationService: !!this.translationService,
     });
@@ -117,12 +147,16 @@ export class Scraper extends EventEmitter {
 
   /**
    * 收集URL
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - 仅生成收集结果，不写入 sectionStructure 元数据
    */
-  async collectUrls() {
+  async collectUrls(options = {}) {
     if (!this.isInitialized) {
       throw new ValidationError('爬虫尚未初始化');
     }
 
+    this.dryRun = options.dryRun === true;
+
     this.logger.debug('Checking targetUrls', { targetUrls: this.config.targetUrls });
 
     // 1. 优先检查 targetUrls 配置 (Explicit URLs mode)
@@ -143,6 +177,11 @@ export class Scraper extends EventEmitter {
       return this._processCollectedUrls([sectionInfo]);
     }
 
+    // 2. sitemap 发现模式（无需为每个站点调试 navLinksSelector）
+    if (this.config.discovery === 'sitemap') {
+      return this._collectUrlsFromSitemap();
+    }
+
     const entryPoints = this._getEntryPoints();
     this.logger.info('开始收集URL', { entryPoints });
 
@@ -161,11 +200,14 @@ export class Scraper extends EventEmitter {
 
         try {
           // 提取section标题
-          const sectionTitle = await this._extractSectionTitle(page, entryUrl);
+          const navTitle = await this._extractSectionTitle(page, entryUrl);
 
           // 收集该入口页面侧边栏的URLs（入口点列表在此处统一计算，避免重复日志与计算）
           const entryUrls = await this._collectUrlsFromEntryPoint(page, entryUrl, entryPoints);
 
+          // 站点适配器提供的分组标题需要在入口页面上读取
+          const sectionTitle = (await this._extractAdapterSectionTitle(page, entryUrl)) || navTitle;
+
           // 记录section信息
           const sectionInfo = {
             index: sectionIndex,
@@ -235,6 +277,118 @@ export class Scraper extends EventEmitter {
     }
   }
 
+  /**
+   * 从 sitemap.xml 收集URL，并按路径第一级分组为 section
+   */
+  async _collectUrlsFromSitemap() {
+    const scopeUrl = new URL(this.config.baseUrl || this.config.rootURL);
+    const sitemapUrl =
+      this.config.sitemap?.url || new URL('/sitemap.xml', scopeUrl.origin).toString();
+    const pathPrefix = this.config.baseUrl ? scopeUrl.pathname : '';
+
+    this.logger.info('使用 sitemap 收集URL', { sitemapUrl, pathPrefix: pathPrefix || '/' });
+
+    let urls;
+    try {
+      urls = await this._collectSitemapUrls(sitemapUrl, {
+        origin: scopeUrl.origin,
+        pathPrefix,
+        depth: 0,
+        visited: new Set(),
+      });
+    } catch (error) {
+      this.logger.error('Sitemap URL收集失败', { sitemapUrl, error: error.message });
+      throw new NetworkError('Sitemap URL收集失败', sitemapUrl, error);
+    }
+
+    if (urls.length === 0) {
+      this.logger.warn('Sitemap 中没有匹配的URL', { sitemapUrl, pathPrefix });
+    }
+
+    const rootUrl = normalizeUrl(this.config.rootURL);
+    const sections = groupUrlsIntoSections(urls, {
+      pathPrefix,
+      rootUrl: urls.find((url) => normalizeUrl(url) === rootUrl) || null,
+      sectionTitles: this.config.sitemap?.sectionTitles || {},
+    });
+
+    this.logger.info(`Sitemap 提取到 ${urls.length} 个URL，分属 ${sections.length} 个section`, {
+      sections: sections.map((section) => `${section.title} (${section.urls.length})`),
+    });
+
+    return this._processCollectedUrls(sections);
+  }
+
+  /**
+   * 递归读取 sitemap（支持 sitemap index 和 gzip 压缩的 sitemap）
+   */
+  async _collectSitemapUrls(sitemapUrl, context) {
+    const { origin, pathPrefix, depth, visited } = context;
+    if (visited.has(sitemapUrl)) {
+      return [];
+    }
+    visited.add(sitemapUrl);
+
+    const xml = await this._fetchSitemapXml(sitemapUrl);
+
+    if (!isSitemapIndex(xml)) {
+      return extractTargetUrlsFromSitemap(xml, { origin, pathPrefix });
+    }
+
+    const maxDepth = this.config.sitemap?.maxDepth ?? 2;
+    const childSitemaps = extractSitemapIndexUrls(xml, { origin });
+    if (depth >= maxDepth) {
+      this.logger.warn('Sitemap index 嵌套超过最大深度，跳过子 sitemap', {
+        sitemapUrl,
+        maxDepth,
+        skipped: childSitemaps.length,
+      });
+      return [];
+    }
+
+    const urls = [];
+    for (const childUrl of childSitemaps) {
+      try {
+        const childUrls = await this._collectSitemapUrls(childUrl, {
+          ...context,
+          depth: depth + 1,
+        });
+        urls.push(...childUrls);
+      } catch (error) {
+        // 单个子 sitemap 失败不影响其他子 sitemap
+        this.logger.warn('子 sitemap 获取失败，跳过', { childUrl, error: error.message });
+      }
+    }
+
+    return Array.from(new Set(urls));
+  }
+
+  /**
+   * 获取 sitemap XML 文本，自动解压 gzip 内容
+   */
+  async _fetchSitemapXml(sitemapUrl) {
+    const response = await this._fetchPolitely(sitemapUrl, {
+      headers: {
+        'User-Agent': this.config.browser?.userAgent || 'Mozilla/5.0',
+        Accept: 'application/xml, text/xml, application/gzip, */*',
+      },
+      signal: AbortSignal.timeout(this.config.pageTimeout || 30000),
+    });
+
+    if (!response.ok) {
+      throw new NetworkError(
+        `Sitemap 获取失败: HTTP ${response.status} ${response.statusText}`,
+        sitemapUrl
+      );
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+
+    // .xml.gz 通常以 application/gzip 返回，fetch 不会自动解压，按 gzip 魔数判断
+    const isGzip = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(body) : body).toString('utf8');
+  }
+
   /**
    * 处理收集到的URL（去重、规范化、构建Section结构）
    */
@@ -263,10 +417,23 @@ export class Scraper extends EventEmitter {
       });
     }
 
+    // robots.txt 禁止抓取的URL（每个主机只请求一次 robots.txt）
+    const robotsBlocked = new Set();
+    if (this.politenessService) {
+      for (const url of new Set(rawUrls)) {
+        if (!(await this.politenessService.isAllowed(url))) {
+          robotsBlocked.add(url);
+        }
+      }
+    }
+
     // URL去重和规范化
     const normalizedUrls = new Map();
     const duplicates = new Set();
     const sectionConflicts = []; // 🔥 新增：记录section冲突
+    const dropped = []; // 被丢弃的URL及原因
+    const sectionTitleOf = (mapping) =>
+      mapping?.sectionIndex !== undefined ? sections[mapping.sectionIndex]?.title || null : null;
 
     rawUrls.forEach((url, index) => {
       try {
@@ -279,6 +446,12 @@ export class Scraper extends EventEmitter {
           // 🔥 日志增强：检测section冲突
           const existing = normalizedUrls.get(hash);
           const currentMapping = urlToSectionMap.get(url);
+          dropped.push({
+            url,
+            reason: 'duplicate',
+            section: sectionTitleOf(currentMapping),
+            duplicateOf: existing.original,
+          });
 
           if (
             existing.sectionIndex !== currentMapping?.sectionIndex &&
@@ -295,10 +468,16 @@ export class Scraper extends EventEmitter {
           return;
         }
 
-        if (!this.isIgnored(normalized) && this.validateUrl(normalized)) {
-          // 保留section映射信息
-          const sectionMapping = urlToSectionMap.get(url);
+        const sectionMapping = urlToSectionMap.get(url);
+        let rejection = this.isIgnored(normalized)
+          ? 'ignored'
+          : this.getUrlRejectionReason(normalized);
+        if (!rejection && robotsBlocked.has(url)) {
+          rejection = 'robots-disallowed';
+        }
 
+        if (!rejection) {
+          // 保留section映射信息
           normalizedUrls.set(hash, {
             original: url,
             normalized: normalized,
@@ -306,9 +485,12 @@ export class Scraper extends EventEmitter {
             sectionIndex: sectionMapping?.sectionIndex,
             orderInSection: sectionMapping?.orderInSection,
           });
+        } else {
+          dropped.push({ url, reason: rejection, section: sectionTitleOf(sectionMapping) });
         }
       } catch (error) {
         this.logger.warn('URL规范化失败', { url, error: error.message });
+        dropped.push({ url, reason: 'invalid-url', section: null });
       }
     });
 
@@ -353,9 +535,11 @@ export class Scraper extends EventEmitter {
 
     // 构建urlToSection快速查找映射
     const urlToSection = {};
+    this.sectionTitleByUrl = new Map();
     sections.forEach((section) => {
       section.pages.forEach((page) => {
         urlToSection[page.url] = section.index;
+        this.sectionTitleByUrl.set(page.url, section.title);
       });
     });
 
@@ -365,8 +549,17 @@ export class Scraper extends EventEmitter {
       urlToSection,
     };
 
-    // 保存到元数据服务
-    await this.metadataService.saveSectionStructure(sectionStructure);
+    // 保存到元数据服务（dry-run 时不覆盖上次运行的结构）
+    if (!this.dryRun) {
+      await this.metadataService.saveSectionStructure(sectionStructure);
+    }
+
+    this.collectionReport = {
+      rawUrlCount: rawUrls.length,
+      sections,
+      dropped,
+      sectionConflicts,
+    };
 
     // 🔥 日志增强：详细的section统计信息
     this.logger.info('Section结构已保存', {
@@ -630,6 +823,135 @@ export class Scraper extends EventEmitter {
     }
   }
 
+  /**
+   * 读取站点适配器的分组标题（sectionTitleSelector），需在入口页面加载后调用
+   * @param {import('puppeteer').Page} page
+   * @param {string} entryUrl
+   * @returns {Promise<string|null>}
+   */
+  async _extractAdapterSectionTitle(page, entryUrl) {
+    const selector = this.config.sectionTitleSelector;
+    if (!selector || this.config.sectionTitles?.[entryUrl]) {
+      return null;
+    }
+
+    try {
+      const title = await page.evaluate((titleSelector) => {
+        const element = document.querySelector(titleSelector);
+        return element?.textContent?.replace(/\s+/g, ' ').trim() || null;
+      }, selector);
+
+      return title && title.length >= 2 ? title : null;
+    } catch (error) {
+      this.logger.debug('读取适配器分组标题失败', { entryUrl, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * adapter 为 auto 时根据页面特征识别文档框架，并补全配置中未设置的选择器
+   * 只在第一个打开的页面上识别一次，并发的页面等待同一次识别结果
+   * @param {import('puppeteer').Page} page
+   * @returns {Promise<string|null>} 识别出的适配器名称
+   */
+  async _detectSiteAdapter(page) {
+    if (this.config.adapter !== 'auto') {
+      return null;
+    }
+
+    if (!this.siteAdapterDetection) {
+      this.siteAdapterDetection = this._runSiteAdapterDetection(page);
+    }
+    return this.siteAdapterDetection;
+  }
+
+  async _runSiteAdapterDetection(page) {
+    try {
+      const markers = await page.evaluate((selectors) => {
+        const generator = Array.from(document.querySelectorAll('meta[name="generator"]'))
+          .map((meta) => meta.getAttribute('content') || '')
+          .join(' ');
+        const present = selectors.filter((selector) => {
+          try {
+            return document.querySelector(selector) !== null;
+          } catch {
+            return false;
+          }
+        });
+        return { generator, present };
+      }, getSiteAdapterMarkerSelectors());
+
+      const name = detectSiteAdapter(markers);
+      if (!name) {
+        this.logger.info('未识别到文档框架，使用配置中的选择器', {
+          generator: markers.generator,
+        });
+        return null;
+      }
+
+      // Markdown 源文件在打开页面之前获取，运行时识别的结果不再启用源文件抓取
+      const { config: adaptedConfig, applied } = applySiteAdapter(this.config, name, {
+        markdownSource: false,
+      });
+      for (const field of applied) {
+        this.config[field] = adaptedConfig[field];
+      }
+      if (applied.includes('removeSelectors')) {
+        this.pdfStyleService.setRemoveSelectors(this.config.removeSelectors);
+      }
+
+      this.logger.info('识别到文档框架', { adapter: name, applied });
+      return name;
+    } catch (error) {
+      this.logger.warn('文档框架识别失败', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 点击展开折叠的侧边栏分组（navExpandSelector）
+   * 展开后可能出现下一层折叠分组，最多重复 5 轮；每个元素只点击一次，避免再次折叠
+   * @param {import('puppeteer').Page} page
+   * @returns {Promise<number>} 点击的分组数
+   */
+  async _expandNavigation(page) {
+    const selector = this.config.navExpandSelector;
+    if (!selector) {
+      return 0;
+    }
+
+    try {
+      const expanded = await page.evaluate(async (toggleSelector) => {
+        const clicked = new Set();
+
+        for (let round = 0; round < 5; round++) {
+          const toggles = Array.from(document.querySelectorAll(toggleSelector)).filter(
+            (element) => {
+              // 不点击会跳转页面的链接
+              const href = element.tagName === 'A' ? element.getAttribute('href') : null;
+              return !clicked.has(element) && (!href || href.startsWith('#'));
+            }
+          );
+          if (toggles.length === 0) break;
+
+          toggles.forEach((toggle) => {
+            clicked.add(toggle);
+            toggle.click();
+          });
+          await new Promise((resolve) => setTimeout(resolve, 300));
+        }
+
+        return clicked.size;
+      }, selector);
+
+      this.logger.debug('侧边栏折叠分组已展开', { expanded });
+      return expanded;
+    } catch (error) {
+      this.logger.warn('侧边栏折叠分组展开失败', { error: error.message });
+      return 0;
+    }
+  }
+
   /**
    * 从单个入口页面收集URL
    * @param {import('puppeteer').Page} page
@@ -667,7 +989,7 @@ export class Scraper extends EventEmitter {
             'domcontentloaded';
           const timeout = this.config?.pageTimeout || 30000;
 
-          const response = await page.goto(currentUrl, {
+          const response = await this._gotoPolitely(page, currentUrl, {
             waitUntil,
             timeout,
           });
@@ -679,6 +1001,9 @@ export class Scraper extends EventEmitter {
             status: response?.status(),
           });
 
+          // adapter 为 auto 时先识别文档框架，补全导航选择器
+          await this._detectSiteAdapter(page);
+
           // 尝试等待内容加载
           try {
             const selector = this.config.navLinksSelector || 'a[href]';
@@ -701,6 +1026,15 @@ export class Scraper extends EventEmitter {
         }
       );
 
+      if (!this.config.navLinksSelector) {
+        throw new ValidationError(
+          '未配置 navLinksSelector，且未能识别文档框架（可在配置中设置 adapter）'
+        );
+      }
+
+      // 展开折叠的侧边栏分组，使其中的链接出现在 DOM 中
+      await this._expandNavigation(page);
+
       // 2. 提取当前页面的链接（排除选择器在页面端防御性处理；跨-section入口过滤在Node端使用统一规范化）
       const excludeSelector = this.config.navExcludeSelector || '';
 
@@ -887,12 +1221,20 @@ export class Scraper extends EventEmitter {
    * 验证URL是否有效
    */
   validateUrl(url) {
+    return this.getUrlRejectionReason(url) === null;
+  }
+
+  /**
+   * 返回URL不会被爬取的原因
+   * @returns {'invalid-url'|'protocol'|'out-of-domain'|'outside-base-url'|null} 可爬取时返回 null
+   */
+  getUrlRejectionReason(url) {
     try {
       const parsedUrl = new URL(url);
 
       // 检查协议
       if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-        return false;
+        return 'protocol';
       }
 
       // 检查允许的域名
@@ -901,7 +1243,7 @@ export class Scraper extends EventEmitter {
           return parsedUrl.hostname === domain || parsedUrl.hostname.endsWith('.' + domain);
         });
         if (!isAllowed) {
-          return false;
+          return 'out-of-domain';
         }
       }
 
@@ -909,14 +1251,14 @@ export class Scraper extends EventEmitter {
       if (this.config.baseUrl) {
         if (!url.startsWith(this.config.baseUrl)) {
           this.logger.debug('URL被baseUrl过滤', { url, baseUrl: this.config.baseUrl });
-          return false;
+          return 'outside-base-url';
         }
       }
 
-      return true;
+      return null;
     } catch (error) {
       this.logger.debug('URL验证失败', { url, error: error.message });
-      return false;
+      return 'invalid-url';
     }
   }
 
@@ -968,23 +1310,41 @@ export class Scraper extends EventEmitter {
    * 直接从 URL 获取 Markdown 源文件内容
    * 用于支持提供原始 .md 文件的文档站点（如 code.claude.com）
    * @param {string} url - 原始页面 URL
-   * @returns {Promise<{content: string, title: string}|null>}
+   * @param {Object|null} [previousFingerprint] - 上次记录的指纹，用于发送条件请求
+   * @returns {Promise<{content: string|null, title: string|null, etag: string|null,
+   *   lastModified: string|null, notModified: boolean}|null>}
    */
-  async _fetchMarkdownSource(url) {
+  async _fetchMarkdownSource(url, previousFingerprint = null) {
     const suffix = this.config.markdownSource?.urlSuffix || '.md';
     const mdUrl = url.endsWith(suffix) ? url : url + suffix;
 
     this.logger.debug('尝试获取 Markdown 源文件', { url, mdUrl });
 
+    const headers = {
+      'User-Agent': this.config.browser?.userAgent || 'Mozilla/5.0',
+      Accept: 'text/markdown, text/plain, */*',
+    };
+    if (previousFingerprint?.etag) {
+      headers['If-None-Match'] = previousFingerprint.etag;
+    }
+    if (previousFingerprint?.lastModified) {
+      headers['If-Modified-Since'] = previousFingerprint.lastModified;
+    }
+
     try {
-      const response = await fetch(mdUrl, {
-        headers: {
-          'User-Agent': this.config.browser?.userAgent || 'Mozilla/5.0',
-          Accept: 'text/markdown, text/plain, */*',
-        },
+      const response = await this._fetchPolitely(mdUrl, {
+        headers,
         signal: AbortSignal.timeout(this.config.pageTimeout || 30000),
       });
 
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+
+      if (response.status === 304) {
+        this.logger.debug('Markdown 源文件未变化 (304)', { mdUrl });
+        return { content: null, title: null, etag, lastModified, notModified: true };
+      }
+
       if (!response.ok) {
         this.logger.warn('Markdown 源文件获取失败', {
           mdUrl,
@@ -1012,7 +1372,7 @@ export class Scraper extends EventEmitter {
         title: title || '(未找到标题)',
       });
 
-      return { content, title };
+      return { content, title, etag, lastModified, notModified: false };
     } catch (error) {
       this.logger.warn('Markdown 源文件获取异常', {
         mdUrl,
@@ -1022,6 +1382,41 @@ export class Scraper extends EventEmitter {
     }
   }
 
+  /**
+   * 通过限速层发起 fetch（未注入 politenessService 时直接请求）
+   */
+  _fetchPolitely(url, init) {
+    return this.politenessService ? this.politenessService.fetch(url, init) : fetch(url, init);
+  }
+
+  /**
+   * 按主机限速的页面导航：等待该主机的请求间隔，遇到 429/503 时按 Retry-After 退避后重试
+   */
+  async _gotoPolitely(page, url, options) {
+    if (!this.politenessService) {
+      return page.goto(url, options);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.politenessService.waitForTurn(url);
+      const response = await page.goto(url, options);
+
+      const status = response?.status?.();
+      const headers = typeof response?.headers === 'function' ? response.headers() || {} : {};
+      const waitMs = this.politenessService.noteResponse(
+        url,
+        status,
+        headers['retry-after'],
+        attempt
+      );
+      if (waitMs === null) {
+        return response;
+      }
+
+      this.logger.warn('站点限流，等待后重试导航', { url, status, waitMs, attempt: attempt + 1 });
+    }
+  }
+
   /**
    * 渐进式导航策略 - 从快到慢尝试不同的等待策略
    * 支持通过 config.navigationStrategy 自定义首选策略
@@ -1067,7 +1462,7 @@ export class Scraper extends EventEmitter {
       try {
         this.logger.debug(`尝试导航策略: ${strategy.name}`, { url });
 
-        const response = await page.goto(url, strategy.options);
+        const response = await this._gotoPolitely(page, url, strategy.options);
 
         // 检查响应状态
         if (response && response.status() >= 400) {
@@ -1075,7 +1470,8 @@ export class Scraper extends EventEmitter {
         }
 
         this.logger.debug(`导航成功使用策略: ${strategy.name}`, { url });
-        return { success: true, strategy: strategy.name };
+        const headers = typeof response?.headers === 'function' ? response.headers() : {};
+        return { success: true, strategy: strategy.name, headers: headers || {} };
       } catch (error) {
         lastError = error;
         this.logger.warn(`导航策略 ${strategy.name} 失败`, {
@@ -1111,9 +1507,10 @@ export class Scraper extends EventEmitter {
    */
   async scrapePage(url, index, options = {}) {
     const { isRetry = false } = options;
+    const isRefresh = this.runMode === 'refresh';
 
-    // 检查是否已处理
-    if (this.stateManager.isProcessed(url)) {
+    // 检查是否已处理（refresh 模式下每个URL都需要重新检查内容是否变化）
+    if (!isRefresh && this.stateManager.isProcessed(url)) {
       this.logger.debug(`跳过已处理的URL: ${url}`);
       this.progressTracker.skip(url);
       return { status: 'skipped', reason: 'already_processed' };
@@ -1126,6 +1523,38 @@ export class Scraper extends EventEmitter {
       this.logger.info(`开始爬取页面 [${index + 1}/${this.urlQueue.length}]: ${url}`);
       this.progressTracker.startUrl?.(url);
 
+      const useMarkdownWorkflow =
+        this.config.markdown?.enabled &&
+        this.config.markdownPdf?.enabled &&
+        !!this.markdownService &&
+        !!this.markdownToPdfService;
+
+      // refresh 模式：读取上次的内容指纹（仅当上次产物仍可复用时）
+      const knownFingerprint = isRefresh ? this.stateManager.getPageFingerprint(url) : null;
+      const previousFingerprint = knownFingerprint
+        ? await this._getReusableFingerprint(knownFingerprint, useMarkdownWorkflow)
+        : null;
+
+      // 优先尝试直接获取 Markdown 源文件，refresh 模式下携带条件请求头，可在打开浏览器前判定未变化
+      let mdSource = null;
+      let sourceHash = null;
+      if (useMarkdownWorkflow && this.config.markdownSource?.enabled) {
+        const markdownFingerprint =
+          previousFingerprint?.hashSource === 'markdown' ? previousFingerprint : null;
+        mdSource = await this._fetchMarkdownSource(url, markdownFingerprint);
+        sourceHash = mdSource?.content ? this._hashContent(mdSource.content) : null;
+
+        if (
+          markdownFingerprint &&
+          (mdSource?.notModified || sourceHash === markdownFingerprint.contentHash)
+        ) {
+          return await this._reuseUnchangedPage(url, index, markdownFingerprint, {
+            etag: mdSource.etag,
+            lastModified: mdSource.lastModified,
+          });
+        }
+      }
+
       // 创建页面
       page = await this.pageManager.createPage(pageId);
 
@@ -1138,6 +1567,14 @@ export class Scraper extends EventEmitter {
         throw new Error(`导航失败: ${navigationResult.error}`);
       }
 
+      // targetUrls / sitemap 模式下第一次打开页面时识别文档框架
+      await this._detectSiteAdapter(page);
+      if (!this.config.contentSelector) {
+        throw new ValidationError(
+          '未配置 contentSelector，且未能识别文档框架（可在配置中设置 adapter）'
+        );
+      }
+
       // 等待内容加载
       let contentFound = false;
       try {
@@ -1214,6 +1651,20 @@ export class Scraper extends EventEmitter {
 
       const title = titleInfo.title;
 
+      // 计算 DOM 内容指纹（在懒加载和样式处理修改 DOM 之前）
+      const domHash = mdSource?.content ? null : await this._computeDomContentHash(page);
+      if (
+        previousFingerprint?.hashSource === 'dom' &&
+        domHash &&
+        domHash === previousFingerprint.contentHash
+      ) {
+        return await this._reuseUnchangedPage(url, index, previousFingerprint, {
+          title,
+          etag: navigationResult.headers?.etag,
+          lastModified: navigationResult.headers?.['last-modified'],
+        });
+      }
+
       // 处理懒加载图片
       let imagesLoaded = false;
       try {
@@ -1277,12 +1728,6 @@ export class Scraper extends EventEmitter {
 
       await this.fileService.ensureDirectory(path.dirname(pdfPath));
 
-      const useMarkdownWorkflow =
-        this.config.markdown?.enabled &&
-        this.config.markdownPdf?.enabled &&
-        !!this.markdownService &&
-        !!this.markdownToPdfService;
-
       // Track actual output path (markdown in batch mode, PDF otherwise)
       let actualOutputPath = pdfPath;
       let isBatchMode = false;
@@ -1292,18 +1737,15 @@ export class Scraper extends EventEmitter {
           let markdownContent;
           let sourceTitle = null;
 
-          // 优先尝试直接获取 Markdown 源文件
-          if (this.config.markdownSource?.enabled) {
-            const mdSource = await this._fetchMarkdownSource(url);
-            if (mdSource) {
-              markdownContent = mdSource.content;
-              sourceTitle = mdSource.title;
-              this.logger.info('使用直接获取的 Markdown 源文件', {
-                url,
-                pdfPath,
-                titleFromSource: sourceTitle,
-              });
-            }
+          // 优先使用直接获取的 Markdown 源文件
+          if (mdSource?.content) {
+            markdownContent = mdSource.content;
+            sourceTitle = mdSource.title;
+            this.logger.info('使用直接获取的 Markdown 源文件', {
+              url,
+              pdfPath,
+              titleFromSource: sourceTitle,
+            });
           }
 
           // 如果未启用或获取失败，回退到 DOM 提取
@@ -1318,6 +1760,23 @@ export class Scraper extends EventEmitter {
             );
           }
 
+          // 下载图片到本地 assets 目录并改写引用，使 Markdown 不再依赖远程图片
+          if (this.assetService) {
+            markdownContent = await this.assetService.localizeImages(markdownContent, {
+              page,
+              pageUrl: url,
+              index,
+            });
+          }
+
+          // Mermaid / PlantUML 代码块渲染为 assets 中的图片（在图片本地化之后，避免被当作远程地址）
+          if (this.diagramService) {
+            markdownContent = await this.diagramService.renderDiagrams(markdownContent, {
+              page,
+              pageUrl: url,
+            });
+          }
+
           // 如果从源文件获取到标题，使用它覆盖 DOM 提取的标题
           const finalTitle = sourceTitle || title;
 
@@ -1331,13 +1790,7 @@ export class Scraper extends EventEmitter {
             ? await this.translationService.translateMarkdown(markdownWithFrontmatter)
             : markdownWithFrontmatter;
 
-          const markdownOutputDir = path.join(
-            this.config.pdfDir,
-            this.config.markdown?.outputDir || 'markdown'
-          );
-          const baseName = path.basename(pdfPath, '.pdf');
-          const originalMarkdownPath = path.join(markdownOutputDir, `${baseName}.md`);
-          const translatedMarkdownPath = path.join(markdownOutputDir, `${baseName}_translated.md`);
+          const { originalMarkdownPath, translatedMarkdownPath } = this._getMarkdownPaths(pdfPath);
 
           await this.fileService.writeText(originalMarkdownPath, markdownWithFrontmatter);
           await this.fileService.writeText(translatedMarkdownPath, translatedMarkdown);
@@ -1353,11 +1806,10 @@ export class Scraper extends EventEmitter {
             actualOutputPath = translatedMarkdownPath;
             isBatchMode = true;
           } else {
-            await this.markdownToPdfService.convertContentToPdf(
-              translatedMarkdown,
-              pdfPath,
-              this.config.markdownPdf
-            );
+            await this.markdownToPdfService.convertContentToPdf(translatedMarkdown, pdfPath, {
+              ...this.config.markdownPdf,
+              resourcePath: path.dirname(translatedMarkdownPath),
+            });
             this.logger.info('Markdown 工作流 PDF 已生成', { pdfPath });
           }
         } catch (markdownError) {
@@ -1383,12 +1835,7 @@ export class Scraper extends EventEmitter {
           this.logger.info('开始使用Puppeteer引擎生成PDF（回退模式）', {
             pdfPath,
           });
-          const fallbackPdfOptions = {
-            ...this.pdfStyleService.getPDFOptions(),
-            path: pdfPath,
-          };
-          await page.pdf(fallbackPdfOptions);
-          this.logger.info(`PDF已保存: ${pdfPath}`);
+          await this._renderPagePdf(page, pdfPath, { url, title: this._cleanTitle(title) });
         }
       } else {
         // 原始 DOM 翻译 + Puppeteer PDF 工作流
@@ -1406,12 +1853,7 @@ export class Scraper extends EventEmitter {
         }
 
         this.logger.info('开始使用Puppeteer引擎生成PDF', { pdfPath });
-        const pdfOptions = {
-          ...this.pdfStyleService.getPDFOptions(),
-          path: pdfPath,
-        };
-        await page.pdf(pdfOptions);
-        this.logger.info(`PDF已保存: ${pdfPath}`);
+        await this._renderPagePdf(page, pdfPath, { url, title: this._cleanTitle(title) });
       }
 
       // 保存URL到索引的映射，用于追溯和调试
@@ -1448,6 +1890,22 @@ export class Scraper extends EventEmitter {
 
       // 标记为已处理 (use actual output path - markdown in batch mode, PDF otherwise)
       this.stateManager.markProcessed(url, actualOutputPath);
+
+      // 记录内容指纹，供下次 refresh 判断页面是否变化
+      this.stateManager.setPageFingerprint(url, {
+        etag: (sourceHash ? mdSource.etag : navigationResult.headers?.etag) || null,
+        lastModified:
+          (sourceHash ? mdSource.lastModified : navigationResult.headers?.['last-modified']) ||
+          null,
+        contentHash: sourceHash || domHash,
+        hashSource: sourceHash ? 'markdown' : 'dom',
+        title: cleanedTitle || null,
+        outputPath: actualOutputPath,
+      });
+      if (isRefresh) {
+        this.refreshStats[knownFingerprint ? 'changed' : 'added']++;
+      }
+
       this.progressTracker.success(url);
 
       // 定期保存状态
@@ -1509,14 +1967,300 @@ export class Scraper extends EventEmitter {
     }
   }
 
+  /**
+   * 计算内容哈希
+   */
+  _hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * 计算正文区域的内容指纹（文本 + 图片地址），忽略属性和空白等易变细节
+   */
+  async _computeDomContentHash(page) {
+    try {
+      const snapshot = await page.evaluate((selector) => {
+        const contentElement = document.querySelector(selector);
+        if (!contentElement) {
+          return null;
+        }
+
+        const text = (contentElement.textContent || '').replace(/\s+/g, ' ').trim();
+        const images = Array.from(contentElement.querySelectorAll('img'))
+          .map((img) => img.getAttribute('src') || '')
+          .join('\n');
+        return `${text}\n${images}`;
+      }, this.config.contentSelector);
+
+      return typeof snapshot === 'string' ? this._hashContent(snapshot) : null;
+    } catch (error) {
+      this.logger.debug('内容指纹计算失败', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 用 page.pdf() 生成单页 PDF；打印内容与样式配置都没变时直接复用缓存的 PDF
+   * @param {import('puppeteer').Page} page - 已完成翻译与样式处理的页面
+   * @param {string} pdfPath
+   * @param {{url: string, title: string}} [pageInfo] - 页眉页脚中的页面信息
+   */
+  async _renderPagePdf(page, pdfPath, pageInfo = {}) {
+    const pdfOptions = {
+      ...this.pdfStyleService.getPDFOptions({
+        ...pageInfo,
+        section: this.sectionTitleByUrl.get(pageInfo.url) || '',
+      }),
+      path: pdfPath,
+    };
+
+    const cacheKey = this.pdfCacheService?.enabled
+      ? await this._computePdfCacheKey(page, pdfOptions)
+      : null;
+    if (cacheKey && (await this.pdfCacheService.restore(cacheKey, pdfPath))) {
+      this.logger.info(`PDF缓存命中: ${pdfPath}`);
+      return;
+    }
+
+    await page.pdf(pdfOptions);
+    this.logger.info(`PDF已保存: ${pdfPath}`);
+
+    if (cacheKey) {
+      await this.pdfCacheService.store(cacheKey, pdfPath);
+    }
+  }
+
+  /**
+   * 单页 PDF 的缓存键：打印前的 DOM（不含脚本）+ page.pdf 选项 + 影响渲染的配置
+   * @returns {Promise<string|null>} 无法读取 DOM 时返回 null（不使用缓存）
+   */
+  async _computePdfCacheKey(page, pdfOptions) {
+    try {
+      const content = await page.evaluate(() => {
+        const clone = document.documentElement.cloneNode(true);
+        clone.querySelectorAll('script, noscript').forEach((element) => element.remove());
+        return clone.outerHTML;
+      });
+
+      // 缓存开关本身不影响渲染结果
+      const pdfConfig = { ...this.config.pdf };
+      delete pdfConfig.cache;
+      return this.pdfCacheService.computeKey({
+        content,
+        pdfOptions,
+        style: {
+          pdf: pdfConfig,
+          enablePDFStyleProcessing: this.config.enablePDFStyleProcessing === true,
+          viewport: this.config.browser?.viewport || null,
+        },
+      });
+    } catch (error) {
+      this.logger.debug('PDF缓存键计算失败', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 根据 PDF 路径推导 Markdown 输出路径
+   */
+  _getMarkdownPaths(pdfPath) {
+    const markdownOutputDir = path.join(
+      this.config.pdfDir,
+      this.config.markdown?.outputDir || 'markdown'
+    );
+    const baseName = path.basename(pdfPath, '.pdf');
+
+    return {
+      originalMarkdownPath: path.join(markdownOutputDir, `${baseName}.md`),
+      translatedMarkdownPath: path.join(markdownOutputDir, `${baseName}_translated.md`),
+    };
+  }
+
+  /**
+   * 获取一个页面输出对应的全部产物文件（PDF 与原文/译文 Markdown）
+   */
+  _getOutputArtifacts(outputPath) {
+    if (outputPath.endsWith('_translated.md')) {
+      return [outputPath, outputPath.replace(/_translated\.md$/, '.md')];
+    }
+
+    const { originalMarkdownPath, translatedMarkdownPath } = this._getMarkdownPaths(outputPath);
+    return [outputPath, originalMarkdownPath, translatedMarkdownPath];
+  }
+
+  /**
+   * 判断上次的指纹是否可复用：产物仍存在且与当前输出模式一致
+   */
+  async _getReusableFingerprint(fingerprint, useMarkdownWorkflow) {
+    if (!fingerprint?.contentHash || !fingerprint.outputPath) {
+      return null;
+    }
+
+    const expectsMarkdown = !!(useMarkdownWorkflow && this.config.markdownPdf?.batchMode);
+    if (fingerprint.outputPath.endsWith('.md') !== expectsMarkdown) {
+      return null;
+    }
+
+    return (await this.fileService.exists(this._snapshotPath(fingerprint.outputPath)))
+      ? fingerprint
+      : null;
+  }
+
+  /**
+   * 复用未变化页面的上次输出，跳过渲染和翻译
+   * 如果页面在目录中的位置发生变化，将 refresh 开始前的产物副本复制到新的索引文件名
+   */
+  async _reuseUnchangedPage(url, index, fingerprint, details = {}) {
+    const pdfPath = this.pathService.getPdfPath(url, { useHash: false, index });
+    const outputPath = fingerprint.outputPath.endsWith('.md')
+      ? this._getMarkdownPaths(pdfPath).translatedMarkdownPath
+      : pdfPath;
+
+    if (path.resolve(outputPath) !== path.resolve(fingerprint.outputPath)) {
+      const sources = this._getOutputArtifacts(fingerprint.outputPath).map((artifact) =>
+        this._snapshotPath(artifact)
+      );
+      const targets = this._getOutputArtifacts(outputPath);
+
+      for (let i = 0; i < sources.length; i++) {
+        if (await this.fileService.exists(sources[i])) {
+          await this.fileService.copyFile(sources[i], targets[i]);
+        }
+      }
+    }
+
+    const cleanedTitle = this._cleanTitle(details.title || fingerprint.title || '');
+    if (cleanedTitle) {
+      await this.metadataService.saveArticleTitle(String(index), cleanedTitle);
+    }
+
+    this.stateManager.setUrlIndex(url, index);
+    this.stateManager.markProcessed(url, outputPath);
+    this.stateManager.setPageFingerprint(url, {
+      ...fingerprint,
+      etag: details.etag || fingerprint.etag || null,
+      lastModified: details.lastModified || fingerprint.lastModified || null,
+      title: cleanedTitle || fingerprint.title,
+      outputPath,
+    });
+
+    this.refreshStats.unchanged++;
+    this.progressTracker.skip(url, 'unchanged');
+    this.logger.info(`页面未变化，复用上次输出 [${index + 1}/${this.urlQueue.length}]: ${url}`, {
+      outputPath,
+    });
+
+    this.emit('pageUnchanged', { url, index, outputPath });
+
+    return {
+      status: 'unchanged',
+      title: cleanedTitle,
+      outputPath,
+      isBatchMode: outputPath.endsWith('.md'),
+    };
+  }
+
+  /**
+   * refresh 开始前把仍在目录中的页面的上次产物复制到临时目录
+   * 页面索引变化时，新文件名可能是另一个页面的旧文件，对方复用之前它就可能被复制或渲染覆盖
+   */
+  async _snapshotPreviousOutputs(urls, previousOutputs) {
+    const currentUrls = new Set(urls);
+    const snapshotDir = path.join(this.pathService.getTempDirectory(), 'refresh_snapshot');
+    const snapshot = new Map();
+
+    await this.fileService.removeDirectory(snapshotDir);
+
+    for (const [url, filePath] of previousOutputs) {
+      if (!currentUrls.has(url)) {
+        continue;
+      }
+
+      for (const artifact of this._getOutputArtifacts(filePath)) {
+        if (!(await this.fileService.exists(artifact))) {
+          continue;
+        }
+
+        const copyPath = path.join(snapshotDir, `${snapshot.size}-${path.basename(artifact)}`);
+        await this.fileService.copyFile(artifact, copyPath);
+        snapshot.set(path.resolve(artifact), copyPath);
+      }
+    }
+
+    this.refreshSnapshot = { directory: snapshotDir, files: snapshot };
+  }
+
+  /**
+   * 上次产物在 refresh 快照中的副本，不在快照中时返回原路径
+   */
+  _snapshotPath(filePath) {
+    return this.refreshSnapshot?.files.get(path.resolve(filePath)) || filePath;
+  }
+
+  /**
+   * 运行结束后删除 refresh 快照
+   */
+  async _removeRefreshSnapshot() {
+    if (!this.refreshSnapshot) {
+      return;
+    }
+
+    const { directory } = this.refreshSnapshot;
+    this.refreshSnapshot = null;
+    try {
+      await this.fileService.removeDirectory(directory);
+    } catch (error) {
+      this.logger.warn('清理 refresh 快照失败', { directory, error: error.message });
+    }
+  }
+
+  /**
+   * refresh 结束后清理过期产物：已从站点移除的页面，以及索引变化后遗留的旧文件
+   */
+  async _pruneStaleOutputs(urls, previousOutputs) {
+    const currentUrls = new Set(urls);
+
+    previousOutputs.forEach(([url]) => {
+      if (!currentUrls.has(url)) {
+        this.stateManager.forgetUrl(url);
+        this.refreshStats.removed++;
+      }
+    });
+
+    const currentArtifacts = new Set(
+      this.stateManager
+        .getOutputEntries()
+        .flatMap(([, filePath]) => this._getOutputArtifacts(filePath))
+        .map((filePath) => path.resolve(filePath))
+    );
+
+    let removedFiles = 0;
+    for (const [, filePath] of previousOutputs) {
+      for (const artifact of this._getOutputArtifacts(filePath)) {
+        if (currentArtifacts.has(path.resolve(artifact))) {
+          continue;
+        }
+        if (await this.fileService.exists(artifact)) {
+          await this.fileService.removeFile(artifact);
+          removedFiles++;
+        }
+      }
+    }
+
+    if (removedFiles > 0) {
+      this.logger.info('已清理过期的页面产物', { 文件数: removedFiles });
+    }
+  }
+
   /**
    * 重试失败的URL
+   * @returns {Promise<{total: number, successCount: number, failCount: number, skipCount: number}>}
    */
   async retryFailedUrls() {
     const failedUrls = this.stateManager.getFailedUrls();
     if (failedUrls.length === 0) {
       this.logger.info('没有需要重试的失败URL');
-      return;
+      return { total: 0, successCount: 0, failCount: 0, skipCount: 0 };
     }
 
     this.logger.info(`开始重试 ${failedUrls.length} 个失败的URL`);
@@ -1540,9 +2284,10 @@ export class Scraper extends EventEmitter {
         // 清除失败状态
         this.stateManager.clearFailure(url);
 
-        // 重新爬取
+        // 重新爬取（单独重试时 urlQueue 为空，使用上次运行记录的索引）
         const index = this.urlQueue.indexOf(url);
-        const realIndex = index >= 0 ? index : this.urlQueue.length;
+        const storedIndex = this.stateManager.state?.urlToIndex?.get(url);
+        const realIndex = index >= 0 ? index : (storedIndex ?? this.urlQueue.length);
 
         await this.scrapePage(url, realIndex, { isRetry: true });
         retrySuccessCount++;
@@ -1571,21 +2316,36 @@ export class Scraper extends EventEmitter {
       successCount: retrySuccessCount,
       failCount: retryFailCount,
     });
+
+    return {
+      total: failedUrls.length,
+      successCount: retrySuccessCount,
+      failCount: retryFailCount,
+      skipCount: staleSkipCount,
+    };
   }
 
   /**
    * 运行爬虫
+   * @param {Object} [options]
+   * @param {'resume'|'refresh'} [options.mode] - 运行模式，默认读取 config.runMode
    */
-  async run() {
+  async run(options = {}) {
     if (this.isRunning) {
       throw new ValidationError('爬虫已在运行中');
     }
 
     this.isRunning = true;
     this.startTime = Date.now();
+    this.runMode = options.mode || this.config.runMode || 'resume';
+    this.refreshStats = { unchanged: 0, changed: 0, added: 0, removed: 0 };
+    const isRefresh = this.runMode === 'refresh';
 
     try {
       this.logger.info('=== 开始运行爬虫（使用数字索引命名）===');
+      if (isRefresh) {
+        this.logger.info('Refresh 模式：重新收集URL，仅重建内容变化或新增的页面');
+      }
 
       // 初始化
       await this.initialize();
@@ -1597,6 +2357,12 @@ export class Scraper extends EventEmitter {
         return;
       }
 
+      // refresh 模式下记录上次的产物，用于运行结束后清理过期文件
+      const previousOutputs = isRefresh ? this.stateManager.getOutputEntries() : [];
+      if (isRefresh) {
+        await this._snapshotPreviousOutputs(urls, previousOutputs);
+      }
+
       // 初始化运行时状态基线，避免统计依赖延迟更新导致计数不一致
       this.stateManager.setStartTime();
       urls.forEach((url, index) => this.stateManager.setUrlIndex(url, index));
@@ -1635,6 +2401,46 @@ export class Scraper extends EventEmitter {
         await this.stateManager.save();
       }
 
+      if (isRefresh) {
+        await this._pruneStaleOutputs(urls, previousOutputs);
+        await this.stateManager.save(true);
+
+        this.logger.info('Refresh 结果', {
+          未变化: this.refreshStats.unchanged,
+          已更新: this.refreshStats.changed,
+          新增: this.refreshStats.added,
+          已移除: this.refreshStats.removed,
+        });
+      }
+
+      const assetStats = this.assetService?.getStats?.();
+      if (assetStats && assetStats.downloaded + assetStats.reused + assetStats.failed > 0) {
+        this.logger.info('Markdown 图片资源统计', {
+          已下载: assetStats.downloaded,
+          复用: assetStats.reused,
+          已转换: assetStats.converted,
+          失败: assetStats.failed,
+        });
+      }
+
+      const diagramStats = this.diagramService?.getStats?.();
+      if (diagramStats && diagramStats.rendered + diagramStats.reused + diagramStats.failed > 0) {
+        this.logger.info('Markdown 图表渲染统计', {
+          已渲染: diagramStats.rendered,
+          复用: diagramStats.reused,
+          失败: diagramStats.failed,
+        });
+      }
+
+      const pdfCacheStats = this.pdfCacheService?.getStats?.();
+      if (pdfCacheStats && pdfCacheStats.hits + pdfCacheStats.misses > 0) {
+        this.logger.info('单页 PDF 缓存统计', {
+          命中: pdfCacheStats.hits,
+          重新渲染: pdfCacheStats.misses,
+          已缓存: pdfCacheStats.stored,
+        });
+      }
+
       // 完成
       this.progressTracker.finish();
 
@@ -1655,6 +2461,8 @@ export class Scraper extends EventEmitter {
         totalUrls: urls.length,
         stats: stats,
         duration: duration,
+        mode: this.runMode,
+        refresh: isRefresh ? { ...this.refreshStats } : null,
       });
     } catch (error) {
       this.logger.error('爬虫运行失败', {
@@ -1666,6 +2474,7 @@ export class Scraper extends EventEmitter {
       throw error;
     } finally {
       this.isRunning = false;
+      await this._removeRefreshSnapshot();
 
       // 清理资源
       try {
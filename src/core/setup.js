@@ -1,5 +1,6 @@
 import Container from './container.js';
 import { createLogger } from '../utils/logger.js';
+import { headerFooterTarget, resolveHeaderFooter } from '../utils/headerFooter.js';
 import { validateConfig } from '../config/configValidator.js';
 
 // 导入所有服务类
@@ -17,14 +18,29 @@ import { PDFStyleService } from '../services/pdfStyleService.js';
 import { TranslationService } from '../services/translationService.js';
 import { MarkdownService } from '../services/markdownService.js';
 import { PandocPdfService } from '../services/pandocPdfService.js';
+import { PolitenessService } from '../services/politenessService.js';
+import { AssetService } from '../services/assetService.js';
+import { DiagramService } from '../services/diagramService.js';
+import { PdfCacheService } from '../services/pdfCacheService.js';
+import { ChangeReportService } from '../services/changeReportService.js';
+import { ArchiveService } from '../services/archiveService.js';
 import { Scraper } from './scraper.js';
 import { PythonMergeService } from '../services/PythonMergeService.js';
+import { PdfLibMergeService } from '../services/pdfLibMergeService.js';
+import { BookFrontMatterService } from '../services/bookFrontMatterService.js';
+import { BrowserPdfService } from '../services/browserPdfService.js';
 
 /**
  * 设置依赖注入容器
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - 配置文件路径（默认使用工作目录下的 config.json）
+ * @param {string} [options.docTarget] - 本次运行使用的 doc-target（不修改 config.json）
+ * @param {string} [options.profile] - 本次运行使用的设备配置
+ * @param {Object|Object[]} [options.overrides] - 命令行配置覆盖项
+ * @param {string} [options.namespace] - pdfDir 下的输出子目录（合集中的目标）
  * @returns {Promise<Container>} 配置好的容器实例
  */
-async function setupContainer() {
+async function setupContainer(options = {}) {
   const container = new Container();
   const logger = createLogger('Setup');
 
@@ -37,7 +53,12 @@ async function setupContainer() {
     container.register(
       'config',
       async () => {
-        const configLoader = new ConfigLoader();
+        const configLoader = new ConfigLoader(options.configPath, {
+          docTarget: options.docTarget,
+          profile: options.profile,
+          overrides: options.overrides,
+          namespace: options.namespace,
+        });
         const config = await configLoader.load();
 
         // 验证配置
@@ -226,6 +247,9 @@ async function setupContainer() {
           codeFont:
             pdfConfig.codeFont || 'SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace',
           removeSelectors: config.removeSelectors || [],
+          headerFooter: resolveHeaderFooter(pdfConfig.headerFooter, { perPage: true }),
+          bookHeaderFooter: resolveHeaderFooter(pdfConfig.headerFooter),
+          headerFooterTarget: headerFooterTarget(config),
         });
       },
       {
@@ -278,8 +302,105 @@ async function setupContainer() {
       }
     );
 
+    // 批量 PDF 的浏览器引擎（markdownPdf.engine: "browser"），不需要 pandoc 与 xelatex
+    container.register(
+      'browserPdfService',
+      (config, logger, markdownToPdfService, pdfStyleService) => {
+        return new BrowserPdfService({ config, logger, markdownToPdfService, pdfStyleService });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'markdownToPdfService', 'pdfStyleService'],
+        lifecycle: 'singleton',
+      }
+    );
+
     // 7. 注册核心爬虫服务
 
+    // 按主机限速与 robots.txt
+    container.register(
+      'politenessService',
+      (config, logger) => {
+        return new PolitenessService({ config, logger });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // Markdown 图片资源：下载到本地 assets 目录并改写引用
+    container.register(
+      'assetService',
+      (config, logger, metadataService, politenessService) => {
+        return new AssetService({ config, logger, metadataService, politenessService });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'metadataService', 'politenessService'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // Markdown 中 Mermaid / PlantUML 图表的渲染
+    container.register(
+      'diagramService',
+      (config, logger, browserPool) => {
+        return new DiagramService({ config, logger, browserPool });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'browserPool'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // Puppeteer 单页 PDF 的内容哈希缓存
+    container.register(
+      'pdfCacheService',
+      (config, logger, pathService) => {
+        return new PdfCacheService({ config, logger, pathService });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'pathService'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // 两次运行之间的内容变更报告
+    container.register(
+      'changeReportService',
+      (config, logger, fileService, pathService) => {
+        return new ChangeReportService({ config, logger, fileService, pathService });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'fileService', 'pathService'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // 每次运行的版本化快照
+    container.register(
+      'archiveService',
+      (config, logger, fileService, pathService, changeReportService) => {
+        return new ArchiveService({
+          config,
+          logger,
+          fileService,
+          pathService,
+          changeReportService,
+        });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'fileService', 'pathService', 'changeReportService'],
+        lifecycle: 'singleton',
+      }
+    );
+
     // 爬虫服务 - 修复依赖注入
     container.register(
       'scraper',
@@ -298,7 +419,11 @@ async function setupContainer() {
         pdfStyleService, // 添加 pdfStyleService
         translationService, // 添加 translationService
         markdownService,
-        markdownToPdfService
+        markdownToPdfService,
+        politenessService,
+        assetService,
+        diagramService,
+        pdfCacheService
       ) => {
         const scraper = new Scraper({
           config,
@@ -316,6 +441,10 @@ async function setupContainer() {
           translationService, // 传递 translationService
           markdownService,
           markdownToPdfService,
+          politenessService,
+          assetService,
+          diagramService,
+          pdfCacheService,
         });
 
         await scraper.initialize();
@@ -339,6 +468,10 @@ async function setupContainer() {
           'translationService',
           'markdownService',
           'markdownToPdfService',
+          'politenessService',
+          'assetService',
+          'diagramService',
+          'pdfCacheService',
         ],
         lifecycle: 'singleton',
       }
@@ -359,6 +492,32 @@ async function setupContainer() {
       }
     );
 
+    // 纯 JavaScript 合并服务（pdf-lib），没有 Python 环境时使用
+    container.register(
+      'pdfLibMergeService',
+      (config, logger) => {
+        return new PdfLibMergeService(config, logger);
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger'],
+        lifecycle: 'singleton',
+      }
+    );
+
+    // 最终 PDF 的封面页与版权页
+    container.register(
+      'bookFrontMatterService',
+      (config, logger, metadataService) => {
+        return new BookFrontMatterService({ config, logger, metadataService });
+      },
+      {
+        singleton: true,
+        dependencies: ['config', 'logger', 'metadataService'],
+        lifecycle: 'singleton',
+      }
+    );
+
     // 验证依赖关系
     container.validateDependencies();
 
@@ -392,10 +551,11 @@ async function setupContainer() {
 
 /**
  * 创建预配置的容器实例
+ * @param {Object} [options] - 参见 setupContainer
  * @returns {Promise<Container>} 配置好的容器实例
  */
-async function createContainer() {
-  return await setupContainer();
+async function createContainer(options = {}) {
+  return await setupContainer(options);
 }
 
 /**
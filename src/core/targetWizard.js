@@ -0,0 +1,664 @@
+// src/core/targetWizard.js
+import { validateConfig } from '../config/configValidator.js';
+import {
+  SITE_ADAPTERS,
+  detectSiteAdapter,
+  getSiteAdapter,
+  getSiteAdapterMarkerSelectors,
+} from '../config/siteAdapters.js';
+import {
+  extractTargetUrlsFromSitemap,
+  groupUrlsIntoSections,
+  isSitemapIndex,
+} from '../utils/sitemapTargetBuilder.js';
+import { ValidationError } from '../utils/errors.js';
+
+const NAV_HINT = /sidebar|sidenav|side-nav|menu|toc|navigation|\bnav\b/;
+const CONTENT_HINT = /content|article|markdown|prose|docs?\b|post|main/;
+const PAGINATED_HREF = /\/page[/=]\d+|[?&]p(age)?=\d+|\/\d+\/?$/;
+
+const MIN_NAV_LINKS = 2;
+const MAX_PREVIEW_PAGES = 10;
+
+/**
+ * 在页面中运行（由 page.evaluate 序列化，只能使用参数与页面全局对象）：
+ * 收集候选容器的特征、顶栏标签页、下一页链接与文档生成器特征
+ * @param {string[]} markerSelectors - 站点适配器的特征选择器
+ */
+function analyzePage(markerSelectors) {
+  const here = new URL(window.location.href);
+  here.hash = '';
+
+  const textOf = (el) => ((el && el.textContent) || '').replace(/\s+/g, ' ').trim();
+  // 排除 CSS Modules / CSS-in-JS 生成的哈希类名
+  const isStableName = (name) =>
+    /^[a-zA-Z][\w-]*$/.test(name) &&
+    !/\d{3,}|^(css|sc|jsx|svelte|emotion)-|(^|[_-])(?=[a-zA-Z]*\d)[a-zA-Z\d]{5,}$/.test(name);
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+  const selectorFor = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && isStableName(el.id) && isUnique(`#${el.id}`)) {
+      return `#${el.id}`;
+    }
+    const classes = Array.from(el.classList).filter(isStableName).slice(0, 2);
+    const role = el.getAttribute('role');
+    const options = [
+      classes.length > 0 ? `${tag}.${classes.join('.')}` : null,
+      role ? `${tag}[role="${role}"]` : null,
+      ['main', 'nav', 'aside', 'article'].includes(tag) ? tag : null,
+    ];
+    return options.find((selector) => selector && isUnique(selector)) || null;
+  };
+  const resolve = (a) => {
+    try {
+      const url = new URL(a.getAttribute('href'), here);
+      url.hash = '';
+      return /^https?:$/.test(url.protocol) && url.origin === here.origin ? url.href : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // 地标与带 id 的元素优先，避免上限被页眉中的大量小容器占满
+  const blockTags = 'main, article, nav, aside, section, div, ul, ol';
+  const ordered = new Set([
+    ...document.querySelectorAll('main, article, nav, aside, [role="navigation"], [role="main"]'),
+    ...Array.from(document.querySelectorAll('[id]')).filter((el) => el.matches(blockTags)),
+    ...Array.from(document.querySelectorAll(blockTags)).filter((el) => el.classList.length > 0),
+  ]);
+
+  const candidates = [];
+  for (const el of ordered) {
+    if (candidates.length >= 400) break;
+
+    const selector = selectorFor(el);
+    const text = selector ? textOf(el) : '';
+    if (!text) continue;
+
+    const anchors = Array.from(el.querySelectorAll('a[href]'));
+    const hrefs = [...new Set(anchors.map(resolve).filter((href) => href && href !== here.href))];
+
+    candidates.push({
+      selector,
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute('role') || '',
+      hint: `${el.id} ${el.getAttribute('class') || ''}`.toLowerCase(),
+      links: hrefs.length,
+      hrefs: hrefs.slice(0, 300),
+      linkTextLength: anchors.reduce((total, a) => total + textOf(a).length, 0),
+      textLength: text.length,
+      paragraphs: el.querySelectorAll('p').length,
+      headings: el.querySelectorAll('h1, h2, h3').length,
+      hasH1: !!el.querySelector('h1'),
+      chrome: !!el.closest('header, footer, [role="banner"], [role="contentinfo"]'),
+      navDescendants: el.querySelectorAll('nav, aside, [role="navigation"]').length,
+    });
+  }
+
+  const tabs = Array.from(
+    document.querySelectorAll('header nav a[href], [role="banner"] nav a[href]')
+  )
+    .map((a) => ({ text: textOf(a), href: resolve(a) }))
+    .filter((tab) => tab.text && tab.href);
+
+  const nextLink =
+    document.querySelector('a[rel="next"][href]') ||
+    Array.from(document.querySelectorAll('a[href]')).find(
+      (a) =>
+        /^(next|older|more)\b|下一页/i.test(textOf(a)) ||
+        /(^|[\s_-])(next|older)([\s_-]|$)/i.test(a.getAttribute('class') || '')
+    );
+  let pagination = null;
+  if (nextLink && resolve(nextLink)) {
+    const classes = Array.from(nextLink.classList).filter(isStableName).slice(0, 2);
+    pagination = {
+      href: resolve(nextLink),
+      selector:
+        nextLink.getAttribute('rel') === 'next'
+          ? 'a[rel="next"]'
+          : classes.length > 0
+            ? `a.${classes.join('.')}`
+            : null,
+    };
+  }
+
+  return {
+    url: here.href,
+    title: document.title,
+    generator: Array.from(document.querySelectorAll('meta[name="generator"]'))
+      .map((meta) => meta.getAttribute('content') || '')
+      .join(' '),
+    present: markerSelectors.filter((selector) => {
+      try {
+        return !!document.querySelector(selector);
+      } catch {
+        return false;
+      }
+    }),
+    candidates,
+    tabs,
+    pagination,
+  };
+}
+
+/**
+ * 在页面中运行：按选择器读取导航链接与页面标题
+ */
+function collectNavLinks(selector) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  let anchors = [];
+  try {
+    anchors = Array.from(document.querySelectorAll(selector));
+  } catch {
+    anchors = [];
+  }
+  const heading = document.querySelector('h1');
+  return {
+    heading: clean(heading ? heading.textContent : document.title),
+    links: anchors.map((a) => ({ title: clean(a.textContent), href: a.href })),
+  };
+}
+
+/**
+ * 在页面中运行：检查选择器是否匹配
+ */
+function countMatches(navSelector, contentSelector) {
+  const count = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  };
+  return { links: count(navSelector), content: count(contentSelector) };
+}
+
+const linkDensity = (candidate) =>
+  candidate.textLength > 0 ? Math.min(candidate.linkTextLength / candidate.textLength, 1) : 0;
+
+const isNavLandmark = (candidate) =>
+  candidate.tag === 'nav' || candidate.tag === 'aside' || candidate.role === 'navigation';
+
+const isContentLandmark = (candidate) =>
+  candidate.tag === 'main' || candidate.tag === 'article' || candidate.role === 'main';
+
+/**
+ * 导航容器得分：链接数量、链接密度与导航地标加分，页眉页脚与正文地标减分
+ * @param {Object} candidate - analyzePage 收集的候选容器特征
+ * @returns {number} 不适合作为导航时为 0
+ */
+export function scoreNavCandidate(candidate) {
+  if (candidate.links < MIN_NAV_LINKS) {
+    return 0;
+  }
+
+  const density = linkDensity(candidate);
+  let score = Math.min(candidate.links, 60) * 2 + density * 20;
+  if (isNavLandmark(candidate)) score += 10;
+  if (NAV_HINT.test(candidate.hint)) score += 8;
+  if (candidate.chrome) score -= 25;
+  if (isContentLandmark(candidate)) score -= 15;
+  if (density < 0.5) score -= 20;
+
+  return Math.max(score, 0);
+}
+
+/**
+ * 正文容器得分：文本量、段落与标题、正文地标加分，链接密度与内含的导航减分
+ * @param {Object} candidate - analyzePage 收集的候选容器特征
+ * @returns {number} 不适合作为正文时为 0
+ */
+export function scoreContentCandidate(candidate) {
+  if (candidate.paragraphs === 0 && candidate.textLength < 50) {
+    return 0;
+  }
+
+  let score =
+    Math.min(candidate.textLength, 20000) / 100 + candidate.paragraphs * 3 + candidate.headings * 2;
+  if (candidate.hasH1) score += 10;
+  if (candidate.tag === 'main' || candidate.role === 'main') score += 15;
+  if (candidate.tag === 'article') score += 10;
+  if (CONTENT_HINT.test(candidate.hint)) score += 5;
+  if (candidate.chrome) score -= 25;
+  if (isNavLandmark(candidate)) score -= 30;
+  score -= Math.min(candidate.navDescendants, 3) * 15;
+  score -= linkDensity(candidate) * 30;
+
+  return Math.max(score, 0);
+}
+
+/**
+ * 选出得分最高的候选容器；同分时取文本更少（更内层）的容器
+ * @returns {{candidate: Object, score: number}|null}
+ */
+export function pickBestCandidate(candidates, scoreFn) {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = scoreFn(candidate);
+    if (score <= 0) continue;
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && candidate.textLength < best.candidate.textLength)
+    ) {
+      best = { candidate, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * 下一页链接是否像分页地址（/page/2、?page=2、/2）
+ */
+export function isPaginatedHref(href) {
+  try {
+    const { pathname, search } = new URL(href);
+    return PAGINATED_HREF.test(`${pathname}${search}`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 根地址与导航链接的公共路径前缀作为 baseUrl
+ * - 根地址本身就是公共前缀时：分页列表使用 "<前缀>/"，文档站使用不带斜杠的前缀，保证根页面也在范围内
+ * @param {string} rootURL
+ * @param {string[]} hrefs - 导航链接
+ * @param {Object} [options]
+ * @param {boolean} [options.paginated=false]
+ * @returns {string}
+ */
+export function findBaseUrl(rootURL, hrefs = [], options = {}) {
+  const root = new URL(rootURL);
+  const segmentsOf = (pathname) => pathname.split('/').filter(Boolean);
+  const rootSegments = segmentsOf(root.pathname);
+
+  // 没有导航链接时使用根页面所在的目录
+  let common = hrefs.length > 0 ? rootSegments : rootSegments.slice(0, -1);
+  for (const href of hrefs) {
+    let url;
+    try {
+      url = new URL(href, root);
+    } catch {
+      continue;
+    }
+    if (url.origin !== root.origin) continue;
+
+    const segments = segmentsOf(url.pathname);
+    let length = 0;
+    while (length < common.length && length < segments.length) {
+      if (common[length] !== segments[length]) break;
+      length++;
+    }
+    common = common.slice(0, length);
+  }
+
+  if (common.length === 0) {
+    return `${root.origin}/`;
+  }
+  const prefix = `${root.origin}/${common.join('/')}`;
+  return common.length === rootSegments.length && !options.paginated ? prefix : `${prefix}/`;
+}
+
+/**
+ * 由根地址生成 doc-target 名称：去掉 www.，其余非单词字符替换为 "-"
+ */
+export function suggestTargetName(rootURL) {
+  return new URL(rootURL).hostname
+    .replace(/^www\./, '')
+    .replace(/[^\w]+/g, '-')
+    .toLowerCase();
+}
+
+const stripTrailingSlash = (url) => (url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url);
+
+/**
+ * 顶栏标签页中位于 baseUrl 下的链接作为分区入口与分区标题
+ * @returns {{sectionEntryPoints: string[], sectionTitles: Object}}
+ */
+export function buildSections(rootURL, baseUrl, tabs = []) {
+  const sectionEntryPoints = [];
+  const sectionTitles = {};
+  const root = stripTrailingSlash(rootURL);
+
+  const inScope = tabs.filter((tab) => tab.href.startsWith(baseUrl));
+  if (inScope.length < 2) {
+    return { sectionEntryPoints, sectionTitles };
+  }
+
+  for (const tab of inScope) {
+    const href = stripTrailingSlash(tab.href);
+    if (href in sectionTitles) continue;
+
+    sectionTitles[href] = tab.text;
+    if (href !== root) {
+      sectionEntryPoints.push(href);
+    }
+  }
+
+  return { sectionEntryPoints, sectionTitles };
+}
+
+/**
+ * 把预览分区格式化为终端文本
+ * @param {Array<{title: string, entryUrl: string, total: number, pages: Object[]}>} preview
+ * @returns {string}
+ */
+export function formatTargetPreview(preview) {
+  const lines = [];
+  preview.forEach((section, index) => {
+    lines.push(`${index + 1}. ${section.title} (${section.total} pages) ${section.entryUrl}`);
+    for (const page of section.pages.slice(0, MAX_PREVIEW_PAGES)) {
+      lines.push(`   - ${page.title || new URL(page.url).pathname}`);
+    }
+    if (section.total > MAX_PREVIEW_PAGES) {
+      lines.push(`   … ${section.total - MAX_PREVIEW_PAGES} more`);
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * TargetWizard
+ * - 打开根地址，按链接密度、文本密度与地标角色为导航容器和正文容器打分
+ * - 识别分页列表、常见文档生成器、.md 源文件与 sitemap.xml
+ * - 生成通过配置校验的 doc-target，并抓取前几个分区的导航作为预览
+ */
+export class TargetWizard {
+  /**
+   * @param {Object} options
+   * @param {import('../services/pageManager.js').PageManager} options.pageManager
+   * @param {Object} [options.logger]
+   * @param {Function} [options.fetchImpl] - 探测 .md 与 sitemap 用的 fetch（测试注入）
+   * @param {number} [options.timeout=30000] - 页面导航与探测请求的超时
+   */
+  constructor(options = {}) {
+    const { pageManager, logger, fetchImpl, timeout = 30000 } = options;
+
+    this.pageManager = pageManager;
+    this.logger = logger;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.timeout = timeout;
+  }
+
+  /**
+   * @param {string} rootURL - 文档站的根页面
+   * @param {Object} [options]
+   * @param {number} [options.previewSections=3] - 预览的分区数量
+   * @returns {Promise<{target: Object, preview: Object[], report: Object}>}
+   */
+  async run(rootURL, options = {}) {
+    const { previewSections = 3 } = options;
+
+    try {
+      new URL(rootURL);
+    } catch {
+      throw new ValidationError(`Invalid root URL: ${rootURL}`);
+    }
+
+    const pageId = `target-wizard-${Date.now()}`;
+    const page = await this.pageManager.createPage(pageId);
+
+    try {
+      await this._goto(page, rootURL);
+      const analysis = await page.evaluate(analyzePage, getSiteAdapterMarkerSelectors());
+      const report = { url: analysis.url, title: analysis.title };
+
+      const nav = pickBestCandidate(analysis.candidates, scoreNavCandidate);
+      const pagination =
+        analysis.pagination?.selector && isPaginatedHref(analysis.pagination.href)
+          ? analysis.pagination
+          : null;
+      report.nav = nav && { selector: nav.candidate.selector, score: Math.round(nav.score) };
+      report.pagination = pagination;
+
+      const baseUrl = findBaseUrl(rootURL, nav?.candidate.hrefs, { paginated: !!pagination });
+
+      // 分页列表页本身不是正文，用第一篇文章判断正文容器
+      let contentAnalysis = analysis;
+      const firstItem = nav?.candidate.hrefs.find((href) => href.startsWith(baseUrl));
+      if (pagination && firstItem) {
+        await this._goto(page, firstItem);
+        contentAnalysis = await page.evaluate(analyzePage, []);
+      }
+      const content = pickBestCandidate(contentAnalysis.candidates, scoreContentCandidate);
+      report.content = content && {
+        selector: content.candidate.selector,
+        score: Math.round(content.score),
+      };
+
+      const adapter = await this._checkAdapter(page, analysis, pagination ? analysis.url : null);
+      report.adapter = adapter;
+
+      const markdownSource = await this._probeMarkdownSource(rootURL);
+      const sitemap = await this._probeSitemap(rootURL, baseUrl);
+      report.markdownSource = !!markdownSource;
+      report.sitemap = sitemap && { url: sitemap.url, pages: sitemap.urls.length };
+
+      const useSitemap = !nav && !adapter?.matches && sitemap?.urls.length > 0;
+      if (!nav && !adapter?.matches && !useSitemap) {
+        throw new ValidationError(
+          `No navigation links or sitemap found on ${rootURL}; write the target by hand`
+        );
+      }
+      if (!content && !adapter?.matches) {
+        throw new ValidationError(`No content container found on ${rootURL}`);
+      }
+
+      const target = this._buildTarget({
+        rootURL,
+        baseUrl,
+        analysis,
+        nav,
+        content,
+        pagination,
+        adapter,
+        markdownSource,
+        useSitemap,
+      });
+
+      // 与运行时相同的校验，生成的文件可以直接使用
+      validateConfig({ pdfDir: 'pdfs', ...target });
+
+      const preview = useSitemap
+        ? this._previewSitemap(target, sitemap.urls, previewSections)
+        : await this._previewSections(page, target, previewSections);
+
+      this.logger?.info('Doc target generated', {
+        rootURL,
+        nav: report.nav?.selector,
+        content: report.content?.selector,
+        adapter: adapter?.name,
+        sections: preview.length,
+      });
+
+      return { target, preview, report };
+    } finally {
+      await this.pageManager.closePage(pageId);
+    }
+  }
+
+  async _goto(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: this.timeout });
+  }
+
+  /**
+   * 识别文档生成器，并检查其选择器在当前站点上是否真的匹配
+   * @returns {Promise<{name: string, matches: boolean}|null>}
+   */
+  async _checkAdapter(page, analysis, rootPageUrl) {
+    const name = detectSiteAdapter(analysis);
+    if (!name) {
+      return null;
+    }
+
+    const adapter = getSiteAdapter(name);
+    if (rootPageUrl) {
+      await this._goto(page, rootPageUrl);
+    }
+
+    // 导航在根页面上检查；分页列表时正文选择器也只在根页面上检查
+    let counts;
+    try {
+      counts = await page.evaluate(countMatches, adapter.navLinksSelector, adapter.contentSelector);
+    } catch {
+      counts = { links: 0, content: 0 };
+    }
+
+    return { name, matches: counts.links >= MIN_NAV_LINKS && counts.content > 0 };
+  }
+
+  async _probeMarkdownSource(rootURL) {
+    const url = `${stripTrailingSlash(rootURL)}.md`;
+    try {
+      const response = await this.fetchImpl(url, { signal: AbortSignal.timeout(this.timeout) });
+      if (!response.ok) {
+        return null;
+      }
+      const body = (await response.text()).trimStart();
+      return body && !body.startsWith('<') ? { enabled: true, urlSuffix: '.md' } : null;
+    } catch (error) {
+      this.logger?.debug('Markdown source probe failed', { url, error: error.message });
+      return null;
+    }
+  }
+
+  async _probeSitemap(rootURL, baseUrl) {
+    const { origin } = new URL(rootURL);
+    const url = `${origin}/sitemap.xml`;
+    try {
+      const response = await this.fetchImpl(url, { signal: AbortSignal.timeout(this.timeout) });
+      if (!response.ok) {
+        return null;
+      }
+      const xml = await response.text();
+      if (isSitemapIndex(xml)) {
+        return { url, index: true, urls: [] };
+      }
+      const urls = extractTargetUrlsFromSitemap(xml, {
+        origin,
+        pathPrefix: new URL(baseUrl).pathname,
+      });
+      return urls.length > 0 ? { url, urls } : null;
+    } catch (error) {
+      this.logger?.debug('Sitemap probe failed', { url, error: error.message });
+      return null;
+    }
+  }
+
+  _buildTarget({
+    rootURL,
+    baseUrl,
+    analysis,
+    nav,
+    content,
+    pagination,
+    adapter,
+    markdownSource,
+    useSitemap,
+  }) {
+    const target = { rootURL: stripTrailingSlash(rootURL), baseUrl };
+
+    // 适配器的选择器匹配时写明适配器；识别出但不匹配时写入 "none" 关闭默认的自动识别，
+    // 避免补入错误的选择器。没有识别出适配器时保留默认的 "auto"，写入的选择器优先
+    if (adapter?.matches) {
+      target.adapter = adapter.name;
+    } else {
+      if (adapter) {
+        target.adapter = 'none';
+      }
+      if (useSitemap) {
+        target.discovery = 'sitemap';
+      } else {
+        target.navLinksSelector = `${nav.candidate.selector} a[href]`;
+      }
+      target.contentSelector = content.candidate.selector;
+    }
+
+    if (pagination) {
+      target.paginationSelector = pagination.selector;
+    }
+
+    target.allowedDomains = [new URL(rootURL).hostname];
+
+    if (!pagination && !useSitemap) {
+      const { sectionEntryPoints, sectionTitles } = buildSections(
+        target.rootURL,
+        baseUrl,
+        analysis.tabs
+      );
+      if (sectionEntryPoints.length > 0) {
+        target.sectionEntryPoints = sectionEntryPoints;
+        target.sectionTitles = sectionTitles;
+      }
+    }
+
+    const adapterMarkdown = adapter?.matches && SITE_ADAPTERS[adapter.name].markdownSource;
+    if (markdownSource && !adapterMarkdown) {
+      target.markdownSource = markdownSource;
+    }
+
+    return target;
+  }
+
+  /**
+   * 依次打开根页面与分区入口，用生成的导航选择器收集链接
+   */
+  async _previewSections(page, target, limit) {
+    const navLinksSelector =
+      target.navLinksSelector || getSiteAdapter(target.adapter).navLinksSelector;
+    const entries = [target.rootURL, ...(target.sectionEntryPoints || [])].slice(0, limit);
+    const preview = [];
+
+    for (const entryUrl of entries) {
+      try {
+        await this._goto(page, entryUrl);
+        const { heading, links } = await page.evaluate(collectNavLinks, navLinksSelector);
+
+        const seen = new Set();
+        const pages = [];
+        if (!target.paginationSelector) {
+          seen.add(entryUrl);
+          pages.push({ title: heading, url: entryUrl });
+        }
+        for (const link of links) {
+          const url = stripTrailingSlash(link.href.split('#')[0]);
+          if (!url.startsWith(target.baseUrl) || seen.has(url)) continue;
+          seen.add(url);
+          pages.push({ title: link.title, url });
+        }
+
+        preview.push({
+          title: target.sectionTitles?.[entryUrl] || heading || entryUrl,
+          entryUrl,
+          total: pages.length,
+          pages,
+        });
+      } catch (error) {
+        this.logger?.warn('Section preview failed', { url: entryUrl, error: error.message });
+      }
+    }
+
+    return preview;
+  }
+
+  _previewSitemap(target, urls, limit) {
+    return groupUrlsIntoSections(urls, {
+      pathPrefix: new URL(target.baseUrl).pathname,
+      rootUrl: target.rootURL,
+    })
+      .slice(0, limit)
+      .map((section) => ({
+        title: section.title,
+        entryUrl: section.entryUrl,
+        total: section.urls.length,
+        pages: section.urls.map((url) => ({ title: '', url })),
+      }));
+  }
+}
@@ -0,0 +1,207 @@
+// HTML book client: offline search over the prebuilt index (assets/search-index.js)
+// and TOC highlighting. Loaded as a classic script so the book also works from file://
+(function () {
+  'use strict';
+
+  const MAX_RESULTS = 20;
+  const SNIPPET_RADIUS = 80;
+
+  // Keep in sync with tokenize() in src/utils/htmlBook.js
+  const CJK_CHARS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+  const CJK_RUN = new RegExp(`[${CJK_CHARS}]+|[^${CJK_CHARS}]+`, 'g');
+  const CJK_START = new RegExp(`^[${CJK_CHARS}]`);
+
+  function tokenize(text) {
+    const tokens = [];
+    for (const word of String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}_]+/gu) || []) {
+      for (const run of word.match(CJK_RUN)) {
+        if (!CJK_START.test(run)) {
+          if (run.length > 1 || /\d/.test(run)) tokens.push(run);
+        } else if (run.length === 1) {
+          tokens.push(run);
+        } else {
+          for (let i = 0; i < run.length - 1; i++) {
+            tokens.push(run.slice(i, i + 2));
+          }
+        }
+      }
+    }
+    return tokens;
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Weights per document for one query token; the last token also matches as a prefix
+   * so results show up while typing
+   */
+  function lookup(terms, token, prefix) {
+    const weights = new Map();
+    const add = (postings) => {
+      for (const [doc, weight] of postings) {
+        weights.set(doc, (weights.get(doc) || 0) + weight);
+      }
+    };
+
+    if (Object.hasOwn(terms, token)) add(terms[token]);
+    if (prefix && !CJK_START.test(token)) {
+      for (const term of Object.keys(terms)) {
+        if (term !== token && term.startsWith(token)) add(terms[term]);
+      }
+    }
+    return weights;
+  }
+
+  function search(index, query) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+
+    // Every token has to match
+    let scores = null;
+    tokens.forEach((token, i) => {
+      const weights = lookup(index.terms, token, i === tokens.length - 1);
+      const next = new Map();
+      for (const [doc, weight] of weights) {
+        if (scores === null || scores.has(doc)) {
+          next.set(doc, (scores?.get(doc) || 0) + weight);
+        }
+      }
+      scores = next;
+    });
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_RESULTS)
+      .map(([doc]) => index.docs[doc]);
+  }
+
+  // Match on the raw text and escape afterwards, so "amp" or "lt" never lands inside an entity.
+  // The capture group makes split() keep the matches at the odd indices
+  function highlight(text, words) {
+    if (words.length === 0) return escapeHtml(text);
+    const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+    return text
+      .split(pattern)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+
+  function snippet(text, words) {
+    const lower = text.toLowerCase();
+    const positions = words.map((word) => lower.indexOf(word)).filter((i) => i !== -1);
+    const at = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(text.length, at + SNIPPET_RADIUS);
+    return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+  }
+
+  function renderResults(list, results, query) {
+    const words = query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((word) => word.length > 0);
+
+    list.innerHTML = results.length
+      ? results
+          .map(
+            (doc) =>
+              `<li><a href="${escapeHtml(doc.h)}">${highlight(doc.t, words)}</a>` +
+              (doc.s ? `<span class="book-search-section">${escapeHtml(doc.s)}</span>` : '') +
+              `<span class="book-search-snippet">${highlight(snippet(doc.x, words), words)}</span></li>`
+          )
+          .join('')
+      : '<li>No results</li>';
+    list.hidden = false;
+  }
+
+  function setupSearch() {
+    const input = document.getElementById('book-search');
+    const list = document.getElementById('book-search-results');
+    const index = window.BOOK_SEARCH_INDEX;
+    if (!input || !list) return;
+    if (!index) {
+      input.hidden = true;
+      return;
+    }
+
+    input.addEventListener('input', () => {
+      const query = input.value.trim();
+      if (!query) {
+        list.hidden = true;
+        list.innerHTML = '';
+        return;
+      }
+      renderResults(list, search(index, query), query);
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        const first = list.querySelector('a');
+        if (first) window.location.href = first.getAttribute('href');
+      } else if (event.key === 'Escape') {
+        input.value = '';
+        list.hidden = true;
+        input.blur();
+      }
+    });
+
+    // "/" focuses the search box, like most documentation sites
+    document.addEventListener('keydown', (event) => {
+      const target = event.target;
+      const typing = target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement;
+      if (event.key === '/' && !typing) {
+        event.preventDefault();
+        input.focus();
+      }
+    });
+  }
+
+  // Single-page layout: mark the TOC entry of the page currently in view
+  function setupActiveToc() {
+    const links = [...document.querySelectorAll('.book-toc a[href^="#"]')];
+    if (links.length === 0) return;
+
+    const idOf = (link) => decodeURIComponent(link.hash.slice(1));
+    const headings = links.map((link) => document.getElementById(idOf(link))).filter(Boolean);
+
+    const update = () => {
+      let current = headings[0];
+      for (const heading of headings) {
+        if (heading.getBoundingClientRect().top <= 80) current = heading;
+      }
+      for (const link of links) {
+        if (current && idOf(link) === current.id) {
+          link.setAttribute('aria-current', 'page');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      }
+    };
+
+    window.addEventListener('scroll', update, { passive: true });
+    update();
+  }
+
+  // Keep the current page visible in long sidebars
+  function revealCurrentTocEntry() {
+    const current = document.querySelector('.book-toc a[aria-current="page"]');
+    current?.scrollIntoView({ block: 'center' });
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    setupSearch();
+    setupActiveToc();
+    revealCurrentTocEntry();
+  });
+})();
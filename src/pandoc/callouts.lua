@@ -0,0 +1,63 @@
+-- src/pandoc/callouts.lua
+-- 把 ::: {.callout .callout-warning title="..."} 渲染为 LaTeX tcolorbox 方框
+-- 其他输出格式（EPUB 等）保持 Div 原样，由样式表处理
+
+local colors = {
+  note = 'blue',
+  info = 'cyan',
+  tip = 'teal',
+  success = 'green',
+  check = 'green',
+  important = 'violet',
+  warning = 'orange',
+  caution = 'orange',
+  danger = 'red',
+  error = 'red',
+}
+
+-- 一次替换所有特殊字符，避免 \textbackslash{} 的花括号再被转义
+local latex_replacements = {
+  ['\\'] = '\\textbackslash{}',
+  ['~'] = '\\textasciitilde{}',
+  ['^'] = '\\textasciicircum{}',
+}
+
+local function escape_latex(text)
+  return (text:gsub('[\\{}$&#^_%%~]', function(char)
+    return latex_replacements[char] or '\\' .. char
+  end))
+end
+
+function Div(div)
+  if not FORMAT:match('latex') or not div.classes:includes('callout') then
+    return nil
+  end
+
+  local kind = 'note'
+  for _, class in ipairs(div.classes) do
+    local name = class:match('^callout%-([%w-]+)$')
+    if name then
+      kind = name
+    end
+  end
+
+  local color = colors[kind] or 'gray'
+  local title = div.attributes.title
+  if not title or title == '' then
+    title = kind:sub(1, 1):upper() .. kind:sub(2)
+  end
+
+  local options = string.format(
+    'breakable, colback=%s!5!white, colframe=%s!60!black, fonttitle=\\bfseries, title={%s}',
+    color,
+    color,
+    escape_latex(title)
+  )
+
+  local blocks = { pandoc.RawBlock('latex', '\\begin{tcolorbox}[' .. options .. ']') }
+  for _, block in ipairs(div.content) do
+    table.insert(blocks, block)
+  end
+  table.insert(blocks, pandoc.RawBlock('latex', '\\end{tcolorbox}'))
+  return blocks
+end
@@ -9,7 +9,7 @@ import json
 import logging
 import fitz  # PyMuPDF
 from datetime import datetime
-from urllib.parse import urlparse
+from urllib.parse import urlparse, urlunparse, parse_qsl, urlencode, unquote
 from typing import Dict, List, Optional, Callable, Any
 import gc
 import psutil
@@ -79,6 +79,9 @@ class PDFMerger:
         # 加载section结构（用于分层TOC）
         self.section_structure = self._load_section_structure()
 
+        # 加载URL到页面索引的映射（用于站内链接跳转）
+        self.link_targets = self._load_link_targets()
+
     def _setup_logger(self) -> logging.Logger:
         """设置默认日志记录器"""
         logger = logging.getLogger('PDFMerger')
@@ -180,6 +183,56 @@ class PDFMerger:
 
         return section_structure
 
+    @staticmethod
+    def _normalize_url(url: str) -> str:
+        """规范化URL（与 src/utils/url.js 的 normalizeUrl 保持一致：去掉hash和尾部斜杠，排序查询参数）"""
+        try:
+            parsed = urlparse(url)
+            if not parsed.scheme or not parsed.netloc:
+                return url
+            path = parsed.path[:-1] if parsed.path.endswith('/') else parsed.path
+            query = urlencode(sorted(parse_qsl(parsed.query, keep_blank_values=True)))
+            return urlunparse((parsed.scheme, parsed.netloc, path, '', query, ''))
+        except Exception:
+            return url
+
+    def _load_link_targets(self) -> Dict[str, str]:
+        """
+        加载 URL -> 页面索引 映射
+
+        来源：sectionStructure.json、progress.json 的 urlToIndex、urlMapping.json 的文件名前缀
+        """
+        targets: Dict[str, str] = {}
+
+        def add(url: Optional[str], index: Any) -> None:
+            if not url or index is None:
+                return
+            targets.setdefault(self._normalize_url(url), str(index))
+
+        for section in (self.section_structure or {}).get('sections', []):
+            for page in section.get('pages', []):
+                add(page.get('url'), page.get('index'))
+
+        try:
+            progress_file = os.path.join(self.metadata_dir, 'progress.json')
+            if os.path.exists(progress_file):
+                with open(progress_file, 'r', encoding='utf-8') as f:
+                    for url, index in (json.load(f).get('urlToIndex') or {}).items():
+                        add(url, index)
+
+            mapping_file = os.path.join(self.metadata_dir, 'urlMapping.json')
+            if os.path.exists(mapping_file):
+                with open(mapping_file, 'r', encoding='utf-8') as f:
+                    for url, entry in json.load(f).items():
+                        file_path = entry.get('path') if isinstance(entry, dict) else entry
+                        prefix = os.path.basename(file_path or '').split('-')[0]
+                        if prefix.isdigit():
+                            add(url, str(int(prefix)))
+        except Exception as e:
+            self.logger.warning(f"加载URL映射失败，站内链接将保持为外部链接: {e}")
+
+        return targets
+
     def _validate_article_titles(self, pdf_file_count: int) -> bool:
         """
         验证 articleTitles.json 是否有效
@@ -502,6 +555,85 @@ class PDFMerger:
         self.logger.info(f"构建了分层TOC: {len([t for t in toc if t[0] == 1])} sections, {len([t for t in toc if t[0] == 2])} pages")
         return toc
 
+    def _find_fragment_target(
+        self,
+        merged_pdf: 'fitz.Document',
+        start_page: int,
+        page_count: int,
+        fragment: str
+    ) -> tuple:
+        """
+        在目标文章的页面范围内查找 #fragment 对应的标题位置
+
+        Chrome 导出的 PDF 不保留元素 id，因此把 slug（如 permission-modes）还原为文字后搜索。
+
+        Returns:
+            (页码, 纵坐标)；找不到时返回文章首页和 0
+        """
+        text = unquote(fragment).replace('-', ' ').replace('_', ' ').strip()
+        if text:
+            for page_no in range(start_page, start_page + page_count):
+                hits = merged_pdf[page_no].search_for(text)
+                if hits:
+                    return page_no, max(hits[0].y0 - 12, 0)
+        return start_page, 0
+
+    def _rewrite_internal_links(
+        self,
+        merged_pdf: 'fitz.Document',
+        files: List[str],
+        page_counts: Dict[str, int],
+        file_to_index: Dict[str, str]
+    ) -> int:
+        """
+        把指向已合并文章的 URI 链接改写为文档内 GoTo 跳转
+
+        Returns:
+            改写的链接数量
+        """
+        if not self.link_targets:
+            return 0
+
+        # 索引 -> (起始页, 页数)
+        index_to_range = {}
+        current_page = 0
+        for filename in files:
+            count = page_counts.get(filename, 0)
+            file_index = file_to_index.get(filename)
+            if file_index is not None and count > 0:
+                index_to_range[file_index] = (current_page, count)
+            current_page += count
+
+        rewritten = 0
+        for page_no in range(merged_pdf.page_count):
+            page = merged_pdf[page_no]
+            for link in page.get_links():
+                if link.get('kind') != fitz.LINK_URI:
+                    continue
+
+                uri = link.get('uri') or ''
+                target_index = self.link_targets.get(self._normalize_url(uri))
+                if target_index is None or target_index not in index_to_range:
+                    continue
+
+                start_page, count = index_to_range[target_index]
+                fragment = urlparse(uri).fragment
+                if fragment:
+                    dest_page, dest_y = self._find_fragment_target(merged_pdf, start_page, count, fragment)
+                else:
+                    dest_page, dest_y = start_page, 0
+
+                page.delete_link(link)
+                page.insert_link({
+                    'kind': fitz.LINK_GOTO,
+                    'from': link['from'],
+                    'page': dest_page,
+                    'to': fitz.Point(0, dest_y),
+                })
+                rewritten += 1
+
+        return rewritten
+
     def _monitor_memory(self) -> None:
         """监控内存使用情况"""
         try:
@@ -680,6 +812,15 @@ class PDFMerger:
                         self.logger.warning(f"构建分层TOC失败，使用flat TOC: {e}")
                         # toc已经包含flat结构，无需修改
 
+                # 站内链接改写为文档内跳转
+                if self.config.get('links', {}).get('internal', True):
+                    try:
+                        rewritten = self._rewrite_internal_links(merged_pdf, files, page_counts, file_to_index)
+                        if rewritten:
+                            self.logger.info(f"已将 {rewritten} 个站内链接改写为文档内跳转")
+                    except Exception as e:
+                        self.logger.warning(f"站内链接改写失败，保留原始链接: {e}")
+
                 # 设置目录结构（如果启用了书签功能）
                 bookmarks_enabled = self.config.get('pdf', {}).get('bookmarks', True)
                 if bookmarks_enabled and toc:
@@ -856,6 +997,56 @@ class PDFMerger:
                 'statistics': self.get_statistics()
             }
 
+def merge_collection(manifest_path: str, logger: Optional[logging.Logger] = None) -> List[str]:
+    """
+    把合集中每个目标已合并好的 PDF 拼成一本书
+
+    manifest: {"output": "...pdf", "title": "...", "bookmarks": true,
+               "parts": [{"title": "Claude Code", "pdf": ".../finalPdf/x.pdf"}, ...]}
+    每个目标成为一级书签，目标自身的书签整体下移一级
+    """
+    logger = logger or logging.getLogger(__name__)
+
+    with open(manifest_path, 'r', encoding='utf-8') as f:
+        manifest = json.load(f)
+
+    output_path = manifest['output']
+    parts = [part for part in manifest.get('parts', []) if part.get('pdf')]
+    if not parts:
+        raise FileProcessingError('合集中没有可合并的PDF')
+
+    os.makedirs(os.path.dirname(output_path) or '.', exist_ok=True)
+
+    book = fitz.open()
+    toc = []
+    try:
+        for part in parts:
+            if not os.path.exists(part['pdf']):
+                raise FileProcessingError(f"合集目标的PDF不存在: {part['pdf']}")
+
+            start_page = book.page_count + 1
+            part_pdf = fitz.open(part['pdf'])
+            try:
+                toc.append([1, part.get('title') or os.path.basename(part['pdf']), start_page])
+                for level, title, page in part_pdf.get_toc(simple=True):
+                    target_page = page + start_page - 1 if page > 0 else start_page
+                    toc.append([level + 1, title, target_page])
+
+                # 整本插入时 PyMuPDF 会保留并重新定位文档内跳转链接
+                book.insert_pdf(part_pdf)
+                logger.info(f"已加入合集目标 {part.get('title')}: {part_pdf.page_count} 页")
+            finally:
+                part_pdf.close()
+
+        if manifest.get('bookmarks', True) and toc:
+            book.set_toc(toc)
+
+        book.save(output_path, garbage=3, deflate=True)
+        return [output_path]
+    finally:
+        book.close()
+        gc.collect()
+
 def main():
     """主函数，支持命令行执行"""
     import sys
@@ -864,6 +1055,7 @@ def main():
     parser = argparse.ArgumentParser(description='Smart PDF Merger Tool')
     parser.add_argument('--config', default='config.json', help='Configuration file path')
     parser.add_argument('--directory', help='Specify directory name to merge')
+    parser.add_argument('--collection', help='Collection manifest (JSON) listing merged PDFs to combine into one book')
     parser.add_argument('--verbose', '-v', action='store_true', help='Verbose output')
 
     args = parser.parse_args()
@@ -875,6 +1067,14 @@ def main():
         logging.basicConfig(level=logging.WARNING)
 
     try:
+        # 合集：把各目标已合并的PDF拼成一本书
+        if args.collection:
+            merged_files = merge_collection(args.collection)
+            print(f"\n✅ Merge completed! Generated {len(merged_files)} PDF file(s):")
+            for file_path in merged_files:
+                print(f"  📄 {file_path}")
+            return 0
+
         # 创建PDF合并器
         merger = PDFMerger(config_path=args.config)
 
@@ -145,6 +145,11 @@ export class PythonMergeService extends EventEmitter {
         args.push('--directory', options.directory);
       }
 
+      // 合集：按清单把各目标已合并的 PDF 拼成一本书
+      if (options.collection) {
+        args.push('--collection', options.collection);
+      }
+
       if (options.verbose) {
         args.push('--verbose');
       }
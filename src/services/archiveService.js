@@ -0,0 +1,233 @@
+// src/services/archiveService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { MetadataService } from './metadataService.js';
+
+const MANIFEST_FILE = 'snapshot.json';
+const SNAPSHOT_ID_PATTERN = /^\d{8}-\d{6}(-\d+)?$/;
+
+/**
+ * 快照编号：UTC 时间 YYYYMMDD-HHMMSS，按字符串排序即按时间排序
+ */
+export function createSnapshotId(date = new Date()) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace('T', '-')
+    .replace(/\.\d+Z$/, '');
+}
+
+/**
+ * 按保留策略挑出要删除的快照：超出 keep 个的旧快照，以及早于 maxAgeDays 天的快照
+ * 最新的快照始终保留
+ * @param {Array<{id: string, createdAt: string}>} snapshots - 按时间从新到旧排序
+ * @param {{keep?: number, maxAgeDays?: number}} policy
+ * @param {Date} [now]
+ * @returns {string[]} 要删除的快照编号
+ */
+export function selectSnapshotsToPrune(snapshots, policy = {}, now = new Date()) {
+  const { keep = 0, maxAgeDays = 0 } = policy;
+  const cutoff = maxAgeDays > 0 ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  return snapshots
+    .filter((snapshot, position) => {
+      if (position === 0) return false;
+      if (keep > 0 && position >= keep) return true;
+      return cutoff !== null && new Date(snapshot.createdAt).getTime() < cutoff;
+    })
+    .map((snapshot) => snapshot.id);
+}
+
+/**
+ * 运行归档：把每次运行的 Markdown、元数据、最终 PDF 与运行报告保存为按时间编号的快照
+ * 快照目录与 pdfDir 结构相同，可以直接用于 diff 或恢复
+ */
+export class ArchiveService {
+  constructor({ config, logger, fileService, pathService, changeReportService }) {
+    this.config = config;
+    this.logger = logger;
+    this.fileService = fileService;
+    this.pathService = pathService;
+    this.changeReportService = changeReportService;
+    this.archiveConfig = config.archive || {};
+  }
+
+  /**
+   * 快照中保存的 pdfDir 子目录：Markdown（含 assets 与译文）、元数据、最终输出
+   * @private
+   */
+  _archivedEntries() {
+    return [
+      this.config.markdown?.outputDir || 'markdown',
+      'metadata',
+      this.config.output?.finalPdfDirectory || 'finalPdf',
+    ];
+  }
+
+  /**
+   * 把当前输出保存为新快照
+   * @param {Object|null} [runReport] - 本次运行的报告（Application.run 的返回值）
+   * @returns {Promise<Object>} 快照清单
+   */
+  async createSnapshot(runReport = null) {
+    const pdfDir = this.config.pdfDir;
+    const archiveDir = this.pathService.getArchiveDir();
+
+    let id = createSnapshotId();
+    for (let suffix = 2; await this.fileService.exists(path.join(archiveDir, id)); suffix++) {
+      id = `${createSnapshotId()}-${suffix}`;
+    }
+    const snapshotDir = this.pathService.getSnapshotDir(id);
+
+    const entries = [];
+    for (const entry of this._archivedEntries()) {
+      const source = path.join(pdfDir, entry);
+      if (!(await this.fileService.exists(source))) continue;
+
+      await fs.cp(source, path.join(snapshotDir, entry), {
+        recursive: true,
+        // 变更报告的比较基准只属于当前输出，不进入快照
+        filter: (file) => file !== this.pathService.getPreviousRunDir(),
+      });
+      entries.push(entry);
+    }
+
+    if (entries.length === 0) {
+      throw new Error(`Nothing to archive in ${pdfDir}`);
+    }
+
+    const snapshotMetadata = new MetadataService(
+      this.fileService,
+      this.pathService.withRoot(snapshotDir),
+      this.logger
+    );
+    const titles = await snapshotMetadata.getArticleTitles();
+    const finalDir = path.join(snapshotDir, this._archivedEntries()[2]);
+    const finalFiles = (await this.fileService.exists(finalDir))
+      ? (await fs.readdir(finalDir)).sort()
+      : [];
+
+    const manifest = {
+      id,
+      createdAt: new Date().toISOString(),
+      docTarget: this.config.docTarget || null,
+      rootURL: this.config.rootURL,
+      pdfDir,
+      entries,
+      pages: Object.keys(titles).length,
+      finalFiles,
+      run: runReport,
+    };
+    await this.fileService.writeJson(path.join(snapshotDir, MANIFEST_FILE), manifest);
+
+    this.logger.info('Run archived', { id, dir: snapshotDir, pages: manifest.pages, finalFiles });
+    return manifest;
+  }
+
+  /**
+   * 列出当前目标的快照，从新到旧
+   * @returns {Promise<Object[]>}
+   */
+  async listSnapshots() {
+    const archiveDir = this.pathService.getArchiveDir();
+    let names = [];
+    try {
+      names = await fs.readdir(archiveDir);
+    } catch {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const name of names.filter((entry) => SNAPSHOT_ID_PATTERN.test(entry))) {
+      const manifestPath = path.join(archiveDir, name, MANIFEST_FILE);
+      if (await this.fileService.exists(manifestPath)) {
+        snapshots.push(await this.fileService.readJson(manifestPath));
+      }
+    }
+
+    return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * 把编号（或 latest / previous）解析为已存在的快照
+   * @param {string} id
+   * @returns {Promise<Object>} 快照清单
+   */
+  async getSnapshot(id) {
+    const snapshots = await this.listSnapshots();
+    const aliases = { latest: snapshots[0], previous: snapshots[1] };
+    const snapshot = aliases[id] || snapshots.find((entry) => entry.id === id);
+
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * 用快照替换当前的 Markdown、元数据与最终输出（单页 PDF 不受影响）
+   * @param {string} id
+   * @returns {Promise<Object>} 恢复的快照清单，restoredTo 为实际写入的目录（当前的 pdfDir）
+   */
+  async restoreSnapshot(id) {
+    const snapshot = await this.getSnapshot(id);
+    const snapshotDir = this.pathService.getSnapshotDir(snapshot.id);
+
+    for (const entry of this._archivedEntries()) {
+      const target = path.join(this.config.pdfDir, entry);
+      await fs.rm(target, { recursive: true, force: true });
+
+      if (snapshot.entries.includes(entry)) {
+        await fs.cp(path.join(snapshotDir, entry), target, { recursive: true });
+      }
+    }
+
+    this.logger.info('Snapshot restored', { id: snapshot.id, pdfDir: this.config.pdfDir });
+    return { ...snapshot, restoredTo: this.config.pdfDir };
+  }
+
+  /**
+   * 按保留策略删除旧快照
+   * @param {{keep?: number, maxAgeDays?: number}} [policy] - 默认读取 config.archive
+   * @returns {Promise<string[]>} 删除的快照编号
+   */
+  async pruneSnapshots(policy = {}) {
+    const snapshots = await this.listSnapshots();
+    const removed = selectSnapshotsToPrune(snapshots, {
+      keep: policy.keep ?? this.archiveConfig.keep,
+      maxAgeDays: policy.maxAgeDays ?? this.archiveConfig.maxAgeDays,
+    });
+
+    for (const id of removed) {
+      await fs.rm(this.pathService.getSnapshotDir(id), { recursive: true, force: true });
+    }
+
+    if (removed.length > 0) {
+      this.logger.info('Old snapshots pruned', {
+        removed,
+        kept: snapshots.length - removed.length,
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * 比较两个快照（省略 toId 时与当前输出比较），报告写在归档目录下
+   * @param {string} fromId
+   * @param {string} [toId]
+   * @returns {Promise<{report: Object, outputs: {json: string, markdown: string, html: string}}>}
+   */
+  async diffSnapshots(fromId, toId = null) {
+    const from = await this.getSnapshot(fromId);
+    const to = toId ? await this.getSnapshot(toId) : null;
+
+    return this.changeReportService.generate({
+      against: this.pathService.getSnapshotDir(from.id),
+      current: to ? this.pathService.getSnapshotDir(to.id) : this.config.pdfDir,
+      outputBase: path.join(
+        this.pathService.getArchiveDir(),
+        `diff_${from.id}_${to ? to.id : 'current'}`
+      ),
+    });
+  }
+}
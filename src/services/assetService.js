@@ -0,0 +1,545 @@
+// src/services/assetService.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// xelatex 只能直接嵌入 PNG/JPEG/PDF，其余格式需要先转换为 PNG
+const LATEX_FORMATS = new Set(['png', 'jpg', 'pdf']);
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+// 转换时单边的最大像素数，避免超大 SVG 生成巨型画布
+const MAX_CANVAS_SIZE = 8192;
+
+const tooLargeError = (size, maxBytes) =>
+  new Error(`Image too large (${size} bytes > ${maxBytes})`);
+
+/**
+ * 读取响应体，超过 maxBytes 时立即停止：先看 Content-Length，再边读边计数
+ * @returns {Promise<Buffer>}
+ */
+async function readLimitedBody(response, maxBytes) {
+  const declared = Number(response.headers?.get?.('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel?.().catch(() => {});
+    throw tooLargeError(declared, maxBytes);
+  }
+
+  if (!response.body?.getReader) {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxBytes) {
+      throw tooLargeError(buffer.length, maxBytes);
+    }
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw tooLargeError(size, maxBytes);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * 根据文件头（必要时结合 Content-Type）识别图片格式
+ * @returns {string|null} png/jpg/gif/webp/avif/bmp/svg/pdf，无法识别时返回 null
+ */
+export function detectImageFormat(buffer, contentType = '') {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  const head = buffer.subarray(0, 16).toString('latin1');
+  if (head.startsWith('\x89PNG')) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (head.startsWith('GIF8')) return 'gif';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'webp';
+  if (head.slice(4, 8) === 'ftyp' && /^avi[fs]/.test(head.slice(8, 12))) return 'avif';
+  if (head.startsWith('%PDF')) return 'pdf';
+
+  const text = buffer
+    .subarray(0, 2048)
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (text.startsWith('<') && /<svg[\s>]/i.test(text)) return 'svg';
+  if (head.startsWith('BM')) return 'bmp';
+
+  return /image\/svg\+xml/i.test(contentType) && text.startsWith('<') ? 'svg' : null;
+}
+
+/**
+ * 对 Markdown 中代码块以外的部分应用 transform（代码块里的图片语法保持原样）
+ */
+function mapOutsideCodeBlocks(markdown, transform) {
+  const output = [];
+  let buffer = [];
+  let fence = null;
+
+  const flush = () => {
+    if (buffer.length > 0) {
+      output.push(transform(buffer.join('\n')));
+      buffer = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const match = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      output.push(line);
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length) {
+        fence = null;
+      }
+    } else if (match) {
+      flush();
+      fence = match[1];
+      output.push(line);
+    } else {
+      buffer.push(line);
+    }
+  }
+  flush();
+
+  return output.join('\n');
+}
+
+// ![alt](src "title") 以及 HTML <img src="...">
+const MARKDOWN_IMAGE_PATTERN =
+  /(!\[(?:[^\]\\]|\\.)*\]\(\s*)(<[^>\n]*>|[^\s()]+(?:\([^\s()]*\)[^\s()]*)*)/g;
+const HTML_IMAGE_PATTERN = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])(.*?)\2/gi;
+
+/**
+ * 提取 Markdown 片段中引用的全部图片地址（保持原始写法）
+ */
+export function findImageSources(markdown) {
+  const sources = new Set();
+  mapOutsideCodeBlocks(markdown, (chunk) => {
+    for (const match of chunk.matchAll(MARKDOWN_IMAGE_PATTERN)) {
+      sources.add(match[2]);
+    }
+    for (const match of chunk.matchAll(HTML_IMAGE_PATTERN)) {
+      sources.add(match[3]);
+    }
+    return chunk;
+  });
+  return [...sources];
+}
+
+/**
+ * 按映射表替换图片地址，未出现在映射表中的引用保持不变
+ */
+export function rewriteImageSources(markdown, replacements) {
+  if (replacements.size === 0) {
+    return markdown;
+  }
+
+  return mapOutsideCodeBlocks(markdown, (chunk) =>
+    chunk
+      .replace(MARKDOWN_IMAGE_PATTERN, (match, prefix, source) =>
+        replacements.has(source) ? `${prefix}${replacements.get(source)}` : match
+      )
+      .replace(HTML_IMAGE_PATTERN, (match, prefix, quote, source) =>
+        replacements.has(source) ? `${prefix}${quote}${replacements.get(source)}${quote}` : match
+      )
+  );
+}
+
+/**
+ * 将 Markdown 中的图片地址解析为可下载的绝对 URL（http/https/data）
+ * @returns {string|null} 已经是本地路径或无法解析时返回 null
+ */
+export function resolveImageUrl(source, pageUrl) {
+  const raw = source.replace(/^<|>$/g, '').trim();
+  if (/^data:image\//i.test(raw)) {
+    return raw;
+  }
+
+  try {
+    const resolved = new URL(raw, pageUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function decodeDataUri(dataUri) {
+  const match = dataUri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) {
+    throw new Error('Malformed data URI');
+  }
+
+  const isBase64 = /;base64/i.test(match[2]);
+  return {
+    buffer: isBase64
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]), 'utf8'),
+    contentType: match[1],
+  };
+}
+
+function describeImageUrl(imageUrl) {
+  return imageUrl.startsWith('data:') ? `${imageUrl.slice(0, 40)}...` : imageUrl;
+}
+
+/**
+ * AssetService
+ * - 通过页面的浏览器上下文下载 Markdown 引用的图片（携带 Cookie 与 Referer）
+ * - 按内容哈希保存到 assets 目录，并把 Markdown 中的引用改写为本地相对路径
+ * - 将 SVG/WebP/AVIF/GIF/BMP 转换为 LaTeX 可以嵌入的 PNG
+ * - 下载或转换失败的图片记录到 imageLoadFailures.json，原引用保持不变
+ */
+export class AssetService {
+  constructor(options = {}) {
+    const { config = {}, logger, metadataService, politenessService, fetchImpl } = options;
+    const images = config.markdown?.images || {};
+
+    this.config = config;
+    this.logger = logger;
+    this.metadataService = metadataService || null;
+    this.politenessService = politenessService || null;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+
+    this.options = {
+      download: images.download !== false,
+      assetsDir: images.assetsDir || 'assets',
+      convert: images.convert !== false,
+      maxBytes: images.maxBytes ?? 20 * 1024 * 1024,
+      timeout: images.timeout ?? 30000,
+    };
+
+    this.assets = new Map(); // 图片 URL -> Promise<{ path } | { error }>
+    this.stats = { downloaded: 0, reused: 0, converted: 0, failed: 0 };
+  }
+
+  /**
+   * assets 目录的绝对路径（位于 Markdown 输出目录下）
+   */
+  getAssetsDir() {
+    return path.join(
+      this.config.pdfDir || 'pdfs',
+      this.config.markdown?.outputDir || 'markdown',
+      this.options.assetsDir
+    );
+  }
+
+  /**
+   * 下载 Markdown 中引用的图片并改写为本地路径
+   * @param {string} markdown
+   * @param {Object} context
+   * @param {import('puppeteer').Page} [context.page] - 已打开目标页面的浏览器页
+   * @param {string} context.pageUrl - 页面地址，用于解析相对路径与记录失败
+   * @param {number} [context.index] - 页面索引
+   * @returns {Promise<string>}
+   */
+  async localizeImages(markdown, context = {}) {
+    if (!this.options.download || !markdown) {
+      return markdown;
+    }
+
+    const replacements = new Map();
+    for (const source of findImageSources(markdown)) {
+      const imageUrl = resolveImageUrl(source, context.pageUrl);
+      if (!imageUrl) {
+        continue;
+      }
+
+      const localPath = await this._getAsset(imageUrl, context);
+      if (localPath) {
+        replacements.set(source, localPath);
+      }
+    }
+
+    return rewriteImageSources(markdown, replacements);
+  }
+
+  /**
+   * 同一图片在一次运行中只下载一次；失败时每个引用它的页面都会记录失败
+   */
+  async _getAsset(imageUrl, context) {
+    if (this.assets.has(imageUrl)) {
+      this.stats.reused++;
+    } else {
+      this.assets.set(
+        imageUrl,
+        this._storeAsset(imageUrl, context).then(
+          (assetPath) => ({ path: assetPath }),
+          (error) => ({ error })
+        )
+      );
+    }
+
+    const result = await this.assets.get(imageUrl);
+    if (!result.error) {
+      return result.path;
+    }
+
+    this.stats.failed++;
+    this.logger?.warn('Failed to download image, keeping the remote reference', {
+      url: context.pageUrl,
+      imageUrl: describeImageUrl(imageUrl),
+      error: result.error.message,
+    });
+
+    try {
+      await this.metadataService?.logImageLoadFailure(context.pageUrl, context.index, {
+        imageUrl: describeImageUrl(imageUrl),
+        reason: result.error.message,
+      });
+    } catch (error) {
+      this.logger?.debug('Failed to record image failure', { error: error.message });
+    }
+    return null;
+  }
+
+  async _storeAsset(imageUrl, { page = null, pageUrl } = {}) {
+    const { buffer, contentType } = await this._download(imageUrl, page, pageUrl);
+
+    if (buffer.length > this.options.maxBytes) {
+      throw tooLargeError(buffer.length, this.options.maxBytes);
+    }
+
+    const format = detectImageFormat(buffer, contentType);
+    if (!format) {
+      throw new Error(`Unsupported image format (${contentType || 'unknown content type'})`);
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+    const needsConversion = this.options.convert && !LATEX_FORMATS.has(format);
+    const fileName = `${hash}.${needsConversion ? 'png' : format}`;
+    const assetsDir = this.getAssetsDir();
+    const filePath = path.join(assetsDir, fileName);
+    const relativePath = path.posix.join(
+      this.options.assetsDir.split(path.sep).join('/'),
+      fileName
+    );
+
+    // 内容寻址：相同内容（包括上次运行保存的）直接复用
+    const exists = await fs
+      .access(filePath)
+      .then(() => true)
+      .catch(() => false);
+    if (exists) {
+      this.stats.reused++;
+      return relativePath;
+    }
+
+    let data = buffer;
+    if (needsConversion) {
+      data = await this._convertToPng(page, buffer, format);
+      this.stats.converted++;
+    }
+
+    await fs.mkdir(assetsDir, { recursive: true });
+    await fs.writeFile(filePath, data);
+    this.stats.downloaded++;
+
+    this.logger?.debug('Image saved', {
+      imageUrl: describeImageUrl(imageUrl),
+      filePath,
+      format,
+      converted: needsConversion,
+    });
+    return relativePath;
+  }
+
+  /**
+   * 优先在页面内 fetch（自动携带 Cookie/Referer）；跨域或 CSP 拦截时改为在 Node 中请求，
+   * 并带上浏览器中该图片地址的 Cookie 与页面 Referer
+   */
+  async _download(imageUrl, page, pageUrl) {
+    if (imageUrl.startsWith('data:')) {
+      return decodeDataUri(imageUrl);
+    }
+
+    if (page) {
+      let result;
+      try {
+        result = await page.evaluate(
+          async (src, timeout, maxBytes) => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            try {
+              const response = await fetch(src, {
+                credentials: 'include',
+                signal: controller.signal,
+              });
+              if (!response.ok) {
+                return { status: response.status };
+              }
+
+              // 超过大小限制时中止请求，不把整张图读进内存
+              const declared = Number(response.headers.get('content-length'));
+              if (declared > maxBytes) {
+                controller.abort();
+                return { tooLarge: declared };
+              }
+              const reader = response.body.getReader();
+              const chunks = [];
+              let size = 0;
+              while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                size += value.length;
+                if (size > maxBytes) {
+                  controller.abort();
+                  return { tooLarge: size };
+                }
+                chunks.push(value);
+              }
+              const bytes = new Uint8Array(size);
+              let offset = 0;
+              for (const chunk of chunks) {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+              }
+
+              let binary = '';
+              for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+              }
+              return {
+                base64: btoa(binary),
+                contentType: response.headers.get('content-type') || '',
+              };
+            } catch (error) {
+              return { error: error.message };
+            } finally {
+              clearTimeout(timer);
+            }
+          },
+          imageUrl,
+          this.options.timeout,
+          this.options.maxBytes
+        );
+      } catch (error) {
+        result = { error: error.message };
+      }
+
+      if (result?.base64 !== undefined) {
+        return { buffer: Buffer.from(result.base64, 'base64'), contentType: result.contentType };
+      }
+      if (result?.status) {
+        throw new Error(`HTTP ${result.status}`);
+      }
+      if (result?.tooLarge) {
+        throw tooLargeError(result.tooLarge, this.options.maxBytes);
+      }
+
+      this.logger?.debug('In-page image fetch failed, retrying outside the browser', {
+        imageUrl,
+        error: result?.error,
+      });
+    }
+
+    return this._downloadDirect(imageUrl, page, pageUrl);
+  }
+
+  async _downloadDirect(imageUrl, page, pageUrl) {
+    const headers = { Accept: 'image/avif,image/webp,image/*,*/*;q=0.8' };
+    const userAgent = this.config.network?.userAgent || this.config.browser?.userAgent;
+    if (userAgent) {
+      headers['User-Agent'] = userAgent;
+    }
+    if (pageUrl) {
+      headers.Referer = pageUrl;
+    }
+
+    const cookies = page ? await page.cookies(imageUrl).catch(() => []) : [];
+    if (cookies.length > 0) {
+      headers.Cookie = cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+    }
+
+    const init = { headers, signal: AbortSignal.timeout(this.options.timeout) };
+    const response = this.politenessService
+      ? await this.politenessService.fetch(imageUrl, init)
+      : await this.fetchImpl(imageUrl, init);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return {
+      buffer: await readLimitedBody(response, this.options.maxBytes),
+      contentType: response.headers?.get?.('content-type') || '',
+    };
+  }
+
+  /**
+   * 借助浏览器解码图片并通过 canvas 导出 PNG（SVG 按 2 倍分辨率栅格化）
+   */
+  async _convertToPng(page, buffer, format) {
+    if (!page) {
+      throw new Error(`Cannot convert ${format} image without a browser page`);
+    }
+
+    let base64;
+    try {
+      base64 = await page.evaluate(
+        async (data, mimeType, scale, maxSize) => {
+          const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+          const blob = new Blob([bytes], { type: mimeType });
+
+          let source;
+          let objectUrl = null;
+          if (mimeType === 'image/svg+xml') {
+            objectUrl = URL.createObjectURL(blob);
+            source = new Image();
+            source.src = objectUrl;
+            await source.decode();
+          } else {
+            source = await createImageBitmap(blob);
+          }
+
+          try {
+            const width = source.naturalWidth || source.width || 1024;
+            const height = source.naturalHeight || source.height || 768;
+            const ratio = Math.min(scale, maxSize / Math.max(width, height));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * ratio));
+            canvas.height = Math.max(1, Math.round(height * ratio));
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/png').split(',')[1];
+          } finally {
+            if (objectUrl) {
+              URL.revokeObjectURL(objectUrl);
+            }
+          }
+        },
+        buffer.toString('base64'),
+        MIME_TYPES[format],
+        format === 'svg' ? 2 : 1,
+        MAX_CANVAS_SIZE
+      );
+    } catch (error) {
+      throw new Error(`Failed to convert ${format} to png: ${error.message}`);
+    }
+
+    if (!base64) {
+      throw new Error(`Failed to convert ${format} to png: empty result`);
+    }
+    return Buffer.from(base64, 'base64');
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -0,0 +1,265 @@
+// src/services/bookFrontMatterService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { BrowserPool, withTemporaryPage } from './browserPool.js';
+import { buildDate, headerFooterTarget } from '../utils/headerFooter.js';
+import {
+  extractSiteInfo,
+  renderColophonHtml,
+  renderCoverHtml,
+  translationModel,
+} from '../utils/bookFrontMatter.js';
+
+const DEFAULT_LICENSE =
+  'The content of this book belongs to its original authors. It is an unofficial offline copy ' +
+  "of the source site; check the site's license before redistributing it.";
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+};
+
+// PDF /Lang 只接受 BCP 47 语言标签
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * BookFrontMatterService
+ * - 在最终 PDF（批量 Pandoc PDF 或合并后的 PDF）前插入封面页，末尾追加版权页
+ * - 两页用 HTML 模板在无头浏览器中打印，尺寸与书籍第一页相同，再用 pdf-lib 拼接
+ * - 书籍信息同时写入 PDF 文档信息（Title、Author、Subject、Keywords）
+ *
+ * 抓取结束后共享的浏览器池已关闭，这里临时启动一个浏览器，用完即关
+ */
+export class BookFrontMatterService {
+  constructor(options = {}) {
+    const { config = {}, logger, metadataService, fetchImpl, createBrowserPool } = options;
+
+    this.config = config;
+    this.logger = logger;
+    this.metadataService = metadataService || null;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.createBrowserPool =
+      createBrowserPool || (() => new BrowserPool({ maxBrowsers: 1, headless: true, logger }));
+
+    this.options = {
+      cover: true,
+      colophon: true,
+      logo: true,
+      keywords: [],
+      timeout: 30000,
+      ...(config.book || {}),
+    };
+
+    this.bookInfo = null;
+  }
+
+  /**
+   * 给最终 PDF 加上封面页与版权页并写入文档信息（原地替换文件）
+   * @param {string} pdfPath
+   * @returns {Promise<{outputFile: string, coverPages: number, colophonPages: number, totalPages: number}>}
+   */
+  async addToPdf(pdfPath) {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+    const bodyPages = pdfDoc.getPageCount();
+    if (bodyPages === 0) {
+      throw new Error(`PDF has no pages: ${pdfPath}`);
+    }
+
+    const info = await this.getBookInfo();
+    const { width, height } = pdfDoc.getPage(0).getSize();
+
+    let cover = null;
+    let colophon = null;
+    if (this.options.cover || this.options.colophon) {
+      await withTemporaryPage(this.createBrowserPool, async (page) => {
+        if (this.options.colophon) {
+          const bytes = await this._printHtml(page, renderColophonHtml(info), {
+            width,
+            height,
+            margin: '2cm',
+          });
+          colophon = await PDFDocument.load(bytes);
+        }
+
+        // 封面固定为一页，页数包含封面与版权页
+        if (this.options.cover) {
+          const pageCount = bodyPages + 1 + (colophon?.getPageCount() || 0);
+          const bytes = await this._printHtml(page, renderCoverHtml({ ...info, pageCount }), {
+            width,
+            height,
+            margin: '0',
+          });
+          cover = await PDFDocument.load(bytes);
+        }
+      });
+    }
+
+    if (cover) {
+      const [coverPage] = await pdfDoc.copyPages(cover, [0]);
+      pdfDoc.insertPage(0, coverPage);
+    }
+    if (colophon) {
+      const pages = await pdfDoc.copyPages(colophon, colophon.getPageIndices());
+      pages.forEach((page) => pdfDoc.addPage(page));
+    }
+
+    this._setDocumentInfo(pdfDoc, info);
+
+    // 先写临时文件，失败时不破坏已生成的书
+    const tempPath = `${pdfPath}.tmp`;
+    await fs.writeFile(tempPath, await pdfDoc.save());
+    await fs.rename(tempPath, pdfPath);
+
+    const result = {
+      outputFile: pdfPath,
+      coverPages: cover ? 1 : 0,
+      colophonPages: colophon?.getPageCount() || 0,
+      totalPages: pdfDoc.getPageCount(),
+    };
+    this.logger?.info?.('已添加封面页与版权页', result);
+    return result;
+  }
+
+  /**
+   * 封面、版权页与文档信息共用的书籍信息（同一次运行中只收集一次）
+   * @returns {Promise<Object>}
+   */
+  async getBookInfo() {
+    if (this.bookInfo) {
+      return this.bookInfo;
+    }
+
+    const book = this.options;
+    const rootURL = this.config.rootURL || '';
+    const site = { name: headerFooterTarget({ rootURL }) || rootURL, url: rootURL };
+    const translation = this.config.translation;
+
+    const configuredLanguage =
+      book.language || (translation?.enabled && translation.targetLanguage);
+    const siteInfo = book.logo === true || !configuredLanguage ? await this._fetchSiteInfo() : {};
+    const progress = this.metadataService ? await this.metadataService.getProgress() : {};
+    const logoSource = typeof book.logo === 'string' ? book.logo : book.logo && siteInfo.logoUrl;
+
+    this.bookInfo = {
+      title: book.title || this.config.output?.epub?.title || `${site.name} documentation`,
+      subtitle: book.subtitle || null,
+      author: book.author || this.config.output?.epub?.author || site.name,
+      site,
+      language: configuredLanguage || siteInfo.language || null,
+      date: buildDate(progress.savedAt ? new Date(progress.savedAt) : new Date()),
+      translation: translationModel(translation),
+      license: book.license || DEFAULT_LICENSE,
+      logo: logoSource ? await this._loadLogo(logoSource) : null,
+      keywords:
+        book.keywords.length > 0
+          ? book.keywords
+          : [...new Set([headerFooterTarget(this.config), site.name].filter(Boolean))],
+      sourceUrls: this._sourceUrls(progress),
+    };
+
+    return this.bookInfo;
+  }
+
+  /**
+   * 抓取成功的页面 URL，按页面索引排序
+   * @private
+   */
+  _sourceUrls(progress) {
+    const urlToIndex = progress.urlToIndex || {};
+    const processed = progress.processedUrls ? new Set(progress.processedUrls) : null;
+
+    return Object.entries(urlToIndex)
+      .filter(([url]) => !processed || processed.has(url))
+      .sort((a, b) => a[1] - b[1])
+      .map(([url]) => url);
+  }
+
+  /**
+   * 读取站点首页中的 logo 与语言，失败时返回空对象
+   * @private
+   */
+  async _fetchSiteInfo() {
+    if (!this.config.rootURL) {
+      return {};
+    }
+
+    try {
+      const response = await this.fetchImpl(this.config.rootURL, {
+        signal: AbortSignal.timeout(this.options.timeout),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return extractSiteInfo(await response.text(), response.url || this.config.rootURL);
+    } catch (error) {
+      this.logger?.warn?.('读取站点信息失败，封面不显示 logo', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * 把 logo（URL 或本地文件）转为 data URI，保证打印前已加载；失败时返回 null
+   * @private
+   */
+  async _loadLogo(source) {
+    try {
+      if (/^https?:\/\//i.test(source)) {
+        const response = await this.fetchImpl(source, {
+          signal: AbortSignal.timeout(this.options.timeout),
+        });
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+        if (!response.ok || !type.startsWith('image/')) {
+          throw new Error(`HTTP ${response.status} ${type}`);
+        }
+        const data = Buffer.from(await response.arrayBuffer());
+        return `data:${type};base64,${data.toString('base64')}`;
+      }
+
+      const type = IMAGE_TYPES[path.extname(source).toLowerCase()];
+      if (!type) {
+        throw new Error('unsupported image type');
+      }
+      const data = await fs.readFile(source);
+      return `data:${type};base64,${data.toString('base64')}`;
+    } catch (error) {
+      this.logger?.warn?.('封面 logo 加载失败', { logo: source, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setDocumentInfo(pdfDoc, info) {
+    pdfDoc.setTitle(info.title, { showInWindowTitleBar: true });
+    pdfDoc.setAuthor(info.author);
+    pdfDoc.setSubject(info.subtitle || `${info.site.name} documentation (${info.site.url})`);
+    pdfDoc.setKeywords(info.keywords);
+    pdfDoc.setCreator('documentation-pdf-scraper');
+    if (info.language && LANGUAGE_TAG.test(info.language)) {
+      pdfDoc.setLanguage(info.language);
+    }
+  }
+
+  /**
+   * 按书籍页面尺寸（PDF 点，1/72 英寸）打印 HTML
+   * @private
+   */
+  async _printHtml(page, html, { width, height, margin }) {
+    await page.setContent(html, { waitUntil: 'load', timeout: this.options.timeout });
+    return page.pdf({
+      width: `${width / 72}in`,
+      height: `${height / 72}in`,
+      printBackground: true,
+      margin: { top: margin, right: margin, bottom: margin, left: margin },
+    });
+  }
+}
+
+export default BookFrontMatterService;
@@ -0,0 +1,211 @@
+// src/services/browserPdfService.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PDFDocument } from 'pdf-lib';
+import { BrowserPool, withTemporaryPage } from './browserPool.js';
+import { getOutline } from '../utils/pdfOutline.js';
+import { buildIndexGroups, renderIndexHtml } from '../utils/bookIndex.js';
+import { renderMarkdownHtml, renderPrintBook, renderPrintToc } from '../utils/printBook.js';
+
+const HTML_BOOK_ASSETS = fileURLToPath(new URL('../html-book/', import.meta.url));
+
+// 整本书一次打印，大文档需要远超 Puppeteer 默认 30 秒的时间
+const PRINT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * BrowserPdfService
+ * 批量 PDF 的浏览器引擎（markdownPdf.engine: "browser"），不依赖 pandoc、xelatex 与系统字体：
+ * - 拼接与清理 Markdown 复用 PandocPdfService.prepareBatchBook，在 Node 中渲染为 HTML
+ * - 样式使用 HTML 书籍的 book.css、PDFStyleService.getPDFOptimizedCSS 与 print.css
+ * - 无头浏览器打印正文（Chrome 根据标题生成书签），再按书签页码打印目录并插到最前面
+ *
+ * 输入与 PandocPdfService.generateBatchPdf 相同；抓取结束后共享的浏览器池已关闭，这里临时启动一个浏览器
+ */
+export class BrowserPdfService {
+  constructor(options = {}) {
+    const {
+      config = {},
+      logger,
+      markdownToPdfService,
+      pdfStyleService,
+      createBrowserPool,
+    } = options;
+
+    this.config = config;
+    this.logger = logger;
+    this.markdownToPdfService = markdownToPdfService;
+    this.pdfStyleService = pdfStyleService || null;
+    this.createBrowserPool =
+      createBrowserPool || (() => new BrowserPool({ maxBrowsers: 1, headless: true, logger }));
+  }
+
+  /**
+   * 把目录中的全部 Markdown 打印为一本 PDF
+   * @param {string} markdownDir - Markdown 目录
+   * @param {string} outputPath - 输出 PDF 路径
+   * @param {Object} options - markdownPdf 配置（toc、tocDepth、pdfOptions）
+   * @param {string} [options.prependMarkdown] - 放在第一页之前的章节（例如 "What's new"）
+   * @returns {Promise<{success: boolean, filesProcessed: number, outputPath: string}>}
+   */
+  async generateBatchPdf(markdownDir, outputPath, options = {}) {
+    try {
+      this.logger?.info?.('开始使用浏览器引擎生成批量 PDF', { markdownDir, outputPath });
+
+      const { files, content, indexEntries } =
+        await this.markdownToPdfService.prepareBatchBook(markdownDir);
+
+      let markdown = content;
+      if (options.prependMarkdown) {
+        markdown = `${options.prependMarkdown.trim()}\n\n\\newpage\n\n${markdown}`;
+      }
+
+      // 索引词条链接到页面或标题锚点；浏览器无法预知页码
+      let body = renderMarkdownHtml(markdown);
+      if (indexEntries.length > 0) {
+        const groups = buildIndexGroups(
+          indexEntries.map((entry) => ({ ...entry, href: entry.anchor && `#${entry.anchor}` }))
+        );
+        body += `\n<section class="book-index">\n${renderIndexHtml(groups)}\n</section>`;
+      }
+
+      const title = this._bookTitle(options);
+      const book = {
+        title,
+        language: options.language || this.config.book?.language,
+        baseUrl: pathToFileURL(`${path.resolve(markdownDir)}${path.sep}`).href,
+        css: this._stylesheet(),
+      };
+      const printOptions = this._printOptions(options, title);
+
+      const pdfDoc = await withTemporaryPage(this.createBrowserPool, async (page) => {
+        const bodyDoc = await PDFDocument.load(
+          await this._print(page, renderPrintBook({ ...book, body }), {
+            ...printOptions,
+            tagged: true,
+            outline: true,
+          })
+        );
+
+        if (options.toc === false) {
+          return bodyDoc;
+        }
+
+        const outline = getOutline(bodyDoc);
+        if (outline.length === 0) {
+          this.logger?.warn?.('浏览器没有生成书签，跳过目录');
+          return bodyDoc;
+        }
+
+        // 目录不打印页眉页脚，页码与正文页脚一致
+        const tocDoc = await PDFDocument.load(
+          await this._print(
+            page,
+            renderPrintBook({ ...book, body: renderPrintToc(outline, options.tocDepth || 3) }),
+            { ...printOptions, displayHeaderFooter: false }
+          )
+        );
+        const tocPages = await bodyDoc.copyPages(tocDoc, tocDoc.getPageIndices());
+        tocPages.forEach((tocPage, index) => bodyDoc.insertPage(index, tocPage));
+        return bodyDoc;
+      });
+
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, await pdfDoc.save());
+
+      this.logger?.info?.('浏览器引擎批量 PDF 生成完成', {
+        outputPath,
+        filesProcessed: files.length,
+        pages: pdfDoc.getPageCount(),
+      });
+
+      return {
+        success: true,
+        filesProcessed: files.length,
+        outputPath,
+      };
+    } catch (error) {
+      this.logger?.error?.('浏览器引擎批量 PDF 生成失败', {
+        markdownDir,
+        outputPath,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _bookTitle(options) {
+    if (options.title || this.config.book?.title) {
+      return options.title || this.config.book.title;
+    }
+
+    try {
+      return `${new URL(this.config.rootURL).hostname} documentation`;
+    } catch {
+      return 'Documentation';
+    }
+  }
+
+  /**
+   * HTML 书籍的内容样式 + 站点 PDF 使用的打印优化样式 + 分页相关样式
+   * @private
+   */
+  _stylesheet() {
+    const read = (file) => fs.readFileSync(path.join(HTML_BOOK_ASSETS, file), 'utf8');
+
+    return [
+      read('book.css'),
+      this.pdfStyleService ? this.pdfStyleService.getPDFOptimizedCSS() : '',
+      read('print.css'),
+    ].join('\n');
+  }
+
+  /**
+   * page.pdf 选项：页眉页脚与边距来自 PDFStyleService，markdownPdf.pdfOptions 的纸张与边距优先
+   * @private
+   */
+  _printOptions(options, title) {
+    const printOptions = this.pdfStyleService
+      ? { ...this.pdfStyleService.getPDFOptions({ title }, { wholeBook: true }) }
+      : { format: 'A4', printBackground: true };
+    const { format, margin } = options.pdfOptions || {};
+
+    if (format) {
+      printOptions.format = format;
+    }
+    if (margin) {
+      printOptions.margin =
+        typeof margin === 'string'
+          ? { top: margin, right: margin, bottom: margin, left: margin }
+          : margin;
+    }
+
+    return { ...printOptions, timeout: PRINT_TIMEOUT };
+  }
+
+  /**
+   * 页面写入临时文件后通过 file:// 打开，本地图片才能加载
+   * @private
+   */
+  async _print(page, html, printOptions) {
+    const tempDir = path.resolve(this.config.output?.tempDirectory || '.temp');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const tempFile = path.join(tempDir, `browser_batch_${process.pid}_${Date.now()}.html`);
+
+    try {
+      fs.writeFileSync(tempFile, html, 'utf8');
+      await page.goto(pathToFileURL(tempFile).href, {
+        waitUntil: 'networkidle0',
+        timeout: PRINT_TIMEOUT,
+      });
+      return await page.pdf(printOptions);
+    } finally {
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+}
+
+export default BrowserPdfService;
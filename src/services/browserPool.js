@@ -452,3 +452,25 @@ export class BrowserPool extends EventEmitter {
     await this.initialize();
   }
 }
+
+/**
+ * 临时启动一个浏览器池并打开一个标签页，回调结束后关闭标签页和浏览器池
+ * @param {Function} createBrowserPool - 返回 BrowserPool 实例的工厂
+ * @param {Function} callback - 接收 page，返回值会被透传
+ * @returns {Promise<*>}
+ */
+export async function withTemporaryPage(createBrowserPool, callback) {
+  const browserPool = createBrowserPool();
+  try {
+    await browserPool.initialize();
+    const browser = await browserPool.getBrowser();
+    const page = await browser.newPage();
+    try {
+      return await callback(page);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  } finally {
+    await browserPool.close();
+  }
+}
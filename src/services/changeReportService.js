@@ -0,0 +1,485 @@
+// src/services/changeReportService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { diffLines, unifiedDiff } from '../utils/contentDiff.js';
+
+const FRONTMATTER_PATTERN = /^---\n([\s\S]*?)\n---\n?/;
+
+/**
+ * 读取一次运行的 Markdown 页面，按 URL（没有 URL 时按去掉序号的文件名）建立索引
+ * @param {string} markdownDir
+ * @returns {Promise<Map<string, {key: string, url: string|null, title: string, file: string,
+ *   content: string}>>}
+ */
+export async function loadMarkdownPages(markdownDir) {
+  const pages = new Map();
+  let files = [];
+  try {
+    files = await fs.readdir(markdownDir);
+  } catch {
+    return pages;
+  }
+
+  // 比较原文，译文随翻译结果变化，不代表上游文档有更新
+  const sources = files
+    .filter((file) => file.endsWith('.md') && !file.endsWith('_translated.md'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  for (const file of sources) {
+    const raw = (await fs.readFile(path.join(markdownDir, file), 'utf8')).replace(/\r\n/g, '\n');
+    const frontmatter = raw.match(FRONTMATTER_PATTERN);
+    const field = (name) => frontmatter?.[1].match(new RegExp(`^${name}:\\s*(.+?)\\s*$`, 'm'))?.[1];
+
+    const url = field('url') || null;
+    const key = url || file.replace(/^\d+-/, '');
+    pages.set(key, {
+      key,
+      url,
+      title: field('title') || path.basename(file, '.md'),
+      file,
+      // 去掉 frontmatter：页面序号变化不算内容变化
+      content: frontmatter ? raw.slice(frontmatter[0].length) : raw,
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * 比较两次运行的页面与章节结构
+ * @param {Object} params
+ * @param {{source: string, pages: Map, sectionStructure: Object|null}} params.previous
+ * @param {{source: string, pages: Map, sectionStructure: Object|null}} params.current
+ * @param {number} [params.context=3] - unified diff 的上下文行数
+ * @returns {Object}
+ */
+export function buildChangeReport({ previous, current, context = 3 }) {
+  const describe = (page) => ({ url: page.url, title: page.title, file: page.file });
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const page of current.pages.values()) {
+    const before = previous.pages.get(page.key);
+    if (!before) {
+      added.push(describe(page));
+      continue;
+    }
+
+    const { diff, additions, deletions } = unifiedDiff(before.content, page.content, {
+      oldName: `a/${before.file}`,
+      newName: `b/${page.file}`,
+      context,
+    });
+    if (diff) {
+      changed.push({ ...describe(page), additions, deletions, diff });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const page of previous.pages.values()) {
+    if (!current.pages.has(page.key)) {
+      removed.push(describe(page));
+    }
+  }
+
+  const sections = compareSections(previous.sectionStructure, current.sectionStructure);
+  const sectionChanges =
+    sections.added.length +
+    sections.removed.length +
+    sections.moved.length +
+    sections.pagesMoved.length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    previous: { source: previous.source, pages: previous.pages.size },
+    current: { source: current.source, pages: current.pages.size },
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      sectionChanges,
+    },
+    hasChanges: added.length + removed.length + changed.length + sectionChanges > 0,
+    added,
+    removed,
+    changed,
+    sections,
+  };
+}
+
+/**
+ * 章节的增删、顺序调整，以及页面在章节之间的移动
+ */
+function compareSections(previousStructure, currentStructure) {
+  const previousSections = previousStructure?.sections || [];
+  const currentSections = currentStructure?.sections || [];
+  const previousTitles = previousSections.map((section) => section.title);
+  const currentTitles = currentSections.map((section) => section.title);
+
+  const added = currentTitles.filter((title) => !previousTitles.includes(title));
+  const removed = previousTitles.filter((title) => !currentTitles.includes(title));
+
+  // 共同章节的最长公共子序列之外的章节视为被移动
+  const moved = diffLines(
+    previousTitles.filter((title) => currentTitles.includes(title)),
+    currentTitles.filter((title) => previousTitles.includes(title))
+  )
+    .filter((op) => op.type === '+')
+    .map(({ line: title }) => ({
+      title,
+      from: previousTitles.indexOf(title) + 1,
+      to: currentTitles.indexOf(title) + 1,
+    }));
+
+  const sectionByUrl = (sections) =>
+    new Map(
+      sections.flatMap((section) =>
+        (section.pages || []).filter((page) => page.url).map((page) => [page.url, section.title])
+      )
+    );
+  const previousByUrl = sectionByUrl(previousSections);
+  const pagesMoved = [...sectionByUrl(currentSections)]
+    .filter(([url, title]) => previousByUrl.has(url) && previousByUrl.get(url) !== title)
+    .map(([url, to]) => ({ url, from: previousByUrl.get(url), to }));
+
+  return { added, removed, moved, pagesMoved };
+}
+
+const fenceFor = (text) => {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+};
+
+const pageLink = (page) => (page.url ? `[${page.title}](${page.url})` : page.title);
+
+const summaryLine = ({ summary }) =>
+  `${summary.changed} changed, ${summary.added} added, ${summary.removed} removed, ` +
+  `${summary.unchanged} unchanged pages; ${summary.sectionChanges} section changes`;
+
+/**
+ * 变更报告的 Markdown 形式，也用作批量 PDF 前的 "What's new" 章节
+ * @param {Object} report - buildChangeReport 的返回值
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {number} [options.maxDiffLines=0] - 每个页面最多显示的 diff 行数，0 表示不限制
+ * @param {boolean} [options.includeSources=true] - 是否列出比较的两个目录
+ * @returns {string}
+ */
+export function formatChangeReportMarkdown(report, options = {}) {
+  const {
+    title = 'Changes since the previous run',
+    maxDiffLines = 0,
+    includeSources = true,
+  } = options;
+  const lines = [`# ${title}`, ''];
+
+  if (includeSources) {
+    lines.push(`Compared \`${report.previous.source}\` with \`${report.current.source}\`.`, '');
+  }
+  lines.push(`**${summaryLine(report)}**`, '');
+
+  const list = (heading, items) => {
+    if (items.length === 0) return;
+    lines.push(`## ${heading}`, '', ...items.map((item) => `- ${item}`), '');
+  };
+
+  list('Added pages', report.added.map(pageLink));
+  list('Removed pages', report.removed.map(pageLink));
+  list('Section changes', [
+    ...report.sections.added.map((title) => `New section **${title}**`),
+    ...report.sections.removed.map((title) => `Removed section **${title}**`),
+    ...report.sections.moved.map(
+      ({ title, from, to }) => `**${title}** moved from position ${from} to ${to}`
+    ),
+    ...report.sections.pagesMoved.map(
+      ({ url, from, to }) => `<${url}> moved from **${from}** to **${to}**`
+    ),
+  ]);
+
+  if (report.changed.length > 0) {
+    lines.push('## Changed pages', '');
+    for (const page of report.changed) {
+      let diffLinesToShow = page.diff.split('\n');
+      const hidden = maxDiffLines > 0 ? Math.max(0, diffLinesToShow.length - maxDiffLines) : 0;
+      if (hidden > 0) {
+        diffLinesToShow = diffLinesToShow.slice(0, maxDiffLines);
+      }
+
+      const diff = diffLinesToShow.join('\n');
+      const fence = fenceFor(diff);
+      lines.push(
+        `### ${page.title}`,
+        '',
+        `${page.url ? `<${page.url}> · ` : ''}+${page.additions} / -${page.deletions} lines`,
+        '',
+        `${fence}diff`,
+        diff,
+        fence,
+        ''
+      );
+      if (hidden > 0) {
+        lines.push(`*${hidden} more diff lines not shown.*`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const htmlPageLink = (page) =>
+  page.url
+    ? `<a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a>`
+    : escapeHtml(page.title);
+
+const DIFF_LINE_CLASSES = { '+': 'add', '-': 'del', '@': 'hunk' };
+
+/**
+ * 变更报告的独立 HTML 页面（内联样式，无外部依赖）
+ * @param {Object} report - buildChangeReport 的返回值
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+export function formatChangeReportHtml(report, options = {}) {
+  const { title = 'Changes since the previous run' } = options;
+  const body = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>Compared <code>${escapeHtml(report.previous.source)}</code> with ` +
+      `<code>${escapeHtml(report.current.source)}</code>.</p>`,
+    `<p class="summary">${escapeHtml(summaryLine(report))}</p>`,
+  ];
+
+  const list = (heading, items) => {
+    if (items.length === 0) return;
+    body.push(`<h2>${heading}</h2>`, '<ul>', ...items.map((item) => `  <li>${item}</li>`), '</ul>');
+  };
+
+  list('Added pages', report.added.map(htmlPageLink));
+  list('Removed pages', report.removed.map(htmlPageLink));
+  list('Section changes', [
+    ...report.sections.added.map((title) => `New section <b>${escapeHtml(title)}</b>`),
+    ...report.sections.removed.map((title) => `Removed section <b>${escapeHtml(title)}</b>`),
+    ...report.sections.moved.map(
+      ({ title, from, to }) => `<b>${escapeHtml(title)}</b> moved from position ${from} to ${to}`
+    ),
+    ...report.sections.pagesMoved.map(
+      ({ url, from, to }) =>
+        `${escapeHtml(url)} moved from <b>${escapeHtml(from)}</b> to <b>${escapeHtml(to)}</b>`
+    ),
+  ]);
+
+  if (report.changed.length > 0) {
+    body.push('<h2>Changed pages</h2>');
+    for (const page of report.changed) {
+      const diff = page.diff
+        .split('\n')
+        .map((line) => {
+          const className =
+            line.startsWith('---') || line.startsWith('+++') ? 'file' : DIFF_LINE_CLASSES[line[0]];
+          const text = escapeHtml(line);
+          return className ? `<span class="${className}">${text}</span>` : text;
+        })
+        .join('\n');
+
+      body.push(
+        '<section>',
+        `<h3>${htmlPageLink(page)}</h3>`,
+        `<p><span class="add">+${page.additions}</span> / ` +
+          `<span class="del">-${page.deletions}</span> lines</p>`,
+        `<pre class="diff">${diff}</pre>`,
+        '</section>'
+      );
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  .summary { font-weight: 600; }
+  pre.diff { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+  .add { color: #116329; background: #dafbe1; }
+  .del { color: #82071e; background: #ffebe9; }
+  .hunk { color: #0550ae; }
+  .file { color: #57606a; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * 内容变更报告：保存上次运行的 Markdown 作为基准，比较后输出 JSON / Markdown / HTML 报告
+ */
+export class ChangeReportService {
+  constructor({ config, logger, fileService, pathService }) {
+    this.config = config;
+    this.logger = logger;
+    this.fileService = fileService;
+    this.pathService = pathService;
+    this.reportConfig = config.changeReport || {};
+  }
+
+  /**
+   * 运行目录（pdfDir 或结构相同的副本）中的 Markdown 目录
+   */
+  getMarkdownDir(runDir = this.config.pdfDir) {
+    return path.join(runDir, this.config.markdown?.outputDir || 'markdown');
+  }
+
+  /**
+   * 抓取前把当前的原文 Markdown 与章节结构复制为比较基准
+   * @returns {Promise<{pages: number, dir: string}>}
+   */
+  async savePreviousRun() {
+    const previousDir = this.pathService.getPreviousRunDir();
+    const sourceDir = this.getMarkdownDir();
+    await fs.rm(previousDir, { recursive: true, force: true });
+
+    let files = [];
+    try {
+      files = (await fs.readdir(sourceDir)).filter(
+        (file) => file.endsWith('.md') && !file.endsWith('_translated.md')
+      );
+    } catch {
+      // 首次运行还没有 Markdown
+    }
+
+    if (files.length === 0) {
+      this.logger.debug('No previous Markdown output to keep for the change report');
+      return { pages: 0, dir: previousDir };
+    }
+
+    for (const file of files) {
+      await this.fileService.copyFile(
+        path.join(sourceDir, file),
+        path.join(this.getMarkdownDir(previousDir), file)
+      );
+    }
+
+    const sectionStructurePath = this.pathService.getMetadataPath('sectionStructure');
+    if (await this.fileService.exists(sectionStructurePath)) {
+      await this.fileService.copyFile(
+        sectionStructurePath,
+        path.join(previousDir, 'metadata', path.basename(sectionStructurePath))
+      );
+    }
+
+    this.logger.info('Kept previous Markdown output for the change report', {
+      pages: files.length,
+      dir: previousDir,
+    });
+    return { pages: files.length, dir: previousDir };
+  }
+
+  /**
+   * 是否存在可比较的上次运行
+   */
+  async hasPreviousRun() {
+    return this.fileService.exists(this.getMarkdownDir(this.pathService.getPreviousRunDir()));
+  }
+
+  /**
+   * 读取运行目录：既可以是 pdfDir 结构（markdown/ + metadata/），也可以直接是 Markdown 目录
+   * @private
+   */
+  async _loadRun(runDir) {
+    const nestedDir = this.getMarkdownDir(runDir);
+    const markdownDir = (await this.fileService.exists(nestedDir)) ? nestedDir : runDir;
+
+    return {
+      source: runDir,
+      pages: await loadMarkdownPages(markdownDir),
+      sectionStructure: await this._readJsonIfExists(
+        path.join(runDir, 'metadata', 'sectionStructure.json')
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _readJsonIfExists(filePath) {
+    return (await this.fileService.exists(filePath)) ? this.fileService.readJson(filePath) : null;
+  }
+
+  /**
+   * 比较两次运行并写出 changeReport.json / .md / .html
+   * @param {Object} [options]
+   * @param {string} [options.against] - 作为旧版本的目录，默认是上次运行的副本
+   * @param {string} [options.current] - 作为新版本的目录，默认是 pdfDir
+   * @param {string} [options.outputBase] - 报告文件路径（不含扩展名），默认写入 metadata 目录
+   * @returns {Promise<{report: Object, outputs: {json: string, markdown: string, html: string}}>}
+   */
+  async generate(options = {}) {
+    const previousDir = options.against || this.pathService.getPreviousRunDir();
+    const currentDir = options.current || this.config.pdfDir;
+
+    if (!(await this.fileService.exists(previousDir))) {
+      throw new Error(
+        `No previous run to compare with at ${previousDir} ` +
+          '(enable changeReport.enabled or pass a directory to compare against)'
+      );
+    }
+
+    const previous = await this._loadRun(previousDir);
+    const current = await this._loadRun(currentDir);
+    if (current.pages.size === 0) {
+      throw new Error(`No Markdown pages found in ${currentDir}`);
+    }
+
+    const report = buildChangeReport({
+      previous,
+      current,
+      context: this.reportConfig.context ?? 3,
+    });
+
+    const outputBase =
+      options.outputBase || this.pathService.getMetadataPath('changeReport').replace(/\.json$/, '');
+    const outputs = {
+      json: `${outputBase}.json`,
+      markdown: `${outputBase}.md`,
+      html: `${outputBase}.html`,
+    };
+    await this.fileService.writeJson(outputs.json, report);
+    await this.fileService.writeText(outputs.markdown, formatChangeReportMarkdown(report));
+    await this.fileService.writeText(outputs.html, formatChangeReportHtml(report));
+
+    this.logger.info('Change report written', { ...report.summary, ...outputs });
+    return { report, outputs };
+  }
+
+  /**
+   * 由最近一次变更报告生成 "What's new" 章节；没有报告或没有变化时返回 null
+   * @returns {Promise<string|null>}
+   */
+  async getWhatsNewMarkdown() {
+    const report = await this._readJsonIfExists(this.pathService.getMetadataPath('changeReport'));
+    if (!report?.hasChanges) {
+      return null;
+    }
+
+    return formatChangeReportMarkdown(report, {
+      title: "What's new",
+      maxDiffLines: this.reportConfig.maxDiffLines ?? 200,
+      includeSources: false,
+    });
+  }
+}
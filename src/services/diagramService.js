@@ -0,0 +1,331 @@
+// src/services/diagramService.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+const DIAGRAM_LANGUAGES = {
+  mermaid: 'mermaid',
+  plantuml: 'plantuml',
+  puml: 'plantuml',
+};
+
+const PLANTUML_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+
+// 渲染与导出共用的空白页：导出时只替换 body，已加载的 Mermaid 脚本保留
+const BLANK_PAGE =
+  '<!DOCTYPE html><html><head><meta charset="utf-8"><style>' +
+  'html,body{margin:0;padding:0;background:#fff}svg{display:block}' +
+  '</style></head><body></body></html>';
+
+/**
+ * 找出 Markdown 中的图表代码块（```mermaid / ```plantuml / ```puml）
+ * @param {string} markdown
+ * @returns {Array<{start: number, end: number, language: string, source: string}>}
+ *   start/end 为代码块首尾两行的行号（含）
+ */
+export function findDiagramBlocks(markdown) {
+  const blocks = [];
+  const lines = markdown.split('\n');
+  let open = null;
+
+  lines.forEach((line, lineIndex) => {
+    const match = line.match(/^\s{0,3}(`{3,}|~{3,})\s*\{?\.?([\w-]*)/);
+    if (!open) {
+      if (match) {
+        open = {
+          fence: match[1],
+          start: lineIndex,
+          language: DIAGRAM_LANGUAGES[match[2].toLowerCase()],
+        };
+      }
+      return;
+    }
+
+    const closes =
+      match && match[1][0] === open.fence[0] && match[1].length >= open.fence.length && !match[2];
+    if (closes) {
+      if (open.language) {
+        blocks.push({
+          start: open.start,
+          end: lineIndex,
+          language: open.language,
+          source: lines.slice(open.start + 1, lineIndex).join('\n'),
+        });
+      }
+      open = null;
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * PlantUML 服务器的文本编码：raw deflate 后按 PlantUML 的 64 进制字母表编码
+ */
+export function encodePlantUml(source) {
+  const data = zlib.deflateRawSync(Buffer.from(source, 'utf8'), { level: 9 });
+  let encoded = '';
+
+  for (let i = 0; i < data.length; i += 3) {
+    const chunk = (data[i] << 16) | ((data[i + 1] || 0) << 8) | (data[i + 2] || 0);
+    for (const shift of [18, 12, 6, 0]) {
+      encoded += PLANTUML_ALPHABET[(chunk >> shift) & 0x3f];
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * DiagramService
+ * - 在无头浏览器中把 Mermaid / PlantUML 代码块渲染为 SVG，再按配置导出 PDF、PNG 或 SVG
+ * - 图片按内容哈希保存到 Markdown 的 assets 目录，代码块替换为图片引用
+ * - 渲染失败的代码块保持原样，不影响页面的其余内容
+ */
+export class DiagramService {
+  constructor(options = {}) {
+    const { config = {}, logger, browserPool, fetchImpl } = options;
+    const diagrams = config.markdown?.diagrams || {};
+
+    this.config = config;
+    this.logger = logger;
+    this.browserPool = browserPool || null;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+
+    this.options = {
+      enabled: diagrams.enabled !== false,
+      format: diagrams.format || 'png',
+      theme: diagrams.theme || 'default',
+      mermaidScript:
+        diagrams.mermaidScript || 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js',
+      plantumlServer: (diagrams.plantumlServer || 'https://www.plantuml.com/plantuml').replace(
+        /\/+$/,
+        ''
+      ),
+      timeout: diagrams.timeout ?? 30000,
+      assetsDir: config.markdown?.images?.assetsDir || 'assets',
+    };
+
+    this.stats = { rendered: 0, reused: 0, failed: 0 };
+  }
+
+  /**
+   * 与图片共用的 assets 目录（位于 Markdown 输出目录下）
+   */
+  getAssetsDir() {
+    return path.join(
+      this.config.pdfDir || 'pdfs',
+      this.config.markdown?.outputDir || 'markdown',
+      this.options.assetsDir
+    );
+  }
+
+  /**
+   * 把 Markdown 中的图表代码块替换为渲染好的图片
+   * @param {string} markdown
+   * @param {Object} [context]
+   * @param {import('puppeteer').Page} [context.page] - 抓取用的页面；在同一浏览器中另开标签页渲染
+   * @param {string} [context.pageUrl] - 页面地址（日志用）
+   * @returns {Promise<string>}
+   */
+  async renderDiagrams(markdown, context = {}) {
+    if (!this.options.enabled || !markdown) {
+      return markdown;
+    }
+
+    const blocks = findDiagramBlocks(markdown);
+    if (blocks.length === 0) {
+      return markdown;
+    }
+
+    const lines = markdown.split('\n');
+    const session = { page: null, release: null, blankLoaded: false, mermaidLoaded: false };
+
+    try {
+      // 从后往前替换，前面代码块的行号保持不变
+      for (const block of [...blocks].reverse()) {
+        try {
+          const imagePath = await this._getDiagram(block, session, context);
+          lines.splice(block.start, block.end - block.start + 1, `![](${imagePath})`);
+        } catch (error) {
+          this.stats.failed++;
+          this.logger?.warn('Failed to render diagram, keeping the code block', {
+            url: context.pageUrl,
+            language: block.language,
+            error: error.message,
+          });
+        }
+      }
+    } finally {
+      await session.release?.();
+    }
+
+    return lines.join('\n');
+  }
+
+  async _getDiagram(block, session, context) {
+    const { format, theme } = this.options;
+    const hash = crypto
+      .createHash('sha256')
+      .update([block.language, format, theme, block.source].join('\n'))
+      .digest('hex')
+      .slice(0, 16);
+
+    const fileName = `diagram-${hash}.${format}`;
+    const filePath = path.join(this.getAssetsDir(), fileName);
+    const relativePath = path.posix.join(
+      this.options.assetsDir.split(path.sep).join('/'),
+      fileName
+    );
+
+    // 内容寻址：源码与输出设置都相同的图表直接复用
+    const exists = await fs
+      .access(filePath)
+      .then(() => true)
+      .catch(() => false);
+    if (exists) {
+      this.stats.reused++;
+      return relativePath;
+    }
+
+    const page = await this._getPage(session, context);
+    const svg =
+      block.language === 'mermaid'
+        ? await this._renderMermaid(page, session, block.source)
+        : await this._renderPlantUml(block.source);
+    const data = await this._exportSvg(page, session, svg);
+
+    await fs.mkdir(this.getAssetsDir(), { recursive: true });
+    await fs.writeFile(filePath, data);
+    this.stats.rendered++;
+
+    this.logger?.debug('Diagram rendered', { language: block.language, filePath });
+    return relativePath;
+  }
+
+  /**
+   * 渲染用的空白标签页：有抓取页面时在其浏览器中新开（该浏览器已被本次抓取占用），
+   * 否则从 BrowserPool 借用一个浏览器
+   */
+  async _getPage(session, { page: scraperPage } = {}) {
+    if (session.page) {
+      return session.page;
+    }
+
+    let browser;
+    let fromPool = false;
+    if (scraperPage) {
+      browser = scraperPage.browser();
+    } else if (this.browserPool) {
+      browser = await this.browserPool.getBrowser();
+      fromPool = true;
+    } else {
+      throw new Error('Rendering diagrams requires a browser');
+    }
+
+    let page;
+    try {
+      page = await browser.newPage();
+      page.setDefaultTimeout(this.options.timeout);
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: 2 });
+    } catch (error) {
+      await page?.close().catch(() => {});
+      if (fromPool) this.browserPool.releaseBrowser(browser);
+      throw error;
+    }
+
+    session.page = page;
+    session.release = async () => {
+      await page.close().catch(() => {});
+      if (fromPool) this.browserPool.releaseBrowser(browser);
+    };
+    return page;
+  }
+
+  /**
+   * 每个标签页只载入一次空白页
+   */
+  async _loadBlankPage(page, session) {
+    if (!session.blankLoaded) {
+      await page.setContent(BLANK_PAGE);
+      session.blankLoaded = true;
+    }
+  }
+
+  async _renderMermaid(page, session, source) {
+    await this._loadBlankPage(page, session);
+    if (!session.mermaidLoaded) {
+      const script = this.options.mermaidScript;
+      await page.addScriptTag(/^https?:\/\//.test(script) ? { url: script } : { path: script });
+      session.mermaidLoaded = true;
+    }
+
+    const result = await page.evaluate(
+      async (code, theme, id) => {
+        try {
+          window.mermaid.initialize({ startOnLoad: false, theme, securityLevel: 'strict' });
+          const { svg } = await window.mermaid.render(id, code);
+          return { svg };
+        } catch (error) {
+          return { error: error.message || String(error) };
+        }
+      },
+      source,
+      this.options.theme,
+      `diagram-${this.stats.rendered + this.stats.failed}`
+    );
+
+    if (!result?.svg) {
+      throw new Error(`Mermaid: ${result?.error || 'empty result'}`);
+    }
+    return result.svg;
+  }
+
+  async _renderPlantUml(source) {
+    const url = `${this.options.plantumlServer}/svg/${encodePlantUml(source)}`;
+    const response = await this.fetchImpl(url, {
+      signal: AbortSignal.timeout(this.options.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`PlantUML server returned HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * 把 SVG 放进空白页的 body，按 SVG 的实际尺寸导出
+   */
+  async _exportSvg(page, session, svg) {
+    if (this.options.format === 'svg') {
+      return svg;
+    }
+
+    await this._loadBlankPage(page, session);
+    await page.evaluate((markup) => {
+      document.body.innerHTML = markup;
+    }, svg);
+
+    const element = await page.$('body > svg');
+    if (!element) {
+      throw new Error('Renderer did not produce an SVG element');
+    }
+
+    if (this.options.format === 'png') {
+      return element.screenshot({ type: 'png' });
+    }
+
+    const box = await element.boundingBox();
+    return page.pdf({
+      width: `${Math.ceil(box.width)}px`,
+      height: `${Math.ceil(box.height)}px`,
+      printBackground: true,
+      pageRanges: '1',
+    });
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -254,4 +254,36 @@ export class FileService {
       );
     }
   }
+
+  /**
+   * 删除文件（文件不存在时忽略）
+   */
+  async removeFile(filePath) {
+    try {
+      await fs.rm(filePath, { force: true });
+      this.logger.debug(`删除文件: ${filePath}`);
+    } catch (error) {
+      throw new FileOperationError(
+        `删除文件失败: ${filePath} - ${error.message}`,
+        filePath,
+        'removeFile'
+      );
+    }
+  }
+
+  /**
+   * 删除目录及其内容（目录不存在时忽略）
+   */
+  async removeDirectory(dirPath) {
+    try {
+      await fs.rm(dirPath, { recursive: true, force: true });
+      this.logger.debug(`删除目录: ${dirPath}`);
+    } catch (error) {
+      throw new FileOperationError(
+        `删除目录失败: ${dirPath} - ${error.message}`,
+        dirPath,
+        'removeDirectory'
+      );
+    }
+  }
 }
@@ -1,5 +1,6 @@
 // src/services/geminiClient.js
 import { spawn as defaultSpawn } from 'child_process';
+import { extractJsonObject } from '../utils/common.js';
 
 /**
  * GeminiClient
@@ -10,6 +11,8 @@ export class GeminiClient {
     this.timeoutMs = options.timeoutMs || 60000;
     this.logger = options.logger;
     this.spawn = options.spawn || defaultSpawn;
+    this.command = options.command || 'gemini';
+    this.args = options.args || [];
   }
 
   /**
@@ -24,7 +27,7 @@ export class GeminiClient {
     const startTime = Date.now();
 
     return new Promise((resolve, reject) => {
-      const child = this.spawn('gemini', [instructions]);
+      const child = this.spawn(this.command, [...this.args, instructions]);
       let killed = false;
       let resolved = false;
 
@@ -98,17 +101,7 @@ export class GeminiClient {
         }
 
         try {
-          let outputJsonStr = stdout.trim();
-          const firstBrace = outputJsonStr.indexOf('{');
-          const lastBrace = outputJsonStr.lastIndexOf('}');
-
-          if (firstBrace !== -1 && lastBrace !== -1) {
-            outputJsonStr = outputJsonStr.substring(firstBrace, lastBrace + 1);
-          } else {
-            throw new Error('No JSON object found in output');
-          }
-
-          const translatedMap = JSON.parse(outputJsonStr);
+          const translatedMap = extractJsonObject(stdout);
 
           if (this.logger) {
             this.logger.debug('Translation completed', {
@@ -0,0 +1,144 @@
+// src/services/httpTranslationClients.js
+import { extractJsonObject } from '../utils/common.js';
+
+/**
+ * HttpChatClient
+ * 基于 HTTP 聊天接口的翻译客户端基类，与 GeminiClient 提供相同的 translateJson 接口
+ */
+class HttpChatClient {
+  constructor(options = {}) {
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.model = options.model;
+    this.temperature = options.temperature ?? 0;
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.logger = options.logger;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * 翻译一个 JSON 对象的值
+   * @param {Object} params
+   * @param {string} params.instructions - 系统提示词
+   * @param {Object} params.inputMap - 待翻译的键值映射
+   * @returns {Promise<Object|null>} 翻译后的键值映射，输出无法解析时返回 null
+   */
+  async translateJson({ instructions, inputMap }) {
+    const startTime = Date.now();
+    const messages = [
+      { role: 'system', content: instructions },
+      { role: 'user', content: JSON.stringify(inputMap, null, 2) },
+    ];
+
+    const { url, headers, body } = this._buildRequest(messages);
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error(`Translation timed out after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      this.logger?.error?.('Translation endpoint returned an error', {
+        url,
+        status: response.status,
+        body: errorText.substring(0, 500),
+        elapsed: Date.now() - startTime,
+      });
+      throw new Error(
+        `Translation endpoint responded with HTTP ${response.status}: ${errorText.substring(0, 200)}`
+      );
+    }
+
+    const payload = await response.json();
+    const content = this._extractContent(payload);
+
+    try {
+      const translatedMap = extractJsonObject(content);
+
+      this.logger?.debug?.('Translation completed', {
+        elapsed: Date.now() - startTime,
+        keys: Object.keys(translatedMap).length,
+      });
+
+      return translatedMap;
+    } catch (e) {
+      this.logger?.warn?.('Failed to parse translation JSON', {
+        error: e.message,
+        output: String(content ?? '').substring(0, 200),
+        elapsed: Date.now() - startTime,
+      });
+      return null;
+    }
+  }
+}
+
+/**
+ * OpenAICompatibleClient
+ * 调用 OpenAI 兼容的 /chat/completions 接口（OpenAI、Azure 代理、vLLM、llama.cpp server 等）
+ */
+export class OpenAICompatibleClient extends HttpChatClient {
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey || null;
+    this.jsonMode = options.jsonMode ?? true;
+    this.headers = options.headers || {};
+  }
+
+  _buildRequest(messages) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+    };
+    if (this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: {
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        ...this.headers,
+      },
+      body,
+    };
+  }
+
+  _extractContent(payload) {
+    return payload?.choices?.[0]?.message?.content;
+  }
+}
+
+/**
+ * OllamaClient
+ * 调用本地 Ollama 的 /api/chat 接口
+ */
+export class OllamaClient extends HttpChatClient {
+  _buildRequest(messages) {
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: {},
+      body: {
+        model: this.model,
+        messages,
+        stream: false,
+        format: 'json',
+        options: { temperature: this.temperature },
+      },
+    };
+  }
+
+  _extractContent(payload) {
+    return payload?.message?.content;
+  }
+}
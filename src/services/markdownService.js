@@ -1,6 +1,29 @@
 // src/services/markdownService.js
 import TurndownService from 'turndown';
 
+const TEX_ANNOTATION = 'annotation[encoding="application/x-tex"]';
+
+const classesOf = (node) => (node.getAttribute?.('class') || '').split(/\s+/).filter(Boolean);
+
+/**
+ * 把 TeX 源码包装为 Pandoc 的行内 $...$ 或独立成段的 $$...$$
+ */
+function formatMath(tex, display) {
+  const source = (tex || '').trim();
+  if (!source) {
+    return '';
+  }
+  return display ? `\n\n$$\n${source}\n$$\n\n` : `$${source}$`;
+}
+
+/**
+ * 从 MathML 中取回 TeX：优先 <annotation encoding="application/x-tex">，其次 alttext
+ */
+function texFromMathml(node) {
+  const math = node.nodeName.toLowerCase() === 'math' ? node : node.querySelector?.('math');
+  return node.querySelector?.(TEX_ANNOTATION)?.textContent || math?.getAttribute('alttext') || null;
+}
+
 /**
  * MarkdownService
  * - 将 HTML 内容转换为 Markdown
@@ -73,6 +96,111 @@ export class MarkdownService {
         return `\n${fence}${langSuffix}\n${code.replace(/\n$/, '')}\n${fence}\n`;
       },
     });
+
+    this._addMathRules();
+    this._addWidgetRules();
+
+    // 尚未被 Mermaid 渲染的图表源码（<pre class="mermaid">）还原为代码块，交给 DiagramService 渲染
+    this.turndown.addRule('mermaidSource', {
+      filter: (node) => classesOf(node).includes('mermaid') && !node.querySelector('svg'),
+      replacement: (content, node) => {
+        const source = (node.textContent || '').trim();
+        return source ? `\n\n\`\`\`mermaid\n${source}\n\`\`\`\n\n` : '';
+      },
+    });
+  }
+
+  /**
+   * 标签页与提示框：由 _normalizeWidgets 在页面中统一为 data-doc-* 结构后转换
+   * - 每个标签页输出加粗的标签名，后接该标签页的内容（通常是一个代码块）
+   * - 提示框输出 Pandoc fenced div（::: {.callout .callout-warning}），由 PandocPdfService 渲染为方框
+   * @private
+   */
+  _addWidgetRules() {
+    this.turndown.addRule('docTabs', {
+      filter: (node) => node.nodeName === 'DIV' && node.hasAttribute('data-doc-tabs'),
+      replacement: (content) => `\n\n${content.trim()}\n\n`,
+    });
+
+    this.turndown.addRule('docTab', {
+      filter: (node) => node.nodeName === 'DIV' && node.hasAttribute('data-doc-tab'),
+      replacement: (content, node) => {
+        const label = this.turndown.escape(node.getAttribute('data-doc-tab').trim());
+        const body = content.trim();
+        return `\n\n${label ? `**${label}**\n\n` : ''}${body}\n\n`;
+      },
+    });
+
+    this.turndown.addRule('docCallout', {
+      filter: (node) => node.nodeName === 'DIV' && node.hasAttribute('data-doc-callout'),
+      replacement: (content, node) => {
+        const kind = node.getAttribute('data-doc-callout').replace(/[^\w-]/g, '') || 'note';
+        const title = (node.getAttribute('data-doc-callout-title') || '').trim();
+        const attributes = [`.callout`, `.callout-${kind}`];
+        if (title) {
+          attributes.push(`title="${title.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+        }
+        return `\n\n::: {${attributes.join(' ')}}\n${content.trim()}\n:::\n\n`;
+      },
+    });
+  }
+
+  /**
+   * KaTeX / MathJax 渲染后的公式转换回 TeX，交给 Pandoc（xelatex）排版；
+   * 渲染出的 HTML 片段转换后只会得到一串无意义的字符
+   * @private
+   */
+  _addMathRules() {
+    // MathJax 2 的渲染结果与预览（TeX 源码保存在相邻的 <script type="math/tex">）
+    this.turndown.addRule('mathjaxRendered', {
+      filter: (node) =>
+        node.nodeName !== 'MJX-CONTAINER' &&
+        (node.id === 'MathJax_Message' ||
+          classesOf(node).some((name) => /^(MathJax|MJX)/.test(name))),
+      replacement: () => '',
+    });
+
+    this.turndown.addRule('mathjaxScript', {
+      filter: (node) =>
+        node.nodeName === 'SCRIPT' && /^math\/tex/i.test(node.getAttribute('type') || ''),
+      replacement: (content, node) =>
+        formatMath(node.textContent, /mode=display/i.test(node.getAttribute('type'))),
+    });
+
+    // 原生 MathML（含 MathJax 3 的辅助 MathML）
+    this.turndown.addRule('mathml', {
+      filter: (node) => node.nodeName.toLowerCase() === 'math',
+      replacement: (content, node) => {
+        const tex = texFromMathml(node);
+        return tex ? formatMath(tex, node.getAttribute('display') === 'block') : content;
+      },
+    });
+
+    // MathJax 3：TeX 源码由 extractAndConvertPage 写入 data-tex
+    this.turndown.addRule('mathjaxContainer', {
+      filter: (node) => node.nodeName === 'MJX-CONTAINER',
+      replacement: (content, node) => {
+        const tex = node.getAttribute('data-tex') || texFromMathml(node);
+        const display =
+          node.getAttribute('data-display') === 'true' || node.getAttribute('display') === 'true';
+        return tex ? formatMath(tex, display) : content;
+      },
+    });
+
+    // KaTeX 默认同时输出 MathML，TeX 源码在其 annotation 中
+    this.turndown.addRule('katex', {
+      filter: (node) => {
+        const classes = classesOf(node);
+        return (
+          classes.includes('katex-display') ||
+          (classes.includes('katex') && !classesOf(node.parentNode || {}).includes('katex-display'))
+        );
+      },
+      replacement: (content, node) => {
+        const tex = node.querySelector(TEX_ANNOTATION)?.textContent;
+        return tex ? formatMath(tex, classesOf(node).includes('katex-display')) : content;
+      },
+    });
   }
 
   /**
@@ -173,6 +301,177 @@ export class MarkdownService {
     }
   }
 
+  /**
+   * 提取前在页面中统一标签页与提示框的结构（Docusaurus、Starlight、Nextra、Mintlify 等）
+   * - 标签页：按 ARIA tablist 找到每个标签对应的面板；未渲染的面板先点击标签再读取，
+   *   整组替换为 <div data-doc-tabs><div data-doc-tab="npm">…</div>…</div>
+   * - 提示框：按常见的 admonition / aside / callout 结构识别类型与标题，
+   *   替换为 <div data-doc-callout="warning" data-doc-callout-title="…">…</div>
+   * @param {import('puppeteer').Page} page
+   * @param {string} selector
+   * @returns {Promise<{tabGroups: number, callouts: number}>}
+   * @private
+   */
+  async _normalizeWidgets(page, selector) {
+    try {
+      return await page.evaluate(async (contentSelector) => {
+        const container = document.querySelector(contentSelector);
+        if (!container) {
+          return { tabGroups: 0, callouts: 0 };
+        }
+
+        const textOf = (element) => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+        const isVisible = (element) =>
+          !element.hidden && element.getAttribute('aria-hidden') !== 'true';
+        let tabGroups = 0;
+        let callouts = 0;
+
+        // 1. 标签页（嵌套的标签页在外层替换后仍会被再次找到）
+        for (let guard = 0; guard < 200; guard++) {
+          const tablist = container.querySelector('[role="tablist"]:not([data-doc-skip])');
+          if (!tablist) break;
+
+          const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+          const level = tablist.parentElement?.closest('[role="tabpanel"]') || null;
+          const panelsOf = (group) =>
+            Array.from(group.querySelectorAll('[role="tabpanel"]')).filter(
+              (panel) => (panel.parentElement?.closest('[role="tabpanel"]') || null) === level
+            );
+
+          let group = tablist.parentElement;
+          while (group && panelsOf(group).length === 0 && group !== container) {
+            group = group.parentElement;
+          }
+          if (tabs.length === 0 || !group || panelsOf(group).length === 0) {
+            tablist.setAttribute('data-doc-skip', '');
+            continue;
+          }
+
+          const findPanel = (tab, position) => {
+            const controlled = tab.getAttribute('aria-controls');
+            const byId = controlled && document.getElementById(controlled);
+            if (byId) return byId;
+
+            const panels = panelsOf(group);
+            const byLabel = tab.id
+              ? panels.find((panel) => panel.getAttribute('aria-labelledby') === tab.id)
+              : null;
+            if (byLabel) return byLabel;
+            if (panels.length === tabs.length) return panels[position];
+
+            // 只渲染当前面板的组件（Headless UI 等）：只有选中的标签对应可见面板
+            return tab.getAttribute('aria-selected') === 'true'
+              ? panels.find(isVisible) || null
+              : null;
+          };
+
+          const entries = [];
+          for (const [position, tab] of tabs.entries()) {
+            let panel = findPanel(tab, position);
+            if (!panel || !panel.innerHTML.trim()) {
+              tab.click();
+              await new Promise((resolve) => setTimeout(resolve, 100));
+              panel = findPanel(tab, position);
+            }
+            entries.push({ label: textOf(tab), html: panel ? panel.innerHTML : '' });
+          }
+
+          const stale = panelsOf(group);
+          const wrapper = document.createElement('div');
+          wrapper.setAttribute('data-doc-tabs', '');
+          for (const entry of entries.filter((item) => item.html.trim())) {
+            const item = document.createElement('div');
+            item.setAttribute('data-doc-tab', entry.label);
+            item.innerHTML = entry.html;
+            wrapper.appendChild(item);
+          }
+
+          tablist.parentNode.insertBefore(wrapper, tablist);
+          tablist.remove();
+          stale.forEach((panel) => panel.remove());
+          tabGroups++;
+        }
+
+        // 2. 提示框
+        const kinds = ['note', 'tip', 'info', 'warning', 'caution', 'danger', 'important'];
+        const titleSelector = [
+          '[class*="admonitionHeading"]',
+          '.admonition-heading',
+          '.starlight-aside__title',
+          '.markdown-alert-title',
+          '.callout-title',
+          '[data-callout-title]',
+        ].join(',');
+        const contentSelectorList = [
+          '[class*="admonitionContent"]',
+          '.admonition-content',
+          '.starlight-aside__content',
+          '.callout-content',
+          '[data-callout-content]',
+        ].join(',');
+
+        const candidates = container.querySelectorAll(
+          [
+            '.theme-admonition',
+            '.admonition',
+            'aside.starlight-aside',
+            '.markdown-alert',
+            '.nextra-callout',
+            '.callout',
+            '[data-callout]',
+            '[data-callout-type]',
+          ].join(',')
+        );
+
+        for (const callout of Array.from(candidates)) {
+          // 外层提示框已被替换时，内部的候选元素不再位于文档中
+          if (!callout.isConnected) continue;
+
+          const hints = [
+            callout.getAttribute('data-callout-type'),
+            callout.getAttribute('data-callout'),
+            callout.getAttribute('data-type'),
+            callout.getAttribute('class'),
+          ]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+          const kind =
+            kinds.find((name) => new RegExp(`(^|[\\s_-])${name}([\\s_-]|$)`).test(hints)) ||
+            (/(^|[\s_-])(success|check)([\s_-]|$)/.test(hints) ? 'tip' : null) ||
+            (/(^|[\s_-])(error|alert--danger)([\s_-]|$)/.test(hints) ? 'danger' : 'note');
+
+          const titleElement = callout.querySelector(titleSelector);
+          const contentElement = callout.querySelector(contentSelectorList);
+          let html;
+          if (contentElement) {
+            html = contentElement.innerHTML;
+          } else {
+            const copy = callout.cloneNode(true);
+            copy.querySelectorAll(`${titleSelector}, svg`).forEach((node) => node.remove());
+            html = copy.innerHTML;
+          }
+
+          const title = textOf(titleElement);
+          const replacement = document.createElement('div');
+          replacement.setAttribute('data-doc-callout', kind);
+          if (title && title.toLowerCase() !== kind) {
+            replacement.setAttribute('data-doc-callout-title', title);
+          }
+          replacement.innerHTML = html;
+          callout.replaceWith(replacement);
+          callouts++;
+        }
+
+        return { tabGroups, callouts };
+      }, selector);
+    } catch (error) {
+      // 结构统一失败时按原始 DOM 转换
+      this.logger?.warn?.('标签页/提示框预处理失败', { error: error.message });
+      return { tabGroups: 0, callouts: 0 };
+    }
+  }
+
   /**
    * 从 Puppeteer 页面中提取内容区域，并转换为 Markdown
    * - 对 SVG 进行预处理：提取有意义的文本，忽略纯数字刻度
@@ -181,12 +480,26 @@ export class MarkdownService {
    * @returns {Promise<string>}
    */
   async extractAndConvertPage(page, selector) {
+    const widgets = await this._normalizeWidgets(page, selector);
+
     const { html, svgCount } = await page.evaluate((contentSelector) => {
       const container = document.querySelector(contentSelector);
       if (!container) {
         return { html: '', svgCount: 0 };
       }
 
+      // MathJax 3 不在 DOM 中保留 TeX 源码，克隆前从 MathJax 的文档对象写回容器
+      try {
+        for (const item of window.MathJax?.startup?.document?.math || []) {
+          if (item.typesetRoot && typeof item.math === 'string') {
+            item.typesetRoot.setAttribute('data-tex', item.math);
+            item.typesetRoot.setAttribute('data-display', String(!!item.display));
+          }
+        }
+      } catch {
+        // 无法读取时退回到辅助 MathML
+      }
+
       const clone = container.cloneNode(true);
       const svgs = clone.querySelectorAll('svg');
 
@@ -235,6 +548,8 @@ export class MarkdownService {
     this.logger?.debug?.('从页面提取 HTML 完成', {
       hasContent: !!html,
       svgCount,
+      tabGroups: widgets?.tabGroups || 0,
+      callouts: widgets?.callouts || 0,
     });
 
     return this.convertHtmlToMarkdown(html, { debugMeta: { svgCount } });
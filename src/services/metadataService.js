@@ -81,17 +81,23 @@ export class MetadataService {
 
   /**
    * 记录图片加载失败
+   * @param {string} url - 页面URL
+   * @param {number} index - 页面索引
+   * @param {Object} [details] - 具体图片信息，例如 { imageUrl, reason }
    */
-  async logImageLoadFailure(url, index) {
+  async logImageLoadFailure(url, index, details = {}) {
     const filePath = this.pathService.getMetadataPath('imageLoadFailures');
     const failures = await this.fileService.readJson(filePath, []);
 
-    // 检查是否已存在
-    const exists = failures.some((f) => f.url === url && f.index === index);
+    // 检查是否已存在（同一页面的不同图片分别记录）
+    const exists = failures.some(
+      (f) => f.url === url && f.index === index && f.imageUrl === details.imageUrl
+    );
     if (!exists) {
       failures.push({
         url,
         index,
+        ...details,
         timestamp: new Date().toISOString(),
       });
       await this.fileService.writeJson(filePath, failures);
@@ -127,4 +133,20 @@ export class MetadataService {
     const filePath = this.pathService.getMetadataPath('urlMapping');
     return await this.fileService.readJson(filePath, {});
   }
+
+  /**
+   * 获取 StateManager 保存的抓取进度（progress.json）
+   */
+  async getProgress() {
+    const filePath = this.pathService.getMetadataPath('progress');
+    return (await this.fileService.readJson(filePath, {})) || {};
+  }
+
+  /**
+   * 获取URL到索引的映射（由 StateManager 保存在 progress.json 中）
+   */
+  async getUrlToIndex() {
+    const progress = await this.getProgress();
+    return progress.urlToIndex || {};
+  }
 }
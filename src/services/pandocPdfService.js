@@ -2,6 +2,60 @@
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  addHeadingAnchors,
+  buildLinkTargets,
+  namespaceAnchors,
+  pageAnchor,
+  rewriteLinks,
+  shiftHeadings,
+} from '../utils/linkResolver.js';
+import {
+  buildDate,
+  headerFooterTarget,
+  renderFancyhdr,
+  resolveHeaderFooter,
+} from '../utils/headerFooter.js';
+import {
+  bookPageMarker,
+  buildSearchIndex,
+  escapeHtml,
+  findLocalAssets,
+  htmlToText,
+  markBilingualBlocks,
+  renderBookPage,
+  renderSearchIndexScript,
+  renderToc,
+  rewriteBookLinks,
+  splitBookHtml,
+} from '../utils/htmlBook.js';
+import {
+  buildIndexGroups,
+  indexMarkdown,
+  renderIndexHtml,
+  renderIndexMarkdown,
+  resolveIndexOptions,
+} from '../utils/bookIndex.js';
+
+// 把 callout fenced div 渲染为 tcolorbox 的 Lua 过滤器
+const CALLOUT_FILTER = fileURLToPath(new URL('../pandoc/callouts.lua', import.meta.url));
+
+// HTML 书籍：Pandoc 只输出正文片段（和代码高亮样式），页面外壳由 htmlBook.js 生成
+const HTML_FRAGMENT_TEMPLATE = fileURLToPath(
+  new URL('../pandoc/html-fragment.html', import.meta.url)
+);
+const HTML_BOOK_ASSETS = fileURLToPath(new URL('../html-book/', import.meta.url));
+
+// MDX 提示框组件 -> callout 类型
+const MDX_CALLOUTS = {
+  Note: 'note',
+  Info: 'info',
+  Tip: 'tip',
+  Check: 'success',
+  Warning: 'warning',
+  Danger: 'danger',
+};
 
 /**
  * PandocPdfService
@@ -32,8 +86,11 @@ export class PandocPdfService {
       // 读取文件内容
       const content = fs.readFileSync(markdownPath, 'utf8');
 
-      // 使用 convertContentToPdf 处理（它包含清理逻辑）
-      await this.convertContentToPdf(content, outputPath, options);
+      // 使用 convertContentToPdf 处理（它包含清理逻辑）；相对图片路径基于 Markdown 文件所在目录解析
+      await this.convertContentToPdf(content, outputPath, {
+        resourcePath: path.dirname(markdownPath),
+        ...options,
+      });
 
       this.logger?.info?.('Pandoc Markdown 文件转换 PDF 完成', {
         outputPath,
@@ -106,7 +163,18 @@ export class PandocPdfService {
    */
   async _runPandoc(inputPath, outputPath, options = {}) {
     const args = this._buildPandocArgs(inputPath, outputPath, options);
+    return this._spawnPandoc(args, outputPath, 'PDF');
+  }
 
+  /**
+   * 执行 Pandoc 进程并校验输出文件
+   * @param {string[]} args
+   * @param {string} outputPath
+   * @param {string} label - 输出类型（用于错误信息）
+   * @returns {Promise<void>}
+   * @private
+   */
+  _spawnPandoc(args, outputPath, label) {
     return new Promise((resolve, reject) => {
       const child = spawn(this.pandocBinary, args);
       let stdout = '';
@@ -134,7 +202,7 @@ export class PandocPdfService {
 
         // 检查输出文件是否存在
         if (!fs.existsSync(outputPath)) {
-          reject(new Error('PDF 文件未生成'));
+          reject(new Error(`${label} 文件未生成`));
           return;
         }
 
@@ -174,6 +242,9 @@ export class PandocPdfService {
     // </Step> -> remove
     cleaned = cleaned.replace(/<\/Step>/g, '\n');
 
+    // 0.05 处理 MDX 的标签页与提示框组件（Mintlify 等站点的 .mdx 源码）
+    cleaned = this._convertMdxWidgets(cleaned);
+
     // 0.1 修复缩进
     // 移除 2-4 个空格的缩进 (修复 <Step> 内容被识别为代码块的问题)
     // 注意：这将影响所有缩进文本，但在这种上下文中通常是安全的
@@ -231,6 +302,51 @@ export class PandocPdfService {
     return cleaned;
   }
 
+  /**
+   * MDX 组件转换为 Pandoc 能理解的 Markdown
+   * - <Note> / <Warning> 等提示框 -> ::: {.callout .callout-warning} fenced div
+   * - <Tabs> / <Tab title="npm"> -> 加粗的标签名 + 标签页内容
+   * - <CodeGroup> 中的 ```bash npm -> 加粗的标签名 + ```bash
+   * @param {string} content
+   * @returns {string}
+   * @private
+   */
+  _convertMdxWidgets(content) {
+    const names = Object.keys(MDX_CALLOUTS).join('|');
+
+    let converted = content.replace(
+      new RegExp(`^[ \\t]*<(${names})(?:\\s+title="([^"]*)")?[^>\\n]*>[ \\t]*$`, 'gm'),
+      (match, name, title) => {
+        const attributes = [`.callout`, `.callout-${MDX_CALLOUTS[name]}`];
+        if (title) attributes.push(`title="${title}"`);
+        return `\n::: {${attributes.join(' ')}}\n`;
+      }
+    );
+    converted = converted.replace(new RegExp(`^[ \\t]*</(${names})>[ \\t]*$`, 'gm'), '\n:::\n');
+
+    converted = converted.replace(/^[ \t]*<\/?Tabs\b[^>\n]*>[ \t]*$/gm, '');
+    converted = converted.replace(
+      /^[ \t]*<Tab\b[^>\n]*title="([^"]+)"[^>\n]*>[ \t]*$/gm,
+      '\n**$1**\n'
+    );
+    converted = converted.replace(/^[ \t]*<\/Tab>[ \t]*$/gm, '');
+
+    // CodeGroup 中代码块 info string 的剩余部分是标签名（去掉 key=value 属性）
+    converted = converted.replace(
+      /^[ \t]*<CodeGroup\b[^>\n]*>[ \t]*$([\s\S]*?)^[ \t]*<\/CodeGroup>[ \t]*$/gm,
+      (match, body) =>
+        body.replace(
+          /^([ \t]*)(`{3,})(\w+)[ \t]+([^\n]+)$/gm,
+          (fenceLine, indent, fence, lang, rest) => {
+            const label = rest.replace(/[\w-]+=(?:"[^"]*"|\{[^}]*\}|\S+)/g, '').trim();
+            return label ? `${indent}**${label}**\n\n${indent}${fence}${lang}` : fenceLine;
+          }
+        )
+    );
+
+    return converted;
+  }
+
   /**
    * 构建 Pandoc 命令行参数
    * @param {string} inputPath
@@ -255,7 +371,8 @@ export class PandocPdfService {
       '--variable',
       'geometry:margin=1in', // 页边距
       '--variable',
-      'header-includes=\\usepackage{fvextra} \\DefineVerbatimEnvironment{Highlighting}{Verbatim}{breaklines,breakanywhere,commandchars=\\\\\\{\\}} \\usepackage{xurl}', // 启用代码换行(支持任意位置) 和 URL 换行。不再使用 ltablex 防止表格溢出
+      'header-includes=\\usepackage{fvextra} \\DefineVerbatimEnvironment{Highlighting}{Verbatim}{breaklines,breakanywhere,commandchars=\\\\\\{\\}} \\usepackage{xurl} \\usepackage{tcolorbox} \\tcbuselibrary{breakable}', // 启用代码换行(支持任意位置) 和 URL 换行。不再使用 ltablex 防止表格溢出；tcolorbox 用于提示框
+      `--lua-filter=${CALLOUT_FILTER}`, // ::: {.callout .callout-warning} -> 带颜色的方框
     ];
 
     // 添加其他选项
@@ -278,6 +395,11 @@ export class PandocPdfService {
       args.push(`--toc-depth=${tocDepth}`);
     }
 
+    // 临时文件位于 .temp/，本地图片（assets/...）需要基于 Markdown 目录解析
+    if (options.resourcePath) {
+      args.push(`--resource-path=${[options.resourcePath, '.'].join(path.delimiter)}`);
+    }
+
     // 语法高亮（Pandoc 3+ 使用 --highlight-style）
     // 支持的样式: pygments, tango, espresso, zenburn, kate, monochrome, breezedark, haddock
     const highlightStyle = markdownPdfConfig.highlightStyle;
@@ -286,6 +408,27 @@ export class PandocPdfService {
       args.push('--highlight-style', style);
     }
 
+    // 页眉页脚（重复的 header-includes 会追加到导言区）；单页转换默认不加，页码会每页重新开始
+    const headerFooter = resolveHeaderFooter(this.config.pdf?.headerFooter, {
+      perPage: !markdownPdfConfig.wholeBook,
+    });
+    if (headerFooter) {
+      const values = {
+        target: headerFooterTarget(this.config),
+        url: this.config.rootURL || '',
+        date: buildDate(),
+      };
+      args.push('--variable', `header-includes=${renderFancyhdr(headerFooter, values)}`);
+    }
+
+    // 书末索引：imakeidx 在 xelatex 编译时自动运行 makeindex
+    if (markdownPdfConfig.makeIndex) {
+      args.push(
+        '--variable',
+        'header-includes=\\usepackage{imakeidx} \\makeindex[intoc,columns=2,title=Index]'
+      );
+    }
+
     return args;
   }
 
@@ -296,6 +439,8 @@ export class PandocPdfService {
    * @param {string} markdownDir - Directory containing markdown files
    * @param {string} outputPath - Path for the output PDF
    * @param {Object} options - PDF generation options
+   * @param {string} [options.prependMarkdown] - Chapter placed before the first page
+   *   (e.g. the "What's new" change report)
    * @returns {Promise<{success: boolean, filesProcessed: number, outputPath: string}>}
    */
   async generateBatchPdf(markdownDir, outputPath, options = {}) {
@@ -305,99 +450,832 @@ export class PandocPdfService {
         outputPath,
       });
 
-      // 1. Get all markdown files sorted by index
-      const files = this._getMarkdownFiles(markdownDir);
-      if (files.length === 0) {
-        throw new Error(`No markdown files found in ${markdownDir}`);
-      }
-
-      this.logger?.info?.(`Found ${files.length} markdown files for batch processing`);
+      const { files, content, indexEntries } = await this.prepareBatchBook(markdownDir);
+      const { prependMarkdown, ...pandocOptions } = options;
 
-      // 2. Load section structure and article titles for hierarchical TOC
-      let sectionStructure = null;
-      let articleTitles = {};
+      let cleanedContent = content;
+      if (prependMarkdown) {
+        cleanedContent = `${prependMarkdown.trim()}\n\n\\newpage\n\n${cleanedContent}`;
+      }
 
-      if (this.metadataService) {
-        try {
-          sectionStructure = await this.metadataService.getSectionStructure();
-          articleTitles = await this.metadataService.getArticleTitles();
-          this.logger?.debug?.('Loaded metadata for batch PDF', {
-            sections: sectionStructure?.sections?.length || 0,
-            titles: Object.keys(articleTitles).length,
-          });
-        } catch (metaError) {
-          this.logger?.warn?.('Could not load metadata, using flat structure', {
-            error: metaError.message,
-          });
-        }
+      // The \index entries were placed by _prepareBatchMarkdown; LaTeX prints the index at the end
+      const makeIndex = indexEntries.length > 0;
+      if (makeIndex) {
+        cleanedContent = `${cleanedContent}\n\n\\printindex\n`;
       }
 
-      // 3. Concatenate markdown files with page breaks
-      const combinedContent = this._concatenateMarkdownFiles(
-        markdownDir,
-        files,
-        sectionStructure,
-        articleTitles
+      await this._withBatchTempFile(cleanedContent, outputPath, (tempFile) =>
+        this._runPandoc(tempFile, outputPath, {
+          resourcePath: markdownDir,
+          ...pandocOptions,
+          toc: true,
+          tocDepth: options.tocDepth || 3,
+          makeIndex,
+          wholeBook: true,
+        })
       );
 
-      this.logger?.info?.('Markdown files concatenated', {
-        totalLength: combinedContent.length,
+      this.logger?.info?.('Batch PDF generation completed', {
+        outputPath,
         filesProcessed: files.length,
+        indexTerms: indexEntries.length,
       });
 
-      // 4. Clean the combined content
-      const cleanedContent = this._cleanMarkdownContent(combinedContent);
+      return {
+        success: true,
+        filesProcessed: files.length,
+        outputPath,
+      };
+    } catch (error) {
+      this.logger?.error?.('Batch PDF generation failed', {
+        markdownDir,
+        outputPath,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
 
-      // 5. Write to temp file and run Pandoc
-      const tempDir = path.join(process.cwd(), '.temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
+  /**
+   * Combined and cleaned markdown of a batch, shared with the browser PDF engine
+   * (see BrowserPdfService)
+   *
+   * @param {string} markdownDir - Directory containing markdown files
+   * @returns {Promise<{files: string[], content: string, indexEntries: Object[]}>}
+   */
+  async prepareBatchBook(markdownDir) {
+    const { files, content, indexEntries } = await this._prepareBatchMarkdown(markdownDir);
 
-      const tempFile = path.join(tempDir, `batch_${Date.now()}.md`);
-      fs.writeFileSync(tempFile, cleanedContent, 'utf8');
+    return { files, content: this._cleanMarkdownContent(content), indexEntries };
+  }
 
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+  /**
+   * Build one part of a collection book from a target's markdown directory.
+   * The target becomes an H1 part, its sections and pages move one level down, and page
+   * anchors get the namespace as prefix so indices from different targets cannot collide
+   *
+   * @param {string} markdownDir - Directory containing the target's markdown files
+   * @param {{title: string, namespace: string}} part
+   * @returns {Promise<{files: string[], content: string}>}
+   */
+  async prepareCollectionPart(markdownDir, { title, namespace }) {
+    const { files, content } = await this._prepareBatchMarkdown(markdownDir);
+    const body = shiftHeadings(namespaceAnchors(content, namespace), 1);
 
-      try {
-        await this._runPandoc(tempFile, outputPath, {
+    return {
+      files,
+      content: `# ${title} {#${namespace}}\n\n${body}`,
+    };
+  }
+
+  /**
+   * Generate a single PDF from several collection parts (see prepareCollectionPart)
+   *
+   * @param {Array<{content: string, files: string[], resourcePath: string}>} parts
+   * @param {string} outputPath - Path for the output PDF
+   * @param {Object} options - PDF generation options
+   * @returns {Promise<{success: boolean, filesProcessed: number, outputPath: string}>}
+   */
+  async generateCollectionPdf(parts, outputPath, options = {}) {
+    const filesProcessed = parts.reduce((total, part) => total + part.files.length, 0);
+
+    try {
+      this.logger?.info?.('Starting collection PDF generation', {
+        parts: parts.length,
+        outputPath,
+      });
+
+      const content = parts.map((part) => part.content).join('\n\\newpage\n\n');
+      const cleanedContent = this._cleanMarkdownContent(content);
+
+      await this._withBatchTempFile(cleanedContent, outputPath, (tempFile) =>
+        this._runPandoc(tempFile, outputPath, {
           ...options,
+          resourcePath: parts.map((part) => part.resourcePath).join(path.delimiter),
           toc: true,
           tocDepth: options.tocDepth || 3,
+          wholeBook: true,
+        })
+      );
+
+      this.logger?.info?.('Collection PDF generation completed', { outputPath, filesProcessed });
+
+      return {
+        success: true,
+        filesProcessed,
+        outputPath,
+      };
+    } catch (error) {
+      this.logger?.error?.('Collection PDF generation failed', {
+        outputPath,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a reflowable EPUB3 book from all markdown files in a directory
+   * Sections become chapters and the nav document follows the same hierarchy as the batch PDF TOC
+   *
+   * @param {string} markdownDir - Directory containing markdown files
+   * @param {string} outputPath - Path for the output EPUB
+   * @param {Object} options - markdownPdf settings merged with output.epub metadata
+   * @returns {Promise<{success: boolean, filesProcessed: number, outputPath: string}>}
+   */
+  async generateBatchEpub(markdownDir, outputPath, options = {}) {
+    try {
+      this.logger?.info?.('Starting batch EPUB generation', {
+        markdownDir,
+        outputPath,
+      });
+
+      const { files, content, indexEntries } = await this._prepareBatchMarkdown(markdownDir);
+
+      // LaTeX page breaks have no meaning in EPUB; chapters are split by section instead
+      let cleanedContent = this._cleanMarkdownContent(content.replace(/^\\newpage[ \t]*$/gm, ''));
+
+      // The index becomes the last chapter; entries link to the page or heading anchors
+      if (indexEntries.length > 0) {
+        const groups = buildIndexGroups(
+          indexEntries.map((entry) => ({ ...entry, href: entry.anchor && `#${entry.anchor}` }))
+        );
+        cleanedContent = `${cleanedContent}\n\n${renderIndexMarkdown(groups)}`;
+      }
+
+      const pandocVersion = await this._getPandocVersion();
+      await this._withBatchTempFile(cleanedContent, outputPath, (tempFile) => {
+        const args = this._buildEpubArgs(tempFile, outputPath, {
+          ...options,
+          resourcePath: markdownDir,
+          pandocVersion,
         });
+        return this._spawnPandoc(args, outputPath, 'EPUB');
+      });
+
+      this.logger?.info?.('Batch EPUB generation completed', {
+        outputPath,
+        filesProcessed: files.length,
+      });
 
-        this.logger?.info?.('Batch PDF generation completed', {
-          outputPath,
-          filesProcessed: files.length,
+      return {
+        success: true,
+        filesProcessed: files.length,
+        outputPath,
+      };
+    } catch (error) {
+      this.logger?.error?.('Batch EPUB generation failed', {
+        markdownDir,
+        outputPath,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Installed pandoc version, detected once per service
+   * @returns {Promise<number[]|null>} [major, minor], or null when it cannot be determined
+   * @private
+   */
+  _getPandocVersion() {
+    if (!this.pandocVersion) {
+      this.pandocVersion = new Promise((resolve) => {
+        const child = spawn(this.pandocBinary, ['--version']);
+        let stdout = '';
+
+        child.stdout.on('data', (data) => {
+          stdout += data.toString();
+        });
+        child.on('close', () => {
+          const match = stdout.match(/^pandoc(?:\.exe)?\s+(\d+)\.(\d+)/m);
+          resolve(match ? [Number(match[1]), Number(match[2])] : null);
         });
+        child.on('error', () => resolve(null));
+      }).catch(() => null);
+    }
+    return this.pandocVersion;
+  }
 
-        return {
-          success: true,
-          filesProcessed: files.length,
-          outputPath,
-        };
-      } finally {
-        // Cleanup temp file
+  /**
+   * Build Pandoc arguments for EPUB3 output
+   * @param {string} inputPath
+   * @param {string} outputPath
+   * @param {Object} options
+   * @param {number[]|null} [options.pandocVersion] - [major, minor] from _getPandocVersion
+   * @returns {string[]}
+   * @private
+   */
+  _buildEpubArgs(inputPath, outputPath, options = {}) {
+    // --split-level replaced --epub-chapter-level in pandoc 3.0; 2.x only knows the old name
+    const legacyPandoc = options.pandocVersion && options.pandocVersion[0] < 3;
+    const args = [
+      inputPath,
+      '-o',
+      outputPath,
+      '--to=epub3',
+      // One chapter per section (H1)
+      legacyPandoc ? '--epub-chapter-level=1' : '--split-level=1',
+      '--metadata',
+      `title=${options.title || 'Documentation'}`,
+    ];
+
+    if (options.author) {
+      args.push('--metadata', `author=${options.author}`);
+    }
+    if (options.publisher) {
+      args.push('--metadata', `publisher=${options.publisher}`);
+    }
+    if (options.language) {
+      args.push('--metadata', `lang=${options.language}`);
+    }
+    if (options.description) {
+      args.push('--metadata', `description=${options.description}`);
+    }
+
+    // Relative image links in the page markdown are resolved against the markdown directory
+    if (options.resourcePath) {
+      args.push(`--resource-path=${[options.resourcePath, '.'].join(path.delimiter)}`);
+    }
+
+    if (options.coverImage) {
+      if (fs.existsSync(options.coverImage)) {
+        args.push(`--epub-cover-image=${options.coverImage}`);
+      } else {
+        this.logger?.warn?.('EPUB cover image not found, skipping', {
+          coverImage: options.coverImage,
+        });
+      }
+    }
+
+    if (options.stylesheet) {
+      args.push(`--css=${options.stylesheet}`);
+    }
+
+    if (options.toc !== false) {
+      args.push('--toc', `--toc-depth=${options.tocDepth || 3}`);
+    }
+
+    const highlightStyle = options.highlightStyle;
+    if (highlightStyle) {
+      const style = highlightStyle === 'github' ? 'pygments' : highlightStyle;
+      args.push('--highlight-style', style);
+    }
+
+    return args;
+  }
+
+  /**
+   * Generate a static HTML book with a sidebar TOC and offline client-side search.
+   * Pages are grouped exactly like the batch PDF; bilingual translations are shown side by side
+   *
+   * @param {string} markdownDir - Directory containing markdown files
+   * @param {string} outputDir - Directory for index.html, the page files and assets/
+   * @param {Object} options - markdownPdf settings merged with output.html
+   * @param {'single'|'multi'} [options.layout='multi'] - One page per file or everything in index.html
+   * @returns {Promise<{success: boolean, filesProcessed: number, outputPath: string}>}
+   */
+  async generateBatchHtml(markdownDir, outputDir, options = {}) {
+    const outputPath = path.join(outputDir, 'index.html');
+
+    try {
+      this.logger?.info?.('Starting batch HTML generation', {
+        markdownDir,
+        outputDir,
+      });
+
+      const { files, sectionStructure, articleTitles, linkOptions } =
+        await this._loadBatchSources(markdownDir);
+      const pages = this._loadPages(markdownDir, files, linkOptions, { pairBilingual: true });
+      const groups = this._groupPages(
+        pages,
+        files,
+        sectionStructure?.sections || [],
+        articleTitles,
+        this._indexFiles(files)
+      ).filter((group) => group.pages.length > 0);
+
+      const entries = groups.flatMap((group, groupIndex) =>
+        group.pages.map((page) => ({ ...page, section: group.title, group: groupIndex }))
+      );
+      entries.forEach((entry, position) => {
+        entry.id = entry.index !== null ? pageAnchor(entry.index) : `page-extra-${position}`;
+      });
+
+      const indexOptions = resolveIndexOptions(this.config.markdownPdf?.index);
+      if (indexOptions) {
+        entries.forEach((entry) => {
+          entry.indexTerms = indexMarkdown(entry.content, {
+            ...indexOptions,
+            title: entry.title,
+          }).terms;
+        });
+      }
+
+      // One Pandoc run for the whole book keeps heading ids unique; markers split it afterwards
+      const content = entries
+        .map(
+          (entry, position) =>
+            `${bookPageMarker(position)}\n\n## ${entry.title} {#${entry.id}}\n\n${entry.content}\n`
+        )
+        .join('\n');
+      const cleanedContent = this._cleanMarkdownContent(content.replace(/^\\newpage[ \t]*$/gm, ''));
+
+      // The book directory is generated as a whole; drop pages of a previous build
+      fs.rmSync(outputDir, { recursive: true, force: true });
+
+      let html = '';
+      await this._withBatchTempFile(cleanedContent, outputPath, async (tempFile) => {
+        const fragmentPath = tempFile.replace(/\.md$/, '.html');
         try {
-          fs.unlinkSync(tempFile);
-        } catch {
-          // Ignore cleanup errors
+          await this._spawnPandoc(
+            this._buildHtmlArgs(tempFile, fragmentPath, options),
+            fragmentPath,
+            'HTML'
+          );
+          html = fs.readFileSync(fragmentPath, 'utf8');
+        } finally {
+          fs.rmSync(fragmentPath, { force: true });
         }
-      }
+      });
+
+      const { css, pages: fragments } = splitBookHtml(html, entries.length);
+      entries.forEach((entry, position) => {
+        entry.html = fragments[position];
+      });
+      this._writeHtmlBook(outputDir, groups, entries, { ...options, css });
+      this._copyHtmlBookImages(markdownDir, outputDir, fragments);
+
+      this.logger?.info?.('Batch HTML generation completed', {
+        outputPath,
+        filesProcessed: files.length,
+      });
+
+      return {
+        success: true,
+        filesProcessed: files.length,
+        outputPath,
+      };
     } catch (error) {
-      this.logger?.error?.('Batch PDF generation failed', {
+      this.logger?.error?.('Batch HTML generation failed', {
         markdownDir,
-        outputPath,
+        outputDir,
         error: error.message,
       });
       throw error;
     }
   }
 
+  /**
+   * Build Pandoc arguments for the HTML book body fragment
+   * @param {string} inputPath
+   * @param {string} outputPath
+   * @param {Object} options
+   * @returns {string[]}
+   * @private
+   */
+  _buildHtmlArgs(inputPath, outputPath, options = {}) {
+    const args = [
+      inputPath,
+      '-o',
+      outputPath,
+      '--to=html5',
+      `--template=${HTML_FRAGMENT_TEMPLATE}`,
+      '--mathml', // No MathJax/KaTeX download needed when reading offline
+      `--lua-filter=${CALLOUT_FILTER}`,
+      '--metadata',
+      `pagetitle=${options.title || 'Documentation'}`,
+    ];
+
+    const highlightStyle = options.highlightStyle;
+    if (highlightStyle) {
+      const style = highlightStyle === 'github' ? 'pygments' : highlightStyle;
+      args.push('--highlight-style', style);
+    }
+
+    return args;
+  }
+
+  /**
+   * Write the book pages, the search index and the stylesheets/scripts into outputDir
+   * @private
+   */
+  _writeHtmlBook(outputDir, groups, entries, options) {
+    const bookTitle = options.title || 'Documentation';
+    const single = options.layout === 'single';
+    const assetsDir = path.join(outputDir, 'assets');
+    fs.mkdirSync(assetsDir, { recursive: true });
+
+    const stylesheets = ['assets/book.css'];
+    fs.copyFileSync(path.join(HTML_BOOK_ASSETS, 'book.css'), path.join(assetsDir, 'book.css'));
+    fs.copyFileSync(path.join(HTML_BOOK_ASSETS, 'book.js'), path.join(assetsDir, 'book.js'));
+    if (options.css) {
+      fs.writeFileSync(path.join(assetsDir, 'highlight.css'), `${options.css}\n`, 'utf8');
+      stylesheets.push('assets/highlight.css');
+    }
+    if (options.stylesheet) {
+      if (fs.existsSync(options.stylesheet)) {
+        fs.copyFileSync(options.stylesheet, path.join(assetsDir, 'custom.css'));
+        stylesheets.push('assets/custom.css');
+      } else {
+        this.logger?.warn?.('HTML stylesheet not found, skipping', {
+          stylesheet: options.stylesheet,
+        });
+      }
+    }
+
+    const hrefFor = (entry) => (single ? `#${entry.id}` : `${entry.id}.html`);
+    const tocGroups = groups.map((group, groupIndex) => ({
+      title: group.title,
+      pages: entries
+        .filter((entry) => entry.group === groupIndex)
+        .map((entry) => ({ title: entry.title, href: hrefFor(entry) })),
+    }));
+
+    // Index terms link to the heading anchor when the heading has one, otherwise to the page
+    const indexGroups = buildIndexGroups(
+      entries.flatMap((entry) =>
+        (entry.indexTerms || []).map((term) => ({
+          ...term,
+          title: entry.title,
+          href: term.anchor ? `${single ? '' : hrefFor(entry)}#${term.anchor}` : hrefFor(entry),
+        }))
+      )
+    );
+    const indexHref = single ? '#book-index' : 'book-index.html';
+    if (indexGroups.length > 0) {
+      tocGroups.push({ title: null, pages: [{ title: 'Index', href: indexHref }] });
+    }
+
+    const searchIndex = buildSearchIndex(
+      entries.map((entry) => ({
+        title: entry.title,
+        section: entry.section,
+        href: single ? `index.html#${entry.id}` : hrefFor(entry),
+        text: htmlToText(entry.html),
+      }))
+    );
+    fs.writeFileSync(
+      path.join(assetsDir, 'search-index.js'),
+      renderSearchIndexScript(searchIndex),
+      'utf8'
+    );
+
+    const page = (file, title, content, currentHref) =>
+      fs.writeFileSync(
+        path.join(outputDir, file),
+        renderBookPage({
+          title,
+          bookTitle,
+          language: options.language,
+          toc: renderToc(tocGroups, currentHref),
+          content,
+          stylesheets,
+          scripts: ['assets/search-index.js', 'assets/book.js'],
+        }),
+        'utf8'
+      );
+
+    if (single) {
+      const body = groups.map((group, groupIndex) => {
+        const pagesHtml = entries
+          .filter((entry) => entry.group === groupIndex)
+          .map((entry) => `<section class="book-page">\n${entry.html}\n</section>`)
+          .join('\n');
+        return group.title === null
+          ? pagesHtml
+          : `<h1 class="book-section">${escapeHtml(group.title)}</h1>\n${pagesHtml}`;
+      });
+      if (indexGroups.length > 0) {
+        body.push(
+          `<section class="book-page book-index" id="book-index">\n${renderIndexHtml(indexGroups)}\n</section>`
+        );
+      }
+      page('index.html', bookTitle, body.join('\n'));
+      return;
+    }
+
+    // Links to anchors on other pages need the file name in the multi-page layout
+    const fileForId = new Map();
+    for (const entry of entries) {
+      for (const match of entry.html.matchAll(/\sid="([^"]+)"/g)) {
+        fileForId.set(match[1], hrefFor(entry));
+      }
+    }
+
+    entries.forEach((entry, position) => {
+      const file = hrefFor(entry);
+      const previous = entries[position - 1];
+      const next = entries[position + 1];
+      const pager = [
+        previous &&
+          `<a class="book-prev" href="${hrefFor(previous)}">← ${escapeHtml(previous.title)}</a>`,
+        next && `<a class="book-next" href="${hrefFor(next)}">${escapeHtml(next.title)} →</a>`,
+      ].filter(Boolean);
+
+      page(
+        file,
+        entry.title,
+        [
+          entry.section && `<p class="book-breadcrumb">${escapeHtml(entry.section)}</p>`,
+          rewriteBookLinks(entry.html, fileForId, file),
+          `<nav class="book-pager">\n${pager.join('\n')}\n</nav>`,
+        ]
+          .filter(Boolean)
+          .join('\n'),
+        file
+      );
+    });
+
+    if (indexGroups.length > 0) {
+      page(
+        indexHref,
+        'Index',
+        `<section class="book-index">\n${renderIndexHtml(indexGroups)}\n</section>`,
+        indexHref
+      );
+    }
+
+    const cover = [
+      `<h1>${escapeHtml(bookTitle)}</h1>`,
+      `<p class="book-summary">${entries.length} pages</p>`,
+      renderToc(tocGroups),
+    ];
+    page('index.html', bookTitle, cover.join('\n'));
+  }
+
+  /**
+   * Copy images referenced with relative paths next to the pages so the book works offline
+   * @private
+   */
+  _copyHtmlBookImages(markdownDir, outputDir, fragments) {
+    const root = path.resolve(outputDir);
+    let copied = 0;
+
+    for (const src of findLocalAssets(fragments.join('\n'))) {
+      let relative = src;
+      try {
+        relative = decodeURI(src);
+      } catch {
+        // Keep the raw path
+      }
+
+      const source = path.resolve(markdownDir, relative);
+      const target = path.resolve(root, relative);
+      if (!target.startsWith(root + path.sep)) {
+        this.logger?.warn?.('Image outside of the markdown directory, skipping', { src });
+        continue;
+      }
+      if (!fs.existsSync(source)) continue;
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target);
+      copied++;
+    }
+
+    if (copied > 0) {
+      this.logger?.debug?.('Copied HTML book images', { copied });
+    }
+  }
+
+  /**
+   * Collect and concatenate markdown files with the section hierarchy from metadata
+   * @param {string} markdownDir
+   * @returns {Promise<{files: string[], content: string, indexEntries: Object[]}>}
+   *   indexEntries lists the book index terms of every page (empty when the index is disabled)
+   * @private
+   */
+  async _prepareBatchMarkdown(markdownDir) {
+    const { files, sectionStructure, articleTitles, linkOptions } =
+      await this._loadBatchSources(markdownDir);
+
+    // 4. Concatenate markdown files with page breaks
+    const indexEntries = [];
+    const content = this._concatenateMarkdownFiles(
+      markdownDir,
+      files,
+      sectionStructure,
+      articleTitles,
+      linkOptions,
+      indexEntries
+    );
+
+    this.logger?.info?.('Markdown files concatenated', {
+      totalLength: content.length,
+      filesProcessed: files.length,
+    });
+
+    return { files, content, indexEntries };
+  }
+
+  /**
+   * Collect the markdown files of a batch together with metadata and link options
+   * @param {string} markdownDir
+   * @returns {Promise<{files: string[], sectionStructure: Object|null, articleTitles: Object, linkOptions: Object|null}>}
+   * @private
+   */
+  async _loadBatchSources(markdownDir) {
+    // 1. Get all markdown files sorted by index
+    const files = this._getMarkdownFiles(markdownDir);
+    if (files.length === 0) {
+      throw new Error(`No markdown files found in ${markdownDir}`);
+    }
+
+    this.logger?.info?.(`Found ${files.length} markdown files for batch processing`);
+
+    // 2. Load section structure and article titles for hierarchical TOC
+    let sectionStructure = null;
+    let articleTitles = {};
+
+    if (this.metadataService) {
+      try {
+        sectionStructure = await this.metadataService.getSectionStructure();
+        articleTitles = await this.metadataService.getArticleTitles();
+        this.logger?.debug?.('Loaded metadata for batch output', {
+          sections: sectionStructure?.sections?.length || 0,
+          titles: Object.keys(articleTitles).length,
+        });
+      } catch (metaError) {
+        this.logger?.warn?.('Could not load metadata, using flat structure', {
+          error: metaError.message,
+        });
+      }
+    }
+
+    // 3. Resolve cross-page links to anchors inside the combined document
+    const linkOptions = await this._loadLinkOptions(sectionStructure);
+
+    return { files, sectionStructure, articleTitles, linkOptions };
+  }
+
+  /**
+   * Build link rewriting options from config.links and the scrape metadata
+   * @returns {Promise<{targets: Map<string, string>, footnotes: boolean}|null>} null when disabled
+   * @private
+   */
+  async _loadLinkOptions(sectionStructure) {
+    const linksConfig = this.config.links || {};
+    if (linksConfig.internal === false) {
+      return null;
+    }
+
+    let progress = {};
+    let urlMapping = {};
+    if (this.metadataService) {
+      try {
+        progress = (await this.metadataService.getProgress?.()) || {};
+        urlMapping = (await this.metadataService.getUrlMapping?.()) || {};
+      } catch (metaError) {
+        this.logger?.warn?.('Could not load URL mapping, only section pages are linkable', {
+          error: metaError.message,
+        });
+      }
+    }
+
+    return {
+      targets: buildLinkTargets({
+        urlToIndex: progress.urlToIndex,
+        processedUrls: progress.processedUrls,
+        urlMapping,
+        sectionStructure,
+      }),
+      footnotes: linksConfig.footnotes === true,
+    };
+  }
+
+  /**
+   * Read page files, strip frontmatter and (when enabled) rewrite in-scope links to anchors
+   * @param {Object} [options]
+   * @param {boolean} [options.pairBilingual=false] - Wrap original/translation pairs of
+   *   bilingual translations in fenced divs (HTML book only)
+   * @returns {Map<string, {index: string|null, content: string}>} filename -> page
+   * @private
+   */
+  _loadPages(dir, files, linkOptions, options = {}) {
+    const pages = new Map();
+    const headingSlugs = new Map();
+    let bilingualPairs = 0;
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      if (!fs.existsSync(filePath)) continue;
+
+      const raw = fs.readFileSync(filePath, 'utf8');
+      const prefix = file.split('-')[0];
+      const index = /^\d+$/.test(prefix) ? String(parseInt(prefix, 10)) : null;
+      const urlMatch = raw.startsWith('---\n') ? raw.match(/^url:\s*(\S+)\s*$/m) : null;
+
+      let content = this._removeFrontmatter(raw);
+      if (options.pairBilingual && file.endsWith('_translated.md')) {
+        const originalPath = path.join(dir, file.replace(/_translated\.md$/, '.md'));
+        if (fs.existsSync(originalPath)) {
+          const original = this._removeFrontmatter(fs.readFileSync(originalPath, 'utf8'));
+          const paired = markBilingualBlocks(content, original);
+          content = paired.content;
+          bilingualPairs += paired.pairs;
+        }
+      }
+      if (linkOptions && index !== null) {
+        const anchored = addHeadingAnchors(content, index);
+        content = anchored.content;
+        headingSlugs.set(index, anchored.slugs);
+      }
+
+      pages.set(file, { index, url: urlMatch ? urlMatch[1] : null, content });
+    }
+
+    if (bilingualPairs > 0) {
+      this.logger?.info?.('Bilingual paragraphs paired', { pairs: bilingualPairs });
+    }
+
+    if (linkOptions) {
+      let internal = 0;
+      let external = 0;
+
+      // Only pages that are actually part of this book can be link targets
+      const targets = new Map(
+        [...linkOptions.targets].filter(([, index]) => headingSlugs.has(index))
+      );
+
+      for (const page of pages.values()) {
+        const result = rewriteLinks(page.content, {
+          pageUrl: page.url,
+          pageIndex: page.index,
+          targets,
+          headingSlugs,
+          footnotes: linkOptions.footnotes,
+        });
+        page.content = result.content;
+        internal += result.internal;
+        external += result.external;
+      }
+
+      this.logger?.info?.('Cross-page links resolved', { internal, external });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Article heading injected above each page, with a stable anchor for internal links
+   * @private
+   */
+  _pageHeading(title, index, linkOptions) {
+    return linkOptions && index !== null ? `## ${title} {#${pageAnchor(index)}}` : `## ${title}`;
+  }
+
+  /**
+   * Page content with LaTeX \index entries when markdownPdf.index is enabled.
+   * The page's terms are added to indexEntries for the EPUB index chapter
+   * @private
+   */
+  _indexPage(page, linkOptions, indexEntries) {
+    const indexOptions = resolveIndexOptions(this.config.markdownPdf?.index);
+    if (!indexOptions) {
+      return page.content;
+    }
+
+    const anchor = linkOptions && page.index !== null ? pageAnchor(page.index) : null;
+    const { content, terms } = indexMarkdown(page.content, {
+      ...indexOptions,
+      title: page.title,
+      anchor,
+    });
+    indexEntries?.push(...terms.map((term) => ({ ...term, title: page.title })));
+    return content;
+  }
+
+  /**
+   * Write combined markdown to a temp file, run the converter and always clean up
+   * @private
+   */
+  async _withBatchTempFile(content, outputPath, convert) {
+    const tempDir = path.join(process.cwd(), '.temp');
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    const tempFile = path.join(tempDir, `batch_${Date.now()}.md`);
+    fs.writeFileSync(tempFile, content, 'utf8');
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    try {
+      await convert(tempFile);
+    } finally {
+      // Cleanup temp file
+      try {
+        fs.unlinkSync(tempFile);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  }
+
   /**
    * Get markdown files from directory, sorted by numeric index
    * @param {string} dir - Directory path
@@ -446,14 +1324,45 @@ export class PandocPdfService {
    * @param {string[]} files - Sorted array of filenames
    * @param {Object|null} sectionStructure - Section structure from metadata
    * @param {Object} articleTitles - Article titles mapping
+   * @param {Object|null} [linkOptions] - Internal link options from _loadLinkOptions
+   * @param {Object[]|null} [indexEntries] - Receives the book index terms of every page
    * @returns {string} - Combined markdown content
    * @private
    */
-  _concatenateMarkdownFiles(dir, files, sectionStructure, articleTitles) {
+  _concatenateMarkdownFiles(
+    dir,
+    files,
+    sectionStructure,
+    articleTitles,
+    linkOptions = null,
+    indexEntries = null
+  ) {
     const sections = sectionStructure?.sections || [];
-    // urlToSection is available for future use if needed
+    const pages = this._loadPages(dir, files, linkOptions);
+    const indexToFile = this._indexFiles(files);
+
+    // If we have section structure, organize by sections
+    if (sections.length > 0) {
+      return this._concatenateWithSections(
+        pages,
+        files,
+        sections,
+        articleTitles,
+        indexToFile,
+        linkOptions,
+        indexEntries
+      );
+    }
+
+    // Fallback: flat concatenation
+    return this._concatenateFlat(pages, files, articleTitles, linkOptions, indexEntries);
+  }
 
-    // Build index to file mapping
+  /**
+   * Map page index -> filename for files with a numeric prefix
+   * @private
+   */
+  _indexFiles(files) {
     const indexToFile = new Map();
     for (const file of files) {
       const prefix = file.split('-')[0];
@@ -461,113 +1370,127 @@ export class PandocPdfService {
         indexToFile.set(String(parseInt(prefix, 10)), file);
       }
     }
-
-    // If we have section structure, organize by sections
-    if (sections.length > 0) {
-      return this._concatenateWithSections(dir, files, sections, articleTitles, indexToFile);
-    }
-
-    // Fallback: flat concatenation
-    return this._concatenateFlat(dir, files, articleTitles);
+    return indexToFile;
   }
 
   /**
-   * Concatenate with section headers for hierarchical TOC
+   * Group loaded pages by section, in book order. Pages that are not listed in any section
+   * end up in a trailing group without a title
+   * @returns {Array<{title: string|null, pages: Array<{index: string|null, file: string, title: string, content: string}>}>}
    * @private
    */
-  _concatenateWithSections(dir, files, sections, articleTitles, indexToFile) {
-    const parts = [];
+  _groupPages(pages, files, sections, articleTitles, indexToFile) {
+    const groups = [];
     const processedIndices = new Set();
 
     for (const section of sections) {
-      const sectionTitle = section.title || 'Untitled Section';
       const sectionPages = section.pages || [];
 
       if (sectionPages.length === 0) continue;
 
-      // Add section header (H1 for TOC level 1)
-      parts.push(`# ${sectionTitle}\n`);
+      const group = { title: section.title || 'Untitled Section', pages: [] };
 
       for (const pageInfo of sectionPages) {
         const pageIndex = pageInfo.index;
         if (!pageIndex || processedIndices.has(pageIndex)) continue;
 
         const file = indexToFile.get(pageIndex);
-        if (!file) continue;
-
-        const filePath = path.join(dir, file);
-        if (!fs.existsSync(filePath)) continue;
-
-        let content = fs.readFileSync(filePath, 'utf8');
+        if (!file || !pages.has(file)) continue;
 
-        // Remove frontmatter if present
-        content = this._removeFrontmatter(content);
+        const { content } = pages.get(file);
 
         // Get article title
         const title =
           articleTitles[pageIndex] || this._extractTitleFromContent(content) || `Page ${pageIndex}`;
 
         // Strip leading title from content if it duplicates the injected title
-        const cleanedContent = this._stripLeadingTitle(content, title);
-
-        // Add article header (H2 for TOC level 2) and page break
-        parts.push(`\\newpage\n\n## ${title}\n\n${cleanedContent}\n`);
+        group.pages.push({
+          index: pageIndex,
+          file,
+          title,
+          content: this._stripLeadingTitle(content, title),
+        });
 
         processedIndices.add(pageIndex);
       }
+
+      groups.push(group);
     }
 
     // Add any remaining files not in sections
+    const remaining = { title: null, pages: [] };
     for (const file of files) {
-      const prefix = file.split('-')[0];
-      const index = /^\d+$/.test(prefix) ? String(parseInt(prefix, 10)) : null;
+      if (!pages.has(file)) continue;
 
+      const { index, content } = pages.get(file);
       if (index && processedIndices.has(index)) continue;
 
-      const filePath = path.join(dir, file);
-      if (!fs.existsSync(filePath)) continue;
-
-      let content = fs.readFileSync(filePath, 'utf8');
-      content = this._removeFrontmatter(content);
-
       const title =
         (index && articleTitles[index]) || this._extractTitleFromContent(content) || file;
-      const cleanedContent = this._stripLeadingTitle(content, title);
-      parts.push(`\\newpage\n\n## ${title}\n\n${cleanedContent}\n`);
+      remaining.pages.push({
+        index,
+        file,
+        title,
+        content: this._stripLeadingTitle(content, title),
+      });
 
       if (index) processedIndices.add(index);
     }
+    if (remaining.pages.length > 0) {
+      groups.push(remaining);
+    }
 
-    return parts.join('\n');
+    return groups;
   }
 
   /**
-   * Flat concatenation without section structure
+   * Concatenate with section headers for hierarchical TOC
    * @private
    */
-  _concatenateFlat(dir, files, articleTitles) {
+  _concatenateWithSections(
+    pages,
+    files,
+    sections,
+    articleTitles,
+    indexToFile,
+    linkOptions,
+    indexEntries = null
+  ) {
     const parts = [];
 
-    for (const file of files) {
-      const filePath = path.join(dir, file);
-      if (!fs.existsSync(filePath)) continue;
+    for (const group of this._groupPages(pages, files, sections, articleTitles, indexToFile)) {
+      // Add section header (H1 for TOC level 1)
+      if (group.title !== null) {
+        parts.push(`# ${group.title}\n`);
+      }
 
-      let content = fs.readFileSync(filePath, 'utf8');
-      content = this._removeFrontmatter(content);
+      for (const page of group.pages) {
+        // Add article header (H2 for TOC level 2) and page break
+        const heading = this._pageHeading(page.title, page.index, linkOptions);
+        const content = this._indexPage(page, linkOptions, indexEntries);
+        parts.push(`\\newpage\n\n${heading}\n\n${content}\n`);
+      }
+    }
 
-      // Extract index from filename
-      const prefix = file.split('-')[0];
-      const index = /^\d+$/.test(prefix) ? String(parseInt(prefix, 10)) : null;
+    return parts.join('\n');
+  }
 
-      const title =
-        (index && articleTitles[index]) || this._extractTitleFromContent(content) || file;
-      const cleanedContent = this._stripLeadingTitle(content, title);
+  /**
+   * Flat concatenation without section structure
+   * @private
+   */
+  _concatenateFlat(pages, files, articleTitles, linkOptions, indexEntries = null) {
+    const parts = [];
+    const [group] = this._groupPages(pages, files, [], articleTitles, new Map());
 
+    for (const page of group?.pages || []) {
       // Add with page break (first page doesn't need break)
+      const heading = this._pageHeading(page.title, page.index, linkOptions);
+      const content = this._indexPage(page, linkOptions, indexEntries);
       if (parts.length > 0) {
-        parts.push(`\\newpage\n\n## ${title}\n\n${cleanedContent}\n`);
+        parts.push(`\\newpage\n\n${heading}\n\n${content}\n`);
       } else {
-        parts.push(`## ${title}\n\n${cleanedContent}\n`);
+        parts.push(`${heading}\n\n${content}\n`);
       }
     }
 
@@ -597,7 +1520,15 @@ export class PandocPdfService {
    */
   _extractTitleFromContent(content) {
     const match = content.match(/^#{1,2}\s+(.+)$/m);
-    return match ? match[1].trim() : null;
+    return match ? this._stripHeadingAttributes(match[1]) : null;
+  }
+
+  /**
+   * Remove a trailing Pandoc attribute block ({#id .class}) from heading text
+   * @private
+   */
+  _stripHeadingAttributes(text) {
+    return text.replace(/\s*\{[^}]*\}\s*$/, '').trim();
   }
 
   /**
@@ -615,7 +1546,7 @@ export class PandocPdfService {
     const match = content.match(/^\s*(#{1,2})\s+(.+?)(\r?\n|$)/);
     if (!match) return content;
 
-    const headingTitle = match[2].trim();
+    const headingTitle = this._stripHeadingAttributes(match[2]);
     // Compare normalized titles (case-insensitive, ignore extra whitespace)
     const normalizedInjected = title.toLowerCase().replace(/\s+/g, ' ').trim();
     const normalizedExisting = headingTitle.toLowerCase().replace(/\s+/g, ' ').trim();
@@ -76,6 +76,10 @@ export class PathService {
       urlMapping: 'urlMapping.json',
       // 新增：分层TOC的section结构元数据文件
       sectionStructure: 'sectionStructure.json',
+      // plan 命令生成的爬取计划
+      crawlPlan: 'crawlPlan.json',
+      // 与上次运行相比的内容变更报告
+      changeReport: 'changeReport.json',
     };
 
     const fileName = metadataFiles[type];
@@ -86,6 +90,54 @@ export class PathService {
     return path.join(this.config.pdfDir, 'metadata', fileName);
   }
 
+  /**
+   * 上次运行的 Markdown 与元数据副本（变更报告的比较基准），目录结构与 pdfDir 相同
+   */
+  getPreviousRunDir() {
+    return path.join(this.config.pdfDir, 'metadata', 'previous-run');
+  }
+
+  /**
+   * 以另一个目录作为 pdfDir 的 PathService（例如归档快照），其余配置不变
+   */
+  withRoot(rootDir) {
+    return new PathService({ ...this.config, pdfDir: rootDir });
+  }
+
+  /**
+   * 当前目标的归档目录：archive.name，或 doc-target 名称，或 rootURL 的主机名
+   */
+  getArchiveDir() {
+    const archiveConfig = this.config.archive || {};
+    let name = archiveConfig.name;
+
+    if (!name && this.config.docTarget) {
+      name = path.basename(this.config.docTarget, '.json');
+    }
+    if (!name) {
+      try {
+        name = new URL(this.config.rootURL).hostname;
+      } catch {
+        name = 'default';
+      }
+    }
+
+    return path.join(
+      path.resolve(archiveConfig.directory || 'archive'),
+      name.replace(/[^\w.-]/g, '-')
+    );
+  }
+
+  /**
+   * 指定快照的目录，目录结构与 pdfDir 相同
+   */
+  getSnapshotDir(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid snapshot id: ${id}`);
+    }
+    return path.join(this.getArchiveDir(), id);
+  }
+
   /**
    * 获取最终PDF输出路径
    */
@@ -204,4 +256,17 @@ export class PathService {
 
     return resolved;
   }
+
+  /**
+   * 获取单页 PDF 缓存目录（与翻译缓存同在临时目录下）
+   */
+  getPdfCacheDirectory() {
+    const cacheDir = path.resolve(this.getTempDirectory(), 'pdf_cache');
+
+    if (!cacheDir.startsWith(path.resolve(process.cwd()))) {
+      throw new Error(`Unsafe PDF cache directory: ${cacheDir}`);
+    }
+
+    return cacheDir;
+  }
 }
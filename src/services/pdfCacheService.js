@@ -0,0 +1,110 @@
+// src/services/pdfCacheService.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// 缓存条目的格式变化时递增，旧条目自然不再命中
+const CACHE_VERSION = 1;
+
+/**
+ * PdfCacheService
+ * - Puppeteer 路径下按内容哈希缓存单页 PDF，重试或重新运行时内容相同就不再调用 page.pdf()
+ * - 键由打印前的 DOM（已翻译、已注入样式）、page.pdf 选项与样式/设备配置组成，
+ *   切换 Kindle 配置得到不同的键，切回来时直接复用
+ * - 缓存目录可以随时删除，只影响下一次运行的速度
+ */
+export class PdfCacheService {
+  constructor(options = {}) {
+    const { config = {}, logger, pathService } = options;
+    const cacheConfig = config.pdf?.cache || {};
+
+    this.logger = logger;
+    this.enabled = cacheConfig.enabled !== false;
+    this.directory = cacheConfig.directory
+      ? path.resolve(cacheConfig.directory)
+      : pathService?.getPdfCacheDirectory?.() || path.resolve('.temp', 'pdf_cache');
+
+    this.stats = { hits: 0, misses: 0, stored: 0 };
+  }
+
+  /**
+   * 计算缓存键
+   * @param {Object} input
+   * @param {string} input.content - 打印前的页面 HTML
+   * @param {Object} [input.pdfOptions] - page.pdf 选项（忽略 path）
+   * @param {Object} [input.style] - 影响渲染结果的其他配置
+   * @returns {string}
+   */
+  computeKey({ content, pdfOptions = {}, style = {} }) {
+    const options = { ...pdfOptions };
+    delete options.path;
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ version: CACHE_VERSION, options, style }))
+      .update('\n')
+      .update(content || '')
+      .digest('hex');
+  }
+
+  /**
+   * 命中时把缓存的 PDF 复制到输出路径
+   * @param {string} key
+   * @param {string} outputPath
+   * @returns {Promise<boolean>} 是否命中
+   */
+  async restore(key, outputPath) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      await fs.copyFile(this._entryPath(key), outputPath);
+      this.stats.hits++;
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger?.warn?.('Failed to read PDF cache entry', { key, error: error.message });
+      }
+      this.stats.misses++;
+      return false;
+    }
+  }
+
+  /**
+   * 保存刚渲染的 PDF；写入失败只记录警告，不影响本次输出
+   * @param {string} key
+   * @param {string} pdfPath
+   */
+  async store(key, pdfPath) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const entryPath = this._entryPath(key);
+    // 先写临时文件再改名，并发的页面不会读到写了一半的 PDF
+    const tempPath = `${entryPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(entryPath), { recursive: true });
+      await fs.copyFile(pdfPath, tempPath);
+      await fs.rename(tempPath, entryPath);
+      this.stats.stored++;
+    } catch (error) {
+      await fs.rm(tempPath, { force: true }).catch(() => {});
+      this.logger?.warn?.('Failed to write PDF cache entry', { key, error: error.message });
+    }
+  }
+
+  /**
+   * 按键的前两位分目录，避免单个目录下文件过多
+   * @private
+   */
+  _entryPath(key) {
+    return path.join(this.directory, key.slice(0, 2), `${key}.pdf`);
+  }
+
+  getStats() {
+    return { enabled: this.enabled, ...this.stats };
+  }
+}
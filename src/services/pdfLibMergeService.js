@@ -0,0 +1,576 @@
+// src/services/pdfLibMergeService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { createLogger } from '../utils/logger.js';
+import { FileOperationError } from '../utils/errors.js';
+import { normalizeUrl } from '../utils/url.js';
+import {
+  attachPageDestinations,
+  detachPageDestinations,
+  getOutline,
+  rewriteUriLinks,
+  setOutline,
+} from '../utils/pdfOutline.js';
+
+// 合并时跳过的 pdfDir 子目录
+const SKIPPED_DIRECTORIES = ['finalPdf', 'metadata', '.temp'];
+
+const stripEngineSuffix = (filename) => filename.replace('_puppeteer.pdf', '.pdf');
+
+// Python str.title()：每段字母的首字母大写，其余小写
+const titleCase = (value) =>
+  value.toLowerCase().replace(/(^|[^a-z])([a-z])/g, (match, before, letter) => {
+    return before + letter.toUpperCase();
+  });
+
+/**
+ * 文件排序键：数字前缀按数值，8 位十六进制哈希前缀按修改时间，其他按文件名
+ * @param {string} filename
+ * @param {number} [mtime=0]
+ * @returns {[number, number, string]}
+ */
+export function getPdfSortKey(filename, mtime = 0) {
+  const prefix = stripEngineSuffix(filename).split('-')[0];
+
+  if (/^\d+$/.test(prefix)) {
+    return [0, parseInt(prefix, 10), filename];
+  }
+  if (/^[0-9a-f]{8}$/i.test(prefix)) {
+    return [1, mtime, filename];
+  }
+  return [2, 0, filename];
+}
+
+const compareSortKeys = (a, b) =>
+  a[0] - b[0] || a[1] - b[1] || (a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0);
+
+/**
+ * 页面 PDF 的索引（"001-setup.pdf" -> "1"），与 articleTitles/sectionStructure 的键一致
+ * @param {string} filename
+ * @returns {string|null}
+ */
+export function getPdfFileIndex(filename) {
+  const cleaned = stripEngineSuffix(filename);
+  const prefix = cleaned.includes('-') ? cleaned.split('-')[0] : '';
+  return /^\d+$/.test(prefix) ? String(parseInt(prefix, 10)) : null;
+}
+
+/**
+ * 书签标题：优先使用 articleTitles，否则由文件名生成（"001-get-started.pdf" -> "Get Started"）
+ * @param {string} filename
+ * @param {Object<string, string>} articleTitles
+ * @returns {string}
+ */
+export function createBookmarkTitle(filename, articleTitles = {}) {
+  const cleaned = stripEngineSuffix(filename);
+  const separator = cleaned.indexOf('-');
+  if (separator === -1) {
+    return path.parse(cleaned).name;
+  }
+
+  const prefix = cleaned.slice(0, separator);
+  const keys = [prefix];
+  if (/^\d+$/.test(prefix)) {
+    const num = String(parseInt(prefix, 10));
+    keys.push(num, num.padStart(3, '0'), num.padStart(2, '0'));
+  }
+
+  for (const key of keys) {
+    if (articleTitles[key]) {
+      return articleTitles[key];
+    }
+  }
+
+  return path
+    .parse(cleaned.slice(separator + 1))
+    .name.split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * 合并后的文件名：docs.anthropic.com-docs -> Claude-Code-Docs_<时间>.pdf，
+ * example.com-api -> Example-Api_<时间>.pdf
+ * @param {string} directoryName
+ * @param {string} timestamp - YYYYMMDD_HHMMSS
+ * @returns {string}
+ */
+export function friendlyFileName(directoryName, timestamp) {
+  let name;
+
+  if (directoryName.includes('anthropic.com')) {
+    name = 'Claude-Code-Docs';
+  } else if (directoryName.includes('github.com')) {
+    name = 'GitHub-Docs';
+  } else if (directoryName.includes('-')) {
+    const parts = directoryName.split('-');
+    const contentType = titleCase(parts[parts.length - 1]);
+    if (parts[0].includes('.')) {
+      const domainParts = parts[0].split('.');
+      name = `${titleCase(domainParts[domainParts.length - 2])}-${contentType}`;
+    } else {
+      name = contentType;
+    }
+  } else {
+    name = titleCase(directoryName.replace(/\./g, '-'));
+  }
+
+  return `${name}_${timestamp}.pdf`;
+}
+
+/**
+ * 按 sectionStructure 生成两级书签：一级为 section，二级为其中已合并的页面
+ * @param {Object|null} sectionStructure
+ * @param {{index: string|null, startPage: number}[]} mergedFiles - 按合并顺序
+ * @param {Object<string, string>} articleTitles
+ * @returns {{level: number, title: string, pageIndex: number}[]|null} 没有可用结构时返回 null
+ */
+export function buildHierarchicalOutline(sectionStructure, mergedFiles, articleTitles = {}) {
+  if (!Array.isArray(sectionStructure?.sections)) {
+    return null;
+  }
+
+  const startPageByIndex = new Map();
+  for (const file of mergedFiles) {
+    if (file.index !== null && !startPageByIndex.has(file.index)) {
+      startPageByIndex.set(file.index, file.startPage);
+    }
+  }
+
+  const outline = [];
+  for (const section of sectionStructure.sections) {
+    const pages = (section.pages || [])
+      .filter((page) => page.index !== undefined && page.index !== null && page.index !== '')
+      .map((page) => String(page.index))
+      .filter((index) => startPageByIndex.has(index))
+      .map((index) => ({
+        level: 2,
+        title: articleTitles[index] || `Page ${index}`,
+        pageIndex: startPageByIndex.get(index),
+      }));
+
+    if (pages.length > 0) {
+      outline.push(
+        { level: 1, title: section.title || 'Untitled Section', pageIndex: pages[0].pageIndex },
+        ...pages
+      );
+    }
+  }
+
+  return outline.length > 0 ? outline : null;
+}
+
+/**
+ * 纯 JavaScript 的 PDF 合并服务（pdf-lib），与 src/python/pdf_merger.py 的行为保持一致：
+ * 按索引排序页面 PDF、按 sectionStructure/articleTitles 生成分层书签、友好文件名与合并统计。
+ * 没有 Python 环境时代替 PythonMergeService；mergePDFs 的参数与返回值与其相同。
+ *
+ * 与 PyMuPDF 的差异：pdf-lib 不能检索页面文字，带 #fragment 的站内链接跳到目标页面的开头。
+ */
+export class PdfLibMergeService {
+  constructor(config = {}, logger = null) {
+    this.config = config;
+    this.logger = logger || createLogger('PdfLibMergeService');
+
+    this.pdfDir = config.pdfDir || 'pdfs';
+    this.metadataDir = path.join(this.pdfDir, config.metadata?.directory || 'metadata');
+    this.finalPdfDir = path.join(this.pdfDir, config.output?.finalPdfDirectory || 'finalPdf');
+
+    this.stats = { filesProcessed: 0, totalPages: 0, errors: [] };
+  }
+
+  /**
+   * 执行 PDF 合并
+   * @param {Object} [options]
+   * @param {string} [options.directory] - 只合并 pdfDir 下的这个子目录
+   * @param {string} [options.collection] - 合集清单（JSON），把各目标已合并的 PDF 拼成一本书
+   * @returns {Promise<{success: boolean, mergedFiles: string[], filesProcessed: number, totalPages: number, statistics: Object}>}
+   */
+  async mergePDFs(options = {}) {
+    const startTime = Date.now();
+    this.stats = { filesProcessed: 0, totalPages: 0, errors: [] };
+
+    this.logger.info('开始PDF合并任务（pdf-lib）', options);
+
+    const mergedFiles = options.collection
+      ? await this.mergeCollection(options.collection)
+      : await this.mergeDirectory(options.directory);
+
+    const result = {
+      success: true,
+      engine: 'pdf-lib',
+      mergedFiles,
+      outputFile: mergedFiles[0] || null,
+      filesProcessed: this.stats.filesProcessed,
+      totalPages: this.stats.totalPages,
+      statistics: this._getStatistics(Date.now() - startTime),
+    };
+
+    this.logger.info(`PDF合并任务完成: 处理 ${result.filesProcessed} 个文件`, {
+      mergedFiles,
+      totalPages: result.totalPages,
+    });
+
+    return result;
+  }
+
+  /**
+   * 合并指定子目录，未指定时合并 pdfDir 根目录与所有子目录
+   * @param {string} [directoryName]
+   * @returns {Promise<string[]>} 生成的 PDF 路径
+   */
+  async mergeDirectory(directoryName) {
+    try {
+      await fs.access(this.pdfDir);
+    } catch {
+      throw new FileOperationError(`PDF目录不存在: ${this.pdfDir}`, this.pdfDir, 'merge');
+    }
+
+    await fs.mkdir(this.finalPdfDir, { recursive: true });
+    const metadata = await this._loadMetadata();
+    const timestamp = this._timestamp();
+    const mergedFiles = [];
+
+    const merge = async (directoryPath, outputName) => {
+      const outputPath = path.join(this.finalPdfDir, outputName);
+      if (await this.mergeFiles(directoryPath, outputPath, metadata)) {
+        mergedFiles.push(outputPath);
+      }
+    };
+
+    if (directoryName) {
+      const directoryPath = path.join(this.pdfDir, directoryName);
+      if (await this._isDirectory(directoryPath)) {
+        await merge(directoryPath, friendlyFileName(directoryName, timestamp));
+      } else {
+        this.logger.warn(`指定目录不存在: ${directoryPath}`);
+      }
+      return mergedFiles;
+    }
+
+    const hostname = new URL(this.config.rootURL).hostname.replace(/\./g, '_') || 'unknown';
+    await merge(this.pdfDir, `${hostname}_${timestamp}.pdf`);
+
+    for (const item of await fs.readdir(this.pdfDir)) {
+      const itemPath = path.join(this.pdfDir, item);
+      if (!SKIPPED_DIRECTORIES.includes(item) && (await this._isDirectory(itemPath))) {
+        await merge(itemPath, `${item}_${timestamp}.pdf`);
+      }
+    }
+
+    return mergedFiles;
+  }
+
+  /**
+   * 把目录中的页面 PDF 合并为一个文件
+   * @param {string} directoryPath
+   * @param {string} outputPath
+   * @param {Object} metadata - _loadMetadata 的结果
+   * @returns {Promise<boolean>} 目录中没有可合并的 PDF 时返回 false
+   */
+  async mergeFiles(directoryPath, outputPath, metadata) {
+    const files = await this.getPdfFiles(directoryPath);
+    if (files.length === 0) {
+      return false;
+    }
+
+    this._validateArticleTitles(metadata.articleTitles, files.length);
+
+    const merged = await PDFDocument.create();
+    const mergedFiles = [];
+    const flatOutline = [];
+
+    for (const [i, filename] of files.entries()) {
+      try {
+        const source = await PDFDocument.load(
+          await fs.readFile(path.join(directoryPath, filename))
+        );
+        const pageCount = source.getPageCount();
+        if (pageCount === 0) {
+          this.logger.warn(`跳过空PDF文件: ${filename}`);
+          continue;
+        }
+
+        const startPage = merged.getPageCount();
+        detachPageDestinations(source);
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach((page) => merged.addPage(page));
+        attachPageDestinations(pages);
+
+        mergedFiles.push({ filename, index: getPdfFileIndex(filename), startPage, pageCount });
+        flatOutline.push({
+          level: 1,
+          title: createBookmarkTitle(filename, metadata.articleTitles),
+          pageIndex: startPage,
+        });
+
+        this.stats.filesProcessed++;
+        this.stats.totalPages += pageCount;
+        this.logger.debug(`已合并 ${i + 1}/${files.length}: ${filename} (${pageCount} 页)`);
+      } catch (error) {
+        const message = `处理文件失败 ${filename}: ${error.message}`;
+        this.logger.error(message);
+        this.stats.errors.push(message);
+      }
+    }
+
+    if (mergedFiles.length === 0) {
+      return false;
+    }
+
+    if (this.config.links?.internal !== false && metadata.linkTargets.size > 0) {
+      const rewritten = this._rewriteInternalLinks(merged, mergedFiles, metadata.linkTargets);
+      if (rewritten > 0) {
+        this.logger.info(`已将 ${rewritten} 个站内链接改写为文档内跳转`);
+      }
+    }
+
+    if (this.config.pdf?.bookmarks !== false) {
+      const outline =
+        buildHierarchicalOutline(metadata.sectionStructure, mergedFiles, metadata.articleTitles) ||
+        flatOutline;
+      setOutline(merged, outline);
+      this.logger.info(`已创建PDF目录，包含 ${outline.length} 个书签`);
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, await merged.save());
+    return true;
+  }
+
+  /**
+   * 把合集中每个目标已合并好的 PDF 拼成一本书，目标成为一级书签，目标自身的书签整体下移一级
+   * @param {string} manifestPath - {output, title, bookmarks, parts: [{title, pdf}]}
+   * @returns {Promise<string[]>}
+   */
+  async mergeCollection(manifestPath) {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    const parts = (manifest.parts || []).filter((part) => part.pdf);
+    if (parts.length === 0) {
+      throw new FileOperationError('合集中没有可合并的PDF', manifestPath, 'merge');
+    }
+
+    const book = await PDFDocument.create();
+    const outline = [];
+
+    for (const part of parts) {
+      let bytes;
+      try {
+        bytes = await fs.readFile(part.pdf);
+      } catch {
+        throw new FileOperationError(`合集目标的PDF不存在: ${part.pdf}`, part.pdf, 'merge');
+      }
+
+      const source = await PDFDocument.load(bytes);
+      const startPage = book.getPageCount();
+
+      outline.push({
+        level: 1,
+        title: part.title || path.basename(part.pdf),
+        pageIndex: startPage,
+      });
+      for (const entry of getOutline(source)) {
+        outline.push({
+          level: entry.level + 1,
+          title: entry.title,
+          pageIndex: startPage + (entry.pageIndex ?? 0),
+        });
+      }
+
+      detachPageDestinations(source);
+      const pages = await book.copyPages(source, source.getPageIndices());
+      pages.forEach((page) => book.addPage(page));
+      attachPageDestinations(pages);
+
+      this.stats.filesProcessed++;
+      this.stats.totalPages += pages.length;
+      this.logger.info(`已加入合集目标 ${part.title}: ${pages.length} 页`);
+    }
+
+    if (manifest.bookmarks !== false) {
+      setOutline(book, outline);
+    }
+
+    await fs.mkdir(path.dirname(manifest.output), { recursive: true });
+    await fs.writeFile(manifest.output, await book.save());
+    return [manifest.output];
+  }
+
+  /**
+   * 目录中的 PDF 文件（按索引排序）
+   * @param {string} directoryPath
+   * @returns {Promise<string[]>}
+   */
+  async getPdfFiles(directoryPath) {
+    let entries;
+    try {
+      entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const keyed = await Promise.all(
+      entries
+        .filter((entry) => entry.isFile() && entry.name.endsWith('.pdf'))
+        .map(async ({ name }) => {
+          const [group] = getPdfSortKey(name);
+          const mtime =
+            group === 1
+              ? await fs
+                  .stat(path.join(directoryPath, name))
+                  .then((stat) => stat.mtimeMs / 1000)
+                  .catch(() => 0)
+              : 0;
+          return getPdfSortKey(name, mtime);
+        })
+    );
+
+    return keyed.sort(compareSortKeys).map(([, , name]) => name);
+  }
+
+  /**
+   * 读取 articleTitles、sectionStructure 与站内链接映射（优先 metadata 目录，其次 pdfDir）
+   * @private
+   */
+  async _loadMetadata() {
+    const articleTitles =
+      (await this._readMetadataJson('articleTitles.json', { fallback: true })) || {};
+    const sectionStructure = await this._readMetadataJson('sectionStructure.json', {
+      fallback: true,
+    });
+
+    // URL -> 页面索引，来源与 Python 合并器相同
+    const linkTargets = new Map();
+    const add = (url, index) => {
+      if (!url || index === undefined || index === null) return;
+      const key = normalizeUrl(url);
+      if (!linkTargets.has(key)) linkTargets.set(key, String(index));
+    };
+
+    for (const section of sectionStructure?.sections || []) {
+      for (const page of section.pages || []) {
+        add(page.url, page.index);
+      }
+    }
+
+    const progress = await this._readMetadataJson('progress.json');
+    for (const [url, index] of Object.entries(progress?.urlToIndex || {})) {
+      add(url, index);
+    }
+
+    const urlMapping = await this._readMetadataJson('urlMapping.json');
+    for (const [url, entry] of Object.entries(urlMapping || {})) {
+      const filePath = typeof entry === 'object' && entry !== null ? entry.path : entry;
+      const prefix = path.basename(filePath || '').split('-')[0];
+      if (/^\d+$/.test(prefix)) {
+        add(url, parseInt(prefix, 10));
+      }
+    }
+
+    return { articleTitles, sectionStructure, linkTargets };
+  }
+
+  /**
+   * @private
+   */
+  async _readMetadataJson(fileName, { fallback = false } = {}) {
+    const candidates = [path.join(this.metadataDir, fileName)];
+    if (fallback) {
+      candidates.push(path.join(this.pdfDir, fileName));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const data = JSON.parse(await fs.readFile(candidate, 'utf8'));
+        if (data && Object.keys(data).length > 0) {
+          return data;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.warn(`读取元数据失败: ${candidate}`, { error: error.message });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * URI 链接指向已合并的页面时改写为跳转到该页面开头
+   * @private
+   */
+  _rewriteInternalLinks(merged, mergedFiles, linkTargets) {
+    const startPageByIndex = new Map(
+      mergedFiles.filter((file) => file.index !== null).map((file) => [file.index, file.startPage])
+    );
+
+    try {
+      return rewriteUriLinks(merged, (uri) => {
+        const index = linkTargets.get(normalizeUrl(uri));
+        return index !== undefined ? (startPageByIndex.get(index) ?? null) : null;
+      });
+    } catch (error) {
+      this.logger.warn(`站内链接改写失败，保留原始链接: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateArticleTitles(articleTitles, fileCount) {
+    const titleCount = Object.keys(articleTitles).length;
+
+    if (titleCount === 0) {
+      this.logger.warn(
+        '⚠️  articleTitles.json 为空或不存在，PDF 目录将显示由文件名生成的标题。请检查 contentSelector 与标题提取日志'
+      );
+    } else if (titleCount < fileCount * 0.5) {
+      this.logger.warn(
+        `⚠️  标题数量 (${titleCount}) 远少于 PDF 文件数量 (${fileCount})，约 ${fileCount - titleCount} 个页面的标题提取失败`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _isDirectory(itemPath) {
+    try {
+      return (await fs.stat(itemPath)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 本地时间 YYYYMMDD_HHMMSS，与 Python 合并器的文件名一致
+   * @private
+   */
+  _timestamp(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return (
+      `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+    );
+  }
+
+  /**
+   * @private
+   */
+  _getStatistics(elapsedTime) {
+    const { filesProcessed, totalPages, errors } = this.stats;
+    return {
+      filesProcessed,
+      totalPages,
+      elapsedTime,
+      errorsCount: errors.length,
+      errors: errors.slice(-10),
+      avgPagesPerFile: filesProcessed > 0 ? totalPages / filesProcessed : 0,
+    };
+  }
+}
+
+export default PdfLibMergeService;
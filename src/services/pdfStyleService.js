@@ -4,6 +4,7 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { buildDate, renderHeaderFooterHtml } from '../utils/headerFooter.js';
 
 export class PDFStyleService {
   constructor(config = {}) {
@@ -24,6 +25,10 @@ export class PDFStyleService {
       lineHeight: '1.5',
       kindleOptimized: false,
       deviceProfile: 'default',
+      // resolveHeaderFooter 的结果，null 表示不打印页眉页脚；book 用于整本书一次打印
+      headerFooter: null,
+      bookHeaderFooter: null,
+      headerFooterTarget: '',
     };
 
     this.settings = { ...this.defaults, ...config };
@@ -76,6 +81,16 @@ export class PDFStyleService {
         this.logger.info('应用设备配置文件', { profile: this.settings.deviceProfile });
       }
     }
+
+    this.buildDate = buildDate();
+  }
+
+  /**
+   * 更新要移除的元素选择器（站点适配器在运行时识别出框架后调用）
+   * @param {string[]} selectors
+   */
+  setRemoveSelectors(selectors) {
+    this.settings.removeSelectors = Array.isArray(selectors) ? [...selectors] : [];
   }
 
   /**
@@ -926,8 +941,11 @@ export class PDFStyleService {
 
   /**
    * 获取优化的PDF生成选项 - 针对Kindle等设备优化
+   * @param {{title?: string, section?: string, url?: string}} [pageInfo] - 页眉页脚中的页面信息
+   * @param {Object} [printOptions]
+   * @param {boolean} [printOptions.wholeBook=false] - 整本书一次打印，使用 bookHeaderFooter
    */
-  getPDFOptions() {
+  getPDFOptions(pageInfo = {}, printOptions = {}) {
     // 基础选项
     let options = {
       format: this.settings.format || 'A4',
@@ -982,6 +1000,24 @@ export class PDFStyleService {
       });
     }
 
+    // 页眉页脚打印在页边距内
+    const headerFooter = printOptions.wholeBook
+      ? this.settings.bookHeaderFooter
+      : this.settings.headerFooter;
+    if (headerFooter) {
+      const { header, footer, fontSize } = headerFooter;
+      const values = {
+        target: this.settings.headerFooterTarget,
+        date: this.buildDate,
+        ...pageInfo,
+      };
+      const templateOptions = { fontSize, margin: options.margin };
+
+      options.displayHeaderFooter = true;
+      options.headerTemplate = renderHeaderFooterHtml(header, values, templateOptions);
+      options.footerTemplate = renderHeaderFooterHtml(footer, values, templateOptions);
+    }
+
     return options;
   }
 
@@ -0,0 +1,247 @@
+// src/services/politenessService.js
+import { parseRobotsTxt, selectRobotsRules, isAllowedByRobots } from '../utils/robotsTxt.js';
+import { delay } from '../utils/common.js';
+
+const THROTTLE_STATUSES = new Set([429, 503]);
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）
+ * @returns {number|null} 需要等待的毫秒数
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number.parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 按主机限速：遵守 robots.txt（Allow/Disallow、Crawl-delay），
+ * 同一主机的请求之间保持最小间隔，遇到 429/503 时按 Retry-After 退避
+ */
+export class PolitenessService {
+  constructor(options = {}) {
+    const { config = {}, logger, fetchImpl, now, sleep } = options;
+    const network = config.network || {};
+
+    this.logger = logger;
+    this.options = {
+      rateLimitDelay: network.rateLimitDelay ?? 1000,
+      retryOn429: network.retryOn429 !== false,
+      maxRedirects: network.maxRedirects ?? 5,
+      maxThrottleRetries: network.maxThrottleRetries ?? 3,
+      maxRetryAfter: network.maxRetryAfter ?? 120000,
+      respectRobotsTxt: network.respectRobotsTxt !== false,
+      robotsUserAgent: network.robotsUserAgent || '*',
+      requestTimeout: network.requestTimeout || config.pageTimeout || 30000,
+      userAgent: network.userAgent || config.browser?.userAgent || 'Mozilla/5.0',
+    };
+
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.now = now || Date.now;
+    this.sleep = sleep || delay;
+
+    this.hosts = new Map(); // origin -> { nextRequestAt, blockedUntil, robots }
+    this.stats = { throttled: 0, delayedMs: 0, robotsBlocked: 0 };
+  }
+
+  _getHostState(url) {
+    const { origin } = new URL(url);
+    if (!this.hosts.has(origin)) {
+      this.hosts.set(origin, { nextRequestAt: 0, blockedUntil: 0, robots: null });
+    }
+    return { origin, state: this.hosts.get(origin) };
+  }
+
+  /**
+   * 获取并缓存某个主机的 robots 规则（每个主机只请求一次）
+   */
+  _getRobots(url) {
+    const { origin, state } = this._getHostState(url);
+    if (!state.robots) {
+      state.robots = this._fetchRobots(origin);
+    }
+    return state.robots;
+  }
+
+  async _fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await this.fetchImpl(robotsUrl, {
+        headers: { 'User-Agent': this.options.userAgent },
+        signal: AbortSignal.timeout(this.options.requestTimeout),
+      });
+
+      // 4xx 视为没有限制；5xx 时站点状态未知，同样放行但记录警告
+      if (!response.ok) {
+        if (response.status >= 500) {
+          this.logger?.warn('robots.txt unavailable, crawling without restrictions', {
+            robotsUrl,
+            status: response.status,
+          });
+        }
+        return null;
+      }
+
+      const rules = selectRobotsRules(
+        parseRobotsTxt(await response.text()),
+        this.options.robotsUserAgent
+      );
+      this.logger?.debug('robots.txt loaded', {
+        robotsUrl,
+        rules: rules.rules.length,
+        crawlDelay: rules.crawlDelay,
+      });
+      return rules;
+    } catch (error) {
+      this.logger?.warn('Failed to fetch robots.txt, crawling without restrictions', {
+        robotsUrl,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * robots.txt 是否允许抓取该 URL
+   */
+  async isAllowed(url) {
+    if (!this.options.respectRobotsTxt) {
+      return true;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return true;
+    }
+
+    const robots = await this._getRobots(url);
+    const allowed = isAllowedByRobots(robots, `${parsed.pathname}${parsed.search}`);
+    if (!allowed) {
+      this.stats.robotsBlocked++;
+    }
+    return allowed;
+  }
+
+  /**
+   * 同一主机请求之间的最小间隔（Crawl-delay 与 rateLimitDelay 取较大值）
+   */
+  async getHostDelay(url) {
+    const robots = this.options.respectRobotsTxt ? await this._getRobots(url) : null;
+    const crawlDelayMs = robots?.crawlDelay ? robots.crawlDelay * 1000 : 0;
+    return Math.max(this.options.rateLimitDelay, crawlDelayMs);
+  }
+
+  /**
+   * 等待轮到该主机的下一个请求。采用预约时间槽的方式，并发调用也会被依次错开
+   */
+  async waitForTurn(url) {
+    const hostDelay = await this.getHostDelay(url);
+    const { state } = this._getHostState(url);
+
+    const now = this.now();
+    const slot = Math.max(now, state.nextRequestAt, state.blockedUntil);
+    state.nextRequestAt = slot + hostDelay;
+
+    const waitMs = slot - now;
+    if (waitMs > 0) {
+      this.stats.delayedMs += waitMs;
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * 记录响应状态；遇到 429/503 时设置该主机的退避时间
+   * @param {string} url
+   * @param {number} status
+   * @param {string} [retryAfter] - Retry-After 响应头
+   * @param {number} [attempt=0] - 当前是第几次重试
+   * @returns {number|null} 需要重试时返回等待毫秒数，否则返回 null
+   */
+  noteResponse(url, status, retryAfter, attempt = 0) {
+    if (!THROTTLE_STATUSES.has(status)) {
+      return null;
+    }
+
+    this.stats.throttled++;
+    const { origin, state } = this._getHostState(url);
+    const fallback = this.options.rateLimitDelay * 2 ** (attempt + 1);
+    const waitMs = Math.min(
+      parseRetryAfter(retryAfter, this.now()) ?? fallback,
+      this.options.maxRetryAfter
+    );
+    state.blockedUntil = Math.max(state.blockedUntil, this.now() + waitMs);
+
+    const willRetry = this.options.retryOn429 && attempt < this.options.maxThrottleRetries;
+    this.logger?.warn('Host is throttling requests, backing off', {
+      host: origin,
+      status,
+      waitMs,
+      attempt: attempt + 1,
+      willRetry,
+    });
+
+    return willRetry ? waitMs : null;
+  }
+
+  /**
+   * 遵守限速规则的 fetch：按主机排队、跟随重定向（最多 maxRedirects 次）、在 429/503 时退避重试
+   * 重定向目标同样要经过 robots.txt 检查（可能跳到另一个主机）
+   */
+  async fetch(url, init = {}) {
+    let currentUrl = url;
+    let redirects = 0;
+    let attempt = 0;
+
+    while (true) {
+      await this.waitForTurn(currentUrl);
+      const response = await this.fetchImpl(currentUrl, { ...init, redirect: 'manual' });
+
+      const location = response.headers?.get?.('location');
+      if (REDIRECT_STATUSES.has(response.status) && location) {
+        await this._discardBody(response);
+        if (redirects >= this.options.maxRedirects) {
+          throw new Error(`Too many redirects (>${this.options.maxRedirects}) for ${url}`);
+        }
+        redirects++;
+        currentUrl = new URL(location, currentUrl).href;
+        if (!(await this.isAllowed(currentUrl))) {
+          throw new Error(`Redirect target blocked by robots.txt: ${currentUrl} (from ${url})`);
+        }
+        continue;
+      }
+
+      const retryAfter = response.headers?.get?.('retry-after');
+      if (this.noteResponse(currentUrl, response.status, retryAfter, attempt) === null) {
+        return response;
+      }
+      await this._discardBody(response);
+      attempt++;
+    }
+  }
+
+  /**
+   * 丢弃不再使用的响应体，未读取的响应体会一直占用连接
+   */
+  async _discardBody(response) {
+    try {
+      await response.body?.cancel();
+    } catch {
+      // 响应体已被读取或锁定时忽略
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, hosts: this.hosts.size };
+  }
+}
@@ -16,6 +16,7 @@ export class StateManager extends EventEmitter {
       indexToUrl: new Map(), // 索引到URL的映射
       imageLoadFailures: new Set(), // 图片加载失败的URL
       urlToFile: new Map(), // URL到文件路径的映射
+      pageFingerprints: new Map(), // URL到内容指纹（ETag/Last-Modified/内容哈希）的映射
       startTime: null, // 开始时间
       lastSaveTime: null, // 最后保存时间
     };
@@ -39,6 +40,7 @@ export class StateManager extends EventEmitter {
           processedUrls: [],
           failedUrls: [],
           urlToIndex: {},
+          pageFingerprints: {},
           startTime: null,
         }
       );
@@ -55,6 +57,13 @@ export class StateManager extends EventEmitter {
         });
       }
 
+      // 恢复页面内容指纹（用于 refresh 模式的增量更新）
+      if (progress.pageFingerprints) {
+        Object.entries(progress.pageFingerprints).forEach(([url, fingerprint]) => {
+          this.state.pageFingerprints.set(url, fingerprint);
+        });
+      }
+
       // 恢复开始时间
       this.state.startTime = progress.startTime ? new Date(progress.startTime) : null;
 
@@ -116,6 +125,7 @@ export class StateManager extends EventEmitter {
           error,
         })),
         urlToIndex: urlToIndexObj,
+        pageFingerprints: Object.fromEntries(this.state.pageFingerprints),
         startTime: this.state.startTime,
         savedAt: new Date().toISOString(),
         stats: this.getStats(),
@@ -262,6 +272,49 @@ export class StateManager extends EventEmitter {
     this.state.processedUrls.delete(url);
   }
 
+  /**
+   * 记录页面内容指纹
+   * @param {string} url - 页面URL
+   * @param {Object} fingerprint - { etag, lastModified, contentHash, hashSource, title, outputPath }
+   */
+  setPageFingerprint(url, fingerprint) {
+    this.state.pageFingerprints.set(url, {
+      ...fingerprint,
+      checkedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * 获取页面内容指纹
+   */
+  getPageFingerprint(url) {
+    return this.state.pageFingerprints.get(url) || null;
+  }
+
+  /**
+   * 获取所有已记录的URL输出文件
+   * @returns {Array<[string, string]>} [url, filePath] 列表
+   */
+  getOutputEntries() {
+    return Array.from(this.state.urlToFile.entries());
+  }
+
+  /**
+   * 移除URL的全部状态（页面已从站点下线时使用）
+   */
+  forgetUrl(url) {
+    this.state.processedUrls.delete(url);
+    this.state.failedUrls.delete(url);
+    this.state.urlToFile.delete(url);
+    this.state.pageFingerprints.delete(url);
+
+    const index = this.state.urlToIndex.get(url);
+    this.state.urlToIndex.delete(url);
+    if (index !== undefined && this.state.indexToUrl.get(index) === url) {
+      this.state.indexToUrl.delete(index);
+    }
+  }
+
   /**
    * 标记图片加载失败
    */
@@ -301,6 +354,7 @@ export class StateManager extends EventEmitter {
     this.state.indexToUrl.clear();
     this.state.imageLoadFailures.clear();
     this.state.urlToFile.clear();
+    this.state.pageFingerprints.clear();
     this.state.startTime = null;
     this.state.lastSaveTime = null;
 
@@ -0,0 +1,64 @@
+// src/services/translationProviders.js
+import { GeminiClient } from './geminiClient.js';
+import { OpenAICompatibleClient, OllamaClient } from './httpTranslationClients.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const TRANSLATION_PROVIDERS = ['gemini-cli', 'openai-compatible', 'ollama'];
+
+/**
+ * 根据 translation.provider 创建翻译客户端
+ * 所有客户端都实现 translateJson({ instructions, inputMap })
+ * @param {Object} translationConfig - config.translation
+ * @param {Object} options
+ * @param {number} options.timeoutMs - 单批次超时
+ * @param {Object} options.logger
+ * @param {Object} [options.env] - 读取 API Key 的环境变量来源
+ */
+export function createTranslationClient(translationConfig = {}, options = {}) {
+  const { timeoutMs, logger, env = process.env } = options;
+  const provider = translationConfig.provider || 'gemini-cli';
+
+  switch (provider) {
+    case 'gemini-cli': {
+      const geminiOptions = translationConfig.geminiCli || {};
+      return new GeminiClient({
+        timeoutMs,
+        logger,
+        command: geminiOptions.command,
+        args: geminiOptions.args,
+      });
+    }
+
+    case 'openai-compatible': {
+      const openaiOptions = translationConfig.openaiCompatible || {};
+      const apiKeyEnv = openaiOptions.apiKeyEnv || 'OPENAI_API_KEY';
+      return new OpenAICompatibleClient({
+        timeoutMs,
+        logger,
+        baseUrl: openaiOptions.baseUrl,
+        model: openaiOptions.model,
+        temperature: openaiOptions.temperature,
+        jsonMode: openaiOptions.jsonMode,
+        headers: openaiOptions.headers,
+        apiKey: env[apiKeyEnv],
+      });
+    }
+
+    case 'ollama': {
+      const ollamaOptions = translationConfig.ollama || {};
+      return new OllamaClient({
+        timeoutMs,
+        logger,
+        baseUrl: ollamaOptions.baseUrl || 'http://localhost:11434',
+        model: ollamaOptions.model,
+        temperature: ollamaOptions.temperature,
+      });
+    }
+
+    default:
+      throw new ValidationError(`Unknown translation provider: ${provider}`, {
+        provider,
+        supported: TRANSLATION_PROVIDERS,
+      });
+  }
+}
@@ -4,11 +4,19 @@ import crypto from 'crypto';
 import pLimit from 'p-limit';
 import { createLogger } from '../utils/logger.js';
 import { delay, retry } from '../utils/common.js';
-import { GeminiClient } from './geminiClient.js';
+import { createTranslationClient } from './translationProviders.js';
+import {
+  normalizeGlossary,
+  selectGlossaryEntries,
+  getGlossarySignature,
+  buildGlossaryInstructions,
+  findGlossaryViolations,
+} from '../utils/translationGlossary.js';
 
 /**
  * Translation Service
- * Handles content translation using gemini-cli with caching and concurrency control
+ * Handles content translation via a pluggable provider (gemini-cli, OpenAI-compatible, Ollama)
+ * with caching and concurrency control
  */
 export class TranslationService {
   constructor(options = {}) {
@@ -28,6 +36,7 @@ export class TranslationService {
     this.enabled = translationConfig.enabled ?? false;
     this.bilingual = translationConfig.bilingual ?? false;
     this.targetLanguage = translationConfig.targetLanguage ?? 'Chinese';
+    this.provider = translationConfig.provider ?? 'gemini-cli';
     this.concurrency = translationConfig.concurrency ?? 1;
 
     // 超时与重试配置（支持从配置覆盖）
@@ -40,8 +49,15 @@ export class TranslationService {
     this.maxDelay = translationConfig.maxDelay ?? 30000;
     this.jitterStrategy = translationConfig.jitterStrategy ?? 'decorrelated';
 
+    // 术语表：固定译法 + 禁止翻译的术语
+    this.glossary = normalizeGlossary(translationConfig.glossary);
+    this.glossaryIssues = [];
+    // 不符合术语表的译文：缓存键 -> 译文，不写入缓存，下次运行会重新翻译
+    this.flaggedTranslations = new Map();
+
     this.logger.info('TranslationService enabled:', {
       enabled: this.enabled,
+      provider: this.provider,
       targetLanguage: this.targetLanguage,
       bilingual: this.bilingual,
       concurrency: this.concurrency,
@@ -51,6 +67,8 @@ export class TranslationService {
       maxSegmentRetries: this.maxSegmentRetries,
       maxDelay: this.maxDelay,
       jitterStrategy: this.jitterStrategy,
+      glossaryTerms: this.glossary.terms.length,
+      protectedTerms: this.glossary.protectedTerms.length,
     });
 
     // 外部可注入自定义客户端（方便测试或替换实现）
@@ -105,7 +123,11 @@ export class TranslationService {
 
   _getCacheKey(text) {
     const mode = this.bilingual ? 'bilingual' : 'single';
-    const keyBase = `${this.targetLanguage}:${mode}:${text}`;
+    // 只把与该段落相关的术语纳入缓存键：修改术语表只会让受影响的段落失效
+    const glossarySignature = getGlossarySignature(selectGlossaryEntries(this.glossary, text));
+    const keyBase = glossarySignature
+      ? `${this.targetLanguage}:${mode}:${glossarySignature}:${text}`
+      : `${this.targetLanguage}:${mode}:${text}`;
     return crypto.createHash('md5').update(keyBase).digest('hex');
   }
 
@@ -134,6 +156,10 @@ export class TranslationService {
 
   async _saveToCache(text, translation) {
     const key = this._getCacheKey(text);
+    if (this.flaggedTranslations.get(key) === translation) {
+      return this.cacheWriteQueue;
+    }
+
     const cachePath = path.join(this.cacheDir, `${key}.json`);
     this.cacheMemory.set(key, translation);
 
@@ -745,6 +771,13 @@ export class TranslationService {
       inputMap[item.id] = item.text;
     });
 
+    const glossaryInstructions = buildGlossaryInstructions(
+      selectGlossaryEntries(
+        this.glossary,
+        batch.map((item) => item.text)
+      )
+    );
+
     const instructions = `
 You are a professional technical translator for developer-facing documentation.
 Your task is to translate ONLY the JSON object values into ${this.targetLanguage}.
@@ -774,21 +807,69 @@ Content rules:
 Style guidelines:
 - Use clear, concise, formal language suitable for technical documentation for software engineers.
 - Prefer terminology commonly used by professional developers when there are multiple valid translations.
-
+${glossaryInstructions ? `\n${glossaryInstructions}\n` : ''}
 Output ONLY the final JSON object with translated values.
 	`;
 
     if (!this.client) {
-      this.client = new GeminiClient({
+      this.client = createTranslationClient(this.config.translation, {
         timeoutMs: this.timeoutMs,
         logger: this.logger,
       });
     }
 
-    return this.client.translateJson({
+    const result = await this.client.translateJson({
       instructions,
       inputMap,
     });
+
+    if (result) {
+      this._checkGlossary(batch, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * 检查译文是否丢失了受保护术语或未使用术语表译法，仅记录问题不修改译文，
+   * 但有问题的译文不会写入缓存
+   * @param {Array} batch - Array of { id, text }
+   * @param {Object} result - Map of id -> translated text
+   */
+  _checkGlossary(batch, result) {
+    if (this.glossary.terms.length === 0 && this.glossary.protectedTerms.length === 0) {
+      return;
+    }
+
+    for (const item of batch) {
+      const translated = result[item.id];
+      if (typeof translated !== 'string') continue;
+
+      const { missingProtected, missingTerms } = findGlossaryViolations(
+        item.text,
+        translated,
+        this.glossary
+      );
+      if (missingProtected.length === 0 && missingTerms.length === 0) continue;
+
+      const issue = {
+        segmentId: item.id,
+        text: item.text.substring(0, 80),
+        missingProtected,
+        missingTerms: missingTerms.map(({ source, target }) => `${source} -> ${target}`),
+      };
+      this.glossaryIssues.push(issue);
+      this.flaggedTranslations.set(this._getCacheKey(item.text), translated);
+      this.logger.warn('Translation does not follow the glossary', issue);
+    }
+  }
+
+  /**
+   * 获取本次运行中发现的术语表问题
+   * @returns {Array<Object>}
+   */
+  getGlossaryIssues() {
+    return [...this.glossaryIssues];
   }
 
   /**
@@ -0,0 +1,159 @@
+// src/utils/bookFrontMatter.js
+// 最终书籍的封面页与版权页（colophon）：站点信息提取与打印用的 HTML 模板
+import { escapeHtml } from './htmlBook.js';
+
+const TAG = /<(meta|link|html)\b([^>]*)>/gi;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attributes[match[1].toLowerCase()] = (match[2] ?? match[3] ?? match[4]).replace(/&amp;/g, '&');
+  }
+  return attributes;
+};
+
+const resolveUrl = (href, baseUrl) => {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 从站点首页 HTML 中提取封面 logo 与页面语言
+ * logo 依次取 og:image、apple-touch-icon、icon，都没有时使用 /favicon.ico
+ * @param {string} html
+ * @param {string} pageUrl - 首页地址，用于解析相对路径
+ * @returns {{logoUrl: string|null, language: string|null}}
+ */
+export function extractSiteInfo(html, pageUrl) {
+  const candidates = { ogImage: null, touchIcon: null, icon: null };
+  let language = null;
+
+  for (const match of (html || '').matchAll(TAG)) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2]);
+
+    if (tag === 'html') {
+      language = attributes.lang || language;
+    } else if (tag === 'meta' && attributes.property === 'og:image' && attributes.content) {
+      candidates.ogImage ??= attributes.content;
+    } else if (tag === 'link' && attributes.href) {
+      const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+      if (rel.includes('apple-touch-icon')) {
+        candidates.touchIcon ??= attributes.href;
+      } else if (rel.includes('icon')) {
+        candidates.icon ??= attributes.href;
+      }
+    }
+  }
+
+  const href = candidates.ogImage || candidates.touchIcon || candidates.icon || '/favicon.ico';
+  return { logoUrl: resolveUrl(href, pageUrl), language };
+}
+
+/**
+ * 版权页中的翻译模型说明，未启用翻译时返回 null
+ * @param {Object} [translation] - config.translation
+ * @returns {string|null}
+ */
+export function translationModel(translation) {
+  if (!translation?.enabled) {
+    return null;
+  }
+
+  const provider = translation.provider || 'gemini-cli';
+  const model =
+    provider === 'openai-compatible'
+      ? translation.openaiCompatible?.model
+      : provider === 'ollama'
+        ? translation.ollama?.model
+        : null;
+
+  return model ? `${model} (${provider})` : provider;
+}
+
+const PAGE_STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; color: #1f2328; font-family: system-ui, -apple-system, "Segoe UI", "PingFang SC", "Noto Sans CJK SC", sans-serif; }
+`;
+
+const renderPage = (language, style, body) =>
+  `<!DOCTYPE html><html lang="${escapeHtml(language || 'en')}"><head><meta charset="utf-8">` +
+  `<style>${PAGE_STYLE}${style}</style></head><body>${body}</body></html>`;
+
+/**
+ * 封面页：标题、副标题、来源站点、语言、抓取日期、页数与可选的 logo
+ * @param {Object} info - BookFrontMatterService 收集的书籍信息
+ * @returns {string}
+ */
+export function renderCoverHtml(info) {
+  const details = [
+    ['Source', `${info.site.name} — ${info.site.url}`],
+    ['Language', info.language],
+    ['Scraped', info.date],
+    ['Pages', info.pageCount],
+  ].filter(([, value]) => value);
+
+  const style = `
+    .cover { height: 100vh; overflow: hidden; display: flex; flex-direction: column; justify-content: center; padding: 0 12%; }
+    .logo { max-width: 160px; max-height: 120px; object-fit: contain; margin-bottom: 2.5em; align-self: flex-start; }
+    h1 { font-size: 34pt; line-height: 1.2; margin: 0 0 0.4em; }
+    .subtitle { font-size: 16pt; color: #57606a; margin: 0 0 2em; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.4em 1.5em; font-size: 11pt; margin: 0; padding-top: 1.5em; border-top: 2px solid #1f2328; }
+    dt { color: #57606a; }
+    dd { margin: 0; word-break: break-all; }
+  `;
+
+  return renderPage(
+    info.language,
+    style,
+    `<section class="cover">` +
+      (info.logo ? `<img class="logo" src="${escapeHtml(info.logo)}" alt="">` : '') +
+      `<h1>${escapeHtml(info.title)}</h1>` +
+      (info.subtitle ? `<p class="subtitle">${escapeHtml(info.subtitle)}</p>` : '') +
+      `<dl>${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` +
+      `</section>`
+  );
+}
+
+/**
+ * 版权页：来源、抓取日期、翻译模型、许可声明与全部来源 URL
+ * @param {Object} info - BookFrontMatterService 收集的书籍信息
+ * @returns {string}
+ */
+export function renderColophonHtml(info) {
+  const details = [
+    ['Source', info.site.url],
+    ['Crawled', info.date],
+    ['Language', info.language],
+    ['Translation', info.translation],
+    ['Generated by', 'documentation-pdf-scraper'],
+  ].filter(([, value]) => value);
+
+  const style = `
+    body { font-size: 9pt; line-height: 1.5; }
+    h2 { font-size: 14pt; margin: 0 0 1em; }
+    h3 { font-size: 10pt; margin: 1.8em 0 0.6em; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.3em 1.5em; margin: 0; }
+    dt { color: #57606a; }
+    dd { margin: 0; word-break: break-all; }
+    .license { margin: 1.5em 0 0; padding: 0.8em 1em; background: #f6f8fa; border-radius: 4px; }
+    ol { margin: 0; padding-left: 2.5em; color: #57606a; }
+    li { word-break: break-all; }
+  `;
+
+  return renderPage(
+    info.language,
+    style,
+    `<h2>${escapeHtml(info.title)}</h2>` +
+      `<dl>${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` +
+      (info.license ? `<p class="license">${escapeHtml(info.license)}</p>` : '') +
+      (info.sourceUrls.length > 0
+        ? `<h3>Sources (${info.sourceUrls.length})</h3>` +
+          `<ol>${info.sourceUrls.map((url) => `<li>${escapeHtml(url)}</li>`).join('')}</ol>`
+        : '')
+  );
+}
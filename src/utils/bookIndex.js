@@ -0,0 +1,277 @@
+// src/utils/bookIndex.js
+// 书末索引：从页面 Markdown 收集索引词（标题、行内代码标识符、doc target 配置的术语），
+// 为 Pandoc/LaTeX 生成 \index 条目，为 HTML 书籍与 EPUB 生成索引页
+import { escapeLatex } from './headerFooter.js';
+import { escapeHtml } from './htmlBook.js';
+
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const HEADING = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+const HEADING_ATTRIBUTES = /\s*\{[^}]*\}\s*$/;
+const HEADING_ID = /\{[^}]*#([\w:.-]+)[^}]*\}\s*$/;
+const INLINE_CODE = /(`+)([^`\n]+?)\1(?!`)/g;
+const MAX_TERM_LENGTH = 40;
+
+// 行内代码中只有像标识符的内容才进入索引，普通单词与代码片段会让索引失去用处
+const IDENTIFIERS = [
+  /^--?[a-z][\w-]*$/i, // CLI 参数：--model、-p
+  /^\/[a-z][\w:-]*$/, // 斜杠命令：/compact
+  /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+$/, // 环境变量：ANTHROPIC_API_KEY
+  /^[a-z_$][\w$-]*(?:\.[\w$-]+)+$/i, // 配置键与文件名：permissions.allow、settings.json
+  /^[a-z][a-z0-9]*(?:[_-][a-z0-9]+)+$/, // snake_case / kebab-case
+  /^[a-z]+[A-Z][a-zA-Z0-9]*$/, // camelCase
+];
+
+// makeindex 的特殊字符需要用 " 转义
+const quoteMakeindex = (text) => text.replace(/[!@|"]/g, '"$&');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termKey = (term) => `${term.code ? 'code' : 'text'}:${term.term.toLowerCase()}`;
+
+/**
+ * 解析 markdownPdf.index 配置，未启用时返回 null
+ * @param {Object} [index] - config.markdownPdf.index
+ * @returns {{headings: boolean, code: boolean, terms: string[]}|null}
+ */
+export function resolveIndexOptions(index) {
+  if (!index?.enabled) {
+    return null;
+  }
+
+  return {
+    headings: index.headings !== false,
+    code: index.code !== false,
+    terms: (index.terms || []).filter((term) => term.trim()),
+  };
+}
+
+/**
+ * 排序键：忽略大小写与前导的 - / .（--model 排在 m 下）
+ * @param {string} term
+ * @returns {string}
+ */
+export function sortKey(term) {
+  return term.toLowerCase().replace(/^[-/.]+/, '');
+}
+
+/**
+ * 行内代码是否是可索引的标识符；带参数的 CLI 参数只取参数名
+ * @param {string} code - 行内代码内容
+ * @returns {string|null}
+ */
+export function codeIdentifier(code) {
+  let term = code.trim();
+  if (/^--?[a-z]/i.test(term)) {
+    term = term.split(/[\s=]/)[0];
+  }
+
+  if (!term || term.length > MAX_TERM_LENGTH) {
+    return null;
+  }
+  return IDENTIFIERS.some((pattern) => pattern.test(term)) ? term : null;
+}
+
+const cleanHeading = (text) =>
+  text
+    .replace(HEADING_ATTRIBUTES, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*]/g, '')
+    .trim();
+
+/**
+ * LaTeX 索引条目：排序键@显示文本，代码标识符用等宽字体
+ * @param {{term: string, code: boolean}} term
+ * @returns {string}
+ */
+export function latexIndexEntry({ term, code }) {
+  const display = quoteMakeindex(escapeLatex(term));
+  const key = sortKey(term).replace(/[^\p{L}\p{N} ._-]/gu, '');
+  const text = code ? `\\texttt{${display}}` : display;
+
+  return key ? `\\index{${key}@${text}}` : `\\index{${text}}`;
+}
+
+/**
+ * 收集一个页面的索引词，并在页面开头与每个标题后插入 LaTeX \index 条目
+ * 条目放在 ```{=latex} 原始块中，EPUB 与 HTML 输出会忽略它们
+ *
+ * @param {string} markdown - 页面正文（不含注入的页面标题）
+ * @param {Object} [options] - resolveIndexOptions 的结果
+ * @param {string} [options.title] - 页面标题，索引到页面开头
+ * @param {string|null} [options.anchor] - 页面锚点，标题没有显式锚点时使用
+ * @returns {{content: string, terms: Array<{term: string, code: boolean, anchor: string|null}>}}
+ */
+export function indexMarkdown(markdown, options = {}) {
+  const { title = null, anchor = null, headings = true, code = true, terms = [] } = options;
+  const lines = (markdown || '').split('\n');
+  const chunks = [{ line: -1, heading: title, anchor, text: [] }];
+  const termPatterns = terms.map((term) => ({
+    term,
+    pattern: new RegExp(`(?<![\\w-])${escapeRegExp(term)}(?![\\w-])`, 'i'),
+  }));
+
+  // 按标题切分页面，代码块中的内容不参与索引
+  let fence = null;
+  lines.forEach((line, position) => {
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+
+    const headingMatch = line.match(HEADING);
+    if (headingMatch) {
+      const id = headingMatch[2].match(HEADING_ID);
+      chunks.push({
+        line: position,
+        heading: cleanHeading(headingMatch[2]),
+        anchor: id ? id[1] : anchor,
+        text: [],
+      });
+    }
+    chunks[chunks.length - 1].text.push(line);
+  });
+
+  const collected = [];
+  const blocks = new Map();
+  for (const chunk of chunks) {
+    const found = new Map();
+    const add = (term, isCode) => {
+      const entry = { term, code: isCode, anchor: chunk.anchor };
+      if (!found.has(termKey(entry))) found.set(termKey(entry), entry);
+    };
+
+    const text = chunk.text.join('\n');
+    if (headings && chunk.heading) {
+      add(chunk.heading, false);
+    }
+    if (code) {
+      for (const match of text.matchAll(INLINE_CODE)) {
+        const identifier = codeIdentifier(match[2]);
+        if (identifier) add(identifier, true);
+      }
+    }
+    const prose = text.replace(INLINE_CODE, ' ');
+    for (const { term, pattern } of termPatterns) {
+      if (pattern.test(prose)) add(term, false);
+    }
+
+    if (found.size > 0) {
+      collected.push(...found.values());
+      const entries = [...found.values()].map(latexIndexEntry).join('');
+      blocks.set(chunk.line, `\`\`\`{=latex}\n${entries}\n\`\`\``);
+    }
+  }
+
+  const output = blocks.has(-1) ? [blocks.get(-1), ''] : [];
+  lines.forEach((line, position) => {
+    output.push(line);
+    if (blocks.has(position)) {
+      output.push('', blocks.get(position), '');
+    }
+  });
+
+  return { content: output.join('\n'), terms: collected };
+}
+
+/**
+ * 把各页面的索引词合并为按首字母分组的索引；非字母开头的词归入 #
+ * @param {Array<{term: string, code: boolean, title: string, href: string|null}>} entries
+ * @returns {Array<{letter: string, terms: Array<{term: string, code: boolean, pages: Array<{title: string, href: string|null}>}>}>}
+ */
+export function buildIndexGroups(entries) {
+  const terms = new Map();
+  for (const entry of entries) {
+    const key = termKey(entry);
+    if (!terms.has(key)) {
+      terms.set(key, { term: entry.term, code: entry.code, pages: [] });
+    }
+
+    const pages = terms.get(key).pages;
+    const location = entry.href ?? entry.title;
+    if (!pages.some((page) => (page.href ?? page.title) === location)) {
+      pages.push({ title: entry.title, href: entry.href ?? null });
+    }
+  }
+
+  const groups = new Map();
+  const sorted = [...terms.values()].sort(
+    (a, b) => sortKey(a.term).localeCompare(sortKey(b.term)) || a.term.localeCompare(b.term)
+  );
+  for (const term of sorted) {
+    const first = sortKey(term.term).charAt(0).toUpperCase();
+    const letter = /\p{L}/u.test(first) ? first : '#';
+    if (!groups.has(letter)) groups.set(letter, []);
+    groups.get(letter).push(term);
+  }
+
+  return [...groups].map(([letter, groupTerms]) => ({ letter, terms: groupTerms }));
+}
+
+/**
+ * HTML 索引页：字母导航 + 按字母分组的词条，每个词条链接到出现的页面（没有地址时只显示标题）
+ * @param {ReturnType<typeof buildIndexGroups>} groups
+ * @returns {string}
+ */
+export function renderIndexHtml(groups) {
+  const letters = groups
+    .map((group, position) => `<a href="#index-${position}">${escapeHtml(group.letter)}</a>`)
+    .join('\n');
+
+  const sections = groups.map((group, position) => {
+    const items = group.terms.map((term) => {
+      const label = term.code ? `<code>${escapeHtml(term.term)}</code>` : escapeHtml(term.term);
+      const pages = term.pages
+        .map((page) =>
+          page.href
+            ? `<a href="${escapeHtml(page.href)}">${escapeHtml(page.title)}</a>`
+            : escapeHtml(page.title)
+        )
+        .join(', ');
+      return `<li>${label} — ${pages}</li>`;
+    });
+
+    return (
+      `<section class="book-index-group" id="index-${position}">\n` +
+      `<h2>${escapeHtml(group.letter)}</h2>\n` +
+      `<ul>\n${items.join('\n')}\n</ul>\n</section>`
+    );
+  });
+
+  return [
+    '<h1>Index</h1>',
+    `<nav class="book-index-letters">\n${letters}\n</nav>`,
+    ...sections,
+  ].join('\n');
+}
+
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<>#]/g, '\\$&');
+
+/**
+ * EPUB 的索引章节；页面没有锚点（links.internal 关闭）时只列出页面标题
+ * @param {ReturnType<typeof buildIndexGroups>} groups
+ * @returns {string}
+ */
+export function renderIndexMarkdown(groups) {
+  const sections = groups.map((group) => {
+    const items = group.terms.map((term) => {
+      const label = term.code ? `\`${term.term}\`` : escapeMarkdown(term.term);
+      const pages = term.pages
+        .map((page) =>
+          page.href ? `[${escapeMarkdown(page.title)}](${page.href})` : escapeMarkdown(page.title)
+        )
+        .join(', ');
+      return `- ${label} — ${pages}`;
+    });
+
+    return `## ${escapeMarkdown(group.letter)} {.unnumbered}\n\n${items.join('\n')}`;
+  });
+
+  return `# Index {#book-index .unnumbered}\n\n${sections.join('\n\n')}\n`;
+}
@@ -89,6 +89,24 @@ export const retry = async (fn, options = {}) => {
   throw lastError;
 };
 
+/**
+ * 从模型输出中提取 JSON 对象（容忍前后多余的说明文字或代码围栏）
+ * @param {string} text - 原始输出
+ * @returns {Object} 解析后的对象
+ * @throws {Error} 输出中没有 JSON 对象或解析失败
+ */
+export const extractJsonObject = (text) => {
+  const trimmed = String(text ?? '').trim();
+  const firstBrace = trimmed.indexOf('{');
+  const lastBrace = trimmed.lastIndexOf('}');
+
+  if (firstBrace === -1 || lastBrace === -1) {
+    throw new Error('No JSON object found in output');
+  }
+
+  return JSON.parse(trimmed.substring(firstBrace, lastBrace + 1));
+};
+
 // 保留原有的isIgnored函数
 export const isIgnored = (url, ignoreURLs) => {
   return ignoreURLs.some((ignored) => url.includes(ignored));
@@ -0,0 +1,163 @@
+// src/utils/contentDiff.js
+
+/**
+ * 逐行比较两段文本（Myers 算法），返回编辑脚本
+ * 编辑距离超过 maxEdits 时放弃逐行比较，按整段替换处理，避免大改动占用过多内存
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {Object} [options]
+ * @param {number} [options.maxEdits=2000]
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+export function diffLines(oldLines, newLines, options = {}) {
+  const { maxEdits = 2000 } = options;
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, oldLines, newLines);
+      }
+    }
+  }
+
+  return [
+    ...oldLines.map((line) => ({ type: '-', line })),
+    ...newLines.map((line) => ({ type: '+', line })),
+  ];
+}
+
+function backtrack(trace, oldLines, newLines) {
+  const ops = [];
+  let x = oldLines.length;
+  let y = newLines.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    // trace[d] 保存第 d 步之前的 V，覆盖 k ∈ [-d-1, d+1]
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: oldLines[--x] });
+      y--;
+    }
+
+    if (prevK === k + 1) {
+      ops.push({ type: '+', line: newLines[--y] });
+    } else {
+      ops.push({ type: '-', line: oldLines[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: oldLines[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * 把编辑脚本按上下文行数分组为 unified diff 的 hunk
+ * @param {Array<{type: string, line: string}>} ops - diffLines 的返回值
+ * @param {number} [context=3]
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number,
+ *   lines: Array<{type: string, line: string}>}>}
+ */
+export function buildHunks(ops, context = 3) {
+  let oldNo = 1;
+  let newNo = 1;
+  const entries = ops.map((op) => {
+    const entry = { ...op, oldNo, newNo };
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+    return entry;
+  });
+
+  const ranges = [];
+  entries.forEach((entry, index) => {
+    if (entry.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(entries.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const lines = entries.slice(start, end + 1);
+    const oldCount = lines.filter((entry) => entry.type !== '+').length;
+    const newCount = lines.filter((entry) => entry.type !== '-').length;
+
+    return {
+      // 与 diff -u 一致：没有旧行/新行时起始行号指向前一行
+      oldStart: oldCount === 0 ? lines[0].oldNo - 1 : lines[0].oldNo,
+      oldLines: oldCount,
+      newStart: newCount === 0 ? lines[0].newNo - 1 : lines[0].newNo,
+      newLines: newCount,
+      lines: lines.map(({ type, line }) => ({ type, line })),
+    };
+  });
+}
+
+/**
+ * 生成两段文本的 unified diff
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {string} [options.oldName='a'] - --- 行的文件名
+ * @param {string} [options.newName='b'] - +++ 行的文件名
+ * @param {number} [options.context=3]
+ * @returns {{diff: string, additions: number, deletions: number}} 没有差异时 diff 为空字符串
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { oldName = 'a', newName = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const additions = ops.filter((op) => op.type === '+').length;
+  const deletions = ops.filter((op) => op.type === '-').length;
+
+  if (additions === 0 && deletions === 0) {
+    return { diff: '', additions, deletions };
+  }
+
+  const lines = [`--- ${oldName}`, `+++ ${newName}`];
+  for (const hunk of buildHunks(ops, context)) {
+    lines.push(
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      ...hunk.lines.map(({ type, line }) => `${type}${line}`)
+    );
+  }
+
+  return { diff: lines.join('\n'), additions, deletions };
+}
+
+function splitLines(text) {
+  const normalized = String(text ?? '').replace(/\r\n/g, '\n');
+  if (normalized === '') return [];
+  return normalized.replace(/\n$/, '').split('\n');
+}
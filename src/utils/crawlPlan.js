@@ -0,0 +1,104 @@
+// src/utils/crawlPlan.js
+
+/**
+ * 由 Scraper 的URL收集结果生成爬取计划（plan 命令）
+ * @param {Object} params
+ * @param {Object} params.config
+ * @param {string[]} params.urlQueue - 将要爬取的URL（按最终索引排序）
+ * @param {Object} params.report - scraper.collectionReport
+ * @returns {Object}
+ */
+export function buildCrawlPlan({ config, urlQueue, report }) {
+  const { rawUrlCount = 0, sections = [], dropped = [], sectionConflicts = [] } = report || {};
+
+  const droppedByReason = {};
+  dropped.forEach(({ reason }) => {
+    droppedByReason[reason] = (droppedByReason[reason] || 0) + 1;
+  });
+
+  const sectionedUrls = new Set(sections.flatMap((section) => section.pages.map((p) => p.url)));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    rootURL: config.rootURL,
+    discovery:
+      Array.isArray(config.targetUrls) && config.targetUrls.length > 0
+        ? 'targetUrls'
+        : config.discovery || 'navigation',
+    summary: {
+      rawUrls: rawUrlCount,
+      pages: urlQueue.length,
+      sections: sections.length,
+      emptySections: sections.filter((section) => section.pages.length === 0).length,
+      dropped: dropped.length,
+      droppedByReason,
+      sectionConflicts: sectionConflicts.length,
+    },
+    sections: sections.map((section) => ({
+      index: section.index,
+      title: section.title,
+      entryUrl: section.entryUrl,
+      pages: section.pages.map(({ index, url }) => ({ index, url })),
+    })),
+    unsectioned: urlQueue
+      .map((url, index) => ({ index: String(index), url }))
+      .filter(({ url }) => !sectionedUrls.has(url)),
+    dropped,
+    sectionConflicts,
+  };
+}
+
+const branch = (isLast) => (isLast ? '└─ ' : '├─ ');
+const indent = (isLast) => (isLast ? '   ' : '│  ');
+
+/**
+ * 将爬取计划格式化为便于人工审阅的树形文本
+ * @param {Object} plan - buildCrawlPlan 的返回值
+ * @returns {string}
+ */
+export function formatCrawlPlanTree(plan) {
+  const { summary } = plan;
+  const lines = [
+    `Crawl plan for ${plan.rootURL} (${plan.discovery})`,
+    `${summary.pages} pages in ${summary.sections} sections, ` +
+      `${summary.dropped} dropped, ${summary.sectionConflicts} section conflicts`,
+    '',
+  ];
+
+  const groups = [...plan.sections];
+  if (plan.unsectioned.length > 0) {
+    groups.push({ title: '(no section)', entryUrl: null, pages: plan.unsectioned });
+  }
+
+  groups.forEach((section, sectionIdx) => {
+    const lastSection = sectionIdx === groups.length - 1;
+    const entry = section.entryUrl ? ` - ${section.entryUrl}` : '';
+    lines.push(`${branch(lastSection)}${section.title} (${section.pages.length})${entry}`);
+
+    if (section.pages.length === 0) {
+      lines.push(`${indent(lastSection)}└─ (empty)`);
+    }
+    section.pages.forEach((page, pageIdx) => {
+      const lastPage = pageIdx === section.pages.length - 1;
+      lines.push(`${indent(lastSection)}${branch(lastPage)}[${page.index}] ${page.url}`);
+    });
+  });
+
+  if (plan.dropped.length > 0) {
+    const width = Math.max(...plan.dropped.map(({ reason }) => reason.length));
+    lines.push('', `Dropped (${plan.dropped.length})`);
+    plan.dropped.forEach(({ url, reason, duplicateOf }) => {
+      const note = duplicateOf && duplicateOf !== url ? ` (same as ${duplicateOf})` : '';
+      lines.push(`  ${reason.padEnd(width)}  ${url}${note}`);
+    });
+  }
+
+  if (plan.sectionConflicts.length > 0) {
+    lines.push('', `Section conflicts (${plan.sectionConflicts.length})`);
+    plan.sectionConflicts.forEach(({ url, existingSection, conflictSection }) => {
+      lines.push(`  ${url}: kept in "${existingSection}", also linked from "${conflictSection}"`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
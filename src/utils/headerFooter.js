@@ -0,0 +1,176 @@
+// src/utils/headerFooter.js
+import path from 'path';
+import { escapeHtml } from './htmlBook.js';
+
+/**
+ * 页眉页脚（pdf.headerFooter）：header/footer 各有 left、center、right 三个位置，文本中可使用占位符
+ * - {pageNumber} {totalPages}：页码与总页数
+ * - {title}：页面标题  {section}：所在 section 标题
+ * - {target}：doc target 名称  {url}：页面来源 URL  {date}：构建日期
+ *
+ * Puppeteer 路径渲染为 page.pdf 的 headerTemplate/footerTemplate，Pandoc 路径渲染为 fancyhdr
+ */
+
+export const HEADER_FOOTER_SLOTS = ['left', 'center', 'right'];
+
+const PLACEHOLDER = /\{(pageNumber|totalPages|title|section|target|url|date)\}/g;
+
+/**
+ * 启用时返回页眉页脚配置，否则返回 null
+ * 未设置 enabled 时，整本书一次打印（批量 PDF）默认开启；逐页打印再合并的 PDF 默认关闭，
+ * 因为每页的页码都从 1 开始
+ * @param {Object} [headerFooter] - pdf.headerFooter
+ * @param {Object} [options]
+ * @param {boolean} [options.perPage=false] - 是否为逐页打印的 PDF
+ * @returns {{header: Object, footer: Object, fontSize: string}|null}
+ */
+export function resolveHeaderFooter(headerFooter, options = {}) {
+  if (!headerFooter || !(headerFooter.enabled ?? !options.perPage)) {
+    return null;
+  }
+
+  const slots = (value = {}) =>
+    Object.fromEntries(HEADER_FOOTER_SLOTS.map((slot) => [slot, value[slot] || '']));
+
+  return {
+    header: slots(headerFooter.header),
+    footer: slots(headerFooter.footer),
+    fontSize: headerFooter.fontSize || '8px',
+  };
+}
+
+/**
+ * {target} 的取值：doc target 名称，没有时使用 rootURL 的主机名
+ * @param {Object} config
+ * @returns {string}
+ */
+export function headerFooterTarget(config = {}) {
+  if (config.docTarget) {
+    return path.basename(config.docTarget, '.json');
+  }
+
+  try {
+    return new URL(config.rootURL).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * 构建日期（YYYY-MM-DD）
+ * @param {Date} [date]
+ */
+export const buildDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * 按占位符切分模板，文字与占位符分别交给 renderText / renderField
+ * @private
+ */
+function renderTemplate(template, renderText, renderField) {
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    output += renderText(template.slice(lastIndex, match.index));
+    output += renderField(match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return output + renderText(template.slice(lastIndex));
+}
+
+/**
+ * Chrome 打印模板。页码由 Chrome 填入 pageNumber/totalPages 元素，
+ * 每个页面单独生成 PDF，所以页码从每篇文章的第一页开始计算
+ * @param {Object} slots - {left, center, right}
+ * @param {Object} values - {title, section, target, url, date}
+ * @param {Object} [options]
+ * @param {string} [options.fontSize='8px']
+ * @param {Object} [options.margin] - 页边距，页眉页脚与正文左右对齐
+ * @returns {string}
+ */
+export function renderHeaderFooterHtml(slots, values, options = {}) {
+  const { fontSize = '8px', margin = {} } = options;
+  const renderField = (field) =>
+    field === 'pageNumber' || field === 'totalPages'
+      ? `<span class="${field}"></span>`
+      : escapeHtml(values[field] ?? '');
+
+  const cells = HEADER_FOOTER_SLOTS.map(
+    (slot) =>
+      `<span style="flex: 1; text-align: ${slot}; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;">` +
+      `${renderTemplate(slots[slot] || '', escapeHtml, renderField)}</span>`
+  ).join('');
+
+  // 模板为空时 Chrome 会显示默认的日期和标题，所以始终输出容器
+  return (
+    `<div style="display: flex; gap: 1em; width: 100%; font-size: ${fontSize}; color: #666; ` +
+    `font-family: system-ui, -apple-system, sans-serif; ` +
+    `padding: 0 ${margin.right || '1cm'} 0 ${margin.left || '1cm'};">${cells}</div>`
+  );
+}
+
+const LATEX_SPECIAL = /[\\{}$&#^_%~]/g;
+const LATEX_REPLACEMENTS = {
+  '\\': '\\textbackslash{}',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}',
+};
+
+/**
+ * 转义 LaTeX 特殊字符
+ * @param {string} text
+ */
+export const escapeLatex = (text) =>
+  String(text).replace(LATEX_SPECIAL, (char) => LATEX_REPLACEMENTS[char] || `\\${char}`);
+
+// 占位符 -> LaTeX：批量 PDF 中 section 是一级标题、页面是二级标题
+const LATEX_FIELDS = {
+  pageNumber: '\\thepage{}',
+  totalPages: '\\pageref*{LastPage}',
+  section: '\\leftmark{}',
+  title: '\\rightmark{}',
+};
+
+/**
+ * Pandoc（xelatex）的 fancyhdr 页眉页脚，作为 header-includes 传入
+ * @param {{header: Object, footer: Object}} headerFooter - resolveHeaderFooter 的结果
+ * @param {Object} values - {target, url, date}；{url} 为文档的根 URL
+ * @returns {string}
+ */
+export function renderFancyhdr(headerFooter, values) {
+  const renderField = (field) => LATEX_FIELDS[field] || escapeLatex(values[field] ?? '');
+  const positions = { left: 'L', center: 'C', right: 'R' };
+
+  const commands = [];
+  for (const [command, slots] of [
+    ['fancyhead', headerFooter.header],
+    ['fancyfoot', headerFooter.footer],
+  ]) {
+    for (const slot of HEADER_FOOTER_SLOTS) {
+      if (slots[slot]) {
+        commands.push(
+          `\\${command}[${positions[slot]}]{\\footnotesize ${renderTemplate(slots[slot], escapeLatex, renderField)}}`
+        );
+      }
+    }
+  }
+
+  return [
+    '\\usepackage{fancyhdr} \\usepackage{lastpage}',
+    '\\setlength{\\headheight}{14pt}',
+    '\\pagestyle{fancy} \\fancyhf{}',
+    // 页眉中保留标题原样（fancyhdr 默认转为大写并加编号）
+    '\\renewcommand{\\sectionmark}[1]{\\markboth{#1}{}}',
+    '\\renewcommand{\\subsectionmark}[1]{\\markright{#1}}',
+    ...commands,
+    // 页眉为空时不画页眉线
+    HEADER_FOOTER_SLOTS.some((slot) => headerFooter.header[slot])
+      ? ''
+      : '\\renewcommand{\\headrulewidth}{0pt}',
+    // 目录等 plain 页面使用同样的页眉页脚
+    '\\fancypagestyle{plain}{}',
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
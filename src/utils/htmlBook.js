@@ -0,0 +1,366 @@
+// src/utils/htmlBook.js
+// HTML 书籍输出的纯函数：双语段落配对、页面切分、搜索索引与页面模板
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// 中日韩文字没有空格分词，搜索时按二元组切分（与 book.js 中的 tokenize 保持一致）
+const CJK_CHARS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+const CJK_RUN = new RegExp(`[${CJK_CHARS}]+|[^${CJK_CHARS}]+`, 'g');
+const CJK_START = new RegExp(`^[${CJK_CHARS}]`);
+
+// 标题中的词在排序时按出现多次计算
+const TITLE_WEIGHT = 10;
+
+const PAGE_MARKER = /<!-- book-page:(\d+) -->\n?/;
+
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * 在拼接的 Markdown 中标记页面边界，Pandoc 原样保留 HTML 注释，转换后据此切分
+ */
+export const bookPageMarker = (position) => `<!-- book-page:${position} -->`;
+
+/**
+ * 按 TranslationService.translateMarkdown 的规则切分可翻译段落：
+ * 代码块、图片行与 frontmatter 不翻译，标题与列表项各自成段
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function splitTranslationSegments(markdown) {
+  const segments = [];
+  let current = [];
+  let inCodeBlock = false;
+  let inFrontmatter = false;
+
+  const flush = () => {
+    const text = current.join('\n').trim();
+    current = [];
+    if (text) segments.push(text);
+  };
+
+  (markdown || '').split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (index === 0 && trimmed === '---') {
+      inFrontmatter = true;
+      return;
+    }
+    if (inFrontmatter) {
+      if (trimmed === '---') inFrontmatter = false;
+      return;
+    }
+
+    if (/^(```|~~~)/.test(trimmed)) {
+      flush();
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) return;
+
+    if (trimmed === '' || /^!\[[^\]]*\]\([^)]*\)\s*(\{[^}]*\})?$/.test(trimmed)) {
+      flush();
+      return;
+    }
+
+    const startsBlock = /^#{1,6}\s+/.test(trimmed) || /^([*+-]|\d+\.)\s+/.test(trimmed);
+    if (startsBlock && current.length > 0) {
+      flush();
+    }
+    current.push(line);
+  });
+
+  flush();
+  return segments;
+}
+
+/**
+ * 双语译文（每段原文后紧跟一段译文）中的原文/译文配对包进 fenced div，
+ * HTML 书籍用样式把两栏并排显示；PDF 不使用这一步
+ * @param {string} translated - 双语模式的 _translated.md 内容
+ * @param {string} original - 同一页面的原文 Markdown
+ * @returns {{content: string, pairs: number}}
+ */
+export function markBilingualBlocks(translated, original) {
+  const segments = splitTranslationSegments(original);
+  if (!translated || segments.length === 0) {
+    return { content: translated, pairs: 0 };
+  }
+
+  const matches = [];
+  let cursor = 0;
+  segments.forEach((segment, k) => {
+    const start = translated.indexOf(`${segment}\n\n`, cursor);
+    if (start === -1) return;
+
+    // 译文到空行、下一段原文、代码块或图片行为止
+    const from = start + segment.length + 2;
+    const next = segments[k + 1];
+    const ends = ['\n\n', '\n```', '\n~~~', '\n![', next && `\n${next.split('\n')[0]}`]
+      .filter(Boolean)
+      .map((marker) => translated.indexOf(marker, from))
+      .filter((position) => position !== -1);
+    const end = Math.min(translated.length, ...ends);
+
+    // 标题等未翻译时原文后面直接就是下一段，不能把它当成译文
+    if (next && translated.startsWith(next.split('\n')[0], from)) {
+      matches.push({ start, end: start + segment.length, segment, translation: '' });
+      cursor = from;
+      return;
+    }
+
+    matches.push({ start, end, segment, translation: translated.slice(from, end).trim() });
+    cursor = end;
+  });
+
+  // 只有单语译文时，个别未翻译的段落也能找到；大部分原文都在才是双语输出
+  if (matches.length < segments.length * 0.8) {
+    return { content: translated, pairs: 0 };
+  }
+
+  let content = '';
+  let position = 0;
+  let pairs = 0;
+  for (const { start, end, segment, translation } of matches) {
+    content += translated.slice(position, start);
+    if (!translation || translation === segment) {
+      // 翻译失败时译文与原文相同，只保留一份
+      content += segment;
+    } else {
+      // fenced div 前需要空行
+      const gap =
+        !content || content.endsWith('\n\n') ? '' : content.endsWith('\n') ? '\n' : '\n\n';
+      content +=
+        `${gap}:::: {.bilingual}\n::: {.original}\n${segment}\n:::\n\n` +
+        `::: {.translation}\n${translation}\n:::\n::::\n`;
+      pairs++;
+    }
+    position = end;
+  }
+  content += translated.slice(position);
+
+  return { content, pairs };
+}
+
+/**
+ * 切分 Pandoc 输出的 HTML：开头的 <style>（代码高亮）与按页面标记分开的页面片段
+ * @param {string} html
+ * @param {number} count - 页面数量
+ * @returns {{css: string, pages: string[]}}
+ */
+export function splitBookHtml(html, count) {
+  const styleMatch = html.match(/^\s*<style>([\s\S]*?)<\/style>/);
+  const body = styleMatch ? html.slice(styleMatch[0].length) : html;
+
+  const pages = new Array(count).fill('');
+  const parts = body.split(PAGE_MARKER);
+  for (let i = 1; i < parts.length; i += 2) {
+    const position = Number(parts[i]);
+    if (position < count) {
+      pages[position] = parts[i + 1].trim();
+    }
+  }
+
+  return { css: styleMatch ? styleMatch[1].trim() : '', pages };
+}
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point =
+        code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/**
+ * 页面片段的纯文本（搜索索引用）
+ */
+export function htmlToText(html) {
+  return decodeEntities(
+    (html || '')
+      .replace(/<(style|script|annotation)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 搜索分词：小写的单词与数字，中日韩文字按二元组
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu) || []) {
+    for (const run of word.match(CJK_RUN)) {
+      if (!CJK_START.test(run)) {
+        if (run.length > 1 || /\d/.test(run)) tokens.push(run);
+      } else if (run.length === 1) {
+        tokens.push(run);
+      } else {
+        for (let i = 0; i < run.length - 1; i++) {
+          tokens.push(run.slice(i, i + 2));
+        }
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 预先构建的倒排索引：词 -> [[文档序号, 权重], ...]
+ * @param {Array<{title: string, section: string|null, href: string, text: string}>} docs
+ * @param {Object} [options]
+ * @param {number} [options.maxText=10000] - 每个文档保存的文本长度（显示摘要用）
+ * @returns {{docs: Object[], terms: Object}}
+ */
+export function buildSearchIndex(docs, options = {}) {
+  const { maxText = 10000 } = options;
+  const terms = new Map();
+
+  docs.forEach((doc, id) => {
+    const weights = new Map();
+    for (const token of tokenize(doc.text)) {
+      weights.set(token, (weights.get(token) || 0) + 1);
+    }
+    for (const token of tokenize(doc.title)) {
+      weights.set(token, (weights.get(token) || 0) + TITLE_WEIGHT);
+    }
+
+    for (const [token, weight] of weights) {
+      if (!terms.has(token)) terms.set(token, []);
+      terms.get(token).push([id, weight]);
+    }
+  });
+
+  return {
+    docs: docs.map((doc) => ({
+      t: doc.title,
+      s: doc.section || '',
+      h: doc.href,
+      x: doc.text.slice(0, maxText),
+    })),
+    terms: Object.fromEntries(terms),
+  };
+}
+
+/**
+ * 搜索索引脚本：通过 <script> 加载，file:// 打开时也能使用（fetch 不能读取本地文件）
+ * JSON.parse 保证 "__proto__" 之类的词也是普通属性
+ */
+export function renderSearchIndexScript(index) {
+  return `window.BOOK_SEARCH_INDEX = JSON.parse(${JSON.stringify(JSON.stringify(index))});\n`;
+}
+
+/**
+ * 页面片段中的本地图片（相对路径）
+ * @returns {string[]}
+ */
+export function findLocalAssets(html) {
+  const assets = new Set();
+  for (const match of (html || '').matchAll(/<(?:img|source)\b[^>]*\ssrc="([^"]+)"/gi)) {
+    const src = decodeEntities(match[1]);
+    if (!/^([a-z][a-z\d+.-]*:|\/\/|#|\/)/i.test(src)) {
+      assets.add(src.split(/[?#]/)[0]);
+    }
+  }
+  return [...assets];
+}
+
+/**
+ * 多页布局：指向其他页面中锚点的 #id 链接改为 file.html#id
+ * @param {string} html
+ * @param {Map<string, string>} fileForId - 锚点 -> 所在文件
+ * @param {string} currentFile
+ */
+export function rewriteBookLinks(html, fileForId, currentFile) {
+  return html.replace(/href="#([^"]+)"/g, (match, id) => {
+    let decoded = id;
+    try {
+      decoded = decodeURIComponent(id);
+    } catch {
+      // 保留原样
+    }
+    const file = fileForId.get(id) || fileForId.get(decoded);
+    return file && file !== currentFile ? `href="${file}#${id}"` : match;
+  });
+}
+
+/**
+ * 侧边栏目录：分区 -> 页面
+ * @param {Array<{title: string|null, pages: Array<{title: string, href: string}>}>} groups
+ * @param {string} [currentHref] - 当前页面（高亮）
+ */
+export function renderToc(groups, currentHref) {
+  const renderPages = (pages) =>
+    pages
+      .map((page) => {
+        const current = page.href === currentHref ? ' aria-current="page"' : '';
+        return `<li><a href="${escapeHtml(page.href)}"${current}>${escapeHtml(page.title)}</a></li>`;
+      })
+      .join('\n');
+
+  const items = groups.map((group) =>
+    group.title === null
+      ? renderPages(group.pages)
+      : `<li class="book-toc-section"><span>${escapeHtml(group.title)}</span>\n` +
+        `<ol>\n${renderPages(group.pages)}\n</ol></li>`
+  );
+
+  return `<ol class="book-toc">\n${items.join('\n')}\n</ol>`;
+}
+
+/**
+ * 完整的 HTML 页面：侧边栏（书名、搜索框、目录）+ 正文
+ * @param {Object} options
+ * @param {string} options.title - 页面标题
+ * @param {string} options.bookTitle
+ * @param {string} [options.language]
+ * @param {string} options.toc - renderToc 的结果
+ * @param {string} options.content - 正文 HTML
+ * @param {string[]} options.stylesheets - 样式表路径
+ * @param {string[]} options.scripts - 脚本路径
+ */
+export function renderBookPage({
+  title,
+  bookTitle,
+  language,
+  toc,
+  content,
+  stylesheets = [],
+  scripts = [],
+}) {
+  const pageTitle = title && title !== bookTitle ? `${title} - ${bookTitle}` : bookTitle;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle)}</title>
+${stylesheets.map((href) => `<link rel="stylesheet" href="${escapeHtml(href)}">`).join('\n')}
+</head>
+<body>
+<div class="book">
+<nav class="book-sidebar" aria-label="Table of contents">
+<a class="book-title" href="index.html">${escapeHtml(bookTitle)}</a>
+<input type="search" id="book-search" placeholder="Search" aria-label="Search" autocomplete="off">
+<ol id="book-search-results" hidden></ol>
+${toc}
+</nav>
+<main class="book-content">
+${content}
+</main>
+</div>
+${scripts.map((src) => `<script src="${escapeHtml(src)}"></script>`).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,287 @@
+// src/utils/linkResolver.js
+import { normalizeUrl } from './url.js';
+
+/**
+ * 跨页链接解析：把指向已抓取页面的绝对/相对链接改写为合并文档内的锚点
+ */
+
+export const pageAnchor = (index) => `page-${index}`;
+
+export const headingAnchor = (index, slug) => `page-${index}--${slug}`;
+
+/**
+ * 与常见文档站（GitHub / Mintlify / Docusaurus）一致的标题 slug 规则
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugifyHeading(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+const indexFromFilePath = (filePath) => {
+  const fileName = String(filePath || '')
+    .split(/[\\/]/)
+    .pop();
+  const prefix = fileName.split('-')[0];
+  return /^\d+$/.test(prefix) ? String(parseInt(prefix, 10)) : null;
+};
+
+/**
+ * 汇总 URL -> 页面索引 映射
+ * 优先使用本次运行的 sectionStructure 与 urlMapping；progress.json 中的 urlToIndex 跨运行保留，
+ * 只采用本次已处理且索引未被其他页面占用的 URL，避免旧 URL 指向复用了同一索引的新页面
+ * @param {Object} sources
+ * @param {Object} [sources.urlToIndex] - progress.json 中的 urlToIndex
+ * @param {string[]} [sources.processedUrls] - progress.json 中的 processedUrls
+ * @param {Object} [sources.urlMapping] - urlMapping.json（url -> { path }）
+ * @param {Object} [sources.sectionStructure] - sectionStructure.json
+ * @returns {Map<string, string>} 规范化 URL -> 索引
+ */
+export function buildLinkTargets({
+  urlToIndex = {},
+  processedUrls = [],
+  urlMapping = {},
+  sectionStructure,
+} = {}) {
+  const targets = new Map();
+  const add = (url, index) => {
+    if (!url || index === null || index === undefined) return;
+    const key = normalizeUrl(url);
+    if (!targets.has(key)) {
+      targets.set(key, String(index));
+    }
+  };
+
+  for (const section of sectionStructure?.sections || []) {
+    for (const page of section.pages || []) {
+      add(page.url, page.index);
+    }
+  }
+
+  Object.entries(urlMapping || {}).forEach(([url, entry]) => {
+    add(url, indexFromFilePath(typeof entry === 'string' ? entry : entry?.path));
+  });
+
+  const processed = new Set((processedUrls || []).map((url) => normalizeUrl(url)));
+  const claimed = new Set(targets.values());
+  Object.entries(urlToIndex || {}).forEach(([url, index]) => {
+    if (processed.has(normalizeUrl(url)) && !claimed.has(String(index))) {
+      add(url, index);
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * 逐行处理 Markdown，跳过围栏代码块
+ */
+const mapOutsideCodeBlocks = (markdown, mapLine) => {
+  let fence = null;
+
+  return markdown
+    .split('\n')
+    .map((line) => {
+      const fenceMatch = line.trim().match(/^(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        return line;
+      }
+      return fence ? line : mapLine(line);
+    })
+    .join('\n');
+};
+
+/**
+ * 对行内代码之外的文本应用替换
+ */
+const mapOutsideInlineCode = (line, replace) =>
+  line
+    .split(/(`+[^`]*?`+)/)
+    .map((part, i) => (i % 2 === 1 ? part : replace(part)))
+    .join('');
+
+/**
+ * 为页面内的标题添加带页面前缀的显式 id，避免合并后不同页面的同名标题冲突
+ * @param {string} markdown
+ * @param {string} index - 页面索引
+ * @returns {{content: string, slugs: Set<string>}}
+ */
+export function addHeadingAnchors(markdown, index) {
+  const slugs = new Set();
+  if (!markdown || index === null || index === undefined) {
+    return { content: markdown, slugs };
+  }
+
+  const seen = new Map();
+  const content = mapOutsideCodeBlocks(markdown, (line) => {
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*$/);
+    if (!match) return line;
+
+    let text = match[2].replace(/\s+#+$/, '');
+    let slug = null;
+
+    // 已有显式属性 {#id .class}：沿用原 id
+    const attrMatch = text.match(/\s*\{([^}]*)\}$/);
+    if (attrMatch) {
+      const idMatch = attrMatch[1].match(/(?:^|\s)#([^\s}]+)/);
+      if (!idMatch) return line;
+      slug = idMatch[1];
+      text = text.slice(0, attrMatch.index);
+    } else {
+      const base = slugifyHeading(text);
+      if (!base) return line;
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      slug = count === 0 ? base : `${base}-${count}`;
+    }
+
+    slugs.add(slug);
+    return `${match[1]} ${text} {#${headingAnchor(index, slug)}}`;
+  });
+
+  return { content, slugs };
+}
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// 链接文本不允许包含 [ ]，这样 [![alt](img)](url) 只会命中内部的图片而被跳过
+const INLINE_LINK = /(!?)\[((?:[^[\]\\]|\\.)*)\]\(\s*<?([^\s)>]+)>?((?:\s+"[^"]*")?)\s*\)/g;
+const AUTOLINK = /<(https?:\/\/[^>\s]+)>/g;
+
+/**
+ * 改写页面中的链接
+ * @param {string} markdown
+ * @param {Object} context
+ * @param {string} [context.pageUrl] - 当前页面 URL（用于解析相对链接）
+ * @param {string} [context.pageIndex] - 当前页面索引（用于页内 #fragment）
+ * @param {Map<string, string>} context.targets - buildLinkTargets 的结果
+ * @param {Map<string, Set<string>>} [context.headingSlugs] - 页面索引 -> 标题 slug
+ * @param {boolean} [context.footnotes] - 为站外链接追加 URL 脚注
+ * @returns {{content: string, internal: number, external: number}}
+ */
+export function rewriteLinks(markdown, context) {
+  const { pageUrl, pageIndex, targets, headingSlugs = new Map(), footnotes = false } = context;
+  const stats = { internal: 0, external: 0 };
+  if (!markdown) return { content: markdown, ...stats };
+
+  const resolveAnchor = (index, fragment) => {
+    const slug = fragment ? safeDecode(fragment) : '';
+    if (slug && headingSlugs.get(index)?.has(slug)) {
+      return headingAnchor(index, slug);
+    }
+    return pageAnchor(index);
+  };
+
+  const resolve = (href) => {
+    if (href.startsWith('#')) {
+      const slug = safeDecode(href.slice(1));
+      if (pageIndex !== undefined && pageIndex !== null && headingSlugs.get(pageIndex)?.has(slug)) {
+        return { anchor: headingAnchor(pageIndex, slug) };
+      }
+      return null;
+    }
+
+    let resolved;
+    try {
+      resolved = new URL(href, pageUrl);
+    } catch {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(resolved.protocol)) {
+      return null;
+    }
+
+    const index = targets.get(normalizeUrl(resolved.href));
+    if (index === undefined) {
+      return { external: resolved.href };
+    }
+    return { anchor: resolveAnchor(index, resolved.hash.slice(1)) };
+  };
+
+  const content = mapOutsideCodeBlocks(markdown, (line) =>
+    mapOutsideInlineCode(line, (text) =>
+      // 先处理 <https://...> 自动链接，避免误处理行内链接追加的脚注
+      text
+        .replace(AUTOLINK, (match, href) => {
+          const target = resolve(href);
+          if (!target?.anchor) {
+            if (target?.external) stats.external++;
+            return match;
+          }
+          stats.internal++;
+          return `[${href}](#${target.anchor})`;
+        })
+        .replace(INLINE_LINK, (match, bang, label, href, title) => {
+          if (bang) return match;
+
+          const target = resolve(href);
+          if (!target) return match;
+
+          if (target.anchor) {
+            stats.internal++;
+            return `[${label}](#${target.anchor}${title})`;
+          }
+
+          stats.external++;
+          if (footnotes && label.trim() !== href) {
+            return `${match}^[<${target.external}>]`;
+          }
+          return match;
+        })
+    )
+  );
+
+  return { content, ...stats };
+}
+
+/**
+ * 合集中不同目标的页面索引会重复：给页面/标题锚点及指向它们的链接加上目标前缀
+ * @param {string} markdown - 已经过 addHeadingAnchors/rewriteLinks 处理的合并内容
+ * @param {string} namespace - 目标名称
+ * @returns {string}
+ */
+export function namespaceAnchors(markdown, namespace) {
+  if (!markdown || !namespace) {
+    return markdown;
+  }
+
+  return mapOutsideCodeBlocks(markdown, (line) =>
+    mapOutsideInlineCode(line, (text) =>
+      text.replace(/(\{#|\]\(#)(page-\d+)/g, `$1${namespace}--$2`)
+    )
+  );
+}
+
+/**
+ * 把标题整体下移若干级（最多到 H6），用于把一个目标的内容放到合集的一级标题之下
+ * @param {string} markdown
+ * @param {number} [by=1]
+ * @returns {string}
+ */
+export function shiftHeadings(markdown, by = 1) {
+  if (!markdown || by <= 0) {
+    return markdown;
+  }
+
+  return mapOutsideCodeBlocks(markdown, (line) =>
+    line.replace(/^(#{1,6})(?=\s)/, (hashes) => '#'.repeat(Math.min(6, hashes.length + by)))
+  );
+}
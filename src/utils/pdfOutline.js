@@ -0,0 +1,302 @@
+// src/utils/pdfOutline.js
+import { PDFArray, PDFDict, PDFHexString, PDFName, PDFNumber, PDFRef, PDFString } from 'pdf-lib';
+
+/**
+ * pdf-lib 没有书签与链接的高层 API，这里直接读写 PDF 对象：
+ * - 书签：/Outlines 树，条目格式与 PyMuPDF 的 get_toc/set_toc 相同（level 从 1 开始，页码从 0 开始）
+ * - 链接：Link 注释的 /Dest 或 /A（GoTo、URI）
+ */
+
+const decodeText = (value) =>
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+
+/**
+ * 跳转到页面顶部的目标数组
+ * @param {import('pdf-lib').PDFPage} page
+ */
+export const pageDestination = (page) =>
+  page.doc.context.obj([page.ref, 'XYZ', 0, page.getHeight(), null]);
+
+/**
+ * 遍历页面上的 Link 注释
+ * @param {import('pdf-lib').PDFPage} page
+ * @param {(annotation: PDFDict) => void} callback
+ */
+function forEachLink(page, callback) {
+  const annotations = page.node.Annots();
+  if (!annotations) {
+    return;
+  }
+
+  for (let i = 0; i < annotations.size(); i++) {
+    const annotation = annotations.lookup(i);
+    if (
+      annotation instanceof PDFDict &&
+      annotation.get(PDFName.of('Subtype')) === PDFName.of('Link')
+    ) {
+      callback(annotation);
+    }
+  }
+}
+
+/**
+ * 查找命名目标：catalog 的 /Dests 字典或 /Names 中的 /Dests 名称树（Chrome 生成的书签使用命名目标）
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {PDFName|PDFString|PDFHexString} name
+ * @returns {PDFArray|null}
+ */
+function lookupNamedDestination(pdfDoc, name) {
+  const key = name instanceof PDFName ? name.decodeText() : decodeText(name);
+  if (key === null) {
+    return null;
+  }
+
+  // 目标可以是数组，也可以是带 /D 的字典
+  const toArray = (value) => {
+    const target = value instanceof PDFDict ? value.lookup(PDFName.of('D')) : value;
+    return target instanceof PDFArray ? target : null;
+  };
+
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict && dests.has(PDFName.of(key))) {
+    return toArray(dests.lookup(PDFName.of(key)));
+  }
+
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const visited = new Set();
+  const search = (node) => {
+    if (!(node instanceof PDFDict) || visited.has(node)) return null;
+    visited.add(node);
+
+    const pairs = node.lookup(PDFName.of('Names'));
+    if (pairs instanceof PDFArray) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        if (decodeText(pairs.lookup(i)) === key) return toArray(pairs.lookup(i + 1));
+      }
+    }
+
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        const found = search(kids.lookup(i));
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  return names instanceof PDFDict ? search(names.lookup(PDFName.of('Dests'))) : null;
+}
+
+/**
+ * 链接或书签的目标数组（/Dest 或 GoTo 动作的 /D）
+ * 传入 pdfDoc 时解析命名目标，否则命名目标返回 null
+ * @param {PDFDict} dict
+ * @param {import('pdf-lib').PDFDocument} [pdfDoc]
+ * @returns {PDFArray|null}
+ */
+function getDestinationArray(dict, pdfDoc = null) {
+  let dest = dict.lookup(PDFName.of('Dest'));
+  if (!dest) {
+    const action = dict.lookup(PDFName.of('A'));
+    if (action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+      dest = action.lookup(PDFName.of('D'));
+    }
+  }
+
+  if (dest instanceof PDFArray) {
+    return dest;
+  }
+  return pdfDoc && dest ? lookupNamedDestination(pdfDoc, dest) : null;
+}
+
+/**
+ * 读取文档书签
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @returns {{level: number, title: string, pageIndex: number|null}[]}
+ */
+export function getOutline(pdfDoc) {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) {
+    return [];
+  }
+
+  const pageIndexByRef = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index]));
+  const entries = [];
+  const visited = new Set();
+
+  const walk = (firstRef, level) => {
+    let ref = firstRef;
+    // 损坏的文件可能出现循环链表
+    while (ref instanceof PDFRef && !visited.has(ref)) {
+      visited.add(ref);
+      const item = pdfDoc.context.lookup(ref, PDFDict);
+      const target = getDestinationArray(item, pdfDoc)?.get(0);
+
+      entries.push({
+        level,
+        title: decodeText(item.lookup(PDFName.of('Title'))) || '',
+        pageIndex: pageIndexByRef.get(target) ?? null,
+      });
+
+      walk(item.get(PDFName.of('First')), level + 1);
+      ref = item.get(PDFName.of('Next'));
+    }
+  };
+
+  walk(outlines.get(PDFName.of('First')), 1);
+  return entries;
+}
+
+/**
+ * 写入文档书签（覆盖已有书签），一级条目默认折叠
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {{level: number, title: string, pageIndex: number}[]} entries
+ */
+export function setOutline(pdfDoc, entries) {
+  const pages = pdfDoc.getPages();
+  if (entries.length === 0 || pages.length === 0) {
+    return;
+  }
+
+  // 按层级还原树结构，跳级的条目挂到最近的上一级下面
+  const root = { children: [] };
+  const stack = [root];
+  for (const entry of entries) {
+    const level = Math.max(1, Math.min(entry.level, stack.length));
+    const node = { ...entry, children: [] };
+    stack.length = level;
+    stack[level - 1].children.push(node);
+    stack.push(node);
+  }
+
+  const context = pdfDoc.context;
+  const outlinesRef = context.nextRef();
+
+  const writeItems = (nodes, parentRef) => {
+    const refs = nodes.map(() => context.nextRef());
+
+    nodes.forEach((node, i) => {
+      const page = pages[Math.min(Math.max(node.pageIndex || 0, 0), pages.length - 1)];
+      const item = context.obj({
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: pageDestination(page),
+      });
+
+      if (i > 0) item.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < nodes.length - 1) item.set(PDFName.of('Next'), refs[i + 1]);
+
+      if (node.children.length > 0) {
+        const childRefs = writeItems(node.children, refs[i]);
+        item.set(PDFName.of('First'), childRefs[0]);
+        item.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        // 负数表示折叠
+        item.set(PDFName.of('Count'), PDFNumber.of(-node.children.length));
+      }
+
+      context.assign(refs[i], item);
+    });
+
+    return refs;
+  };
+
+  const topRefs = writeItems(root.children, outlinesRef);
+  context.assign(
+    outlinesRef,
+    context.obj({
+      Type: 'Outlines',
+      First: topRefs[0],
+      Last: topRefs[topRefs.length - 1],
+      Count: topRefs.length,
+    })
+  );
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+}
+
+/**
+ * 复制页面前把链接目标中的页面引用换成页码
+ *
+ * copyPages 会深拷贝注释引用的所有对象，指向其他页面的链接会把那些页面作为孤立对象一起复制。
+ * 复制完成后用 attachPageDestinations 换回新文档中的页面引用。
+ * 命名目标（Chrome 的页内锚点链接）改写为显式目标，合并后的文档中没有源文档的 /Dests。
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ */
+export function detachPageDestinations(pdfDoc) {
+  const pages = pdfDoc.getPages();
+  const pageIndexByRef = new Map(pages.map((page, index) => [page.ref, index]));
+
+  for (const page of pages) {
+    forEachLink(page, (annotation) => {
+      // /P 是可选的，指向注释所在页面
+      annotation.delete(PDFName.of('P'));
+
+      const explicit = getDestinationArray(annotation);
+      const dest = explicit || getDestinationArray(annotation, pdfDoc);
+      const pageIndex = pageIndexByRef.get(dest?.get(0));
+      if (pageIndex === undefined) {
+        return;
+      }
+
+      if (explicit) {
+        explicit.set(0, PDFNumber.of(pageIndex));
+        return;
+      }
+
+      // 命名目标可能被多个链接共用，复制一份而不是原地修改
+      annotation.delete(PDFName.of('A'));
+      annotation.set(
+        PDFName.of('Dest'),
+        pdfDoc.context.obj([PDFNumber.of(pageIndex), ...dest.asArray().slice(1)])
+      );
+    });
+  }
+}
+
+/**
+ * 把 detachPageDestinations 留下的页码换回页面引用
+ * @param {import('pdf-lib').PDFPage[]} copiedPages - 新文档中刚加入的页面，顺序与原文档相同
+ */
+export function attachPageDestinations(copiedPages) {
+  for (const page of copiedPages) {
+    forEachLink(page, (annotation) => {
+      const dest = getDestinationArray(annotation);
+      const target = dest?.get(0);
+      if (target instanceof PDFNumber) {
+        dest.set(0, copiedPages[target.asNumber()]?.ref ?? copiedPages[0].ref);
+      }
+    });
+  }
+}
+
+/**
+ * 把 URI 链接改写为文档内跳转
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {(uri: string) => number|null} resolvePage - 返回目标页码，null 表示保留原链接
+ * @returns {number} 改写的链接数量
+ */
+export function rewriteUriLinks(pdfDoc, resolvePage) {
+  const pages = pdfDoc.getPages();
+  let rewritten = 0;
+
+  for (const page of pages) {
+    forEachLink(page, (annotation) => {
+      const action = annotation.lookup(PDFName.of('A'));
+      if (!(action instanceof PDFDict) || action.get(PDFName.of('S')) !== PDFName.of('URI')) {
+        return;
+      }
+
+      const uri = decodeText(action.lookup(PDFName.of('URI')));
+      const pageIndex = uri ? resolvePage(uri) : null;
+      if (pageIndex === null || pageIndex === undefined || !pages[pageIndex]) {
+        return;
+      }
+
+      annotation.delete(PDFName.of('A'));
+      annotation.set(PDFName.of('Dest'), pageDestination(pages[pageIndex]));
+      rewritten++;
+    });
+  }
+
+  return rewritten;
+}
@@ -0,0 +1,156 @@
+// src/utils/printBook.js
+// 浏览器批量 PDF 引擎：把拼接好的 Pandoc 风格 Markdown 渲染为可打印的 HTML 书籍
+// 支持 Pandoc 扩展中本项目会生成的部分：标题属性 {#id}、::: fenced div、^[内联脚注]、
+// \newpage 分页与 ```{=latex} 原始块（浏览器中忽略）
+import { Marked } from 'marked';
+import { escapeHtml } from './htmlBook.js';
+
+const HEADING_ATTRIBUTES = /\s*\{([^}]*)\}\s*$/;
+
+const attributeId = (attributes) => attributes.match(/(?:^|\s)#([\w:.-]+)/)?.[1] || null;
+
+// ::: {.callout .callout-warning title="..."} ... :::
+const fencedDiv = {
+  name: 'fencedDiv',
+  level: 'block',
+  start: (src) => src.match(/^:{3,}/m)?.index,
+  tokenizer(src) {
+    const match = src.match(/^(:{3,})[ \t]*\{([^}\n]*)\}[ \t]*\n([\s\S]*?)\n\1[ \t]*(?:\n+|$)/);
+    if (!match) {
+      return undefined;
+    }
+
+    return {
+      type: 'fencedDiv',
+      raw: match[0],
+      attributes: match[2],
+      tokens: this.lexer.blockTokens(match[3], []),
+    };
+  },
+  renderer(token) {
+    const classes = [...token.attributes.matchAll(/(?:^|\s)\.([\w-]+)/g)].map((match) => match[1]);
+    const id = attributeId(token.attributes);
+    const title = token.attributes.match(/title="([^"]*)"/)?.[1];
+
+    return (
+      `<div${id ? ` id="${escapeHtml(id)}"` : ''} class="${escapeHtml(classes.join(' '))}"` +
+      `${title ? ` title="${escapeHtml(title)}"` : ''}>\n${this.parser.parse(token.tokens)}</div>\n`
+    );
+  },
+};
+
+// Pandoc 内联脚注 ^[...]（links.footnotes）：浏览器没有脚注排版，显示在正文括号中
+const inlineNote = {
+  name: 'inlineNote',
+  level: 'inline',
+  start: (src) => {
+    const index = src.indexOf('^[');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    if (!src.startsWith('^[')) {
+      return undefined;
+    }
+
+    let depth = 0;
+    for (let i = 1; i < src.length; i++) {
+      if (src[i] === '[') depth++;
+      if (src[i] === ']' && --depth === 0) {
+        return {
+          type: 'inlineNote',
+          raw: src.slice(0, i + 1),
+          tokens: this.lexer.inlineTokens(src.slice(2, i)),
+        };
+      }
+    }
+    return undefined;
+  },
+  renderer(token) {
+    return `<span class="footnote">${this.parser.parseInline(token.tokens)}</span>`;
+  },
+};
+
+const marked = new Marked({
+  gfm: true,
+  extensions: [fencedDiv, inlineNote],
+  renderer: {
+    heading({ tokens, depth }) {
+      const html = this.parser.parseInline(tokens);
+      const match = html.match(HEADING_ATTRIBUTES);
+      if (!match) {
+        return false;
+      }
+
+      const id = attributeId(match[1]);
+      const text = html.slice(0, match.index);
+      return `<h${depth}${id ? ` id="${escapeHtml(id)}"` : ''}>${text}</h${depth}>\n`;
+    },
+    code({ text, lang }) {
+      // ```{=latex} 只对 LaTeX 有意义（例如索引条目），```{=html} 原样输出
+      const raw = (lang || '').match(/^\{=(\w+)\}$/);
+      if (!raw) {
+        return false;
+      }
+      return raw[1] === 'html' ? `${text}\n` : '';
+    },
+  },
+});
+
+/**
+ * 把 Pandoc 风格的 Markdown 渲染为 HTML 正文
+ * @param {string} markdown - PandocPdfService.prepareBatchBook 的结果
+ * @returns {string}
+ */
+export function renderMarkdownHtml(markdown) {
+  const content = (markdown || '').replace(/^\\newpage[ \t]*$/gm, '<div class="page-break"></div>');
+  return marked.parse(content);
+}
+
+/**
+ * 打印用的目录：标题与页码，页码与正文页脚一致（从正文第一页开始计数）
+ * @param {{level: number, title: string, pageIndex: number|null}[]} outline - 正文 PDF 的书签
+ * @param {number} [tocDepth=3]
+ * @returns {string}
+ */
+export function renderPrintToc(outline, tocDepth = 3) {
+  const items = outline
+    .filter((entry) => entry.level <= tocDepth)
+    .map(
+      (entry) =>
+        `<li class="print-toc-level-${entry.level}">` +
+        `<span class="print-toc-title">${escapeHtml(entry.title)}</span>` +
+        `<span class="print-toc-page">${entry.pageIndex === null ? '' : entry.pageIndex + 1}</span></li>`
+    );
+
+  return `<nav class="print-toc">\n<h1>Contents</h1>\n<ol>\n${items.join('\n')}\n</ol>\n</nav>`;
+}
+
+/**
+ * 完整的打印页面；相对路径（图片）基于 baseUrl 解析
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.language]
+ * @param {string} [options.baseUrl] - Markdown 目录的 file:// 地址
+ * @param {string} options.css
+ * @param {string} options.body
+ * @returns {string}
+ */
+export function renderPrintBook({ title, language, baseUrl, css, body }) {
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(language || 'en')}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    baseUrl ? `<base href="${escapeHtml(baseUrl)}">` : null,
+    `<style>\n${css}\n</style>`,
+    '</head>',
+    '<body>',
+    `<main class="book-content">\n${body}\n</main>`,
+    '</body>',
+    '</html>',
+    '',
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+}
@@ -0,0 +1,107 @@
+// src/utils/robotsTxt.js
+
+/**
+ * 解析 robots.txt（RFC 9309），保留 user-agent 分组、allow/disallow 规则与 Crawl-delay
+ * @param {string} text
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // 连续的 user-agent 行属于同一分组
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if (field === 'allow' || field === 'disallow') {
+        // 空的 Disallow 表示不限制
+        if (value) {
+          current.rules.push({ allow: field === 'allow', path: value });
+        }
+      } else if (field === 'crawl-delay') {
+        const seconds = Number.parseFloat(value);
+        if (Number.isFinite(seconds) && seconds >= 0) {
+          current.crawlDelay = seconds;
+        }
+      }
+    });
+
+  return groups;
+}
+
+/**
+ * 选出适用于指定 user-agent 的规则：优先匹配具体的产品名，否则使用 "*" 分组
+ * @param {ReturnType<typeof parseRobotsTxt>} groups
+ * @param {string} userAgent - 产品名，例如 "documentation-pdf-scraper"
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+export function selectRobotsRules(groups, userAgent = '*') {
+  const token = String(userAgent || '*').toLowerCase();
+  const merge = (matched) => ({
+    rules: matched.flatMap((group) => group.rules),
+    crawlDelay: matched.find((group) => group.crawlDelay !== null)?.crawlDelay ?? null,
+  });
+
+  const specific =
+    token === '*'
+      ? []
+      : groups.filter((group) =>
+          group.agents.some((agent) => agent !== '*' && token.includes(agent))
+        );
+  if (specific.length > 0) {
+    return merge(specific);
+  }
+
+  return merge(groups.filter((group) => group.agents.includes('*')));
+}
+
+const ruleToRegExp = (rulePath) => {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * 判断路径是否允许抓取：最长匹配的规则生效，长度相同时 Allow 优先
+ * @param {{rules: Array<{allow: boolean, path: string}>}} robotsRules
+ * @param {string} pathWithQuery - 例如 "/docs/page?x=1"
+ * @returns {boolean}
+ */
+export function isAllowedByRobots(robotsRules, pathWithQuery) {
+  let best = null;
+
+  for (const rule of robotsRules?.rules || []) {
+    if (!ruleToRegExp(rule.path).test(pathWithQuery)) continue;
+
+    const length = rule.path.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { length, allow: rule.allow };
+    }
+  }
+
+  return best ? best.allow : true;
+}
@@ -83,3 +83,123 @@ export function extractTargetUrlsFromSitemap(xml, options = {}) {
 
   return results;
 }
+
+const decodeXmlEntities = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const humanizeSegment = (segment) => {
+  let decoded = segment;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch {
+    // keep the raw segment when it is not valid percent-encoding
+  }
+
+  return decoded
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+export function isSitemapIndex(xml) {
+  return typeof xml === 'string' && /<sitemapindex[\s>]/i.test(xml);
+}
+
+export function extractSitemapIndexUrls(xml, options = {}) {
+  const { origin } = options;
+
+  if (!isSitemapIndex(xml)) {
+    return [];
+  }
+
+  const locRegex = /<sitemap>[\s\S]*?<loc>([\s\S]*?)<\/loc>[\s\S]*?<\/sitemap>/gi;
+  const results = [];
+  const seen = new Set();
+
+  let match = null;
+  while ((match = locRegex.exec(xml)) !== null) {
+    const locValue = decodeXmlEntities((match[1] || '').trim());
+    if (!locValue) {
+      continue;
+    }
+
+    let parsed = null;
+    try {
+      parsed = new URL(locValue, origin || undefined);
+    } catch {
+      continue;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      continue;
+    }
+
+    const finalUrl = parsed.toString();
+    if (!seen.has(finalUrl)) {
+      seen.add(finalUrl);
+      results.push(finalUrl);
+    }
+  }
+
+  return results;
+}
+
+export function groupUrlsIntoSections(urls, options = {}) {
+  const {
+    pathPrefix = '',
+    rootUrl = null,
+    sectionTitles = {},
+    rootSectionTitle = 'Overview',
+  } = options;
+  const normalizedPrefix = normalizePathPrefix(pathPrefix);
+
+  const orderedUrls = [...urls];
+  const rootPosition = rootUrl ? orderedUrls.indexOf(rootUrl) : -1;
+  if (rootPosition > 0) {
+    orderedUrls.splice(rootPosition, 1);
+    orderedUrls.unshift(rootUrl);
+  }
+
+  const entries = [];
+  for (const url of orderedUrls) {
+    try {
+      const { pathname } = new URL(url);
+      const relativePath = isPathUnderPrefix(pathname, normalizedPrefix)
+        ? pathname.slice(normalizedPrefix.length)
+        : pathname;
+      entries.push({ url, segments: relativePath.split('/').filter(Boolean) });
+    } catch {
+      continue;
+    }
+  }
+
+  // A first-level segment becomes a section only when it has nested pages;
+  // its own landing page (e.g. /guides next to /guides/setup) joins that section.
+  const parentSegments = new Set(
+    entries.filter(({ segments }) => segments.length > 1).map(({ segments }) => segments[0])
+  );
+
+  const sectionsByKey = new Map();
+  for (const { url, segments } of entries) {
+    const key = parentSegments.has(segments[0]) ? segments[0] : '';
+
+    if (!sectionsByKey.has(key)) {
+      sectionsByKey.set(key, {
+        index: sectionsByKey.size,
+        title: key ? sectionTitles[key] || humanizeSegment(key) : rootSectionTitle,
+        entryUrl: url,
+        urls: [],
+      });
+    }
+
+    sectionsByKey.get(key).urls.push(url);
+  }
+
+  return Array.from(sectionsByKey.values());
+}
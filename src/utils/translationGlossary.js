@@ -0,0 +1,116 @@
+// src/utils/translationGlossary.js
+
+/**
+ * 规范化 translation.glossary 配置
+ * @param {Object} glossaryConfig - { terms: { source: target }, protectedTerms: string[] }
+ * @returns {{terms: Array<{source: string, target: string}>, protectedTerms: string[]}}
+ */
+export function normalizeGlossary(glossaryConfig = {}) {
+  const terms = Object.entries(glossaryConfig?.terms || {})
+    .map(([source, target]) => ({ source: String(source).trim(), target: String(target).trim() }))
+    .filter(({ source, target }) => source && target);
+
+  const protectedTerms = Array.from(
+    new Set(
+      (glossaryConfig?.protectedTerms || []).map((term) => String(term).trim()).filter(Boolean)
+    )
+  );
+
+  // 长词优先，避免 "hook" 先于 "hooks" 被匹配
+  terms.sort((a, b) => b.source.length - a.source.length);
+  protectedTerms.sort((a, b) => b.length - a.length);
+
+  return { terms, protectedTerms };
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 判断文本是否包含术语
+ * 以字母数字开头/结尾的术语按词边界匹配（忽略大小写），其它（如中文）按子串匹配
+ */
+export function containsTerm(text, term) {
+  if (!text || !term) return false;
+
+  const startsWithWord = /^[A-Za-z0-9_]/.test(term);
+  const endsWithWord = /[A-Za-z0-9_]$/.test(term);
+  if (!startsWithWord && !endsWithWord) {
+    return text.includes(term);
+  }
+
+  const pattern = `${startsWithWord ? '(?<![A-Za-z0-9_])' : ''}${escapeRegExp(term)}${
+    endsWithWord ? '(?![A-Za-z0-9_])' : ''
+  }`;
+  return new RegExp(pattern, 'i').test(text);
+}
+
+/**
+ * 选出与给定文本相关的术语条目
+ * @param {Object} glossary - normalizeGlossary 的返回值
+ * @param {string|string[]} texts
+ */
+export function selectGlossaryEntries(glossary, texts) {
+  const sources = Array.isArray(texts) ? texts : [texts];
+  const matches = (term) => sources.some((text) => containsTerm(text, term));
+
+  return {
+    terms: glossary.terms.filter(({ source }) => matches(source)),
+    protectedTerms: glossary.protectedTerms.filter(matches),
+  };
+}
+
+export function isGlossaryEmpty(entries) {
+  return entries.terms.length === 0 && entries.protectedTerms.length === 0;
+}
+
+/**
+ * 生成术语条目的稳定签名（用于翻译缓存键）
+ */
+export function getGlossarySignature(entries) {
+  if (isGlossaryEmpty(entries)) return '';
+
+  const terms = entries.terms
+    .map(({ source, target }) => `${source}=>${target}`)
+    .sort()
+    .join('|');
+  const protectedTerms = [...entries.protectedTerms].sort().join('|');
+  return `terms:${terms};protected:${protectedTerms}`;
+}
+
+/**
+ * 生成注入提示词的术语说明
+ */
+export function buildGlossaryInstructions(entries) {
+  if (isGlossaryEmpty(entries)) return '';
+
+  const lines = ['Glossary (mandatory):'];
+
+  if (entries.terms.length > 0) {
+    lines.push('- Always translate these terms exactly as listed:');
+    entries.terms.forEach(({ source, target }) => {
+      lines.push(`  - "${source}" -> "${target}"`);
+    });
+  }
+
+  if (entries.protectedTerms.length > 0) {
+    lines.push('- Never translate these terms; keep them exactly as written:');
+    entries.protectedTerms.forEach((term) => {
+      lines.push(`  - "${term}"`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 检查译文是否遵守术语表
+ * @returns {{missingProtected: string[], missingTerms: Array<{source: string, target: string}>}}
+ */
+export function findGlossaryViolations(original, translated, glossary) {
+  const entries = selectGlossaryEntries(glossary, original);
+
+  return {
+    missingProtected: entries.protectedTerms.filter((term) => !containsTerm(translated, term)),
+    missingTerms: entries.terms.filter(({ target }) => !containsTerm(translated, target)),
+  };
+}
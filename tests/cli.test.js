@@ -0,0 +1,410 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/cli.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCliArgs, buildConfigOverrides, parseSetOverride, runCli } from '../src/cli.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+describe('cli', () => {
+  const createIo = () => {
+    const io = { lines: [], errors: [] };
+    io.log = (line) => io.lines.push(line);
+    io.error = (line) => io.errors.push(line);
+    return io;
+  };
+
+  const createMockApp = (overrides = {}) => ({
+    initialize: vi.fn(),
+    run: vi.fn().mockResolvedValue({
+      totalDuration: 10,
+      scraping: { success: true },
+      merge: { success: true },
+    }),
+    runPythonMerge: vi.fn().mockResolvedValue({ success: true, outputFile: 'out.pdf' }),
+    runBatchPdfGeneration: vi.fn().mockResolvedValue({
+      success: true,
+      outputs: { pdf: 'book.pdf' },
+    }),
+    runPlan: vi.fn().mockResolvedValue({
+      text: 'tree',
+      outputs: { json: 'plan.json', text: 'plan.txt' },
+    }),
+    runRetryFailed: vi.fn().mockResolvedValue({
+      total: 2,
+      successCount: 2,
+      failCount: 0,
+      skipCount: 0,
+    }),
+    runCollection: vi.fn().mockResolvedValue({
+      collection: 'reading',
+      targets: [
+        { name: 'alpha', success: true },
+        { name: 'beta', success: false, error: 'timeout' },
+      ],
+      build: { success: true, outputPath: 'reading.pdf' },
+    }),
+    runDiff: vi.fn().mockResolvedValue({
+      report: { summary: { changed: 2, added: 1, removed: 0, unchanged: 5, sectionChanges: 1 } },
+      outputs: { json: 'c.json', markdown: 'c.md', html: 'c.html' },
+    }),
+    runSnapshots: vi.fn().mockResolvedValue([]),
+    shutdown: vi.fn(),
+    cleanup: vi.fn(),
+    ...overrides,
+  });
+
+  describe('parseCliArgs', () => {
+    test('没有子命令时默认为 scrape', () => {
+      expect(parseCliArgs([])).toEqual({ command: 'scrape', args: [], options: {} });
+      expect(parseCliArgs(['--refresh']).options.refresh).toBe(true);
+    });
+
+    test('应该解析子命令、参数与选项', () => {
+      const parsed = parseCliArgs([
+        'targets',
+        'show',
+        'openai',
+        '-p',
+        'kindle7',
+        '--output',
+        'out',
+        '--set',
+        'concurrency=2',
+        '--set',
+        'pdf.fontSize=14px',
+      ]);
+
+      expect(parsed.command).toBe('targets');
+      expect(parsed.args).toEqual(['show', 'openai']);
+      expect(parsed.options).toMatchObject({
+        profile: 'kindle7',
+        output: 'out',
+        set: ['concurrency=2', 'pdf.fontSize=14px'],
+      });
+    });
+
+    test('未知选项应该抛出 ValidationError', () => {
+      expect(() => parseCliArgs(['scrape', '--nope'])).toThrow(ValidationError);
+    });
+  });
+
+  describe('buildConfigOverrides', () => {
+    test('应该把 --set 转换为嵌套对象并解析 JSON 值', () => {
+      const overrides = buildConfigOverrides(
+        {
+          set: ['concurrency=2', 'markdownPdf.batchMode=false', 'pdf.fontSize=14px', 'a.b=[1,2]'],
+          output: 'build/openai',
+        },
+        '/work'
+      );
+
+      expect(overrides).toEqual({
+        concurrency: 2,
+        markdownPdf: { batchMode: false },
+        pdf: { fontSize: '14px' },
+        a: { b: [1, 2] },
+        pdfDir: path.resolve('/work', 'build/openai'),
+      });
+    });
+
+    test('--no-cache 应该关闭单页 PDF 缓存并与 --set 合并', () => {
+      expect(buildConfigOverrides({ 'no-cache': true })).toEqual({
+        pdf: { cache: { enabled: false } },
+      });
+      expect(buildConfigOverrides({ 'no-cache': true, set: ['pdf.fontSize=14px'] })).toEqual({
+        pdf: { fontSize: '14px', cache: { enabled: false } },
+      });
+    });
+
+    test('没有覆盖项时返回 null', () => {
+      expect(buildConfigOverrides({})).toBeNull();
+    });
+
+    test('应该拒绝无效的表达式', () => {
+      expect(() => parseSetOverride('concurrency')).toThrow(ValidationError);
+      expect(() => parseSetOverride('__proto__.polluted=1')).toThrow(ValidationError);
+      expect(() => parseSetOverride('a..b=1')).toThrow(ValidationError);
+    });
+  });
+
+  describe('runCli', () => {
+    test('scrape 应该把 target/profile/覆盖项传给 Application 且不修改配置文件', async () => {
+      const app = createMockApp();
+      const createApp = vi.fn(() => app);
+      const io = createIo();
+
+      const exitCode = await runCli(
+        ['scrape', '--target', 'openai', '--profile', 'kindle7', '-o', 'out', '--refresh'],
+        { io, createApp, cwd: '/work' }
+      );
+
+      expect(exitCode).toBe(0);
+      expect(createApp).toHaveBeenCalledWith({
+        configPath: path.resolve('/work', 'config.json'),
+        docTarget: 'openai',
+        profile: 'kindle7',
+        overrides: { pdfDir: path.resolve('/work', 'out') },
+      });
+      expect(app.run).toHaveBeenCalledWith({ mode: 'refresh' });
+      expect(app.shutdown).toHaveBeenCalled();
+      expect(io.lines).toContain('🎉 APPLICATION COMPLETED SUCCESSFULLY');
+    });
+
+    test('merge/build-pdf 失败时应该返回非零退出码', async () => {
+      const app = createMockApp({
+        runPythonMerge: vi.fn().mockResolvedValue({ success: false, error: 'no pdfs' }),
+      });
+      const io = createIo();
+
+      expect(await runCli(['merge'], { io, createApp: () => app })).toBe(1);
+      expect(app.initialize).toHaveBeenCalled();
+      expect(io.errors).toContain('Error: no pdfs');
+
+      expect(await runCli(['build-pdf'], { io, createApp: () => createMockApp() })).toBe(0);
+      expect(io.lines).toContain('📍 pdf: book.pdf');
+    });
+
+    test('plan 与 retry-failed 应该调用对应的 Application 方法', async () => {
+      const app = createMockApp();
+      const io = createIo();
+
+      expect(await runCli(['plan'], { io, createApp: () => app })).toBe(0);
+      expect(app.runPlan).toHaveBeenCalled();
+
+      expect(await runCli(['retry-failed'], { io, createApp: () => app })).toBe(0);
+      expect(io.lines).toContain('🔁 Retried 2 URLs: 2 succeeded, 0 failed, 0 skipped');
+    });
+
+    test('--collection 应该运行合集，merge/build-pdf 固定合并方式且不抓取', async () => {
+      const app = createMockApp();
+      const createApp = vi.fn(() => app);
+      const io = createIo();
+
+      expect(await runCli(['scrape', '-c', 'reading', '--refresh'], { io, createApp })).toBe(1);
+      expect(app.runCollection).toHaveBeenCalledWith('reading', { mode: 'refresh' });
+      expect(io.lines).toContain('  ❌ beta: timeout');
+      expect(io.lines).toContain('📍 reading.pdf');
+
+      await runCli(['build-pdf', '--collection', 'reading'], { io, createApp });
+      expect(createApp).toHaveBeenLastCalledWith(
+        expect.objectContaining({ overrides: [{ markdownPdf: { batchMode: true } }] })
+      );
+      expect(app.runCollection).toHaveBeenLastCalledWith('reading', { scrape: false });
+
+      expect(await runCli(['plan', '-c', 'reading'], { io, createApp })).toBe(1);
+      expect(await runCli(['-c', 'reading', '-t', 'alpha'], { io, createApp })).toBe(1);
+      expect(io.errors).toContain('❌ --collection and --target cannot be used together');
+    });
+
+    test('diff 应该把 --against 解析为绝对路径并输出报告位置', async () => {
+      const app = createMockApp();
+      const io = createIo();
+
+      expect(
+        await runCli(['diff', '--against', 'backup/pdfs'], {
+          io,
+          createApp: () => app,
+          cwd: '/work',
+        })
+      ).toBe(0);
+      expect(app.runDiff).toHaveBeenCalledWith({ against: path.resolve('/work', 'backup/pdfs') });
+      expect(io.lines).toContain(
+        '🔍 Changes: 2 changed, 1 added, 0 removed, 5 unchanged pages; 1 section changes'
+      );
+      expect(io.lines).toContain('📍 html: c.html');
+    });
+
+    test('snapshots 子命令应该转发编号与保留策略', async () => {
+      const snapshot = {
+        id: '20240315-120000',
+        pages: 12,
+        finalFiles: ['docs.pdf'],
+        pdfDir: '/work/pdfs',
+      };
+      const app = createMockApp({
+        runSnapshots: vi.fn(async (action) => {
+          if (action === 'list') return [snapshot];
+          if (action === 'prune') return ['20240101-000000'];
+          if (action === 'restore') return { ...snapshot, restoredTo: '/work/output' };
+          return snapshot;
+        }),
+      });
+      const io = createIo();
+      const deps = { io, createApp: () => app };
+
+      expect(await runCli(['snapshots', 'list'], deps)).toBe(0);
+      expect(io.lines).toContain('  20240315-120000  12 pages  docs.pdf');
+
+      expect(await runCli(['snapshots', 'restore', 'latest'], deps)).toBe(0);
+      expect(app.runSnapshots).toHaveBeenCalledWith('restore', { id: 'latest' });
+      expect(io.lines).toContain('♻️  Restored snapshot 20240315-120000 into /work/output');
+
+      expect(await runCli(['snapshots', 'prune', '--keep', '3'], deps)).toBe(0);
+      expect(app.runSnapshots).toHaveBeenCalledWith('prune', { keep: 3, maxAgeDays: undefined });
+      expect(io.lines).toContain('🧹 Removed 1 snapshots: 20240101-000000');
+
+      expect(await runCli(['snapshots', 'prune', '--keep', 'all'], deps)).toBe(1);
+      expect(io.errors).toContain('❌ --keep expects a non-negative integer: all');
+      expect(await runCli(['snapshots', 'restore'], deps)).toBe(1);
+      expect(await runCli(['snapshots', 'tag'], deps)).toBe(1);
+    });
+
+    test('targets init 应该生成目标并输出识别结果与预览', async () => {
+      const app = createMockApp({
+        runTargetWizard: vi.fn().mockResolvedValue({
+          name: 'docs',
+          outputPath: '/work/doc-targets/docs.json',
+          target: {},
+          report: {
+            nav: { selector: '#sidebar' },
+            content: { selector: '#content-area' },
+            markdownSource: true,
+          },
+          preview: [
+            {
+              title: 'Getting started',
+              entryUrl: 'https://example.com/docs/overview',
+              total: 1,
+              pages: [{ title: 'Overview', url: 'https://example.com/docs/overview' }],
+            },
+          ],
+        }),
+      });
+      const io = createIo();
+      const deps = { io, createApp: () => app };
+
+      expect(
+        await runCli(
+          ['targets', 'init', 'https://example.com/docs', '--name', 'docs', '--force'],
+          deps
+        )
+      ).toBe(0);
+      expect(app.runTargetWizard).toHaveBeenCalledWith('https://example.com/docs', {
+        name: 'docs',
+        force: true,
+      });
+      expect(io.lines).toContain('Navigation      : #sidebar');
+      expect(io.lines).toContain('Markdown source : yes');
+      expect(io.lines.join('\n')).toContain(
+        '1. Getting started (1 pages) https://example.com/docs/overview\n   - Overview'
+      );
+      expect(io.lines.join('\n')).toContain('📝 Doc target written to /work/doc-targets/docs.json');
+      expect(app.shutdown).toHaveBeenCalled();
+
+      expect(await runCli(['targets', 'init'], deps)).toBe(1);
+      expect(io.errors).toContain('❌ targets init requires the root URL of the docs site');
+    });
+
+    test('命令失败时应该清理资源并返回 1', async () => {
+      const app = createMockApp({ run: vi.fn().mockRejectedValue(new Error('boom')) });
+      const io = createIo();
+
+      expect(await runCli([], { io, createApp: () => app })).toBe(1);
+      expect(app.cleanup).toHaveBeenCalled();
+      expect(io.errors).toContain('💥 APPLICATION FAILED: boom');
+    });
+
+    test('未知命令或参数错误时应该显示帮助', async () => {
+      const io = createIo();
+
+      expect(await runCli(['deploy'], { io })).toBe(1);
+      expect(io.errors).toContain('❌ Unknown command: deploy');
+      expect(io.lines[0]).toContain('Usage: docs-pdf');
+
+      expect(await runCli(['help'], { io })).toBe(0);
+    });
+  });
+
+  describe('targets / profiles', () => {
+    let workDir;
+
+    const writeJson = async (relativePath, data) => {
+      const filePath = path.join(workDir, relativePath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+    };
+
+    const target = (name) => ({
+      rootURL: `https://${name}.example.com/docs`,
+      baseUrl: `https://${name}.example.com/docs`,
+      navLinksSelector: 'nav a',
+      contentSelector: 'main',
+    });
+
+    beforeEach(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-targets-'));
+      await writeJson('config.json', { docTarget: 'alpha', pdfDir: 'pdfs' });
+      await writeJson('doc-targets/alpha.json', target('alpha'));
+      await writeJson('doc-targets/beta.json', target('beta'));
+      await writeJson('doc-targets/broken.json', { rootURL: 'not a url' });
+      await writeJson('config-profiles/kindle7.json', {
+        pdf: { deviceProfile: 'kindle7', fontSize: '16px' },
+        output: { finalPdfDirectory: 'finalPdf-kindle7' },
+      });
+      await writeJson('config-profiles/kindle-oasis.json', { pdf: { fontSize: '17px' } });
+    });
+
+    afterEach(async () => {
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('targets list 应该列出目标并标记默认目标', async () => {
+      const io = createIo();
+
+      expect(await runCli(['targets', 'list'], { io, cwd: workDir })).toBe(0);
+      expect(io.lines).toEqual(expect.arrayContaining(['  * alpha', '    beta', '    broken']));
+    });
+
+    test('targets show 应该合并 profile 与覆盖项，且不改写 config.json', async () => {
+      const io = createIo();
+      const before = await fs.readFile(path.join(workDir, 'config.json'), 'utf8');
+
+      const exitCode = await runCli(
+        ['targets', 'show', 'beta', '--profile', 'kindle7', '-o', 'out'],
+        { io, cwd: workDir }
+      );
+
+      expect(exitCode).toBe(0);
+      expect(io.lines).toContain('Root URL        : https://beta.example.com/docs');
+      expect(io.lines).toContain(`Output dir      : ${path.join(workDir, 'out')}`);
+      expect(io.lines).toContain('Device profile  : kindle7');
+      expect(await fs.readFile(path.join(workDir, 'config.json'), 'utf8')).toBe(before);
+    });
+
+    test('targets validate 应该报告无效的目标', async () => {
+      const io = createIo();
+
+      expect(await runCli(['targets', 'validate', 'alpha'], { io, cwd: workDir })).toBe(0);
+      expect(await runCli(['targets', 'validate'], { io, cwd: workDir })).toBe(1);
+      expect(io.errors.some((line) => line.startsWith('❌ broken:'))).toBe(true);
+      expect(io.lines).toContain('\n2/3 targets valid');
+    });
+
+    test('collections list/show 应该列出合集与其中的目标', async () => {
+      await writeJson('collections/reading.json', {
+        title: 'Reading',
+        targets: [{ name: 'alpha', title: 'Alpha Docs' }, 'beta'],
+      });
+      const io = createIo();
+
+      expect(await runCli(['collections', 'list'], { io, cwd: workDir })).toBe(0);
+      expect(io.lines).toContain('  reading - 2 targets');
+
+      expect(await runCli(['collections', 'show', 'reading'], { io, cwd: workDir })).toBe(0);
+      expect(io.lines).toContain('  alpha - Alpha Docs');
+      expect(io.lines).toContain('  beta - beta');
+
+      expect(await runCli(['collections', 'show', 'nope'], { io, cwd: workDir })).toBe(1);
+    });
+
+    test('profiles list 应该列出设备配置与别名', async () => {
+      const io = createIo();
+
+      expect(await runCli(['profiles', 'list'], { io, cwd: workDir })).toBe(0);
+      expect(io.lines).toContain('  kindle-oasis (alias: oasis) - font 17px');
+      expect(io.lines).toContain('  kindle7 - font 16px, output finalPdf-kindle7');
+    });
+  });
+});
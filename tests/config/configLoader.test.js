@@ -237,6 +237,119 @@ describe('ConfigLoader', () => {
     });
   });
 
+  describe('runtime target, profile and overrides', () => {
+    const baseConfig = { docTarget: 'claude-code', pdfDir: 'pdfs', concurrency: 5 };
+    const files = {
+      [path.resolve(process.cwd(), 'doc-targets', 'claude-code.json')]: {
+        rootURL: 'https://claude.example.com/docs',
+        contentSelector: 'main',
+      },
+      [path.resolve(process.cwd(), 'doc-targets', 'openai-docs.json')]: {
+        rootURL: 'https://openai.example.com/docs',
+        contentSelector: 'main',
+      },
+      [path.resolve(process.cwd(), 'config-profiles', 'kindle-paperwhite.json')]: {
+        pdf: { deviceProfile: 'paperwhite', fontSize: '16px' },
+      },
+      [path.resolve(process.cwd(), 'collections', 'reading.json')]: {
+        title: 'Reading',
+        targets: ['openai', { name: 'claude-code', title: 'Claude Code', overrides: { a: 1 } }],
+        overrides: { concurrency: 2 },
+      },
+      [path.resolve(process.cwd(), 'collections', 'duplicate.json')]: {
+        targets: ['openai', 'doc-targets/openai.json'],
+      },
+    };
+
+    beforeEach(() => {
+      fs.promises.access.mockImplementation(async (filePath) => {
+        if (filePath.endsWith('config.json') || files[filePath]) return;
+        const error = new Error('ENOENT');
+        error.code = 'ENOENT';
+        throw error;
+      });
+      fs.promises.stat.mockResolvedValue({ isFile: () => true });
+      fs.promises.readFile.mockImplementation(async (filePath) => {
+        if (filePath.endsWith('config.json')) return JSON.stringify(baseConfig);
+        if (files[filePath]) return JSON.stringify(files[filePath]);
+        throw new Error(`Unexpected readFile: ${filePath}`);
+      });
+      validateConfig.mockImplementation((config) => ({ config }));
+    });
+
+    test('应该按 基础 -> doc-target -> 设备 -> 覆盖项 的顺序合并', async () => {
+      const loader = new ConfigLoader(null, {
+        docTarget: 'openai',
+        profile: 'paperwhite',
+        overrides: { concurrency: 1, pdf: { fontSize: '18px' } },
+      });
+
+      const config = await loader.load();
+
+      expect(config.docTarget).toBe('openai');
+      expect(config.rootURL).toBe('https://openai.example.com/docs');
+      expect(config.concurrency).toBe(1);
+      expect(config.pdf).toEqual({ deviceProfile: 'paperwhite', fontSize: '18px' });
+    });
+
+    test('覆盖项数组应该依次合并，namespace 应该拼接在 pdfDir 之后', async () => {
+      const loader = new ConfigLoader(null, {
+        docTarget: 'openai',
+        namespace: 'reading/openai',
+        overrides: [{ concurrency: 2, pdf: { fontSize: '14px' } }, null, { concurrency: 3 }],
+      });
+
+      const config = await loader.load();
+
+      expect(config.concurrency).toBe(3);
+      expect(config.pdf.fontSize).toBe('14px');
+      expect(config.pdfDir).toBe(path.resolve(process.cwd(), 'pdfs', 'reading', 'openai'));
+    });
+
+    test('loadCollection 应该读取合集并规范化目标', async () => {
+      const collection = await new ConfigLoader().loadCollection('reading');
+
+      expect(collection).toMatchObject({
+        name: 'reading',
+        title: 'Reading',
+        overrides: { concurrency: 2 },
+        targets: [
+          { name: 'openai', title: 'openai', namespace: 'openai', overrides: null },
+          {
+            name: 'claude-code',
+            title: 'Claude Code',
+            namespace: 'claude-code',
+            overrides: { a: 1 },
+          },
+        ],
+      });
+    });
+
+    test('loadCollection 应该拒绝未知、越界或重复目标的合集', async () => {
+      const loader = new ConfigLoader();
+
+      await expect(loader.loadCollection('missing')).rejects.toThrow(
+        'Collection config not found for: missing'
+      );
+      await expect(loader.loadCollection('../outside.json')).rejects.toThrow('Unsafe config path');
+      await expect(loader.loadCollection('duplicate')).rejects.toThrow(
+        'lists target openai more than once'
+      );
+    });
+
+    test('未知的设备配置应该报错', async () => {
+      const loader = new ConfigLoader(null, { profile: 'kindle99' });
+
+      await expect(loader.load()).rejects.toThrow('Device profile not found for: kindle99');
+    });
+
+    test('设备配置路径不能位于配置目录之外', async () => {
+      const loader = new ConfigLoader(null, { profile: '../outside.json' });
+
+      await expect(loader.load()).rejects.toThrow('Unsafe config path');
+    });
+  });
+
   describe('processConfig', () => {
     test('应该处理路径配置', async () => {
       const config = {
@@ -262,6 +375,30 @@ describe('ConfigLoader', () => {
       expect(path.isAbsolute(processedConfig.filesystem.metadataDirectory)).toBe(true);
     });
 
+    test('指定的站点适配器应该补全未设置的选择器，显式配置优先', async () => {
+      const processedConfig = await configLoader.processConfig({
+        rootURL: 'https://docs.example.com/guide',
+        pdfDir: 'pdfs',
+        adapter: 'mintlify',
+        contentSelector: 'article',
+        markdownSource: { urlSuffix: '.mdx' },
+      });
+
+      expect(processedConfig.contentSelector).toBe('article');
+      expect(processedConfig.navLinksSelector).toBe(
+        '#sidebar-content a[href], #navigation-items a[href]'
+      );
+      expect(processedConfig.removeSelectors).toEqual(['#pagination', '.feedback-toolbar']);
+      expect(processedConfig.markdownSource).toEqual({ enabled: true, urlSuffix: '.mdx' });
+
+      const autoConfig = await configLoader.processConfig({
+        rootURL: 'https://docs.example.com/guide',
+        pdfDir: 'pdfs',
+        adapter: 'auto',
+      });
+      expect(autoConfig.contentSelector).toBeUndefined();
+    });
+
     test('应该从URL提取域名', async () => {
       const config = {
         rootURL: 'https://docs.example.com/guide',
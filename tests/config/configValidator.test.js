@@ -301,6 +301,42 @@ describe('ConfigValidator', () => {
       expect(result.config.network.retryOn429).toBe(false);
     });
 
+    test('应该为限速与 robots.txt 配置应用默认值', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+        network: { rateLimitDelay: 0 },
+      });
+
+      expect(result.config.network).toMatchObject({
+        rateLimitDelay: 0,
+        maxThrottleRetries: 3,
+        maxRetryAfter: 120000,
+        respectRobotsTxt: true,
+        robotsUserAgent: 'documentation-pdf-scraper',
+      });
+    });
+
+    test('应该为 Markdown 图片资源配置应用默认值', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+        markdown: { enabled: true, images: { convert: false } },
+      });
+
+      expect(result.config.markdown.images).toEqual({
+        download: true,
+        assetsDir: 'assets',
+        convert: false,
+        maxBytes: 20 * 1024 * 1024,
+        timeout: 30000,
+      });
+    });
+
     test('应该验证翻译配置并应用默认值', () => {
       const config = {
         rootURL: 'https://example.com',
@@ -342,6 +378,139 @@ describe('ConfigValidator', () => {
       expect(result.config.translation.jitterStrategy).toBe('full');
     });
 
+    test('links 配置应该默认启用站内跳转并关闭脚注', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      });
+
+      expect(result.config.links).toEqual({ internal: true, footnotes: false });
+    });
+
+    test('changeReport 默认关闭，并提供 diff 上下文与章节长度的默认值', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      });
+
+      expect(result.config.changeReport).toEqual({
+        enabled: false,
+        whatsNew: false,
+        context: 3,
+        maxDiffLines: 200,
+      });
+    });
+
+    test('图表默认渲染为 PNG，并拒绝未知格式', () => {
+      const base = {
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      };
+
+      expect(validateConfig(base).config.markdown.diagrams).toMatchObject({
+        enabled: true,
+        format: 'png',
+        plantumlServer: 'https://www.plantuml.com/plantuml',
+      });
+      expect(() =>
+        validateConfig({ ...base, markdown: { diagrams: { format: 'gif' } } })
+      ).toThrow();
+    });
+
+    test('封面与版权页默认关闭', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      });
+
+      expect(result.config.book).toEqual({
+        enabled: false,
+        cover: true,
+        colophon: true,
+        logo: true,
+        keywords: [],
+      });
+    });
+
+    test('archive 默认关闭，保留最近 10 个快照', () => {
+      const base = {
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      };
+
+      expect(validateConfig(base).config.archive).toEqual({
+        enabled: false,
+        directory: 'archive',
+        keep: 10,
+        maxAgeDays: 0,
+      });
+      expect(() => validateConfig({ ...base, archive: { name: '../other' } })).toThrow();
+    });
+
+    test('翻译 provider 默认为 gemini-cli', () => {
+      const result = validateConfig({
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+        translation: { enabled: true },
+      });
+
+      expect(result.config.translation.provider).toBe('gemini-cli');
+      expect(result.config.translation.geminiCli).toEqual({ command: 'gemini', args: [] });
+    });
+
+    test('应该验证 openai-compatible 与 ollama provider 配置', () => {
+      const base = {
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      };
+
+      const openai = validateConfig({
+        ...base,
+        translation: {
+          provider: 'openai-compatible',
+          openaiCompatible: { baseUrl: 'http://localhost:8080/v1', model: 'qwen2.5' },
+        },
+      });
+      expect(openai.config.translation.openaiCompatible).toMatchObject({
+        apiKeyEnv: 'OPENAI_API_KEY',
+        jsonMode: true,
+        temperature: 0,
+      });
+
+      const ollama = validateConfig({
+        ...base,
+        translation: { provider: 'ollama', ollama: { model: 'llama3.1' } },
+      });
+      expect(ollama.config.translation.ollama.baseUrl).toBe('http://localhost:11434');
+
+      expect(() =>
+        validateConfig({
+          ...base,
+          translation: { provider: 'openai-compatible', openaiCompatible: { model: 'x' } },
+        })
+      ).toThrow(ValidationError);
+      expect(() => validateConfig({ ...base, translation: { provider: 'ollama' } })).toThrow(
+        ValidationError
+      );
+      expect(() => validateConfig({ ...base, translation: { provider: 'deepl' } })).toThrow(
+        ValidationError
+      );
+    });
+
     test('应该验证 markdownSource 配置', () => {
       const config = {
         rootURL: 'https://example.com',
@@ -377,6 +546,84 @@ describe('ConfigValidator', () => {
       expect(result.config.markdownSource.urlSuffix).toBe('.md');
     });
 
+    test('sitemap 发现模式下 navLinksSelector 可以省略', () => {
+      const config = {
+        rootURL: 'https://example.com/docs/intro',
+        pdfDir: './pdfs',
+        contentSelector: 'main',
+        discovery: 'sitemap',
+      };
+
+      const result = validateConfig(config);
+
+      expect(result.valid).toBe(true);
+      expect(result.config.sitemap).toEqual({ maxDepth: 2, sectionTitles: {} });
+      expect(() => validateConfig({ ...config, discovery: 'navigation', adapter: 'none' })).toThrow(
+        ValidationError
+      );
+    });
+
+    test('站点适配器提供选择器时 navLinksSelector 与 contentSelector 可以省略', () => {
+      const config = {
+        rootURL: 'https://example.com/docs/intro',
+        pdfDir: './pdfs',
+      };
+
+      expect(validateConfig(config).config.adapter).toBe('auto');
+      expect(validateConfig({ ...config, adapter: 'docusaurus' }).valid).toBe(true);
+      expect(() => validateConfig({ ...config, adapter: 'none' })).toThrow(
+        /navLinksSelector.*required.*contentSelector.*required/
+      );
+      expect(() => validateConfig({ ...config, adapter: 'hugo' })).toThrow(ValidationError);
+      expect(
+        validateConfig({ ...config, navExpandSelector: ' .caret ', sectionTitleSelector: 'h5' })
+          .config.navExpandSelector
+      ).toBe('.caret');
+    });
+
+    test('output.formats 应该默认只生成 PDF 并接受 EPUB', () => {
+      const baseConfig = {
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      };
+
+      expect(validateConfig(baseConfig).config.output.formats).toEqual(['pdf']);
+
+      const result = validateConfig({
+        ...baseConfig,
+        output: { formats: ['pdf', 'epub'], epub: { title: 'Docs', language: 'en' } },
+      });
+      expect(result.valid).toBe(true);
+      expect(result.config.output.formats).toEqual(['pdf', 'epub']);
+      expect(result.config.output.epub).toEqual({ title: 'Docs', language: 'en' });
+
+      expect(() => validateConfig({ ...baseConfig, output: { formats: ['mobi'] } })).toThrow(
+        ValidationError
+      );
+    });
+
+    test('output.html 应该默认多页布局并校验 layout', () => {
+      const baseConfig = {
+        rootURL: 'https://example.com',
+        pdfDir: './pdfs',
+        navLinksSelector: 'nav a',
+        contentSelector: 'main',
+      };
+
+      const result = validateConfig({
+        ...baseConfig,
+        output: { formats: ['pdf', 'html'], html: { title: 'Docs' } },
+      });
+      expect(result.config.output.formats).toEqual(['pdf', 'html']);
+      expect(result.config.output.html).toEqual({ title: 'Docs', layout: 'multi' });
+
+      expect(() =>
+        validateConfig({ ...baseConfig, output: { html: { layout: 'paged' } } })
+      ).toThrow(ValidationError);
+    });
+
     test('应该剥离未知字段', () => {
       const config = {
         rootURL: 'https://example.com',
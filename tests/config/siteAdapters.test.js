@@ -0,0 +1,100 @@
+import { describe, it, test, expect, beforeAll, beforeEach, afterAll, afterEach, vi } from 'vitest';
+
+// tests/config/siteAdapters.test.js
+import {
+  SITE_ADAPTERS,
+  SITE_ADAPTER_NAMES,
+  applySiteAdapter,
+  detectSiteAdapter,
+  getSiteAdapter,
+  getSiteAdapterMarkerSelectors,
+} from '../../src/config/siteAdapters.js';
+
+describe('siteAdapters', () => {
+  test('每个适配器都应该提供导航与内容选择器和识别特征', () => {
+    expect(SITE_ADAPTER_NAMES).toEqual([
+      'mintlify',
+      'docusaurus',
+      'nextra',
+      'vitepress',
+      'mkdocs-material',
+      'gitbook',
+      'sphinx',
+    ]);
+
+    for (const adapter of Object.values(SITE_ADAPTERS)) {
+      expect(adapter.navLinksSelector).toEqual(expect.any(String));
+      expect(adapter.contentSelector).toEqual(expect.any(String));
+      expect(adapter.markers.selectors.length).toBeGreaterThan(0);
+    }
+    expect(getSiteAdapter('docusaurus').label).toBe('Docusaurus');
+    expect(getSiteAdapter('toString')).toBeNull();
+  });
+
+  test('detectSiteAdapter 应该优先使用 generator，其次是页面特征', () => {
+    expect(detectSiteAdapter({ generator: 'Docusaurus v3.5.2', present: ['.vp-doc'] })).toBe(
+      'docusaurus'
+    );
+    expect(detectSiteAdapter({ generator: 'mkdocs-1.6.0, mkdocs-material-9.5.0' })).toBe(
+      'mkdocs-material'
+    );
+    expect(detectSiteAdapter({ generator: 'WordPress 6.5', present: ['.vp-doc'] })).toBe(
+      'vitepress'
+    );
+    expect(
+      detectSiteAdapter({ present: ['script[src*="_static/documentation_options.js"]'] })
+    ).toBe('sphinx');
+    expect(detectSiteAdapter({ generator: 'Hugo 0.120', present: [] })).toBeNull();
+    expect(detectSiteAdapter()).toBeNull();
+  });
+
+  test('getSiteAdapterMarkerSelectors 应该返回去重后的全部特征选择器', () => {
+    const selectors = getSiteAdapterMarkerSelectors();
+
+    expect(selectors).toContain('#content-area');
+    expect(selectors).toContain('.md-sidebar--primary');
+    expect(new Set(selectors).size).toBe(selectors.length);
+  });
+
+  test('applySiteAdapter 应该只补全未设置的字段', () => {
+    const config = {
+      rootURL: 'https://docs.example.com',
+      contentSelector: 'article',
+      navExcludeSelector: '',
+      removeSelectors: [],
+      markdownSource: { enabled: false },
+    };
+
+    const { config: adapted, applied } = applySiteAdapter(config, 'gitbook');
+
+    expect(adapted.contentSelector).toBe('article');
+    expect(adapted.navLinksSelector).toBe('[data-testid="table-of-contents"] a[href]');
+    expect(adapted.removeSelectors).toEqual(['main > header nav', 'main > footer']);
+    expect(adapted.markdownSource).toEqual({ enabled: false });
+    expect(applied).toEqual(['navLinksSelector', 'removeSelectors']);
+    expect(config.navLinksSelector).toBeUndefined();
+  });
+
+  test('applySiteAdapter 应该保留显式设置为空字符串的字段', () => {
+    const config = { rootURL: 'https://docs.example.com', navExcludeSelector: '' };
+
+    const { config: adapted, applied } = applySiteAdapter(config, 'mintlify');
+
+    expect(adapted.navExcludeSelector).toBe('');
+    expect(applied).not.toContain('navExcludeSelector');
+    expect(adapted.contentSelector).toBe('#content-area');
+  });
+
+  test('applySiteAdapter 可以跳过 Markdown 源文件约定，未知适配器不修改配置', () => {
+    const config = { rootURL: 'https://docs.example.com' };
+
+    const { config: adapted, applied } = applySiteAdapter(config, 'mintlify', {
+      markdownSource: false,
+    });
+    expect(adapted.markdownSource).toBeUndefined();
+    expect(applied).toContain('sectionTitleSelector');
+    expect(applied).not.toContain('markdownSource');
+
+    expect(applySiteAdapter(config, 'hugo')).toEqual({ config, applied: [] });
+  });
+});
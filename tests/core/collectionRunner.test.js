@@ -0,0 +1,363 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/core/collectionRunner.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CollectionRunner } from '../../src/core/collectionRunner.js';
+
+describe('CollectionRunner', () => {
+  let workDir;
+  let logger;
+
+  const collection = {
+    name: 'reading',
+    title: 'Reading',
+    overrides: { concurrency: 2 },
+    targets: [
+      { name: 'claude-code', title: 'Claude Code', namespace: 'claude-code', overrides: null },
+      { name: 'openai', title: 'OpenAI', namespace: 'openai', overrides: { a: 1 } },
+    ],
+  };
+
+  const createMockApp = (
+    { docTarget, namespace },
+    { batchMode = true, fail = false, book = { enabled: false } } = {}
+  ) => {
+    const config = {
+      pdfDir: path.join(workDir, namespace),
+      markdownPdf: { batchMode },
+      output: { tempDirectory: path.join(workDir, '.temp') },
+      book,
+    };
+    const markdownToPdfService = {
+      prepareCollectionPart: vi.fn(async (markdownDir, { title, namespace: ns }) => ({
+        files: [`${docTarget}.md`],
+        content: `# ${title} {#${ns}}`,
+      })),
+    };
+    const metadataService = {
+      getProgress: vi.fn().mockResolvedValue({
+        urlToIndex: {
+          [`https://${docTarget}.example.com/a`]: 0,
+          [`https://${docTarget}.example.com/b`]: 1,
+        },
+        processedUrls: [`https://${docTarget}.example.com/b`, `https://${docTarget}.example.com/a`],
+        savedAt: docTarget === 'openai' ? '2026-10-02T00:00:00.000Z' : '2026-10-01T00:00:00.000Z',
+      }),
+    };
+    const services = { config, markdownToPdfService, metadataService };
+
+    return {
+      docTarget,
+      initialize: vi.fn(),
+      container: { get: vi.fn(async (name) => services[name]) },
+      runScraping: vi
+        .fn()
+        .mockResolvedValue(
+          fail ? { success: false, error: 'navigation timeout' } : { success: true }
+        ),
+      runPythonMerge: vi.fn().mockResolvedValue({
+        success: true,
+        mergedFiles: [path.join(config.pdfDir, 'finalPdf', `${docTarget}.pdf`)],
+      }),
+      runBatchPdfGeneration: vi.fn(),
+      shutdown: vi.fn(),
+    };
+  };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'collection-runner-'));
+    logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('批量模式应该为每个目标创建独立的应用，并用 Pandoc 生成一本书', async () => {
+    const apps = [];
+    const createApp = vi.fn((options) => {
+      const app = createMockApp(options);
+      apps.push(app);
+      return app;
+    });
+    const pandoc = {
+      generateCollectionPdf: vi.fn(async (parts, outputPath) => ({
+        success: true,
+        filesProcessed: parts.length,
+        outputPath,
+      })),
+    };
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp,
+      logger,
+      createPandocService: () => pandoc,
+    });
+    const result = await runner.run({ mode: 'refresh' });
+
+    expect(createApp).toHaveBeenNthCalledWith(2, {
+      docTarget: 'openai',
+      overrides: [{ concurrency: 2 }, { a: 1 }],
+      namespace: path.join('reading', 'openai'),
+    });
+    expect(apps[0].runScraping).toHaveBeenCalledWith({ mode: 'refresh' });
+    expect(apps.every((app) => app.shutdown.mock.calls.length === 1)).toBe(true);
+
+    const [parts, outputPath] = pandoc.generateCollectionPdf.mock.calls[0];
+    expect(parts.map((part) => part.content)).toEqual([
+      '# Claude Code {#claude-code}',
+      '# OpenAI {#openai}',
+    ]);
+    expect(parts[1].resourcePath).toBe(path.join(workDir, 'reading', 'openai', 'markdown'));
+    expect(path.dirname(outputPath)).toBe(path.join(workDir, 'reading', 'finalPdf'));
+    expect(path.basename(outputPath)).toMatch(/^reading_\d{8}_\d{6}\.pdf$/);
+
+    expect(result.targets.map((target) => target.success)).toEqual([true, true]);
+    expect(result.build.success).toBe(true);
+  });
+
+  test('标准模式应该先合并每个目标，再通过清单交给 Python 合并器', async () => {
+    let manifest = null;
+    const mergeService = {
+      mergePDFs: vi.fn(async ({ collection: manifestPath }) => {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        return { success: true, mergedFiles: [manifest.output] };
+      }),
+    };
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => createMockApp(options, { batchMode: false }),
+      logger,
+      createMergeService: () => mergeService,
+    });
+    const result = await runner.run({ scrape: false });
+
+    expect(manifest).toMatchObject({
+      title: 'Reading',
+      bookmarks: true,
+      parts: [
+        {
+          title: 'Claude Code',
+          pdf: path.join(workDir, 'reading', 'claude-code', 'finalPdf', 'claude-code.pdf'),
+        },
+        {
+          title: 'OpenAI',
+          pdf: path.join(workDir, 'reading', 'openai', 'finalPdf', 'openai.pdf'),
+        },
+      ],
+    });
+    expect(result.build).toMatchObject({ success: true, outputPath: manifest.output });
+    // 清单在合并后删除
+    expect(await fs.readdir(path.join(workDir, '.temp'))).toEqual([]);
+  });
+
+  test('目标改用 pdf-lib 合并时，整本书也应该用 pdf-lib 拼接', async () => {
+    const mergeService = {
+      mergePDFs: vi.fn(async () => ({ success: true, mergedFiles: ['book.pdf'] })),
+    };
+    const createMergeService = vi.fn(() => mergeService);
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => {
+        const app = createMockApp(options, { batchMode: false });
+        app.runPythonMerge.mockResolvedValue({
+          success: true,
+          engine: options.docTarget === 'openai' ? 'pdf-lib' : 'python',
+          mergedFiles: [`${options.docTarget}.pdf`],
+        });
+        return app;
+      },
+      logger,
+      createMergeService,
+    });
+    await runner.run({ scrape: false });
+
+    expect(createMergeService).toHaveBeenCalledWith(expect.any(Object), logger, 'pdf-lib');
+  });
+
+  test('Python 不可用时即使目标没有报告合并引擎，整本书也应该用 pdf-lib 拼接', async () => {
+    const createMergeService = vi.fn(() => ({
+      mergePDFs: vi.fn(async () => ({ success: true, mergedFiles: ['book.pdf'] })),
+    }));
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => {
+        // 目标的结果中都没有 engine（openai 走批量 Pandoc 路径）
+        const app = createMockApp(options, { batchMode: options.docTarget === 'openai' });
+        app.pythonEnvironment = { available: false, error: 'python3: not found' };
+        app.runPythonMerge.mockResolvedValue({ success: true, outputPath: 'claude-code.pdf' });
+        app.runBatchPdfGeneration.mockResolvedValue({ success: true, outputPath: 'openai.pdf' });
+        return app;
+      },
+      logger,
+      createMergeService,
+    });
+    await runner.run({ scrape: false });
+
+    expect(createMergeService).toHaveBeenCalledWith(expect.any(Object), logger, 'pdf-lib');
+    expect(logger.warn).toHaveBeenCalledWith(
+      '⚠️ Python environment not available, merging with pdf-lib instead',
+      { error: 'python3: not found' }
+    );
+  });
+
+  test('启用 book 时封面与版权页只加在整本书上，目标的 PDF 不加', async () => {
+    const apps = [];
+    const frontMatterService = {
+      addToPdf: vi.fn(async (outputFile) => ({ outputFile, coverPages: 1 })),
+    };
+    const createFrontMatterService = vi.fn(() => frontMatterService);
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => {
+        const app = createMockApp(options, {
+          batchMode: false,
+          book: { enabled: true, title: 'Claude Code Documentation' },
+        });
+        apps.push(app);
+        return app;
+      },
+      logger,
+      createMergeService: () => ({
+        mergePDFs: vi.fn(async () => ({ success: true, mergedFiles: ['reading.pdf'] })),
+      }),
+      createFrontMatterService,
+    });
+    const result = await runner.run({ scrape: false });
+
+    expect(apps[0].runPythonMerge).toHaveBeenCalledWith({ frontMatter: false });
+    expect(frontMatterService.addToPdf).toHaveBeenCalledTimes(1);
+    expect(frontMatterService.addToPdf).toHaveBeenCalledWith('reading.pdf');
+    expect(result.build.frontMatter).toEqual({ outputFile: 'reading.pdf', coverPages: 1 });
+
+    const [{ config, metadataService }] = createFrontMatterService.mock.calls[0];
+    expect(config.book).toEqual({ enabled: true, title: 'Reading' });
+    expect(await metadataService.getProgress()).toEqual({
+      urlToIndex: {
+        'https://claude-code.example.com/a': 0,
+        'https://claude-code.example.com/b': 1,
+        'https://openai.example.com/a': 2,
+        'https://openai.example.com/b': 3,
+      },
+      processedUrls: [
+        'https://claude-code.example.com/b',
+        'https://claude-code.example.com/a',
+        'https://openai.example.com/b',
+        'https://openai.example.com/a',
+      ],
+      savedAt: '2026-10-02T00:00:00.000Z',
+    });
+  });
+
+  test('批量模式的目标单独生成 PDF 时不加封面，未启用 book 时整本书也不加', async () => {
+    const apps = [];
+    const createFrontMatterService = vi.fn();
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => {
+        const app = createMockApp(options, { batchMode: options.docTarget === 'openai' });
+        app.runBatchPdfGeneration.mockResolvedValue({
+          success: true,
+          outputs: { pdf: 'openai.pdf' },
+        });
+        apps.push(app);
+        return app;
+      },
+      logger,
+      createMergeService: () => ({
+        mergePDFs: vi.fn(async () => ({ success: true, mergedFiles: ['reading.pdf'] })),
+      }),
+      createFrontMatterService,
+    });
+    const result = await runner.run({ scrape: false });
+
+    expect(apps[1].runBatchPdfGeneration).toHaveBeenCalledWith({
+      formats: ['pdf'],
+      frontMatter: false,
+    });
+    expect(createFrontMatterService).not.toHaveBeenCalled();
+    expect(result.build.frontMatter).toBeUndefined();
+  });
+
+  test('后面的目标不是批量模式时，前面批量模式的目标应该改为生成 PDF 再拼接', async () => {
+    const apps = [];
+    let manifest = null;
+    const pandoc = { generateCollectionPdf: vi.fn() };
+    const mergeService = {
+      mergePDFs: vi.fn(async ({ collection: manifestPath }) => {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        return { success: true, mergedFiles: ['reading.pdf'] };
+      }),
+    };
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => {
+        const app = createMockApp(options, { batchMode: options.docTarget === 'claude-code' });
+        app.runBatchPdfGeneration.mockResolvedValue({
+          success: true,
+          outputs: { pdf: 'claude-code.pdf' },
+        });
+        apps.push(app);
+        return app;
+      },
+      logger,
+      createPandocService: () => pandoc,
+      createMergeService: () => mergeService,
+    });
+    const result = await runner.run();
+
+    expect(pandoc.generateCollectionPdf).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      '⚠️ Collection targets use different markdownPdf.batchMode, merging their PDFs instead',
+      { collection: 'reading' }
+    );
+    // 重新打开 claude-code 的应用，只生成 PDF，不再抓取
+    expect(apps.map((app) => app.docTarget)).toEqual(['claude-code', 'openai', 'claude-code']);
+    expect(apps[2].runScraping).not.toHaveBeenCalled();
+    expect(apps[2].runBatchPdfGeneration).toHaveBeenCalledWith({
+      formats: ['pdf'],
+      frontMatter: false,
+    });
+    expect(apps[2].shutdown).toHaveBeenCalledTimes(1);
+
+    expect(manifest.parts.map((part) => part.pdf)).toEqual([
+      'claude-code.pdf',
+      path.join(workDir, 'reading', 'openai', 'finalPdf', 'openai.pdf'),
+    ]);
+    expect(result.targets.map((target) => target.success)).toEqual([true, true]);
+    expect(result.build.success).toBe(true);
+  });
+
+  test('某个目标失败时应该跳过它并继续生成其余部分', async () => {
+    const pandoc = {
+      generateCollectionPdf: vi.fn(async (parts, outputPath) => ({ success: true, outputPath })),
+    };
+
+    const runner = new CollectionRunner({
+      collection,
+      createApp: (options) => createMockApp(options, { fail: options.docTarget === 'claude-code' }),
+      logger,
+      createPandocService: () => pandoc,
+    });
+    const result = await runner.run();
+
+    expect(result.targets).toEqual([
+      { name: 'claude-code', success: false, error: 'Scraping failed: navigation timeout' },
+      expect.objectContaining({ name: 'openai', success: true }),
+    ]);
+    expect(pandoc.generateCollectionPdf.mock.calls[0][0]).toHaveLength(1);
+    expect(logger.error).toHaveBeenCalledWith(
+      '❌ Collection target failed',
+      expect.objectContaining({ target: 'claude-code' })
+    );
+  });
+});
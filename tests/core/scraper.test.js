@@ -3,6 +3,9 @@ import { describe, it, test, expect, beforeAll, beforeEach, afterAll, afterEach,
 import { Scraper } from '../../src/core/scraper.js';
 import { NetworkError, ValidationError } from '../../src/utils/errors.js';
 import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import path from 'path';
 
 describe('Scraper', () => {
   let scraper;
@@ -49,9 +52,14 @@ describe('Scraper', () => {
       },
       fileService: {
         ensureDirectory: vi.fn(),
+        exists: vi.fn().mockResolvedValue(true),
+        copyFile: vi.fn(),
+        removeFile: vi.fn(),
+        removeDirectory: vi.fn(),
       },
       pathService: {
         getPdfPath: vi.fn().mockReturnValue('./pdfs/001-page.pdf'),
+        getTempDirectory: vi.fn().mockReturnValue('/work/.temp'),
       },
       metadataService: {
         saveArticleTitle: vi.fn(),
@@ -70,6 +78,10 @@ describe('Scraper', () => {
         setStartTime: vi.fn(),
         setUrlIndex: vi.fn(),
         getFailedUrls: vi.fn().mockReturnValue([]),
+        setPageFingerprint: vi.fn(),
+        getPageFingerprint: vi.fn().mockReturnValue(null),
+        getOutputEntries: vi.fn().mockReturnValue([]),
+        forgetUrl: vi.fn(),
         state: {
           processedUrls: new Set(),
           failedUrls: new Map(),
@@ -214,6 +226,106 @@ describe('Scraper', () => {
       expect(mockPage.goto).toHaveBeenCalledWith('https://example.com', expect.any(Object));
     });
 
+    it('should collect URLs from a gzipped sitemap index in sitemap discovery mode', async () => {
+      const responses = {
+        'https://example.com/sitemap.xml': `<?xml version="1.0"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-docs.xml.gz</loc></sitemap>
+  <sitemap><loc>https://example.com/sitemap-missing.xml</loc></sitemap>
+</sitemapindex>`,
+        'https://example.com/sitemap-docs.xml.gz': zlib.gzipSync(`<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/docs/guides/setup</loc></url>
+  <url><loc>https://example.com/docs/intro</loc></url>
+  <url><loc>https://example.com/docs/guides/private</loc></url>
+  <url><loc>https://example.com/blog/post</loc></url>
+</urlset>`),
+      };
+      const fetchMock = vi.fn(async (url) => {
+        const body = responses[url];
+        if (!body) {
+          return { ok: false, status: 404, statusText: 'Not Found' };
+        }
+        return { ok: true, status: 200, arrayBuffer: async () => Buffer.from(body) };
+      });
+      vi.stubGlobal('fetch', fetchMock);
+
+      Object.assign(scraper.config, {
+        discovery: 'sitemap',
+        rootURL: 'https://example.com/docs/intro',
+        baseUrl: 'https://example.com/docs/',
+        ignoreURLs: ['private'],
+      });
+
+      try {
+        const urls = await scraper.collectUrls();
+
+        expect(urls).toEqual([
+          'https://example.com/docs/intro',
+          'https://example.com/docs/guides/setup',
+        ]);
+        expect(mockDependencies.pageManager.createPage).not.toHaveBeenCalled();
+        expect(mockDependencies.logger.warn).toHaveBeenCalledWith(
+          '子 sitemap 获取失败，跳过',
+          expect.objectContaining({ childUrl: 'https://example.com/sitemap-missing.xml' })
+        );
+
+        const { sections } = mockDependencies.metadataService.saveSectionStructure.mock.calls[0][0];
+        expect(sections.map((section) => section.title)).toEqual(['Overview', 'Guides']);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('dry-run 时应该记录被丢弃的URL且不写入 section 结构', async () => {
+      Object.assign(scraper.config, {
+        targetUrls: [
+          'https://example.com/a',
+          'https://example.com/admin/users',
+          'https://example.com/a',
+          'https://other.com/b',
+        ],
+        ignoreURLs: ['/admin/'],
+      });
+
+      const urls = await scraper.collectUrls({ dryRun: true });
+
+      expect(urls).toEqual(['https://example.com/a']);
+      expect(mockDependencies.metadataService.saveSectionStructure).not.toHaveBeenCalled();
+      expect(scraper.collectionReport.rawUrlCount).toBe(4);
+      expect(scraper.collectionReport.sections[0].pages).toEqual([
+        expect.objectContaining({ index: '0', url: 'https://example.com/a' }),
+      ]);
+      expect(scraper.collectionReport.dropped).toEqual([
+        { url: 'https://example.com/admin/users', reason: 'ignored', section: 'Custom Selection' },
+        {
+          url: 'https://example.com/a',
+          reason: 'duplicate',
+          section: 'Custom Selection',
+          duplicateOf: 'https://example.com/a',
+        },
+        { url: 'https://other.com/b', reason: 'out-of-domain', section: 'Custom Selection' },
+      ]);
+    });
+
+    it('应该丢弃 robots.txt 禁止抓取的URL', async () => {
+      scraper.politenessService = {
+        isAllowed: vi.fn(async (url) => !url.includes('/private/')),
+      };
+      scraper.config.targetUrls = ['https://example.com/a', 'https://example.com/private/b'];
+
+      const urls = await scraper.collectUrls({ dryRun: true });
+
+      expect(urls).toEqual(['https://example.com/a']);
+      expect(scraper.collectionReport.dropped).toEqual([
+        {
+          url: 'https://example.com/private/b',
+          reason: 'robots-disallowed',
+          section: 'Custom Selection',
+        },
+      ]);
+    });
+
     it('should throw if not initialized', async () => {
       scraper.isInitialized = false;
       await expect(scraper.collectUrls()).rejects.toThrow(ValidationError);
@@ -295,6 +407,85 @@ describe('Scraper', () => {
     });
   });
 
+  describe('site adapters', () => {
+    beforeEach(() => {
+      mockPage.goto.mockResolvedValue({ status: () => 200 });
+      mockPage.waitForSelector.mockResolvedValue();
+      mockDependencies.pdfStyleService.setRemoveSelectors = vi.fn();
+    });
+
+    it('should detect the framework once and fill only the missing selectors', async () => {
+      scraper.config.adapter = 'auto';
+      delete scraper.config.navLinksSelector;
+      scraper.config.removeSelectors = [];
+      mockPage.evaluate.mockResolvedValue({
+        generator: 'Docusaurus v3.5.2',
+        present: ['.theme-doc-sidebar-container'],
+      });
+
+      const [first, second] = await Promise.all([
+        scraper._detectSiteAdapter(mockPage),
+        scraper._detectSiteAdapter(mockPage),
+      ]);
+
+      expect(first).toBe('docusaurus');
+      expect(second).toBe('docusaurus');
+      expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
+      expect(scraper.config.navLinksSelector).toBe(
+        '.theme-doc-sidebar-menu a.menu__link[href]:not([href="#"])'
+      );
+      expect(scraper.config.contentSelector).toBe('.content');
+      expect(scraper.config.markdownSource).toBeUndefined();
+      expect(mockDependencies.pdfStyleService.setRemoveSelectors).toHaveBeenCalledWith(
+        expect.arrayContaining(['.pagination-nav'])
+      );
+    });
+
+    it('should skip detection unless the adapter is auto', async () => {
+      scraper.config.adapter = 'none';
+
+      await expect(scraper._detectSiteAdapter(mockPage)).resolves.toBeNull();
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+
+    it('should fail entry collection when no navigation selector can be resolved', async () => {
+      scraper.config.adapter = 'auto';
+      delete scraper.config.navLinksSelector;
+      mockPage.evaluate.mockResolvedValue({ generator: 'Hugo 0.120', present: [] });
+
+      await expect(
+        scraper._collectUrlsFromEntryPoint(mockPage, 'https://example.com/section1')
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it('should expand collapsed sidebar groups before collecting links', async () => {
+      scraper.config.navExpandSelector = '.menu__caret';
+      mockPage.evaluate.mockResolvedValueOnce(4).mockResolvedValueOnce([]);
+
+      await scraper._collectUrlsFromEntryPoint(mockPage, 'https://example.com/section1');
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(1, expect.any(Function), '.menu__caret');
+      expect(mockDependencies.logger.debug).toHaveBeenCalledWith('侧边栏折叠分组已展开', {
+        expanded: 4,
+      });
+    });
+
+    it('should prefer the adapter section title read on the entry page', async () => {
+      scraper.config.sectionTitleSelector = '.menu__link--active';
+      mockPage.evaluate.mockResolvedValueOnce('Guides');
+
+      await expect(
+        scraper._extractAdapterSectionTitle(mockPage, 'https://example.com/guides')
+      ).resolves.toBe('Guides');
+
+      scraper.config.sectionTitles = { 'https://example.com/guides': 'Manual' };
+      await expect(
+        scraper._extractAdapterSectionTitle(mockPage, 'https://example.com/guides')
+      ).resolves.toBeNull();
+      expect(mockPage.evaluate).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('validateUrl', () => {
     it('should accept valid URLs', () => {
       expect(scraper.validateUrl('https://example.com/page')).toBe(true);
@@ -321,6 +512,18 @@ describe('Scraper', () => {
     });
   });
 
+  describe('getUrlRejectionReason', () => {
+    it('应该返回URL被过滤的原因', () => {
+      scraper.config.baseUrl = 'https://example.com/docs';
+
+      expect(scraper.getUrlRejectionReason('https://example.com/docs/page')).toBeNull();
+      expect(scraper.getUrlRejectionReason('not a url')).toBe('invalid-url');
+      expect(scraper.getUrlRejectionReason('ftp://example.com/docs')).toBe('protocol');
+      expect(scraper.getUrlRejectionReason('https://other.com/docs')).toBe('out-of-domain');
+      expect(scraper.getUrlRejectionReason('https://example.com/blog')).toBe('outside-base-url');
+    });
+  });
+
   describe('isIgnored', () => {
     it('should check ignored patterns', () => {
       scraper.config.ignoreURLs = ['/admin', /\.pdf$/];
@@ -381,6 +584,67 @@ describe('Scraper', () => {
       );
     });
 
+    it('应该在内容与样式配置未变化时复用缓存的 PDF', async () => {
+      scraper.pdfCacheService = {
+        enabled: true,
+        computeKey: vi.fn().mockReturnValue('cache-key'),
+        restore: vi.fn().mockResolvedValue(true),
+        store: vi.fn(),
+      };
+      scraper.config.pdf = { fontSize: '16px', cache: { enabled: true } };
+
+      const result = await scraper.scrapePage(testUrl, testIndex);
+
+      expect(result.status).toBe('success');
+      expect(scraper.pdfCacheService.computeKey).toHaveBeenCalledWith(
+        expect.objectContaining({
+          pdfOptions: expect.objectContaining({ path: './pdfs/001-page.pdf', format: 'A4' }),
+          style: expect.objectContaining({ pdf: { fontSize: '16px' } }),
+        })
+      );
+      expect(scraper.pdfCacheService.restore).toHaveBeenCalledWith(
+        'cache-key',
+        './pdfs/001-page.pdf'
+      );
+      expect(mockPage.pdf).not.toHaveBeenCalled();
+      expect(scraper.pdfCacheService.store).not.toHaveBeenCalled();
+      expect(mockDependencies.stateManager.markProcessed).toHaveBeenCalledWith(
+        testUrl,
+        './pdfs/001-page.pdf'
+      );
+    });
+
+    it('应该在缓存未命中时渲染 PDF 并写入缓存', async () => {
+      scraper.pdfCacheService = {
+        enabled: true,
+        computeKey: vi.fn().mockReturnValue('cache-key'),
+        restore: vi.fn().mockResolvedValue(false),
+        store: vi.fn(),
+      };
+
+      await scraper.scrapePage(testUrl, testIndex);
+
+      expect(mockPage.pdf).toHaveBeenCalledWith(
+        expect.objectContaining({ path: './pdfs/001-page.pdf' })
+      );
+      expect(scraper.pdfCacheService.store).toHaveBeenCalledWith(
+        'cache-key',
+        './pdfs/001-page.pdf'
+      );
+    });
+
+    it('应该把页面标题、URL 与所在 section 传给页眉页脚', async () => {
+      scraper.sectionTitleByUrl = new Map([[testUrl, 'Getting started']]);
+
+      await scraper.scrapePage(testUrl, testIndex);
+
+      expect(mockDependencies.pdfStyleService.getPDFOptions).toHaveBeenCalledWith({
+        url: testUrl,
+        title: 'Page Title',
+        section: 'Getting started',
+      });
+    });
+
     it('should skip already processed pages', async () => {
       mockDependencies.stateManager.isProcessed.mockReturnValue(true);
 
@@ -453,6 +717,83 @@ describe('Scraper', () => {
       );
     });
 
+    it('should localize markdown images before saving and converting', async () => {
+      Object.assign(mockDependencies.config, {
+        markdown: { enabled: true },
+        markdownPdf: { enabled: true, batchMode: false },
+      });
+      const markdownService = {
+        extractAndConvertPage: vi.fn().mockResolvedValue('![Logo](/img/logo.svg)'),
+        addFrontmatter: vi.fn((content) => content),
+      };
+      const markdownToPdfService = { convertContentToPdf: vi.fn().mockResolvedValue() };
+      const assetService = {
+        localizeImages: vi.fn().mockResolvedValue('![Logo](assets/0123456789abcdef.png)'),
+      };
+      scraper = new Scraper({
+        ...mockDependencies,
+        translationService: null,
+        markdownService,
+        markdownToPdfService,
+        assetService,
+      });
+      mockDependencies.fileService.writeText = vi.fn().mockResolvedValue();
+
+      await scraper.scrapePage(testUrl, 0);
+
+      expect(assetService.localizeImages).toHaveBeenCalledWith('![Logo](/img/logo.svg)', {
+        page: mockPage,
+        pageUrl: testUrl,
+        index: 0,
+      });
+      expect(mockDependencies.fileService.writeText).toHaveBeenCalledWith(
+        expect.stringMatching(/markdown[\\/]001-page\.md$/),
+        '![Logo](assets/0123456789abcdef.png)'
+      );
+      expect(markdownToPdfService.convertContentToPdf).toHaveBeenCalledWith(
+        '![Logo](assets/0123456789abcdef.png)',
+        './pdfs/001-page.pdf',
+        expect.objectContaining({ resourcePath: expect.stringMatching(/markdown$/) })
+      );
+    });
+
+    it('should render diagrams after localizing images', async () => {
+      Object.assign(mockDependencies.config, {
+        markdown: { enabled: true },
+        markdownPdf: { enabled: true, batchMode: true },
+      });
+      const assetService = { localizeImages: vi.fn().mockResolvedValue('```mermaid\nA\n```') };
+      const diagramService = {
+        renderDiagrams: vi.fn().mockResolvedValue('![](assets/diagram-0123456789abcdef.pdf)'),
+      };
+      scraper = new Scraper({
+        ...mockDependencies,
+        translationService: null,
+        markdownService: {
+          extractAndConvertPage: vi.fn().mockResolvedValue('```mermaid\nA\n```'),
+          addFrontmatter: vi.fn((content) => content),
+        },
+        markdownToPdfService: {},
+        assetService,
+        diagramService,
+      });
+      mockDependencies.fileService.writeText = vi.fn().mockResolvedValue();
+
+      await scraper.scrapePage(testUrl, 0);
+
+      expect(diagramService.renderDiagrams).toHaveBeenCalledWith('```mermaid\nA\n```', {
+        page: mockPage,
+        pageUrl: testUrl,
+      });
+      expect(assetService.localizeImages.mock.invocationCallOrder[0]).toBeLessThan(
+        diagramService.renderDiagrams.mock.invocationCallOrder[0]
+      );
+      expect(mockDependencies.fileService.writeText).toHaveBeenCalledWith(
+        expect.stringMatching(/001-page\.md$/),
+        '![](assets/diagram-0123456789abcdef.pdf)'
+      );
+    });
+
     it('should save state periodically', async () => {
       mockDependencies.progressTracker.getStats.mockReturnValue({ processed: 10 });
 
@@ -475,6 +816,29 @@ describe('Scraper', () => {
       expect(mockPage.goto).toHaveBeenCalledTimes(2);
     });
 
+    it('遇到 429 时应该按限速服务的等待时间重试导航', async () => {
+      scraper.politenessService = {
+        waitForTurn: vi.fn().mockResolvedValue(undefined),
+        noteResponse: vi.fn((url, status) => (status === 429 ? 1500 : null)),
+      };
+      mockPage.goto
+        .mockResolvedValueOnce({ status: () => 429, headers: () => ({ 'retry-after': '2' }) })
+        .mockResolvedValueOnce({ status: () => 200, statusText: () => 'OK', headers: () => ({}) });
+
+      const result = await scraper.navigateWithFallback(mockPage, 'https://example.com');
+
+      expect(result.success).toBe(true);
+      expect(mockPage.goto).toHaveBeenCalledTimes(2);
+      expect(scraper.politenessService.waitForTurn).toHaveBeenCalledTimes(2);
+      expect(scraper.politenessService.noteResponse).toHaveBeenNthCalledWith(
+        1,
+        'https://example.com',
+        429,
+        '2',
+        0
+      );
+    });
+
     it('should handle all strategies failing', async () => {
       mockPage.goto.mockRejectedValue(new Error('Navigation timeout'));
 
@@ -485,6 +849,203 @@ describe('Scraper', () => {
     });
   });
 
+  describe('refresh mode', () => {
+    const testUrl = 'https://example.com/page1';
+    const hashOf = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+    beforeEach(() => {
+      scraper.runMode = 'refresh';
+      mockPage.goto.mockResolvedValue({ status: () => 200, statusText: () => 'OK' });
+      mockPage.waitForSelector.mockResolvedValue();
+      mockPage.evaluate
+        .mockResolvedValueOnce({ title: 'Page Title', source: 'document.title' })
+        .mockResolvedValueOnce('Page body\n');
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should reuse the previous output when DOM content is unchanged', async () => {
+      mockDependencies.stateManager.isProcessed.mockReturnValue(true);
+      mockDependencies.stateManager.getPageFingerprint.mockReturnValue({
+        contentHash: hashOf('Page body\n'),
+        hashSource: 'dom',
+        title: 'Page Title',
+        outputPath: './pdfs/001-page.pdf',
+      });
+
+      const result = await scraper.scrapePage(testUrl, 0);
+
+      expect(result).toEqual({
+        status: 'unchanged',
+        title: 'Page Title',
+        outputPath: './pdfs/001-page.pdf',
+        isBatchMode: false,
+      });
+      expect(mockPage.pdf).not.toHaveBeenCalled();
+      expect(mockDependencies.fileService.copyFile).not.toHaveBeenCalled();
+      expect(mockDependencies.stateManager.markProcessed).toHaveBeenCalledWith(
+        testUrl,
+        './pdfs/001-page.pdf'
+      );
+      expect(mockDependencies.progressTracker.skip).toHaveBeenCalledWith(testUrl, 'unchanged');
+      expect(scraper.refreshStats.unchanged).toBe(1);
+    });
+
+    it('should re-render and record a new fingerprint when content changed', async () => {
+      mockDependencies.stateManager.getPageFingerprint.mockReturnValue({
+        contentHash: hashOf('Old body\n'),
+        hashSource: 'dom',
+        outputPath: './pdfs/001-page.pdf',
+      });
+
+      const result = await scraper.scrapePage(testUrl, 0);
+
+      expect(result.status).toBe('success');
+      expect(mockPage.pdf).toHaveBeenCalled();
+      expect(mockDependencies.stateManager.setPageFingerprint).toHaveBeenCalledWith(
+        testUrl,
+        expect.objectContaining({
+          contentHash: hashOf('Page body\n'),
+          hashSource: 'dom',
+          outputPath: './pdfs/001-page.pdf',
+        })
+      );
+      expect(scraper.refreshStats.changed).toBe(1);
+    });
+
+    it('should copy reused outputs when the page index shifted', async () => {
+      mockDependencies.stateManager.getPageFingerprint.mockReturnValue({
+        contentHash: hashOf('Page body\n'),
+        hashSource: 'dom',
+        title: 'Page Title',
+        outputPath: './pdfs/005-page.pdf',
+      });
+
+      const result = await scraper.scrapePage(testUrl, 1);
+
+      expect(result.outputPath).toBe('./pdfs/001-page.pdf');
+      expect(mockDependencies.fileService.copyFile).toHaveBeenCalledWith(
+        './pdfs/005-page.pdf',
+        './pdfs/001-page.pdf'
+      );
+      expect(mockDependencies.metadataService.saveArticleTitle).toHaveBeenCalledWith(
+        '1',
+        'Page Title'
+      );
+    });
+
+    it('should copy shifted outputs from the snapshot taken before the run', async () => {
+      const snapshotPath = path.join('/work/.temp', 'refresh_snapshot', '0-005-page.pdf');
+      mockDependencies.stateManager.getPageFingerprint.mockReturnValue({
+        contentHash: hashOf('Page body\n'),
+        hashSource: 'dom',
+        title: 'Page Title',
+        outputPath: './pdfs/005-page.pdf',
+      });
+
+      mockDependencies.fileService.exists.mockImplementation(async (filePath) =>
+        filePath.endsWith('.pdf')
+      );
+
+      await scraper._snapshotPreviousOutputs(
+        [testUrl],
+        [
+          [testUrl, './pdfs/005-page.pdf'],
+          ['https://example.com/removed', './pdfs/001-removed.pdf'],
+        ]
+      );
+      expect(mockDependencies.fileService.copyFile).toHaveBeenCalledTimes(1);
+      expect(mockDependencies.fileService.copyFile).toHaveBeenCalledWith(
+        './pdfs/005-page.pdf',
+        snapshotPath
+      );
+
+      // 另一个页面在复用之前已经写入了 005 号文件，复用仍然使用快照中的副本
+      await scraper.scrapePage(testUrl, 1);
+
+      expect(mockDependencies.fileService.copyFile).toHaveBeenLastCalledWith(
+        snapshotPath,
+        './pdfs/001-page.pdf'
+      );
+
+      await scraper._removeRefreshSnapshot();
+      expect(mockDependencies.fileService.removeDirectory).toHaveBeenLastCalledWith(
+        path.join('/work/.temp', 'refresh_snapshot')
+      );
+      expect(scraper.refreshSnapshot).toBeNull();
+    });
+
+    it('should skip the browser when the markdown source returns 304', async () => {
+      const fetchMock = vi.fn().mockResolvedValue({
+        status: 304,
+        ok: false,
+        headers: { get: () => null },
+      });
+      vi.stubGlobal('fetch', fetchMock);
+
+      Object.assign(mockDependencies.config, {
+        markdown: { enabled: true },
+        markdownPdf: { enabled: true, batchMode: true },
+        markdownSource: { enabled: true, urlSuffix: '.md' },
+      });
+      scraper = new Scraper({
+        ...mockDependencies,
+        markdownService: {},
+        markdownToPdfService: {},
+      });
+      scraper.runMode = 'refresh';
+      mockDependencies.stateManager.getPageFingerprint.mockReturnValue({
+        etag: '"v1"',
+        contentHash: 'abc',
+        hashSource: 'markdown',
+        title: 'Page Title',
+        outputPath: 'pdfs/markdown/001-page_translated.md',
+      });
+
+      const result = await scraper.scrapePage(testUrl, 0);
+
+      expect(result.status).toBe('unchanged');
+      expect(result.isBatchMode).toBe(true);
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://example.com/page1.md',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'If-None-Match': '"v1"' }),
+        })
+      );
+      expect(mockDependencies.pageManager.createPage).not.toHaveBeenCalled();
+    });
+
+    it('should prune outputs of pages that disappeared after a refresh run', async () => {
+      scraper.initialize = vi.fn();
+      scraper.collectUrls = vi.fn().mockResolvedValue([testUrl]);
+      scraper.scrapePage = vi.fn();
+      scraper.cleanup = vi.fn();
+      mockDependencies.queueManager.addTask.mockImplementation((id, task) => task());
+      mockDependencies.stateManager.getOutputEntries
+        .mockReturnValueOnce([
+          ['https://example.com/removed', './pdfs/002-removed.pdf'],
+          [testUrl, './pdfs/001-page.pdf'],
+        ])
+        .mockReturnValueOnce([[testUrl, './pdfs/001-page.pdf']]);
+
+      await scraper.run({ mode: 'refresh' });
+
+      expect(mockDependencies.stateManager.forgetUrl).toHaveBeenCalledWith(
+        'https://example.com/removed'
+      );
+      expect(mockDependencies.fileService.removeFile).toHaveBeenCalledWith(
+        './pdfs/002-removed.pdf'
+      );
+      expect(mockDependencies.fileService.removeFile).not.toHaveBeenCalledWith(
+        './pdfs/001-page.pdf'
+      );
+      expect(mockDependencies.stateManager.save).toHaveBeenCalledWith(true);
+      expect(scraper.refreshStats.removed).toBe(1);
+    });
+  });
+
   describe('retryFailedUrls', () => {
     it('should retry failed URLs', async () => {
       const failedUrls = [
@@ -517,6 +1078,19 @@ describe('Scraper', () => {
       expect(mockDependencies.logger.info).toHaveBeenCalledWith('没有需要重试的失败URL');
     });
 
+    it('urlQueue 为空时应该使用上次记录的索引并返回统计', async () => {
+      const url = 'https://example.com/failed';
+      mockDependencies.stateManager.getFailedUrls.mockReturnValue([[url, { message: 'old' }]]);
+      mockDependencies.stateManager.state.urlToIndex = new Map([[url, 7]]);
+      scraper.config.retryDelay = 0;
+      const scrapeSpy = vi.spyOn(scraper, 'scrapePage').mockResolvedValue({ status: 'success' });
+
+      const result = await scraper.retryFailedUrls();
+
+      expect(scrapeSpy).toHaveBeenCalledWith(url, 7, { isRetry: true });
+      expect(result).toEqual({ total: 1, successCount: 1, failCount: 0, skipCount: 0 });
+    });
+
     it('should skip stale failed URL already marked as processed', async () => {
       const staleUrl = 'https://example.com/stale';
       mockDependencies.stateManager.getFailedUrls.mockReturnValue([[staleUrl, { message: 'old' }]]);
@@ -278,6 +278,46 @@ describe('setup', () => {
         })
       );
 
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'politenessService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'assetService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger', 'metadataService', 'politenessService'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'diagramService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger', 'browserPool'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'pdfCacheService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger', 'pathService'],
+          lifecycle: 'singleton',
+        })
+      );
+
       expect(mockContainer.register).toHaveBeenCalledWith(
         'scraper',
         expect.any(Function),
@@ -299,6 +339,10 @@ describe('setup', () => {
             'translationService',
             'markdownService',
             'markdownToPdfService',
+            'politenessService',
+            'assetService',
+            'diagramService',
+            'pdfCacheService',
           ],
           lifecycle: 'singleton',
         })
@@ -314,8 +358,54 @@ describe('setup', () => {
         })
       );
 
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'pdfLibMergeService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'bookFrontMatterService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger', 'metadataService'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'browserPdfService',
+        expect.any(Function),
+        expect.objectContaining({
+          singleton: true,
+          dependencies: ['config', 'logger', 'markdownToPdfService', 'pdfStyleService'],
+          lifecycle: 'singleton',
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'changeReportService',
+        expect.any(Function),
+        expect.objectContaining({
+          dependencies: ['config', 'logger', 'fileService', 'pathService'],
+        })
+      );
+
+      expect(mockContainer.register).toHaveBeenCalledWith(
+        'archiveService',
+        expect.any(Function),
+        expect.objectContaining({
+          dependencies: ['config', 'logger', 'fileService', 'pathService', 'changeReportService'],
+        })
+      );
+
       // Verify total number of services registered
-      expect(mockContainer.register).toHaveBeenCalledTimes(17);
+      expect(mockContainer.register).toHaveBeenCalledTimes(26);
 
       // Verify validation and preloading
       expect(mockContainer.validateDependencies).toHaveBeenCalled();
@@ -355,6 +445,45 @@ describe('setup', () => {
       expect(mockContainer.dispose).toHaveBeenCalled();
     });
 
+    it('should pass configPath to ConfigLoader', async () => {
+      await setupContainer({ configPath: '/tmp/fixture-config.json' });
+
+      const configFactory = mockContainer.register.mock.calls.find(
+        (call) => call[0] === 'config'
+      )[1];
+      const { ConfigLoader } = await import('../../src/config/configLoader.js');
+
+      await configFactory();
+      expect(ConfigLoader).toHaveBeenCalledWith('/tmp/fixture-config.json', {
+        docTarget: undefined,
+        profile: undefined,
+        overrides: undefined,
+      });
+    });
+
+    it('should pass target, profile, overrides and namespace to ConfigLoader', async () => {
+      const overrides = { pdfDir: '/tmp/out', concurrency: 1 };
+      await setupContainer({
+        docTarget: 'openai',
+        profile: 'kindle7',
+        overrides,
+        namespace: 'reading/openai',
+      });
+
+      const configFactory = mockContainer.register.mock.calls.find(
+        (call) => call[0] === 'config'
+      )[1];
+      const { ConfigLoader } = await import('../../src/config/configLoader.js');
+
+      await configFactory();
+      expect(ConfigLoader).toHaveBeenCalledWith(undefined, {
+        docTarget: 'openai',
+        profile: 'kindle7',
+        overrides,
+        namespace: 'reading/openai',
+      });
+    });
+
     it('should create services with correct configurations', async () => {
       // First call setupContainer to populate the mock calls
       await setupContainer();
@@ -431,10 +560,12 @@ describe('setup', () => {
 
       const { PDFStyleService } = await import('../../src/services/pdfStyleService.js');
       pdfStyleServiceFactory({
+        rootURL: 'https://docs.example.com/docs',
         pdf: {
           theme: 'dark',
           fontSize: '16px',
           preserveCodeHighlighting: false,
+          headerFooter: { footer: { right: '{pageNumber}' } },
         },
       });
       expect(PDFStyleService).toHaveBeenCalledWith({
@@ -445,6 +576,14 @@ describe('setup', () => {
         fontFamily: 'system-ui, -apple-system, sans-serif',
         codeFont: 'SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace',
         removeSelectors: [],
+        // 逐页打印的 PDF 默认不加页眉页脚，整本书打印时使用 bookHeaderFooter
+        headerFooter: null,
+        bookHeaderFooter: {
+          header: { left: '', center: '', right: '' },
+          footer: { left: '', center: '', right: '{pageNumber}' },
+          fontSize: '8px',
+        },
+        headerFooterTarget: 'docs.example.com',
       });
 
       // Test translationService factory
@@ -511,6 +650,7 @@ describe('setup', () => {
         'translationService',
         'markdownService',
         'markdownToPdfService',
+        'politenessService',
       ];
 
       await scraperFactory(...services);
@@ -530,6 +670,7 @@ describe('setup', () => {
         translationService: 'translationService',
         markdownService: 'markdownService',
         markdownToPdfService: 'markdownToPdfService',
+        politenessService: 'politenessService',
       });
     });
   });
@@ -614,6 +755,9 @@ describe('setup', () => {
         fontFamily: 'system-ui, -apple-system, sans-serif',
         codeFont: 'SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace',
         removeSelectors: [],
+        headerFooter: null,
+        bookHeaderFooter: null,
+        headerFooterTarget: '',
       });
     });
 
@@ -0,0 +1,396 @@
+import { describe, test, expect, vi } from 'vitest';
+
+// tests/core/targetWizard.test.js
+import {
+  TargetWizard,
+  buildSections,
+  findBaseUrl,
+  formatTargetPreview,
+  isPaginatedHref,
+  pickBestCandidate,
+  scoreContentCandidate,
+  scoreNavCandidate,
+  suggestTargetName,
+} from '../../src/core/targetWizard.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+const ORIGIN = 'https://docs.example.com';
+
+const candidate = (overrides = {}) => ({
+  selector: 'div.box',
+  tag: 'div',
+  role: '',
+  hint: '',
+  links: 0,
+  hrefs: [],
+  linkTextLength: 0,
+  textLength: 0,
+  paragraphs: 0,
+  headings: 0,
+  hasH1: false,
+  chrome: false,
+  navDescendants: 0,
+  ...overrides,
+});
+
+// 与夹具文档站结构相同：顶栏标签页 + 侧边栏 + 正文
+const sidebar = candidate({
+  selector: '#sidebar',
+  tag: 'aside',
+  hint: 'sidebar ',
+  links: 2,
+  hrefs: [`${ORIGIN}/docs/installation`, `${ORIGIN}/docs/quickstart`],
+  linkTextLength: 31,
+  textLength: 33,
+  navDescendants: 1,
+});
+const main = candidate({
+  selector: '#content-area',
+  tag: 'main',
+  hint: 'content-area ',
+  links: 2,
+  hrefs: [`${ORIGIN}/docs/installation`, `${ORIGIN}/docs/quickstart`],
+  linkTextLength: 28,
+  textLength: 260,
+  paragraphs: 2,
+  headings: 2,
+  hasH1: true,
+});
+const layout = candidate({
+  selector: 'div.layout',
+  hint: ' layout',
+  links: 2,
+  hrefs: sidebar.hrefs,
+  linkTextLength: 59,
+  textLength: 295,
+  paragraphs: 2,
+  headings: 2,
+  hasH1: true,
+  navDescendants: 2,
+});
+const tabs = candidate({
+  selector: 'nav.nav-tabs',
+  tag: 'nav',
+  hint: ' nav-tabs',
+  links: 1,
+  hrefs: [`${ORIGIN}/docs/guides/hooks`],
+  linkTextLength: 21,
+  textLength: 22,
+  chrome: true,
+});
+
+const docsAnalysis = {
+  url: `${ORIGIN}/docs/overview`,
+  title: 'Overview - Docs',
+  generator: '',
+  present: [],
+  candidates: [layout, tabs, sidebar, main],
+  tabs: [
+    { text: 'Getting started', href: `${ORIGIN}/docs/overview` },
+    { text: 'Guides', href: `${ORIGIN}/docs/guides/hooks` },
+  ],
+  pagination: null,
+};
+
+const createResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: vi.fn().mockResolvedValue(body),
+});
+
+/**
+ * 模拟页面：按 page.evaluate 传入的函数名返回结果
+ */
+const createWizard = ({ analyses = {}, navLinks = {}, counts, responses = {} } = {}) => {
+  let currentUrl = null;
+  const page = {
+    goto: vi.fn(async (url) => {
+      currentUrl = url;
+    }),
+    evaluate: vi.fn(async (fn, ...args) => {
+      switch (fn.name) {
+        case 'analyzePage':
+          return analyses[currentUrl];
+        case 'collectNavLinks':
+          return navLinks[currentUrl] || { heading: '', links: [] };
+        case 'countMatches':
+          return counts || { links: 0, content: 0 };
+        default:
+          throw new Error(`unexpected evaluate: ${fn.name} ${args}`);
+      }
+    }),
+  };
+  const pageManager = {
+    createPage: vi.fn().mockResolvedValue(page),
+    closePage: vi.fn().mockResolvedValue(),
+  };
+  const fetchImpl = vi.fn(async (url) => responses[url] || createResponse(404, 'Not found'));
+  const wizard = new TargetWizard({ pageManager, fetchImpl, logger: { info: vi.fn() } });
+
+  return { wizard, page, pageManager, fetchImpl };
+};
+
+describe('targetWizard', () => {
+  describe('scoring', () => {
+    test('侧边栏应该是得分最高的导航容器，顶栏与正文不应入选', () => {
+      const best = pickBestCandidate(docsAnalysis.candidates, scoreNavCandidate);
+
+      expect(best.candidate.selector).toBe('#sidebar');
+      expect(scoreNavCandidate(tabs)).toBe(0);
+      expect(scoreNavCandidate(main)).toBeLessThan(scoreNavCandidate(sidebar));
+    });
+
+    test('正文容器应该优先选择 main，包含导航的外层容器减分', () => {
+      const best = pickBestCandidate(docsAnalysis.candidates, scoreContentCandidate);
+
+      expect(best.candidate.selector).toBe('#content-area');
+      expect(scoreContentCandidate(sidebar)).toBe(0);
+      expect(scoreContentCandidate(layout)).toBeLessThan(scoreContentCandidate(main));
+    });
+
+    test('同分时选择文本更少的内层容器', () => {
+      const outer = candidate({ selector: 'div.outer', textLength: 900 });
+      const inner = candidate({ selector: 'div.inner', textLength: 100 });
+
+      expect(pickBestCandidate([outer, inner], () => 1).candidate.selector).toBe('div.inner');
+      expect(pickBestCandidate([outer], () => 0)).toBeNull();
+    });
+  });
+
+  describe('helpers', () => {
+    test('isPaginatedHref 应该识别常见的分页地址', () => {
+      expect(isPaginatedHref(`${ORIGIN}/blog/page/2`)).toBe(true);
+      expect(isPaginatedHref(`${ORIGIN}/blog?page=3`)).toBe(true);
+      expect(isPaginatedHref(`${ORIGIN}/news/2/`)).toBe(true);
+      expect(isPaginatedHref(`${ORIGIN}/docs/next-steps`)).toBe(false);
+    });
+
+    test('findBaseUrl 应该取根地址与导航链接的公共路径', () => {
+      expect(findBaseUrl(`${ORIGIN}/docs/overview`, sidebar.hrefs)).toBe(`${ORIGIN}/docs/`);
+      expect(findBaseUrl(`${ORIGIN}/docs`, [`${ORIGIN}/docs/a`, `${ORIGIN}/docs/b/c`])).toBe(
+        `${ORIGIN}/docs`
+      );
+      expect(findBaseUrl(`${ORIGIN}/blog`, [`${ORIGIN}/blog/posts/a`], { paginated: true })).toBe(
+        `${ORIGIN}/blog/`
+      );
+      expect(findBaseUrl(`${ORIGIN}/docs/a`, [`${ORIGIN}/api/b`, 'https://other.com/x'])).toBe(
+        `${ORIGIN}/`
+      );
+      expect(findBaseUrl(`${ORIGIN}/docs/overview`, [])).toBe(`${ORIGIN}/docs/`);
+    });
+
+    test('suggestTargetName 应该由域名生成文件名', () => {
+      expect(suggestTargetName('https://www.example.com/docs')).toBe('example-com');
+      expect(suggestTargetName('http://127.0.0.1:8080/')).toBe('127-0-0-1');
+    });
+
+    test('buildSections 应该把 baseUrl 下的顶栏标签页作为分区入口', () => {
+      expect(
+        buildSections(`${ORIGIN}/docs/overview`, `${ORIGIN}/docs/`, docsAnalysis.tabs)
+      ).toEqual({
+        sectionEntryPoints: [`${ORIGIN}/docs/guides/hooks`],
+        sectionTitles: {
+          [`${ORIGIN}/docs/overview`]: 'Getting started',
+          [`${ORIGIN}/docs/guides/hooks`]: 'Guides',
+        },
+      });
+
+      // 只有一个标签页时不是分区导航
+      expect(
+        buildSections(`${ORIGIN}/docs/overview`, `${ORIGIN}/docs/`, docsAnalysis.tabs.slice(1))
+      ).toEqual({ sectionEntryPoints: [], sectionTitles: {} });
+    });
+
+    test('formatTargetPreview 应该列出分区与前几个页面', () => {
+      const pages = Array.from({ length: 12 }, (_, i) => ({
+        title: i === 1 ? '' : `Page ${i}`,
+        url: `${ORIGIN}/docs/p${i}`,
+      }));
+      const text = formatTargetPreview([
+        { title: 'Guides', entryUrl: `${ORIGIN}/docs/p0`, total: 12, pages },
+      ]);
+
+      expect(text).toContain(`1. Guides (12 pages) ${ORIGIN}/docs/p0`);
+      expect(text).toContain('   - Page 0\n   - /docs/p1');
+      expect(text).toContain('   … 2 more');
+      expect(text).not.toContain('Page 10');
+    });
+  });
+
+  describe('run', () => {
+    test('应该为文档站生成目标：侧边栏、正文、分区入口与 Markdown 源', async () => {
+      const { wizard, pageManager, fetchImpl } = createWizard({
+        analyses: { [`${ORIGIN}/docs/overview`]: docsAnalysis },
+        navLinks: {
+          [`${ORIGIN}/docs/overview`]: {
+            heading: 'Overview',
+            links: [
+              { title: 'Overview', href: `${ORIGIN}/docs/overview` },
+              { title: 'Installation', href: `${ORIGIN}/docs/installation#setup` },
+              { title: 'Changelog', href: 'https://github.com/example/changelog' },
+            ],
+          },
+          [`${ORIGIN}/docs/guides/hooks`]: {
+            heading: 'Hooks',
+            links: [{ title: 'Settings', href: `${ORIGIN}/docs/guides/settings` }],
+          },
+        },
+        responses: {
+          [`${ORIGIN}/docs/overview.md`]: createResponse(200, '# Overview\n'),
+        },
+      });
+
+      const { target, preview, report } = await wizard.run(`${ORIGIN}/docs/overview`);
+
+      expect(target).toEqual({
+        rootURL: `${ORIGIN}/docs/overview`,
+        baseUrl: `${ORIGIN}/docs/`,
+        navLinksSelector: '#sidebar a[href]',
+        contentSelector: '#content-area',
+        allowedDomains: ['docs.example.com'],
+        sectionEntryPoints: [`${ORIGIN}/docs/guides/hooks`],
+        sectionTitles: {
+          [`${ORIGIN}/docs/overview`]: 'Getting started',
+          [`${ORIGIN}/docs/guides/hooks`]: 'Guides',
+        },
+        markdownSource: { enabled: true, urlSuffix: '.md' },
+      });
+      expect(preview).toEqual([
+        {
+          title: 'Getting started',
+          entryUrl: `${ORIGIN}/docs/overview`,
+          total: 2,
+          pages: [
+            { title: 'Overview', url: `${ORIGIN}/docs/overview` },
+            { title: 'Installation', url: `${ORIGIN}/docs/installation` },
+          ],
+        },
+        {
+          title: 'Guides',
+          entryUrl: `${ORIGIN}/docs/guides/hooks`,
+          total: 2,
+          pages: [
+            { title: 'Hooks', url: `${ORIGIN}/docs/guides/hooks` },
+            { title: 'Settings', url: `${ORIGIN}/docs/guides/settings` },
+          ],
+        },
+      ]);
+      expect(report).toMatchObject({
+        nav: { selector: '#sidebar' },
+        content: { selector: '#content-area' },
+        markdownSource: true,
+        sitemap: null,
+      });
+      expect(fetchImpl).toHaveBeenCalledWith(`${ORIGIN}/sitemap.xml`, expect.any(Object));
+      expect(pageManager.closePage).toHaveBeenCalled();
+    });
+
+    test('分页列表应该生成 paginationSelector，并用第一篇文章判断正文容器', async () => {
+      const list = candidate({
+        selector: 'ul.blog-list',
+        tag: 'ul',
+        hint: ' blog-list',
+        links: 2,
+        hrefs: [`${ORIGIN}/blog/posts/first`, `${ORIGIN}/blog/posts/second`],
+        linkTextLength: 30,
+        textLength: 32,
+      });
+      const post = candidate({
+        selector: '#content-area',
+        tag: 'main',
+        hint: 'content-area ',
+        textLength: 400,
+        paragraphs: 3,
+        headings: 1,
+        hasH1: true,
+      });
+      const { wizard, page } = createWizard({
+        analyses: {
+          [`${ORIGIN}/blog`]: {
+            ...docsAnalysis,
+            url: `${ORIGIN}/blog`,
+            candidates: [list],
+            tabs: [],
+            pagination: { href: `${ORIGIN}/blog/page/2`, selector: 'a.next-page' },
+          },
+          [`${ORIGIN}/blog/posts/first`]: { ...docsAnalysis, candidates: [post], tabs: [] },
+        },
+      });
+
+      const { target, preview } = await wizard.run(`${ORIGIN}/blog`);
+
+      expect(target).toMatchObject({
+        baseUrl: `${ORIGIN}/blog/`,
+        navLinksSelector: 'ul.blog-list a[href]',
+        paginationSelector: 'a.next-page',
+        contentSelector: '#content-area',
+      });
+      expect(target.sectionEntryPoints).toBeUndefined();
+      expect(page.goto).toHaveBeenCalledWith(`${ORIGIN}/blog/posts/first`, expect.any(Object));
+      expect(preview[0]).toMatchObject({ entryUrl: `${ORIGIN}/blog`, total: 0 });
+    });
+
+    test('识别出的适配器选择器匹配时只写 adapter', async () => {
+      const { wizard } = createWizard({
+        analyses: {
+          [`${ORIGIN}/docs/overview`]: { ...docsAnalysis, generator: 'Docusaurus v3.1.0' },
+        },
+        counts: { links: 12, content: 1 },
+      });
+
+      const { target, report } = await wizard.run(`${ORIGIN}/docs/overview`);
+
+      expect(target.adapter).toBe('docusaurus');
+      expect(target.navLinksSelector).toBeUndefined();
+      expect(target.contentSelector).toBeUndefined();
+      expect(report.adapter).toEqual({ name: 'docusaurus', matches: true });
+    });
+
+    test('适配器选择器不匹配时关闭自动识别并使用打分结果', async () => {
+      const { wizard } = createWizard({
+        analyses: {
+          [`${ORIGIN}/docs/overview`]: { ...docsAnalysis, present: ['#content-area'] },
+        },
+      });
+
+      const { target } = await wizard.run(`${ORIGIN}/docs/overview`);
+
+      expect(target).toMatchObject({
+        adapter: 'none',
+        navLinksSelector: '#sidebar a[href]',
+        contentSelector: '#content-area',
+      });
+    });
+
+    test('没有导航时应该改用 sitemap 发现页面', async () => {
+      const xml = `<?xml version="1.0"?><urlset>
+        <url><loc>${ORIGIN}/docs/overview</loc></url>
+        <url><loc>${ORIGIN}/docs/guides/hooks</loc></url>
+        <url><loc>${ORIGIN}/blog/post</loc></url>
+      </urlset>`;
+      const { wizard } = createWizard({
+        analyses: {
+          [`${ORIGIN}/docs/overview`]: { ...docsAnalysis, candidates: [main], tabs: [] },
+        },
+        responses: { [`${ORIGIN}/sitemap.xml`]: createResponse(200, xml) },
+      });
+
+      const { target, preview, report } = await wizard.run(`${ORIGIN}/docs/overview`);
+
+      expect(target.discovery).toBe('sitemap');
+      expect(target.navLinksSelector).toBeUndefined();
+      expect(report.sitemap).toEqual({ url: `${ORIGIN}/sitemap.xml`, pages: 2 });
+      expect(preview.map((section) => section.title)).toEqual(['Overview', 'Guides']);
+    });
+
+    test('既没有导航也没有 sitemap 时应该抛出 ValidationError 并关闭页面', async () => {
+      const { wizard, pageManager } = createWizard({
+        analyses: { [`${ORIGIN}/docs/overview`]: { ...docsAnalysis, candidates: [main] } },
+      });
+
+      await expect(wizard.run(`${ORIGIN}/docs/overview`)).rejects.toThrow(ValidationError);
+      expect(pageManager.closePage).toHaveBeenCalled();
+      await expect(wizard.run('not a url')).rejects.toThrow('Invalid root URL');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+// tests/e2e/fixtureConfig.js
+
+/**
+ * 生成抓取夹具文档站的配置（sidebar + 分区入口 + Markdown 源）
+ * @param {string} origin - 夹具服务器地址
+ * @param {Object} overrides - 覆盖字段，至少需要 pdfDir
+ */
+export function createDocsFixtureConfig(origin, overrides = {}) {
+  return {
+    rootURL: `${origin}/docs/overview`,
+    baseUrl: `${origin}/docs/`,
+    navLinksSelector: "#sidebar a[href*='/docs/']",
+    contentSelector: '#content-area',
+    allowedDomains: [new URL(origin).hostname],
+    sectionEntryPoints: [`${origin}/docs/guides/hooks`],
+    enablePDFStyleProcessing: true,
+    navigationStrategy: 'load',
+    urlCollectionWaitUntil: 'load',
+    concurrency: 2,
+    maxRetries: 1,
+    pageTimeout: 15000,
+    network: { rateLimitDelay: 0 },
+    logLevel: 'warn',
+    ...overrides,
+  };
+}
+
+/**
+ * 生成抓取夹具博客的配置（分页列表，无 sidebar）
+ */
+export function createBlogFixtureConfig(origin, overrides = {}) {
+  return {
+    rootURL: `${origin}/blog`,
+    baseUrl: `${origin}/blog/`,
+    navLinksSelector: 'a.post-link',
+    paginationSelector: 'a.next-page',
+    maxPaginationPages: 5,
+    contentSelector: '#content-area',
+    allowedDomains: [new URL(origin).hostname],
+    navigationStrategy: 'load',
+    urlCollectionWaitUntil: 'load',
+    concurrency: 2,
+    maxRetries: 1,
+    pageTimeout: 15000,
+    network: { rateLimitDelay: 0 },
+    logLevel: 'warn',
+    ...overrides,
+  };
+}
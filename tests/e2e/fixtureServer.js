@@ -0,0 +1,133 @@
+// tests/e2e/fixtureServer.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURE_SITE_ROOT = path.join(__dirname, 'fixtures', 'docs-site');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+// 这些文件中的 {{origin}} 会被替换为服务器实际地址（sitemap 需要绝对 URL）
+const TEMPLATED_EXTENSIONS = new Set(['.xml']);
+
+/**
+ * 将解码后的请求路径解析为站点目录下的文件
+ * /docs/overview -> docs/overview.html，/blog -> blog/index.html，带扩展名的路径原样映射
+ */
+async function resolveFile(root, pathname) {
+  const base = path.join(root, path.normalize(pathname));
+  // 只比较前缀会放过名称以站点目录开头的同级目录（如 docs-site2）
+  const relative = path.relative(root, base);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return null;
+  }
+
+  const candidates = path.extname(base)
+    ? [base]
+    : [`${base.replace(/[/\\]$/, '')}.html`, path.join(base, 'index.html')];
+
+  for (const candidate of candidates) {
+    try {
+      const stat = await fs.stat(candidate);
+      if (stat.isFile()) {
+        return candidate;
+      }
+    } catch {
+      // 尝试下一个候选
+    }
+  }
+  return null;
+}
+
+/**
+ * 启动本地文档站点夹具服务器
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 表示随机端口
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.root] - 站点目录，默认使用内置 docs-site
+ * @param {number} [options.latencyMs=0] - 每个响应的人为延迟
+ * @returns {Promise<{origin: string, url: Function, requests: Array, close: Function}>}
+ */
+export async function startFixtureServer(options = {}) {
+  const { port = 0, host = '127.0.0.1', root = FIXTURE_SITE_ROOT, latencyMs = 0 } = options;
+  const siteRoot = path.resolve(root);
+  const requests = [];
+  let origin = null;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, origin);
+    requests.push({ method: req.method, pathname });
+
+    if (latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+
+    // 非法的百分号转义（例如 %E0%A4%A）直接返回 400，避免在异步处理函数中抛出
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(pathname);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!doctype html><title>Bad request</title><h1>Bad request</h1>');
+      return;
+    }
+
+    const filePath = await resolveFile(siteRoot, decodedPath);
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!doctype html><title>Not found</title><h1>Not found</h1>');
+      return;
+    }
+
+    const ext = path.extname(filePath);
+    let body = await fs.readFile(filePath);
+    if (TEMPLATED_EXTENSIONS.has(ext)) {
+      body = Buffer.from(body.toString('utf8').replaceAll('{{origin}}', origin));
+    }
+
+    // 支持条件请求，便于验证 refresh 模式的 304 分支
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+      'Content-Length': body.length,
+      ETag: etag,
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  origin = `http://${host}:${server.address().port}`;
+
+  return {
+    origin,
+    url: (pathname = '/') => new URL(pathname, origin).href,
+    requests,
+    close: () =>
+      new Promise((resolve, reject) => {
+        server.closeAllConnections();
+        server.close((error) => (error ? reject(error) : resolve()));
+      }),
+  };
+}
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+
+// tests/e2e/fixtureServer.test.js
+import { startFixtureServer } from './fixtureServer.js';
+import { PolitenessService } from '../../src/services/politenessService.js';
+
+describe('fixture docs site server', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('应该把无扩展名路径映射到 HTML 页面', async () => {
+    const response = await fetch(server.url('/docs/guides/hooks'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/html');
+    const html = await response.text();
+    expect(html).toContain('<h2 id="matchers">Matchers</h2>');
+    expect(html).toContain('id="sidebar"');
+  });
+
+  test('应该把目录路径映射到 index.html', async () => {
+    const response = await fetch(server.url('/blog'));
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('a class="next-page" href="/blog/page/2"');
+  });
+
+  test('应该以 text/markdown 返回 Markdown 源文件，缺失的源返回 404', async () => {
+    const source = await fetch(server.url('/docs/overview.md'));
+    expect(source.status).toBe(200);
+    expect(source.headers.get('content-type')).toContain('text/markdown');
+    expect(await source.text()).toMatch(/^# Overview/);
+
+    const missing = await fetch(server.url('/docs/quickstart.md'));
+    expect(missing.status).toBe(404);
+  });
+
+  test('应该支持 If-None-Match 条件请求', async () => {
+    const first = await fetch(server.url('/docs/installation.md'));
+    const etag = first.headers.get('etag');
+    expect(etag).toBeTruthy();
+
+    const second = await fetch(server.url('/docs/installation.md'), {
+      headers: { 'If-None-Match': etag },
+    });
+    expect(second.status).toBe(304);
+  });
+
+  test('sitemap 应该使用服务器的实际地址', async () => {
+    const xml = await (await fetch(server.url('/sitemap.xml'))).text();
+
+    expect(xml).toContain(`<loc>${server.origin}/docs/guides/settings</loc>`);
+    expect(xml).not.toContain('{{origin}}');
+  });
+
+  test('robots.txt 应该能被限速服务读取', async () => {
+    const politeness = new PolitenessService({ config: { network: { rateLimitDelay: 0 } } });
+
+    expect(await politeness.isAllowed(server.url('/docs/overview'))).toBe(true);
+    expect(await politeness.isAllowed(server.url('/drafts/next'))).toBe(false);
+  });
+
+  test('不应该允许访问站点目录之外的文件', async () => {
+    const response = await fetch(`${server.origin}/..%2F..%2FfixtureServer.js`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('非法的百分号转义应该返回 400', async () => {
+    const response = await fetch(`${server.origin}/docs/%E0%A4%A`);
+
+    expect(response.status).toBe(400);
+    expect((await fetch(server.url('/docs/overview'))).status).toBe(200);
+  });
+
+  test('应该记录收到的请求', async () => {
+    await fetch(server.url('/docs/guides/settings'));
+
+    expect(server.requests).toContainEqual({ method: 'GET', pathname: '/docs/guides/settings' });
+  });
+});
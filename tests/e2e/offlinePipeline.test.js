@@ -0,0 +1,178 @@
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// tests/e2e/offlinePipeline.test.js
+// 针对本地夹具站点运行完整的 Application.run()（真实 Chromium，无需外网）
+// 默认跳过，通过 `npm run test:e2e` 启用
+import fs from 'fs/promises';
+import path from 'path';
+import { Application } from '../../src/app.js';
+import { startFixtureServer } from './fixtureServer.js';
+import { createDocsFixtureConfig, createBlogFixtureConfig } from './fixtureConfig.js';
+
+const E2E_ENABLED = process.env.E2E === '1';
+const E2E_TEMP_ROOT = path.join('.temp', 'e2e');
+const E2E_TIMEOUT = 180000;
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    })
+  );
+  return files.flat();
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * 写入场景配置并运行完整流程
+ */
+async function runScenario(name, config) {
+  const scenarioDir = path.join(E2E_TEMP_ROOT, name);
+  await fs.rm(scenarioDir, { recursive: true, force: true });
+  await fs.mkdir(scenarioDir, { recursive: true });
+
+  const pdfDir = path.join(scenarioDir, 'pdfs');
+  const configPath = path.resolve(scenarioDir, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify({ ...config, pdfDir }, null, 2), 'utf8');
+
+  const app = new Application({ setupSignalHandlers: false, configPath });
+  try {
+    const result = await app.run();
+    return { result, pdfDir, files: await listFiles(pdfDir) };
+  } finally {
+    await app.cleanup();
+  }
+}
+
+describe.skipIf(!E2E_ENABLED)('offline end-to-end pipeline', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  afterAll(async () => {
+    await server?.close();
+    await fs.rm(E2E_TEMP_ROOT, { recursive: true, force: true });
+  });
+
+  test(
+    '应该抓取 sidebar 分区并为每个页面生成 PDF',
+    async () => {
+      vi.stubEnv('DOC_TARGET', '');
+
+      const { result, pdfDir, files } = await runScenario(
+        'docs-pdf',
+        createDocsFixtureConfig(server.origin)
+      );
+
+      expect(result.scraping.success).toBe(true);
+
+      const pdfs = files.filter(
+        (file) => file.endsWith('.pdf') && !file.includes(`${path.sep}finalPdf${path.sep}`)
+      );
+      expect(pdfs).toHaveLength(5);
+      for (const pdf of pdfs) {
+        const header = (await fs.readFile(pdf)).subarray(0, 5).toString('latin1');
+        expect(header).toBe('%PDF-');
+      }
+
+      const structure = await readJson(path.join(pdfDir, 'metadata', 'sectionStructure.json'));
+      expect(structure.sections.map((section) => section.entryUrl)).toEqual([
+        server.url('/docs/overview'),
+        server.url('/docs/guides/hooks'),
+      ]);
+      expect(structure.sections[1].pages.map((page) => page.url)).toEqual([
+        server.url('/docs/guides/hooks'),
+        server.url('/docs/guides/settings'),
+      ]);
+
+      // 懒加载图片应该在生成 PDF 前被触发
+      const imageRequests = server.requests.filter(
+        ({ pathname }) => pathname === '/images/architecture.svg'
+      );
+      expect(imageRequests.length).toBeGreaterThan(0);
+
+      // 没有 Python 时改用 pdf-lib 合并；有 Python 时需要先运行 make install-python 安装 PyMuPDF
+      expect(result.merge.success).toBe(true);
+      const finalPdfs = files.filter((file) => file.includes(`${path.sep}finalPdf${path.sep}`));
+      expect(finalPdfs.length).toBeGreaterThan(0);
+    },
+    E2E_TIMEOUT
+  );
+
+  test(
+    '应该优先使用 .md 源文件，缺失时回退到 DOM 转换',
+    async () => {
+      vi.stubEnv('DOC_TARGET', '');
+
+      const { result, files } = await runScenario(
+        'docs-markdown',
+        createDocsFixtureConfig(server.origin, {
+          markdownSource: { enabled: true, urlSuffix: '.md' },
+          markdown: { enabled: true, outputDir: 'markdown' },
+          markdownPdf: { enabled: true, batchMode: true },
+        })
+      );
+
+      expect(result.scraping.success).toBe(true);
+
+      const markdownFiles = files.filter(
+        (file) => file.endsWith('.md') && !file.endsWith('_translated.md')
+      );
+      expect(markdownFiles).toHaveLength(5);
+
+      const readPage = async (name) => {
+        const file = markdownFiles.find((candidate) => path.basename(candidate).includes(name));
+        return fs.readFile(file, 'utf8');
+      };
+
+      // overview 有 .md 源：内容应与源文件一致
+      expect(await readPage('overview')).toContain(
+        '![Architecture diagram](/images/architecture.svg)'
+      );
+
+      // quickstart 没有 .md 源：从 DOM 转换，折叠内容也应被保留
+      const quickstart = await readPage('quickstart');
+      expect(quickstart).toContain('Quickstart');
+      expect(quickstart).toContain('If the build hangs');
+
+      const markdownRequests = server.requests.filter(({ pathname }) => pathname.endsWith('.md'));
+      expect(markdownRequests.map(({ pathname }) => pathname)).toEqual(
+        expect.arrayContaining(['/docs/overview.md', '/docs/quickstart.md'])
+      );
+    },
+    E2E_TIMEOUT
+  );
+
+  test(
+    '应该跟随分页链接收集所有文章',
+    async () => {
+      vi.stubEnv('DOC_TARGET', '');
+
+      const { result, pdfDir } = await runScenario(
+        'blog-pagination',
+        createBlogFixtureConfig(server.origin, {
+          markdown: { enabled: true, outputDir: 'markdown' },
+          markdownPdf: { enabled: true, batchMode: true },
+        })
+      );
+
+      expect(result.scraping.success).toBe(true);
+
+      const structure = await readJson(path.join(pdfDir, 'metadata', 'sectionStructure.json'));
+      const urls = structure.sections.flatMap((section) => section.pages.map((page) => page.url));
+      expect(urls).toEqual([
+        server.url('/blog/posts/first-release'),
+        server.url('/blog/posts/fixture-notes'),
+        server.url('/blog/posts/archived'),
+      ]);
+    },
+    E2E_TIMEOUT
+  );
+});
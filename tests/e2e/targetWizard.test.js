@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+
+// tests/e2e/targetWizard.test.js
+// 在本地夹具站点上运行 targets init 的识别逻辑（真实 Chromium）
+// 默认跳过，通过 `npm run test:e2e` 启用
+import { BrowserPool } from '../../src/services/browserPool.js';
+import { PageManager } from '../../src/services/pageManager.js';
+import { TargetWizard } from '../../src/core/targetWizard.js';
+import { startFixtureServer } from './fixtureServer.js';
+
+const E2E_ENABLED = process.env.E2E === '1';
+const E2E_TIMEOUT = 120000;
+
+describe.skipIf(!E2E_ENABLED)('target wizard on the fixture site', () => {
+  let server;
+  let browserPool;
+  let pageManager;
+  let wizard;
+
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browserPool = new BrowserPool({ maxBrowsers: 1, headless: true });
+    await browserPool.initialize();
+    pageManager = new PageManager(browserPool, {});
+    wizard = new TargetWizard({ pageManager, timeout: 15000 });
+  }, E2E_TIMEOUT);
+
+  afterAll(async () => {
+    await pageManager?.close();
+    await browserPool?.close();
+    await server?.close();
+  });
+
+  test(
+    '文档站：侧边栏导航、正文容器、顶栏分区与 Markdown 源',
+    async () => {
+      const { target, preview, report } = await wizard.run(server.url('/docs/overview'));
+
+      expect(target).toMatchObject({
+        rootURL: server.url('/docs/overview'),
+        baseUrl: server.url('/docs/'),
+        navLinksSelector: '#sidebar a[href]',
+        contentSelector: '#content-area',
+        allowedDomains: [new URL(server.origin).hostname],
+        sectionEntryPoints: [server.url('/docs/guides/hooks')],
+        sectionTitles: {
+          [server.url('/docs/overview')]: 'Getting started',
+          [server.url('/docs/guides/hooks')]: 'Guides',
+        },
+        markdownSource: { enabled: true, urlSuffix: '.md' },
+      });
+      expect(report.sitemap.pages).toBe(5);
+
+      expect(preview.map((section) => section.title)).toEqual(['Getting started', 'Guides']);
+      expect(preview[0].pages.map((page) => page.title)).toEqual([
+        'Overview',
+        'Installation',
+        'Quickstart',
+      ]);
+      expect(preview[1].pages.map((page) => page.url)).toEqual([
+        server.url('/docs/guides/hooks'),
+        server.url('/docs/guides/settings'),
+      ]);
+    },
+    E2E_TIMEOUT
+  );
+
+  test(
+    '博客：文章列表、下一页链接与文章正文',
+    async () => {
+      const { target, preview } = await wizard.run(server.url('/blog'));
+
+      expect(target).toMatchObject({
+        baseUrl: server.url('/blog/'),
+        navLinksSelector: 'ul.blog-list a[href]',
+        paginationSelector: 'a.next-page',
+        contentSelector: '#content-area',
+      });
+      expect(preview[0].pages.map((page) => page.title)).toEqual([
+        'First release',
+        'Notes on fixtures',
+      ]);
+    },
+    E2E_TIMEOUT
+  );
+});
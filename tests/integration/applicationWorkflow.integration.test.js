@@ -83,6 +83,118 @@ describe('Application minimal workflow integration', () => {
     expect(processOnSpy).not.toHaveBeenCalled();
   });
 
+  it('loads the config file, target and profile passed to the constructor', async () => {
+    mockCreateContainer.mockResolvedValue(createMockContainer({ config: {}, logger: mockLogger }));
+
+    const app = new Application({
+      setupSignalHandlers: false,
+      configPath: '/tmp/fixture-config.json',
+      docTarget: 'openai',
+      profile: 'kindle7',
+      overrides: { pdfDir: '/tmp/out' },
+    });
+
+    try {
+      await app.initialize();
+
+      expect(mockCreateContainer).toHaveBeenCalledWith({
+        configPath: '/tmp/fixture-config.json',
+        docTarget: 'openai',
+        profile: 'kindle7',
+        overrides: { pdfDir: '/tmp/out' },
+        namespace: null,
+      });
+    } finally {
+      await app.cleanup();
+    }
+  });
+
+  it('writes the crawl plan without scraping pages in plan mode', async () => {
+    const scraper = {
+      initialize: vi.fn().mockResolvedValue(),
+      collectUrls: vi.fn().mockResolvedValue(['https://docs.example.com/start']),
+      run: vi.fn(),
+      collectionReport: {
+        rawUrlCount: 2,
+        sections: [
+          {
+            index: 0,
+            title: 'Start',
+            entryUrl: 'https://docs.example.com/start',
+            pages: [{ index: '0', url: 'https://docs.example.com/start' }],
+          },
+        ],
+        dropped: [{ url: 'https://elsewhere.com/', reason: 'out-of-domain', section: 'Start' }],
+        sectionConflicts: [],
+      },
+    };
+    const fileService = { writeJson: vi.fn().mockResolvedValue(), writeText: vi.fn() };
+    const pathService = {
+      getMetadataPath: vi.fn().mockReturnValue('pdfs/metadata/crawlPlan.json'),
+    };
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config: { rootURL: 'https://docs.example.com/start', pdfDir: 'pdfs' },
+        logger: mockLogger,
+        scraper,
+        fileService,
+        pathService,
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.runPlan();
+
+      expect(scraper.collectUrls).toHaveBeenCalledWith({ dryRun: true });
+      expect(scraper.run).not.toHaveBeenCalled();
+      expect(result.outputs).toEqual({
+        json: 'pdfs/metadata/crawlPlan.json',
+        text: 'pdfs/metadata/crawlPlan.txt',
+      });
+      expect(fileService.writeJson).toHaveBeenCalledWith(
+        'pdfs/metadata/crawlPlan.json',
+        expect.objectContaining({
+          summary: expect.objectContaining({ pages: 1, dropped: 1 }),
+        })
+      );
+      expect(fileService.writeText).toHaveBeenCalledWith(
+        'pdfs/metadata/crawlPlan.txt',
+        expect.stringContaining('└─ Start (1) - https://docs.example.com/start')
+      );
+    } finally {
+      await app.cleanup();
+    }
+  });
+
+  it('retries failed URLs without collecting or scraping the whole site', async () => {
+    const scraper = {
+      run: vi.fn(),
+      collectUrls: vi.fn(),
+      retryFailedUrls: vi
+        .fn()
+        .mockResolvedValue({ total: 2, successCount: 1, failCount: 1, skipCount: 0 }),
+    };
+    const stateManager = { save: vi.fn().mockResolvedValue() };
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({ config: {}, logger: mockLogger, scraper, stateManager })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.runRetryFailed();
+
+      expect(result).toEqual({ total: 2, successCount: 1, failCount: 1, skipCount: 0 });
+      expect(scraper.collectUrls).not.toHaveBeenCalled();
+      expect(scraper.run).not.toHaveBeenCalled();
+      expect(stateManager.save).toHaveBeenCalledWith(true);
+    } finally {
+      await app.cleanup();
+    }
+  });
+
   it('runs scrape + python merge workflow in standard mode', async () => {
     const tempRoot = await createTempDir('app-standard');
     const pdfDir = path.join(tempRoot, 'pdfs');
@@ -142,6 +254,144 @@ describe('Application minimal workflow integration', () => {
     }
   });
 
+  it('falls back to the pdf-lib merge engine when Python is unavailable', async () => {
+    mockCheckPythonEnvironment.mockResolvedValue({
+      available: false,
+      error: 'spawn python3 ENOENT',
+      executable: 'python3',
+    });
+    const tempRoot = await createTempDir('app-pdf-lib');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+    await fs.mkdir(path.join(pdfDir, 'docs.example.com-docs'), { recursive: true });
+
+    const pythonMergeService = { mergePDFs: vi.fn() };
+    const pdfLibMergeService = {
+      mergePDFs: vi.fn().mockResolvedValue({
+        success: true,
+        engine: 'pdf-lib',
+        mergedFiles: ['Example-Docs.pdf'],
+        outputFile: 'Example-Docs.pdf',
+      }),
+    };
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config: { rootURL: 'https://docs.example.com/docs', pdfDir },
+        logger: mockLogger,
+        pythonMergeService,
+        pdfLibMergeService,
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      await app.initialize();
+      const result = await app.runPythonMerge();
+
+      expect(pdfLibMergeService.mergePDFs).toHaveBeenCalledWith({
+        directory: 'docs.example.com-docs',
+      });
+      expect(pythonMergeService.mergePDFs).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, engine: 'pdf-lib' });
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('adds the cover and colophon to every merged PDF when book.enabled is set', async () => {
+    const tempRoot = await createTempDir('app-front-matter');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const pdfLibMergeService = {
+      mergePDFs: vi.fn().mockResolvedValue({
+        success: true,
+        engine: 'pdf-lib',
+        mergedFiles: ['Example-Docs.pdf', 'Guides.pdf'],
+        outputFile: 'Example-Docs.pdf',
+      }),
+    };
+    const bookFrontMatterService = {
+      addToPdf: vi
+        .fn()
+        .mockResolvedValueOnce({ outputFile: 'Example-Docs.pdf', coverPages: 1 })
+        .mockRejectedValueOnce(new Error('Failed to launch the browser process')),
+    };
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config: {
+          rootURL: 'https://docs.example.com/docs',
+          pdfDir,
+          pdf: { mergeEngine: 'pdf-lib' },
+          book: { enabled: true, cover: true, colophon: true },
+        },
+        logger: mockLogger,
+        pdfLibMergeService,
+        bookFrontMatterService,
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      await app.initialize();
+      const result = await app.runPythonMerge();
+
+      expect(bookFrontMatterService.addToPdf).toHaveBeenCalledWith('Example-Docs.pdf');
+      expect(bookFrontMatterService.addToPdf).toHaveBeenCalledWith('Guides.pdf');
+      // 封面生成失败不影响合并结果
+      expect(result).toMatchObject({ success: true, frontMatter: null });
+      expect(mockLogger.warn).toHaveBeenCalledWith('⚠️  Cover and colophon could not be added', {
+        error: 'Failed to launch the browser process',
+      });
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('leaves the merged PDF without front matter while book.enabled is false', async () => {
+    const tempRoot = await createTempDir('app-front-matter-off');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const pdfLibMergeService = {
+      mergePDFs: vi.fn().mockResolvedValue({
+        success: true,
+        engine: 'pdf-lib',
+        mergedFiles: ['Example-Docs.pdf'],
+        outputFile: 'Example-Docs.pdf',
+      }),
+    };
+    const bookFrontMatterService = { addToPdf: vi.fn() };
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config: {
+          rootURL: 'https://docs.example.com/docs',
+          pdfDir,
+          pdf: { mergeEngine: 'pdf-lib' },
+          // 校验器填入的默认值
+          book: { enabled: false, cover: true, colophon: true, logo: true, keywords: [] },
+        },
+        logger: mockLogger,
+        pdfLibMergeService,
+        bookFrontMatterService,
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      await app.initialize();
+      const result = await app.runPythonMerge();
+
+      expect(bookFrontMatterService.addToPdf).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, frontMatter: null });
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
   it('runs scrape + batch pdf workflow when batch mode is enabled', async () => {
     const tempRoot = await createTempDir('app-batch');
     const pdfDir = path.join(tempRoot, 'pdfs');
@@ -200,4 +450,367 @@ describe('Application minimal workflow integration', () => {
       await fs.rm(tempRoot, { recursive: true, force: true });
     }
   });
+
+  it('prints the batch pdf with the browser engine when markdownPdf.engine is browser', async () => {
+    const tempRoot = await createTempDir('app-browser-engine');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { outputDir: 'markdown' },
+      output: { finalPdfDirectory: 'finalPdf' },
+      markdownPdf: { batchMode: true, engine: 'browser', tocDepth: 2 },
+    };
+
+    const markdownToPdfService = { generateBatchPdf: vi.fn() };
+    const browserPdfService = {
+      generateBatchPdf: vi.fn().mockResolvedValue({
+        success: true,
+        outputPath: 'batch.pdf',
+        filesProcessed: 2,
+      }),
+    };
+
+    const container = createMockContainer({
+      config,
+      logger: mockLogger,
+      scraper: { run: vi.fn().mockResolvedValue() },
+      progressTracker: {
+        getStats: vi.fn().mockReturnValue({ total: 2, completed: 2, failed: 0 }),
+      },
+      fileService: {
+        ensureDirectory: vi.fn(async (dir) => {
+          await fs.mkdir(dir, { recursive: true });
+        }),
+      },
+      markdownToPdfService,
+      browserPdfService,
+      pythonMergeService: { mergePDFs: vi.fn() },
+    });
+    mockCreateContainer.mockResolvedValue(container);
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.run();
+
+      expect(browserPdfService.generateBatchPdf).toHaveBeenCalledWith(
+        path.join(pdfDir, 'markdown'),
+        expect.stringMatching(/docs_example_com_batch_\d+_\d+\.pdf$/),
+        config.markdownPdf
+      );
+      expect(markdownToPdfService.generateBatchPdf).not.toHaveBeenCalled();
+      expect(result.merge.success).toBe(true);
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('builds pdf and epub in batch mode when both output formats are configured', async () => {
+    const tempRoot = await createTempDir('app-batch-epub');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { outputDir: 'markdown' },
+      output: {
+        finalPdfDirectory: 'finalPdf',
+        formats: ['pdf', 'epub'],
+        epub: { title: 'Example Docs', language: 'en' },
+      },
+      markdownPdf: { batchMode: true, tocDepth: 2 },
+    };
+
+    const markdownToPdfService = {
+      generateBatchPdf: vi.fn(async (dir, outputPath) => ({
+        success: true,
+        outputPath,
+        filesProcessed: 2,
+      })),
+      generateBatchEpub: vi.fn(async (dir, outputPath) => ({
+        success: true,
+        outputPath,
+        filesProcessed: 2,
+      })),
+    };
+
+    const container = createMockContainer({
+      config,
+      logger: mockLogger,
+      scraper: { run: vi.fn().mockResolvedValue() },
+      progressTracker: {
+        getStats: vi.fn().mockReturnValue({ total: 2, completed: 2, failed: 0 }),
+      },
+      fileService: {
+        ensureDirectory: vi.fn(async (dir) => {
+          await fs.mkdir(dir, { recursive: true });
+        }),
+      },
+      markdownToPdfService,
+      pythonMergeService: { mergePDFs: vi.fn() },
+    });
+    mockCreateContainer.mockResolvedValue(container);
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.run();
+
+      const markdownDir = path.join(pdfDir, 'markdown');
+      expect(markdownToPdfService.generateBatchPdf).toHaveBeenCalledWith(
+        markdownDir,
+        expect.stringMatching(/docs_example_com_batch_\d+_\d+\.pdf$/),
+        config.markdownPdf
+      );
+      expect(markdownToPdfService.generateBatchEpub).toHaveBeenCalledWith(
+        markdownDir,
+        expect.stringMatching(/docs_example_com_batch_\d+_\d+\.epub$/),
+        expect.objectContaining({ title: 'Example Docs', language: 'en', tocDepth: 2 })
+      );
+      expect(result.merge.success).toBe(true);
+      expect(Object.keys(result.merge.outputs)).toEqual(['pdf', 'epub']);
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the formats that succeeded when another batch format throws', async () => {
+    const tempRoot = await createTempDir('app-batch-partial');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { outputDir: 'markdown' },
+      output: { finalPdfDirectory: 'finalPdf', formats: ['pdf', 'epub', 'html'] },
+      markdownPdf: { batchMode: true },
+    };
+
+    const markdownToPdfService = {
+      generateBatchPdf: vi.fn(async (dir, outputPath) => ({
+        success: true,
+        outputPath,
+        filesProcessed: 2,
+      })),
+      generateBatchEpub: vi.fn().mockRejectedValue(new Error('Pandoc exited with code 2')),
+      generateBatchHtml: vi.fn(async (dir, outputDir) => ({
+        success: true,
+        outputPath: path.join(outputDir, 'index.html'),
+        filesProcessed: 2,
+      })),
+    };
+
+    const container = createMockContainer({
+      config,
+      logger: mockLogger,
+      markdownToPdfService,
+    });
+    mockCreateContainer.mockResolvedValue(container);
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      await app.initialize();
+      const result = await app.runBatchPdfGeneration();
+
+      expect(markdownToPdfService.generateBatchHtml).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(Object.keys(result.outputs)).toEqual(['pdf', 'html']);
+      expect(result.outputPath).toMatch(/docs_example_com_batch_\d+_\d+\.pdf$/);
+      expect(result.errors).toEqual({ epub: 'Pandoc exited with code 2' });
+      expect(result.error).toBe('epub: Pandoc exited with code 2');
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('builds the html book after the python merge in standard mode', async () => {
+    const tempRoot = await createTempDir('app-html-book');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+    const tempDirectory = path.join('.temp', `vi-app-html-${Date.now()}`);
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { enabled: true, outputDir: 'markdown' },
+      output: {
+        tempDirectory,
+        finalPdfDirectory: 'finalPdf',
+        formats: ['pdf', 'html'],
+        html: { layout: 'single' },
+      },
+      markdownPdf: { batchMode: false, highlightStyle: 'tango' },
+    };
+
+    const markdownToPdfService = {
+      generateBatchHtml: vi.fn(async (dir, outputDir) => ({
+        success: true,
+        outputPath: path.join(outputDir, 'index.html'),
+        filesProcessed: 2,
+      })),
+    };
+
+    const container = createMockContainer({
+      config,
+      logger: mockLogger,
+      scraper: { run: vi.fn().mockResolvedValue() },
+      progressTracker: {
+        getStats: vi.fn().mockReturnValue({ total: 2, completed: 2, failed: 0 }),
+      },
+      fileService: {
+        ensureDirectory: vi.fn(async (dir) => {
+          await fs.mkdir(dir, { recursive: true });
+        }),
+      },
+      markdownToPdfService,
+      pythonMergeService: {
+        mergePDFs: vi.fn().mockResolvedValue({ success: true, outputFile: 'docs.pdf' }),
+      },
+    });
+    mockCreateContainer.mockResolvedValue(container);
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.run();
+
+      expect(markdownToPdfService.generateBatchHtml).toHaveBeenCalledWith(
+        path.join(pdfDir, 'markdown'),
+        expect.stringMatching(/docs_example_com_batch_\d+_\d+_html$/),
+        expect.objectContaining({
+          title: 'docs.example.com documentation',
+          layout: 'single',
+          highlightStyle: 'tango',
+        })
+      );
+      expect(result.merge.success).toBe(true);
+      expect(result.books.outputs.html).toMatch(/_html[\\/]index\.html$/);
+    } finally {
+      await app.cleanup();
+      await fs.rm(path.resolve(tempDirectory), { recursive: true, force: true });
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the previous run, reports changes and prepends a "What\'s new" chapter', async () => {
+    const tempRoot = await createTempDir('app-change-report');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { outputDir: 'markdown' },
+      output: { finalPdfDirectory: 'finalPdf' },
+      markdownPdf: { batchMode: true },
+      changeReport: { enabled: true, whatsNew: true },
+    };
+
+    const scraper = { run: vi.fn().mockResolvedValue() };
+    const changeReportService = {
+      savePreviousRun: vi.fn().mockResolvedValue({ pages: 2 }),
+      generate: vi.fn().mockResolvedValue({
+        report: { summary: { added: 1, removed: 0, changed: 1, unchanged: 1, sectionChanges: 0 } },
+        outputs: { html: 'changeReport.html' },
+      }),
+      getWhatsNewMarkdown: vi.fn().mockResolvedValue("# What's new"),
+    };
+    const markdownToPdfService = {
+      generateBatchPdf: vi.fn(async (dir, outputPath) => ({ success: true, outputPath })),
+    };
+
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config,
+        logger: mockLogger,
+        scraper,
+        progressTracker: {
+          getStats: vi.fn().mockReturnValue({ total: 2, completed: 2, failed: 0 }),
+        },
+        fileService: { ensureDirectory: vi.fn() },
+        changeReportService,
+        markdownToPdfService,
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.run();
+
+      expect(changeReportService.savePreviousRun.mock.invocationCallOrder[0]).toBeLessThan(
+        scraper.run.mock.invocationCallOrder[0]
+      );
+      expect(result.scraping.changes).toMatchObject({ added: 1, changed: 1 });
+      expect(markdownToPdfService.generateBatchPdf).toHaveBeenCalledWith(
+        path.join(pdfDir, 'markdown'),
+        expect.any(String),
+        { batchMode: true, prependMarkdown: "# What's new" }
+      );
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('archives the finished run as a snapshot and prunes old ones', async () => {
+    const tempRoot = await createTempDir('app-archive');
+    const pdfDir = path.join(tempRoot, 'pdfs');
+
+    const config = {
+      rootURL: 'https://docs.example.com/start',
+      pdfDir,
+      markdown: { outputDir: 'markdown' },
+      markdownPdf: { batchMode: true },
+      archive: { enabled: true, keep: 3 },
+    };
+
+    const archiveService = {
+      createSnapshot: vi.fn().mockResolvedValue({ id: '20240315-080000' }),
+      pruneSnapshots: vi.fn().mockResolvedValue(['20240101-000000']),
+    };
+
+    mockCreateContainer.mockResolvedValue(
+      createMockContainer({
+        config,
+        logger: mockLogger,
+        scraper: { run: vi.fn().mockResolvedValue() },
+        progressTracker: {
+          getStats: vi.fn().mockReturnValue({ total: 1, completed: 1, failed: 0 }),
+        },
+        fileService: { ensureDirectory: vi.fn() },
+        markdownToPdfService: {
+          generateBatchPdf: vi.fn(async (dir, outputPath) => ({ success: true, outputPath })),
+        },
+        archiveService,
+        pathService: { getSnapshotDir: (id) => path.join(tempRoot, 'archive', id) },
+      })
+    );
+
+    const app = new Application({ setupSignalHandlers: false });
+
+    try {
+      const result = await app.run();
+
+      expect(archiveService.createSnapshot).toHaveBeenCalledWith(
+        expect.objectContaining({ batchMode: true, merge: expect.any(Object) })
+      );
+      expect(result.archive).toEqual({
+        success: true,
+        id: '20240315-080000',
+        dir: path.join(tempRoot, 'archive', '20240315-080000'),
+        pruned: ['20240101-000000'],
+      });
+
+      archiveService.createSnapshot.mockRejectedValueOnce(new Error('disk full'));
+      expect((await app.run()).archive).toEqual({ success: false, error: 'disk full' });
+    } finally {
+      await app.cleanup();
+      await fs.rm(tempRoot, { recursive: true, force: true });
+    }
+  });
 });
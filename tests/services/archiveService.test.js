@@ -0,0 +1,147 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/archiveService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  ArchiveService,
+  createSnapshotId,
+  selectSnapshotsToPrune,
+} from '../../src/services/archiveService.js';
+import { ChangeReportService } from '../../src/services/changeReportService.js';
+import { FileService } from '../../src/services/fileService.js';
+import { PathService } from '../../src/services/pathService.js';
+
+const page = (url, body) => `---\ntitle: Page\nurl: ${url}\n---\n\n${body}\n`;
+
+describe('archiveService', () => {
+  let workDir;
+  let pdfDir;
+  let logger;
+  let service;
+
+  const writeOutput = async (body) => {
+    await fs.mkdir(path.join(pdfDir, 'markdown'), { recursive: true });
+    await fs.mkdir(path.join(pdfDir, 'metadata', 'previous-run'), { recursive: true });
+    await fs.mkdir(path.join(pdfDir, 'finalPdf'), { recursive: true });
+    await fs.writeFile(
+      path.join(pdfDir, 'markdown', '000-intro.md'),
+      page('https://x.dev/intro', body),
+      'utf8'
+    );
+    await fs.writeFile(
+      path.join(pdfDir, 'metadata', 'articleTitles.json'),
+      JSON.stringify({ 0: 'Intro' }),
+      'utf8'
+    );
+    await fs.writeFile(path.join(pdfDir, 'finalPdf', 'docs.pdf'), body, 'utf8');
+  };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    pdfDir = path.join(workDir, 'pdfs');
+    logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+    const config = {
+      pdfDir,
+      docTarget: 'claude-code',
+      rootURL: 'https://x.dev/',
+      markdown: {},
+      changeReport: {},
+      archive: { directory: path.join(workDir, 'archive'), keep: 2, maxAgeDays: 0 },
+    };
+    const fileService = new FileService(logger);
+    const pathService = new PathService(config);
+    service = new ArchiveService({
+      config,
+      logger,
+      fileService,
+      pathService,
+      changeReportService: new ChangeReportService({ config, logger, fileService, pathService }),
+    });
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('createSnapshotId 应该生成按时间排序的 UTC 编号', () => {
+    expect(createSnapshotId(new Date('2024-03-15T08:09:10.123Z'))).toBe('20240315-080910');
+  });
+
+  test('selectSnapshotsToPrune 应该按数量与天数挑选，并始终保留最新的快照', () => {
+    const snapshots = [
+      { id: 'c', createdAt: '2024-03-10T00:00:00Z' },
+      { id: 'b', createdAt: '2024-03-05T00:00:00Z' },
+      { id: 'a', createdAt: '2024-03-01T00:00:00Z' },
+    ];
+    const now = new Date('2024-03-20T00:00:00Z');
+
+    expect(selectSnapshotsToPrune(snapshots, { keep: 2 }, now)).toEqual(['a']);
+    expect(selectSnapshotsToPrune(snapshots, { maxAgeDays: 12 }, now)).toEqual(['b', 'a']);
+    expect(selectSnapshotsToPrune(snapshots, { maxAgeDays: 1 }, now)).toEqual(['b', 'a']);
+    expect(selectSnapshotsToPrune(snapshots, {}, now)).toEqual([]);
+  });
+
+  test('应该在目标的归档目录下保存快照，并能列出、比较与恢复', async () => {
+    vi.useFakeTimers({ now: new Date('2024-03-15T08:00:00Z'), toFake: ['Date'] });
+    await expect(service.createSnapshot()).rejects.toThrow('Nothing to archive');
+
+    await writeOutput('Version one');
+    const first = await service.createSnapshot({ totalDuration: 5 });
+
+    expect(first).toMatchObject({
+      id: '20240315-080000',
+      docTarget: 'claude-code',
+      entries: ['markdown', 'metadata', 'finalPdf'],
+      pages: 1,
+      finalFiles: ['docs.pdf'],
+      run: { totalDuration: 5 },
+    });
+    const snapshotDir = path.join(workDir, 'archive', 'claude-code', first.id);
+    expect((await fs.readdir(path.join(snapshotDir, 'metadata'))).sort()).toEqual([
+      'articleTitles.json',
+    ]);
+
+    // 同一秒内再次归档应该得到不同的编号
+    await writeOutput('Version two');
+    const second = await service.createSnapshot();
+    expect(second.id).toBe('20240315-080000-2');
+
+    expect((await service.listSnapshots()).map((snapshot) => snapshot.id)).toEqual([
+      second.id,
+      first.id,
+    ]);
+
+    const { report, outputs } = await service.diffSnapshots(first.id, 'latest');
+    expect(report.summary.changed).toBe(1);
+    expect(outputs.html).toBe(
+      path.join(workDir, 'archive', 'claude-code', `diff_${first.id}_${second.id}.html`)
+    );
+
+    const restored = await service.restoreSnapshot('previous');
+    expect(restored).toMatchObject({ id: first.id, restoredTo: pdfDir });
+    expect(await fs.readFile(path.join(pdfDir, 'finalPdf', 'docs.pdf'), 'utf8')).toBe(
+      'Version one'
+    );
+    await expect(service.restoreSnapshot('20000101-000000')).rejects.toThrow(
+      'Snapshot not found: 20000101-000000'
+    );
+  });
+
+  test('pruneSnapshots 应该默认使用 archive.keep', async () => {
+    await writeOutput('v');
+    for (const time of ['2024-03-01', '2024-03-02', '2024-03-03']) {
+      vi.useFakeTimers({ now: new Date(`${time}T00:00:00Z`), toFake: ['Date'] });
+      await service.createSnapshot();
+    }
+
+    expect(await service.pruneSnapshots()).toEqual(['20240301-000000']);
+    expect(await service.pruneSnapshots({ keep: 1 })).toEqual(['20240302-000000']);
+    expect((await service.listSnapshots()).map((snapshot) => snapshot.id)).toEqual([
+      '20240303-000000',
+    ]);
+  });
+});
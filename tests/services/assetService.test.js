@@ -0,0 +1,299 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/assetService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  AssetService,
+  detectImageFormat,
+  findImageSources,
+  rewriteImageSources,
+  resolveImageUrl,
+} from '../../src/services/assetService.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.from('ffd8ffe000104a464946', 'hex');
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+const AVIF = Buffer.concat([Buffer.from('0000001c', 'hex'), Buffer.from('ftypavif')]);
+const SVG = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+
+describe('assetService helpers', () => {
+  test('detectImageFormat 应该根据文件头识别格式', () => {
+    expect(detectImageFormat(PNG)).toBe('png');
+    expect(detectImageFormat(JPEG)).toBe('jpg');
+    expect(detectImageFormat(WEBP)).toBe('webp');
+    expect(detectImageFormat(AVIF)).toBe('avif');
+    expect(detectImageFormat(SVG)).toBe('svg');
+    expect(detectImageFormat(Buffer.from('GIF89a...'))).toBe('gif');
+    expect(detectImageFormat(Buffer.from('<!DOCTYPE html><html>'), 'text/html')).toBeNull();
+  });
+
+  test('findImageSources 应该提取 Markdown 与 HTML 图片，并跳过代码块', () => {
+    const markdown = [
+      '![Logo](/img/logo.png "Logo")',
+      '<img alt="diagram" src="diagram.svg">',
+      '```md',
+      '![ignored](/img/ignored.png)',
+      '```',
+      '![Wiki](https://example.com/File_(1).png)',
+    ].join('\n');
+
+    expect(findImageSources(markdown)).toEqual([
+      '/img/logo.png',
+      'diagram.svg',
+      'https://example.com/File_(1).png',
+    ]);
+  });
+
+  test('rewriteImageSources 应该只改写映射表中的图片', () => {
+    const markdown = '![a](/a.png "A")\n[link](/a.png)\n<img src="/a.png">\n![b](/b.png)';
+    const rewritten = rewriteImageSources(markdown, new Map([['/a.png', 'assets/1.png']]));
+
+    expect(rewritten).toBe(
+      '![a](assets/1.png "A")\n[link](/a.png)\n<img src="assets/1.png">\n![b](/b.png)'
+    );
+  });
+
+  test('resolveImageUrl 应该解析相对地址，并忽略本地路径', () => {
+    expect(resolveImageUrl('../img/a.png', 'https://docs.example.com/guide/intro')).toBe(
+      'https://docs.example.com/img/a.png'
+    );
+    expect(resolveImageUrl('<img/a b.png>', 'https://docs.example.com/')).toBe(
+      'https://docs.example.com/img/a%20b.png'
+    );
+    expect(resolveImageUrl('data:image/png;base64,AAAA', 'https://x.com')).toBe(
+      'data:image/png;base64,AAAA'
+    );
+    expect(resolveImageUrl('assets/a.png')).toBeNull();
+    expect(resolveImageUrl('file:///etc/a.png', 'https://x.com')).toBeNull();
+  });
+});
+
+describe('AssetService', () => {
+  let workDir;
+  let metadataService;
+
+  const createLogger = () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() });
+
+  /**
+   * 模拟页面：evaluate 的参数数量区分页面内下载（url, timeout, maxBytes）与格式转换（data, mime, scale, max）
+   */
+  const createPage = ({ images = {}, converted = PNG } = {}) => ({
+    evaluate: vi.fn(async (fn, ...args) => {
+      if (args.length === 3) {
+        const image = images[args[0]];
+        if (!image) return { error: 'Failed to fetch' };
+        if (image.status) return { status: image.status };
+        if (image.buffer.length > args[2]) return { tooLarge: image.buffer.length };
+        return { base64: image.buffer.toString('base64'), contentType: image.contentType || '' };
+      }
+      return converted.toString('base64');
+    }),
+    cookies: vi.fn().mockResolvedValue([{ name: 'session', value: 'abc' }]),
+  });
+
+  const createService = (images = {}, fetchImpl = vi.fn()) =>
+    new AssetService({
+      config: { pdfDir: workDir, markdown: { outputDir: 'markdown', images } },
+      logger: createLogger(),
+      metadataService,
+      fetchImpl,
+    });
+
+  const listAssets = () => fs.readdir(path.join(workDir, 'markdown', 'assets')).catch(() => []);
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-service-'));
+    metadataService = { logImageLoadFailure: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('应该通过页面下载图片、按内容哈希保存并改写引用', async () => {
+    const service = createService();
+    const page = createPage({
+      images: {
+        'https://docs.example.com/img/logo.png': { buffer: PNG },
+        'https://cdn.example.com/same-logo.png': { buffer: PNG },
+      },
+    });
+
+    const markdown = await service.localizeImages(
+      '![Logo](/img/logo.png)\n\n![Copy](https://cdn.example.com/same-logo.png)',
+      { page, pageUrl: 'https://docs.example.com/guide', index: 0 }
+    );
+
+    const files = await listAssets();
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/^[0-9a-f]{16}\.png$/);
+    expect(markdown).toBe(`![Logo](assets/${files[0]})\n\n![Copy](assets/${files[0]})`);
+
+    // 同一运行中相同地址不会重复下载
+    await service.localizeImages('![Again](/img/logo.png)', {
+      page,
+      pageUrl: 'https://docs.example.com/other',
+    });
+    expect(page.evaluate).toHaveBeenCalledTimes(2);
+    expect(service.getStats()).toMatchObject({ downloaded: 1, reused: 2, failed: 0 });
+  });
+
+  test('页面内请求被拦截时应该带着 Cookie 与 Referer 在浏览器外重试', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'image/jpeg' },
+      arrayBuffer: async () => JPEG,
+    });
+    const service = createService({}, fetchImpl);
+    const page = createPage();
+
+    const markdown = await service.localizeImages('![Photo](https://cdn.example.com/photo)', {
+      page,
+      pageUrl: 'https://docs.example.com/guide',
+    });
+
+    expect(markdown).toMatch(/^!\[Photo\]\(assets\/[0-9a-f]{16}\.jpg\)$/);
+    expect(page.cookies).toHaveBeenCalledWith('https://cdn.example.com/photo');
+    expect(fetchImpl.mock.calls[0][1].headers).toMatchObject({
+      Cookie: 'session=abc',
+      Referer: 'https://docs.example.com/guide',
+    });
+  });
+
+  test('SVG/WebP/AVIF 应该通过浏览器转换为 PNG，关闭 convert 时保留原格式', async () => {
+    const images = {
+      'https://docs.example.com/diagram.svg': { buffer: SVG, contentType: 'image/svg+xml' },
+      'https://docs.example.com/photo.webp': { buffer: WEBP },
+    };
+    const service = createService();
+    const page = createPage({ images });
+
+    const markdown = await service.localizeImages('![d](/diagram.svg) ![p](/photo.webp)', {
+      page,
+      pageUrl: 'https://docs.example.com/',
+    });
+
+    expect(markdown).toMatch(/^!\[d\]\(assets\/\w+\.png\) !\[p\]\(assets\/\w+\.png\)$/);
+    const conversions = page.evaluate.mock.calls.filter((call) => call.length === 5);
+    expect(conversions.map((call) => call[2])).toEqual(['image/svg+xml', 'image/webp']);
+    expect(service.getStats().converted).toBe(2);
+
+    const raw = createService({ convert: false });
+    const rawMarkdown = await raw.localizeImages('![d](/diagram.svg)', {
+      page: createPage({ images }),
+      pageUrl: 'https://docs.example.com/',
+    });
+    expect(rawMarkdown).toMatch(/\.svg\)$/);
+  });
+
+  test('data URI 图片也应该保存为本地文件', async () => {
+    const service = createService();
+    const dataUri = `data:image/png;base64,${PNG.toString('base64')}`;
+
+    const markdown = await service.localizeImages(`![inline](${dataUri})`, {
+      pageUrl: 'https://docs.example.com/',
+    });
+
+    expect(markdown).toMatch(/^!\[inline\]\(assets\/[0-9a-f]{16}\.png\)$/);
+  });
+
+  test('下载失败时应该保留原引用并记录到 imageLoadFailures', async () => {
+    const service = createService();
+    const page = createPage({
+      images: {
+        'https://docs.example.com/missing.png': { status: 404 },
+        'https://docs.example.com/page.html': {
+          buffer: Buffer.from('<html></html>'),
+          contentType: 'text/html',
+        },
+      },
+    });
+
+    const input = '![a](/missing.png)\n![b](/page.html)';
+    const markdown = await service.localizeImages(input, {
+      page,
+      pageUrl: 'https://docs.example.com/guide',
+      index: 4,
+    });
+
+    expect(markdown).toBe(input);
+    expect(metadataService.logImageLoadFailure).toHaveBeenCalledWith(
+      'https://docs.example.com/guide',
+      4,
+      { imageUrl: 'https://docs.example.com/missing.png', reason: 'HTTP 404' }
+    );
+    expect(metadataService.logImageLoadFailure).toHaveBeenCalledWith(
+      'https://docs.example.com/guide',
+      4,
+      expect.objectContaining({ reason: 'Unsupported image format (text/html)' })
+    );
+    expect(await listAssets()).toEqual([]);
+  });
+
+  test('超过 maxBytes 的图片应该在读完之前放弃', async () => {
+    const stream = (chunks) =>
+      new ReadableStream({
+        pull(controller) {
+          if (chunks.length > 0) controller.enqueue(chunks.shift());
+          else controller.close();
+        },
+      });
+    const declared = {
+      ok: true,
+      status: 200,
+      headers: { get: (name) => (name === 'content-length' ? '5000' : 'image/jpeg') },
+      body: { cancel: vi.fn().mockResolvedValue() },
+      arrayBuffer: vi.fn(),
+    };
+    const chunked = stream([JPEG, Buffer.alloc(8), Buffer.alloc(8), Buffer.alloc(8)]);
+    const fetchImpl = vi.fn(async (url) =>
+      url.endsWith('declared.jpg')
+        ? declared
+        : {
+            ok: true,
+            status: 200,
+            headers: { get: (name) => (name === 'content-type' ? 'image/jpeg' : null) },
+            body: chunked,
+          }
+    );
+    const service = createService({ maxBytes: 20 }, fetchImpl);
+    const page = createPage({
+      images: { 'https://docs.example.com/inline.png': { buffer: Buffer.alloc(64) } },
+    });
+
+    const input = '![a](/declared.jpg)\n![b](/chunked.jpg)\n![c](/inline.png)';
+    const markdown = await service.localizeImages(input, {
+      page,
+      pageUrl: 'https://docs.example.com/guide',
+    });
+
+    expect(markdown).toBe(input);
+    expect(declared.arrayBuffer).not.toHaveBeenCalled();
+    expect(declared.body.cancel).toHaveBeenCalled();
+    // 页面内已经判断过大小，不再到浏览器外重试
+    expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([
+      'https://docs.example.com/declared.jpg',
+      'https://docs.example.com/chunked.jpg',
+    ]);
+    const reasons = metadataService.logImageLoadFailure.mock.calls.map(([, , info]) => info.reason);
+    expect(reasons).toEqual([
+      'Image too large (5000 bytes > 20)',
+      'Image too large (26 bytes > 20)',
+      'Image too large (64 bytes > 20)',
+    ]);
+    expect(await listAssets()).toEqual([]);
+  });
+
+  test('download 为 false 时不应该处理图片', async () => {
+    const service = createService({ download: false });
+    const page = createPage();
+
+    expect(await service.localizeImages('![a](/a.png)', { page, pageUrl: 'https://x.com' })).toBe(
+      '![a](/a.png)'
+    );
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+});
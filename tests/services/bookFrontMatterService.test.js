@@ -0,0 +1,183 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/bookFrontMatterService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { BookFrontMatterService } from '../../src/services/bookFrontMatterService.js';
+import { getOutline, setOutline } from '../../src/utils/pdfOutline.js';
+
+const createPdf = async (pageCount, size = [300, 400]) => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    doc.addPage(size);
+  }
+  return doc;
+};
+
+const htmlResponse = (html) => ({
+  ok: true,
+  status: 200,
+  url: 'https://docs.example.com/docs',
+  text: async () => html,
+});
+
+const imageResponse = () => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => 'image/png; charset=binary' },
+  arrayBuffer: async () => Uint8Array.from([1, 2, 3]).buffer,
+});
+
+describe('BookFrontMatterService', () => {
+  let tempDir;
+  let logger;
+  let printed;
+  let browserPool;
+  let metadataService;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'front-matter-'));
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    printed = [];
+
+    // 版权页打印为两页，封面一页
+    const page = {
+      setContent: vi.fn(async (html) => printed.push({ html })),
+      pdf: vi.fn(async (options) => {
+        printed[printed.length - 1].options = options;
+        const isCover = printed[printed.length - 1].html.includes('class="cover"');
+        return (await createPdf(isCover ? 1 : 2)).save();
+      }),
+      close: vi.fn().mockResolvedValue(),
+    };
+    browserPool = {
+      initialize: vi.fn().mockResolvedValue(),
+      getBrowser: vi.fn().mockResolvedValue({ newPage: vi.fn().mockResolvedValue(page) }),
+      close: vi.fn().mockResolvedValue(),
+    };
+
+    metadataService = {
+      getProgress: vi.fn().mockResolvedValue({
+        savedAt: '2024-01-02T10:00:00.000Z',
+        processedUrls: ['https://docs.example.com/docs/b', 'https://docs.example.com/docs'],
+        urlToIndex: {
+          'https://docs.example.com/docs/b': 1,
+          'https://docs.example.com/docs/failed': 2,
+          'https://docs.example.com/docs': 0,
+        },
+      }),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createService = (config = {}, fetchImpl = vi.fn()) =>
+    new BookFrontMatterService({
+      config: {
+        rootURL: 'https://docs.example.com/docs',
+        docTarget: 'doc-targets/example.json',
+        ...config,
+      },
+      logger,
+      metadataService,
+      fetchImpl,
+      createBrowserPool: () => browserPool,
+    });
+
+  test('应该收集书籍信息：站点 logo 与语言、抓取日期、来源 URL 与默认关键词', async () => {
+    const fetchImpl = vi.fn(async (url) =>
+      url.endsWith('.png')
+        ? imageResponse()
+        : htmlResponse('<html lang="en"><meta property="og:image" content="/og.png"></html>')
+    );
+
+    const info = await createService({}, fetchImpl).getBookInfo();
+
+    expect(info).toMatchObject({
+      title: 'docs.example.com documentation',
+      author: 'docs.example.com',
+      language: 'en',
+      date: '2024-01-02',
+      translation: null,
+      logo: 'data:image/png;base64,AQID',
+      keywords: ['example', 'docs.example.com'],
+      sourceUrls: ['https://docs.example.com/docs', 'https://docs.example.com/docs/b'],
+    });
+    expect(fetchImpl).toHaveBeenCalledWith('https://docs.example.com/og.png', expect.any(Object));
+  });
+
+  test('配置了语言且关闭 logo 时不请求站点；站点读取失败时不显示 logo', async () => {
+    const fetchImpl = vi.fn().mockRejectedValue(new Error('offline'));
+
+    const configured = await createService(
+      {
+        book: { logo: false, language: 'zh-CN', title: 'Docs', keywords: ['ai'] },
+        translation: { enabled: true, provider: 'ollama', ollama: { model: 'qwen2.5' } },
+      },
+      fetchImpl
+    ).getBookInfo();
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(configured).toMatchObject({
+      title: 'Docs',
+      language: 'zh-CN',
+      logo: null,
+      keywords: ['ai'],
+      translation: 'qwen2.5 (ollama)',
+    });
+
+    const fallback = await createService({}, fetchImpl).getBookInfo();
+    expect(fallback.logo).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(
+      '读取站点信息失败，封面不显示 logo',
+      expect.objectContaining({ error: 'offline' })
+    );
+  });
+
+  test('应该插入封面、追加版权页、写入文档信息并保留书签', async () => {
+    const pdfPath = path.join(tempDir, 'book.pdf');
+    const body = await createPdf(3);
+    setOutline(body, [{ level: 1, title: 'Intro', pageIndex: 1 }]);
+    await fs.writeFile(pdfPath, await body.save());
+
+    const service = createService({
+      book: { logo: false, language: 'en', subtitle: 'Offline edition', keywords: ['docs'] },
+    });
+    const result = await service.addToPdf(pdfPath);
+
+    expect(result).toEqual({ outputFile: pdfPath, coverPages: 1, colophonPages: 2, totalPages: 6 });
+    expect(printed[1].html).toContain('<dt>Pages</dt><dd>6</dd>');
+    expect(printed[0].options).toMatchObject({
+      width: `${300 / 72}in`,
+      height: `${400 / 72}in`,
+      margin: { top: '2cm' },
+    });
+    expect(browserPool.close).toHaveBeenCalledTimes(1);
+
+    const book = await PDFDocument.load(await fs.readFile(pdfPath));
+    expect(book.getPageCount()).toBe(6);
+    expect(book.getTitle()).toBe('docs.example.com documentation');
+    expect(book.getAuthor()).toBe('docs.example.com');
+    expect(book.getSubject()).toBe('Offline edition');
+    expect(book.getKeywords()).toBe('docs');
+    expect(getOutline(book)).toEqual([{ level: 1, title: 'Intro', pageIndex: 2 }]);
+  });
+
+  test('关闭封面与版权页时只写入文档信息，不启动浏览器', async () => {
+    const pdfPath = path.join(tempDir, 'book.pdf');
+    await fs.writeFile(pdfPath, await (await createPdf(2)).save());
+
+    const result = await createService({
+      book: { cover: false, colophon: false, logo: false, language: 'en', title: 'Docs' },
+    }).addToPdf(pdfPath);
+
+    expect(result).toMatchObject({ coverPages: 0, colophonPages: 0, totalPages: 2 });
+    expect(browserPool.initialize).not.toHaveBeenCalled();
+    const book = await PDFDocument.load(await fs.readFile(pdfPath));
+    expect(book.getTitle()).toBe('Docs');
+  });
+});
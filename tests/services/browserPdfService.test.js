@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/browserPdfService.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { BrowserPdfService } from '../../src/services/browserPdfService.js';
+import { getOutline, setOutline } from '../../src/utils/pdfOutline.js';
+
+describe('BrowserPdfService', () => {
+  let tempDir;
+  let logger;
+  let printed;
+  let browserPool;
+  let markdownToPdfService;
+  let pdfStyleService;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-pdf-'));
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    printed = [];
+
+    // 正文打印为 4 页并带有 Chrome 生成的书签，目录打印为 1 页
+    const page = {
+      goto: vi.fn(async (url) => {
+        printed.push({ url, html: fs.readFileSync(new URL(url), 'utf8') });
+      }),
+      pdf: vi.fn(async (options) => {
+        const current = printed[printed.length - 1];
+        current.options = options;
+
+        const doc = await PDFDocument.create();
+        const isToc = current.html.includes('class="print-toc"');
+        for (let i = 0; i < (isToc ? 1 : 4); i++) {
+          doc.addPage([300, 400]);
+        }
+        if (!isToc && options.outline) {
+          setOutline(doc, [
+            { level: 1, title: 'Getting started', pageIndex: 0 },
+            { level: 2, title: 'Intro', pageIndex: 1 },
+            { level: 3, title: 'Flags', pageIndex: 2 },
+          ]);
+        }
+        return doc.save();
+      }),
+      close: vi.fn().mockResolvedValue(),
+    };
+    browserPool = {
+      initialize: vi.fn().mockResolvedValue(),
+      getBrowser: vi.fn().mockResolvedValue({ newPage: vi.fn().mockResolvedValue(page) }),
+      close: vi.fn().mockResolvedValue(),
+    };
+
+    markdownToPdfService = {
+      prepareBatchBook: vi.fn().mockResolvedValue({
+        files: ['000-intro.md', '001-cli.md'],
+        content:
+          '# Getting started\n\n\\newpage\n\n## Intro {#page-0}\n\n![Flow](images/flow.png)\n\n' +
+          '### Flags {#page-0--flags}\n\nPass `--model`.\n',
+        indexEntries: [],
+      }),
+    };
+    pdfStyleService = {
+      getPDFOptimizedCSS: vi.fn().mockReturnValue('/* pdf optimized */'),
+      getPDFOptions: vi.fn().mockReturnValue({
+        format: 'A4',
+        printBackground: true,
+        displayHeaderFooter: true,
+        margin: { top: '1.5cm', right: '1.5cm', bottom: '1.5cm', left: '1.5cm' },
+      }),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createService = (config = {}) =>
+    new BrowserPdfService({
+      config: {
+        rootURL: 'https://docs.example.com/docs',
+        output: { tempDirectory: path.join(tempDir, 'temp') },
+        ...config,
+      },
+      logger,
+      markdownToPdfService,
+      pdfStyleService,
+      createBrowserPool: () => browserPool,
+    });
+
+  test('应该打印正文并在前面插入带页码的目录，保留书签', async () => {
+    const markdownDir = path.join(tempDir, 'markdown');
+    const outputPath = path.join(tempDir, 'final', 'book.pdf');
+
+    const result = await createService().generateBatchPdf(markdownDir, outputPath, {
+      tocDepth: 2,
+      pdfOptions: { format: 'Letter', margin: '20mm' },
+      prependMarkdown: "# What's new\n",
+    });
+
+    expect(result).toEqual({ success: true, filesProcessed: 2, outputPath });
+    expect(markdownToPdfService.prepareBatchBook).toHaveBeenCalledWith(markdownDir);
+
+    const [body, toc] = printed;
+    expect(new URL(body.url).pathname.startsWith(path.join(tempDir, 'temp'))).toBe(true);
+    expect(fs.readdirSync(path.join(tempDir, 'temp'))).toEqual([]);
+    expect(body.html).toContain(`<base href="file://${path.resolve(markdownDir)}/">`);
+    expect(body.html).toContain('<title>docs.example.com documentation</title>');
+    expect(body.html).toContain('/* pdf optimized */');
+    expect(body.html.indexOf("<h1>What's new</h1>")).toBeLessThan(
+      body.html.indexOf('<h1>Getting started</h1>')
+    );
+    expect(body.html).toContain('<h3 id="page-0--flags">Flags</h3>');
+    expect(body.html).toContain('<img src="images/flow.png" alt="Flow">');
+    expect(body.options).toMatchObject({
+      format: 'Letter',
+      margin: { top: '20mm', left: '20mm' },
+      displayHeaderFooter: true,
+      outline: true,
+      tagged: true,
+    });
+    expect(pdfStyleService.getPDFOptions).toHaveBeenCalledWith(
+      { title: 'docs.example.com documentation' },
+      { wholeBook: true }
+    );
+
+    expect(toc.html).toContain(
+      '<span class="print-toc-title">Intro</span><span class="print-toc-page">2</span>'
+    );
+    expect(toc.html).not.toContain('Flags</span>');
+    expect(toc.options.displayHeaderFooter).toBe(false);
+    expect(browserPool.close).toHaveBeenCalledTimes(1);
+
+    const book = await PDFDocument.load(fs.readFileSync(outputPath));
+    expect(book.getPageCount()).toBe(5);
+    expect(getOutline(book)).toEqual([
+      { level: 1, title: 'Getting started', pageIndex: 1 },
+      { level: 2, title: 'Intro', pageIndex: 2 },
+      { level: 3, title: 'Flags', pageIndex: 3 },
+    ]);
+  });
+
+  test('关闭目录时只打印正文，索引附在正文末尾', async () => {
+    markdownToPdfService.prepareBatchBook.mockResolvedValue({
+      files: ['000-intro.md'],
+      content: '## Intro {#page-0}\n\nHello\n',
+      indexEntries: [
+        { term: '--model', code: true, anchor: 'page-0', title: 'Intro' },
+        { term: 'MCP', code: false, anchor: null, title: 'Intro' },
+      ],
+    });
+    const outputPath = path.join(tempDir, 'book.pdf');
+
+    await createService({ book: { title: 'Docs', language: 'en' } }).generateBatchPdf(
+      path.join(tempDir, 'markdown'),
+      outputPath,
+      { toc: false }
+    );
+
+    expect(printed).toHaveLength(1);
+    expect(printed[0].html).toContain('<html lang="en">');
+    expect(printed[0].html).toContain('<section class="book-index">');
+    expect(printed[0].html).toContain(
+      '<li><code>--model</code> — <a href="#page-0">Intro</a></li>'
+    );
+    expect(printed[0].html).toContain('<li>MCP — Intro</li>');
+    expect((await PDFDocument.load(fs.readFileSync(outputPath))).getPageCount()).toBe(4);
+  });
+
+  test('打印失败时记录错误并关闭浏览器', async () => {
+    const page = await (await browserPool.getBrowser()).newPage();
+    page.pdf.mockRejectedValue(new Error('Target closed'));
+
+    await expect(
+      createService().generateBatchPdf(path.join(tempDir, 'markdown'), path.join(tempDir, 'b.pdf'))
+    ).rejects.toThrow('Target closed');
+
+    expect(logger.error).toHaveBeenCalledWith(
+      '浏览器引擎批量 PDF 生成失败',
+      expect.objectContaining({ error: 'Target closed' })
+    );
+    expect(browserPool.close).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(path.join(tempDir, 'b.pdf'))).toBe(false);
+  });
+});
@@ -7,7 +7,7 @@ vi.mock('puppeteer-extra');
 vi.mock('puppeteer-extra-plugin-stealth');
 
 // Import BrowserPool and mocked modules
-import { BrowserPool } from '../../src/services/browserPool.js';
+import { BrowserPool, withTemporaryPage } from '../../src/services/browserPool.js';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 
@@ -290,3 +290,43 @@ describe('BrowserPool', () => {
     });
   });
 });
+
+describe('withTemporaryPage', () => {
+  const createPool = (page) => ({
+    initialize: vi.fn(async () => {}),
+    getBrowser: vi.fn(async () => ({ newPage: vi.fn(async () => page) })),
+    close: vi.fn(async () => {}),
+  });
+
+  test('应该返回回调结果并关闭标签页和浏览器池', async () => {
+    const page = { close: vi.fn(async () => {}) };
+    const pool = createPool(page);
+
+    const result = await withTemporaryPage(
+      () => pool,
+      async (p) => (p === page ? 'done' : null)
+    );
+
+    expect(result).toBe('done');
+    expect(pool.initialize).toHaveBeenCalled();
+    expect(page.close).toHaveBeenCalled();
+    expect(pool.close).toHaveBeenCalled();
+  });
+
+  test('回调失败时也应该关闭标签页和浏览器池', async () => {
+    const page = { close: vi.fn(async () => Promise.reject(new Error('already closed'))) };
+    const pool = createPool(page);
+
+    await expect(
+      withTemporaryPage(
+        () => pool,
+        async () => {
+          throw new Error('print failed');
+        }
+      )
+    ).rejects.toThrow('print failed');
+
+    expect(page.close).toHaveBeenCalled();
+    expect(pool.close).toHaveBeenCalled();
+  });
+});
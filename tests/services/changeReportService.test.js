@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/changeReportService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  ChangeReportService,
+  buildChangeReport,
+  formatChangeReportHtml,
+  formatChangeReportMarkdown,
+} from '../../src/services/changeReportService.js';
+import { FileService } from '../../src/services/fileService.js';
+import { PathService } from '../../src/services/pathService.js';
+
+const page = (index, url, title, body) =>
+  `---\ntitle: ${title}\nurl: ${url}\nindex: ${index}\n---\n\n${body}\n`;
+
+describe('changeReportService', () => {
+  let workDir;
+  let logger;
+
+  const writeRun = async (runDir, pages, sections) => {
+    const markdownDir = path.join(runDir, 'markdown');
+    await fs.mkdir(markdownDir, { recursive: true });
+    for (const [file, content] of Object.entries(pages)) {
+      await fs.writeFile(path.join(markdownDir, file), content, 'utf8');
+    }
+    if (sections) {
+      await fs.mkdir(path.join(runDir, 'metadata'), { recursive: true });
+      await fs.writeFile(
+        path.join(runDir, 'metadata', 'sectionStructure.json'),
+        JSON.stringify({ sections }),
+        'utf8'
+      );
+    }
+  };
+
+  const createService = (changeReport = {}) => {
+    const config = { pdfDir: path.join(workDir, 'pdfs'), markdown: {}, changeReport };
+    return new ChangeReportService({
+      config,
+      logger,
+      fileService: new FileService(logger),
+      pathService: new PathService(config),
+    });
+  };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-report-'));
+    logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('应该按 URL 匹配页面，报告新增、删除、修改与章节调整', async () => {
+    const intro = 'https://docs.example.com/intro';
+    const setup = 'https://docs.example.com/setup';
+    const hooks = 'https://docs.example.com/hooks';
+    const legacy = 'https://docs.example.com/legacy';
+
+    await writeRun(
+      path.join(workDir, 'old'),
+      {
+        '000-intro.md': page(0, intro, 'Intro', '# Intro\n\nWelcome'),
+        '001-setup.md': page(1, setup, 'Setup', '# Setup\n\nRun npm install'),
+        '002-legacy.md': page(2, legacy, 'Legacy', '# Legacy'),
+        '002-legacy_translated.md': 'translated',
+      },
+      [
+        { title: 'Start', pages: [{ url: intro }, { url: setup }] },
+        { title: 'Guides', pages: [{ url: legacy }] },
+      ]
+    );
+    // 序号变化（frontmatter 与文件名）不应该算作内容变化
+    await writeRun(
+      path.join(workDir, 'pdfs'),
+      {
+        '000-hooks.md': page(0, hooks, 'Hooks', '# Hooks'),
+        '001-intro.md': page(1, intro, 'Intro', '# Intro\n\nWelcome'),
+        '002-setup.md': page(2, setup, 'Setup', '# Setup\n\nRun pnpm install'),
+      },
+      [
+        { title: 'Guides', pages: [{ url: hooks }, { url: setup }] },
+        { title: 'Start', pages: [{ url: intro }] },
+      ]
+    );
+
+    const { report, outputs } = await createService().generate({
+      against: path.join(workDir, 'old'),
+    });
+
+    expect(report.summary).toEqual({
+      added: 1,
+      removed: 1,
+      changed: 1,
+      unchanged: 1,
+      sectionChanges: 2,
+    });
+    expect(report.added).toEqual([{ url: hooks, title: 'Hooks', file: '000-hooks.md' }]);
+    expect(report.removed).toEqual([{ url: legacy, title: 'Legacy', file: '002-legacy.md' }]);
+    expect(report.changed[0]).toMatchObject({ url: setup, additions: 1, deletions: 1 });
+    expect(report.changed[0].diff).toContain('-Run npm install\n+Run pnpm install');
+    expect(report.sections).toEqual({
+      added: [],
+      removed: [],
+      moved: [{ title: 'Start', from: 1, to: 2 }],
+      pagesMoved: [{ url: setup, from: 'Start', to: 'Guides' }],
+    });
+
+    const markdown = await fs.readFile(outputs.markdown, 'utf8');
+    expect(markdown).toContain('## Added pages\n\n- [Hooks](https://docs.example.com/hooks)');
+    expect(markdown).toContain('**Start** moved from position 1 to 2');
+    expect(markdown).toContain('```diff\n--- a/001-setup.md\n+++ b/002-setup.md');
+    expect(await fs.readFile(outputs.html, 'utf8')).toContain(
+      '<span class="add">+Run pnpm install</span>'
+    );
+    expect(JSON.parse(await fs.readFile(outputs.json, 'utf8')).hasChanges).toBe(true);
+  });
+
+  test('savePreviousRun 应该保留原文 Markdown 与章节结构作为下次比较的基准', async () => {
+    const service = createService();
+    const pdfDir = path.join(workDir, 'pdfs');
+
+    expect(await service.savePreviousRun()).toMatchObject({ pages: 0 });
+    expect(await service.hasPreviousRun()).toBe(false);
+    await expect(service.generate()).rejects.toThrow('No previous run to compare with');
+
+    await writeRun(
+      pdfDir,
+      {
+        '000-intro.md': page(0, 'https://x.dev/a', 'A', 'Old'),
+        '000-intro_translated.md': 'Alt',
+      },
+      [{ title: 'Start', pages: [] }]
+    );
+    expect(await service.savePreviousRun()).toMatchObject({ pages: 1 });
+
+    const previousDir = path.join(pdfDir, 'metadata', 'previous-run');
+    expect(await fs.readdir(path.join(previousDir, 'markdown'))).toEqual(['000-intro.md']);
+    expect(await fs.readdir(path.join(previousDir, 'metadata'))).toEqual(['sectionStructure.json']);
+
+    await fs.writeFile(
+      path.join(pdfDir, 'markdown', '000-intro.md'),
+      page(0, 'https://x.dev/a', 'A', 'New'),
+      'utf8'
+    );
+    const { report } = await service.generate();
+    expect(report.summary.changed).toBe(1);
+  });
+
+  test('getWhatsNewMarkdown 应该只在有变化时返回截断后的章节', async () => {
+    const service = createService({ maxDiffLines: 3 });
+    expect(await service.getWhatsNewMarkdown()).toBeNull();
+
+    await writeRun(path.join(workDir, 'old'), { '000-a.md': page(0, 'https://x.dev/a', 'A', 'a') });
+    await writeRun(path.join(workDir, 'pdfs'), {
+      '000-a.md': page(0, 'https://x.dev/a', 'A', 'b\nc\nd'),
+    });
+    await service.generate({ against: path.join(workDir, 'old') });
+
+    const chapter = await service.getWhatsNewMarkdown();
+    expect(chapter.startsWith("# What's new\n")).toBe(true);
+    expect(chapter).not.toContain('Compared `');
+    expect(chapter).toContain('*5 more diff lines not shown.*');
+  });
+
+  test('diff 中含有代码围栏时 Markdown 报告应该使用更长的围栏', () => {
+    const report = buildChangeReport({
+      previous: { source: 'old', pages: new Map(), sectionStructure: null },
+      current: { source: 'new', pages: new Map(), sectionStructure: null },
+    });
+    report.changed = [
+      { url: null, title: 'A <b>', file: 'a.md', additions: 1, deletions: 0, diff: '+```js' },
+    ];
+
+    expect(formatChangeReportMarkdown(report)).toContain('````diff\n+```js\n````');
+    expect(formatChangeReportHtml(report)).toContain('<h3>A &lt;b&gt;</h3>');
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/diagramService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  DiagramService,
+  encodePlantUml,
+  findDiagramBlocks,
+} from '../../src/services/diagramService.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+const PDF = Buffer.from('%PDF-1.7 diagram');
+
+describe('diagramService helpers', () => {
+  test('findDiagramBlocks 应该只找出图表代码块，并忽略嵌套在其他代码块中的写法', () => {
+    const markdown = [
+      '# Title',
+      '```mermaid',
+      'graph TD',
+      '  A-->B',
+      '```',
+      '````md',
+      '```mermaid',
+      'ignored',
+      '```',
+      '````',
+      '~~~puml',
+      'Bob -> Alice',
+      '~~~',
+      '```js',
+      'const x = 1;',
+      '```',
+    ].join('\n');
+
+    expect(findDiagramBlocks(markdown)).toEqual([
+      { start: 1, end: 4, language: 'mermaid', source: 'graph TD\n  A-->B' },
+      { start: 10, end: 12, language: 'plantuml', source: 'Bob -> Alice' },
+    ]);
+  });
+
+  test('encodePlantUml 应该得到可以还原源码的 PlantUML 编码', () => {
+    const alphabet = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+    const source = '@startuml\nBob -> Alice : hello\n@enduml';
+    const encoded = encodePlantUml(source);
+
+    expect(encoded).toMatch(/^[\w-]+$/);
+    const bytes = [];
+    for (let i = 0; i < encoded.length; i += 4) {
+      const chunk = [...encoded.slice(i, i + 4)].reduce(
+        (value, char) => (value << 6) | alphabet.indexOf(char),
+        0
+      );
+      bytes.push((chunk >> 16) & 0xff, (chunk >> 8) & 0xff, chunk & 0xff);
+    }
+    expect(zlib.inflateRawSync(Buffer.from(bytes)).toString('utf8')).toBe(source);
+  });
+});
+
+describe('DiagramService', () => {
+  let workDir;
+  let logger;
+
+  /**
+   * 模拟抓取页面：渲染在同一浏览器新开的标签页中完成
+   */
+  const createScraperPage = ({ mermaid = { svg: SVG } } = {}) => {
+    const element = {
+      boundingBox: vi.fn().mockResolvedValue({ width: 120.4, height: 80 }),
+      screenshot: vi.fn().mockResolvedValue(Buffer.from('png')),
+    };
+    const tab = {
+      setDefaultTimeout: vi.fn(),
+      setViewport: vi.fn(),
+      setContent: vi.fn(),
+      addScriptTag: vi.fn(),
+      evaluate: vi.fn().mockResolvedValue(mermaid),
+      $: vi.fn().mockResolvedValue(element),
+      pdf: vi.fn().mockResolvedValue(PDF),
+      close: vi.fn().mockResolvedValue(),
+    };
+    const browser = { newPage: vi.fn().mockResolvedValue(tab) };
+    return { page: { browser: () => browser }, browser, tab, element };
+  };
+
+  const createService = (diagrams = {}, fetchImpl = vi.fn()) =>
+    new DiagramService({
+      config: { pdfDir: workDir, markdown: { outputDir: 'markdown', diagrams } },
+      logger,
+      fetchImpl,
+    });
+
+  const listAssets = () => fs.readdir(path.join(workDir, 'markdown', 'assets')).catch(() => []);
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'diagram-service-'));
+    logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('应该在新标签页中渲染 Mermaid，导出 PDF 并替换代码块', async () => {
+    const service = createService({ format: 'pdf' });
+    const { page, browser, tab } = createScraperPage();
+    const markdown = 'Intro\n\n```mermaid\ngraph TD\n  A-->B\n```\n\nOutro';
+
+    const result = await service.renderDiagrams(markdown, { page, pageUrl: 'https://x.dev' });
+
+    const files = await listAssets();
+    expect(files).toEqual([expect.stringMatching(/^diagram-[0-9a-f]{16}\.pdf$/)]);
+    expect(result).toBe(`Intro\n\n![](assets/${files[0]})\n\nOutro`);
+    expect(await fs.readFile(path.join(workDir, 'markdown', 'assets', files[0]))).toEqual(PDF);
+    expect(tab.addScriptTag).toHaveBeenCalledWith({
+      url: 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js',
+    });
+    expect(tab.pdf).toHaveBeenCalledWith(
+      expect.objectContaining({ width: '121px', height: '80px', printBackground: true })
+    );
+    expect(tab.close).toHaveBeenCalled();
+
+    // 相同源码直接复用，不再打开标签页
+    await service.renderDiagrams(markdown, { page });
+    expect(browser.newPage).toHaveBeenCalledTimes(1);
+    expect(service.getStats()).toEqual({ rendered: 1, reused: 1, failed: 0 });
+  });
+
+  test('同一标签页中 Mermaid 脚本只载入一次，导出只替换 body', async () => {
+    const service = createService();
+    const { page, tab } = createScraperPage();
+    const markdown = '```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\ngraph LR\n  C-->D\n```';
+
+    await service.renderDiagrams(markdown, { page });
+
+    expect(service.getStats().rendered).toBe(2);
+    expect(tab.setContent).toHaveBeenCalledTimes(1);
+    expect(tab.addScriptTag).toHaveBeenCalledTimes(1);
+    expect(tab.evaluate).toHaveBeenCalledWith(expect.any(Function), SVG);
+    expect(tab.$).toHaveBeenCalledWith('body > svg');
+  });
+
+  test('PlantUML 应该通过 PlantUML 服务器取得 SVG', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({ ok: true, text: async () => SVG });
+    const service = createService(
+      { format: 'svg', plantumlServer: 'https://uml.example.com/plantuml/' },
+      fetchImpl
+    );
+    const { page } = createScraperPage();
+
+    const result = await service.renderDiagrams('```plantuml\nBob -> Alice\n```', { page });
+
+    expect(fetchImpl).toHaveBeenCalledWith(
+      `https://uml.example.com/plantuml/svg/${encodePlantUml('Bob -> Alice')}`,
+      expect.any(Object)
+    );
+    const [file] = await listAssets();
+    expect(result).toBe(`![](assets/${file})`);
+    expect(await fs.readFile(path.join(workDir, 'markdown', 'assets', file), 'utf8')).toBe(SVG);
+  });
+
+  test('默认导出 PNG，EPUB 与 HTML 书籍也能显示', async () => {
+    const service = createService();
+    const { page, element } = createScraperPage();
+
+    const result = await service.renderDiagrams('```mermaid\ngraph TD\n  A-->B\n```', { page });
+
+    const [file] = await listAssets();
+    expect(file).toMatch(/^diagram-[0-9a-f]{16}\.png$/);
+    expect(result).toBe(`![](assets/${file})`);
+    expect(element.screenshot).toHaveBeenCalledWith({ type: 'png' });
+  });
+
+  test('渲染失败时应该保留原代码块并记录警告', async () => {
+    const service = createService({ format: 'png' });
+    const { page } = createScraperPage({ mermaid: { error: 'Parse error on line 1' } });
+    const markdown = '```mermaid\nnot a diagram\n```';
+
+    expect(await service.renderDiagrams(markdown, { page, pageUrl: 'https://x.dev' })).toBe(
+      markdown
+    );
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Failed to render diagram, keeping the code block',
+      expect.objectContaining({ language: 'mermaid', error: 'Mermaid: Parse error on line 1' })
+    );
+    expect(await listAssets()).toEqual([]);
+  });
+
+  test('关闭或没有浏览器时应该原样返回', async () => {
+    const markdown = '```mermaid\ngraph TD\n```';
+
+    expect(await createService({ enabled: false }).renderDiagrams(markdown)).toBe(markdown);
+    expect(await createService().renderDiagrams(markdown)).toBe(markdown);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Failed to render diagram, keeping the code block',
+      expect.objectContaining({ error: 'Rendering diagrams requires a browser' })
+    );
+  });
+});
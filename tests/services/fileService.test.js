@@ -151,4 +151,33 @@ describe('FileService', () => {
       expect(updater).not.toHaveBeenCalled();
     });
   });
+
+  describe('removeFile', () => {
+    test('应该删除已存在的文件', async () => {
+      const filePath = path.join(testDir, 'stale.md');
+      await fileService.writeText(filePath, '# stale');
+
+      await fileService.removeFile(filePath);
+
+      expect(await fileService.exists(filePath)).toBe(false);
+    });
+
+    test('删除不存在的文件时不应该报错', async () => {
+      await expect(
+        fileService.removeFile(path.join(testDir, 'missing.md'))
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('removeDirectory', () => {
+    test('应该删除目录及其中的文件，目录不存在时不报错', async () => {
+      const dirPath = path.join(testDir, 'snapshot');
+      await fileService.writeText(path.join(dirPath, 'nested', '001-page.pdf'), 'pdf');
+
+      await fileService.removeDirectory(dirPath);
+
+      expect(await fileService.exists(dirPath)).toBe(false);
+      await expect(fileService.removeDirectory(dirPath)).resolves.toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,153 @@
+import { describe, test, expect, vi } from 'vitest';
+
+// tests/services/httpTranslationClients.test.js
+import { OpenAICompatibleClient, OllamaClient } from '../../src/services/httpTranslationClients.js';
+
+describe('HTTP translation clients', () => {
+  const createLogger = () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  });
+
+  const jsonResponse = (payload, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => payload,
+    text: async () => JSON.stringify(payload),
+  });
+
+  describe('OpenAICompatibleClient', () => {
+    test('应该请求 /chat/completions 并解析返回的 JSON', async () => {
+      const fetch = vi.fn(async () =>
+        jsonResponse({
+          choices: [{ message: { content: '```json\n{"id1":"你好"}\n```' } }],
+        })
+      );
+      const client = new OpenAICompatibleClient({
+        baseUrl: 'http://localhost:8080/v1/',
+        model: 'qwen2.5',
+        apiKey: 'sk-test',
+        headers: { 'X-Org': 'docs' },
+        fetch,
+        logger: createLogger(),
+      });
+
+      const result = await client.translateJson({
+        instructions: 'Translate',
+        inputMap: { id1: 'Hello' },
+      });
+
+      expect(result).toEqual({ id1: '你好' });
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer sk-test');
+      expect(init.headers['X-Org']).toBe('docs');
+
+      const body = JSON.parse(init.body);
+      expect(body.model).toBe('qwen2.5');
+      expect(body.response_format).toEqual({ type: 'json_object' });
+      expect(body.messages[0]).toEqual({ role: 'system', content: 'Translate' });
+      expect(JSON.parse(body.messages[1].content)).toEqual({ id1: 'Hello' });
+    });
+
+    test('未配置 apiKey 且关闭 jsonMode 时不应发送对应字段', async () => {
+      const fetch = vi.fn(async () =>
+        jsonResponse({ choices: [{ message: { content: '{"a":"b"}' } }] })
+      );
+      const client = new OpenAICompatibleClient({
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'local',
+        jsonMode: false,
+        fetch,
+      });
+
+      await client.translateJson({ instructions: 'x', inputMap: { a: 'a' } });
+
+      const [, init] = fetch.mock.calls[0];
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(init.body).response_format).toBeUndefined();
+    });
+
+    test('非 2xx 响应应该抛出错误', async () => {
+      const logger = createLogger();
+      const fetch = vi.fn(async () => jsonResponse({ error: 'rate limited' }, 429));
+      const client = new OpenAICompatibleClient({
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'local',
+        fetch,
+        logger,
+      });
+
+      await expect(client.translateJson({ instructions: 'x', inputMap: {} })).rejects.toThrow(
+        'HTTP 429'
+      );
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('输出无法解析时应该返回 null', async () => {
+      const logger = createLogger();
+      const fetch = vi.fn(async () =>
+        jsonResponse({ choices: [{ message: { content: 'sorry, I cannot' } }] })
+      );
+      const client = new OpenAICompatibleClient({
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'local',
+        fetch,
+        logger,
+      });
+
+      const result = await client.translateJson({ instructions: 'x', inputMap: { a: 'a' } });
+
+      expect(result).toBeNull();
+      expect(logger.warn).toHaveBeenCalled();
+    });
+
+    test('请求超时应该转换为超时错误', async () => {
+      const fetch = vi.fn(async () => {
+        const error = new Error('aborted');
+        error.name = 'TimeoutError';
+        throw error;
+      });
+      const client = new OpenAICompatibleClient({
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'local',
+        timeoutMs: 1500,
+        fetch,
+      });
+
+      await expect(client.translateJson({ instructions: 'x', inputMap: {} })).rejects.toThrow(
+        'Translation timed out after 1500ms'
+      );
+    });
+  });
+
+  describe('OllamaClient', () => {
+    test('应该请求 /api/chat 并使用 JSON 格式输出', async () => {
+      const fetch = vi.fn(async () => jsonResponse({ message: { content: '{"id1":"世界"}' } }));
+      const client = new OllamaClient({
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        temperature: 0.2,
+        fetch,
+      });
+
+      const result = await client.translateJson({
+        instructions: 'Translate',
+        inputMap: { id1: 'World' },
+      });
+
+      expect(result).toEqual({ id1: '世界' });
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/api/chat');
+      const body = JSON.parse(init.body);
+      expect(body).toMatchObject({
+        model: 'llama3.1',
+        stream: false,
+        format: 'json',
+        options: { temperature: 0.2 },
+      });
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, test, expect, beforeAll, beforeEach, afterAll, afterEach, vi } from 'vitest';
 
 // tests/services/markdownService.test.js
+import { JSDOM } from 'jsdom';
 import { MarkdownService } from '../../src/services/markdownService.js';
 
 describe('MarkdownService', () => {
@@ -84,6 +85,48 @@ describe('MarkdownService', () => {
     expect(markdown).toContain('const x = 1;');
   });
 
+  test('KaTeX 公式应该转换回行内与独立的 TeX', () => {
+    const service = new MarkdownService({ logger });
+    const katex = (tex, display = '') =>
+      `<span class="katex"><span class="katex-mathml"><math${display}><semantics><mi>x</mi>` +
+      `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span>` +
+      '<span class="katex-html" aria-hidden="true">garbage</span></span>';
+    const html =
+      `<p>Energy ${katex('E=mc^2')} holds.</p>` +
+      `<span class="katex-display">${katex('\\int_0^1 x\\,dx', ' display="block"')}</span>`;
+
+    expect(service.convertHtmlToMarkdown(html)).toBe(
+      'Energy $E=mc^2$ holds.\n\n$$\n\\int_0^1 x\\,dx\n$$'
+    );
+  });
+
+  test('MathJax 2/3 与 MathML 公式应该转换为 TeX，并丢弃渲染结果', () => {
+    const service = new MarkdownService({ logger });
+    const html = [
+      '<p>A <span class="MathJax_Preview"></span><span class="MathJax"><nobr>a2</nobr></span>',
+      '<script type="math/tex">a^2</script></p>',
+      '<div class="MathJax_Display"><span class="MathJax">s</span></div>',
+      '<script type="math/tex; mode=display">\\sum_i i</script>',
+      '<p>B <mjx-container class="MathJax" data-tex="\\alpha" data-display="false">',
+      '<mjx-math>a</mjx-math></mjx-container> C <math alttext="x_1"><mi>x</mi></math></p>',
+    ].join('');
+
+    const markdown = service.convertHtmlToMarkdown(html);
+
+    expect(markdown).toContain('A $a^2$');
+    expect(markdown).toContain('$$\n\\sum_i i\n$$');
+    expect(markdown).toContain('B $\\alpha$ C $x_1$');
+    expect(markdown).not.toMatch(/a2|mjx/);
+  });
+
+  test('未渲染的 Mermaid 源码应该还原为 mermaid 代码块', () => {
+    const service = new MarkdownService({ logger });
+
+    expect(service.convertHtmlToMarkdown('<pre class="mermaid">graph TD\n  A--&gt;B</pre>')).toBe(
+      '```mermaid\ngraph TD\n  A-->B\n```'
+    );
+  });
+
   test('addFrontmatter 应该在开头添加 YAML frontmatter', () => {
     const service = new MarkdownService({
       logger,
@@ -141,8 +184,113 @@ describe('MarkdownService', () => {
 
     const markdown = await service.extractAndConvertPage(page, 'main');
 
-    expect(page.evaluate).toHaveBeenCalledTimes(1);
+    // 第一次统一标签页与提示框的结构，第二次提取 HTML
+    expect(page.evaluate).toHaveBeenCalledTimes(2);
     expect(markdown).toContain('Title');
     expect(markdown).toContain('Body');
   });
+  test('标签页预处理失败时应该按原始 DOM 继续转换', async () => {
+    const service = new MarkdownService({ logger });
+    const page = {
+      evaluate: vi
+        .fn()
+        .mockRejectedValueOnce(new Error('Execution context was destroyed'))
+        .mockResolvedValueOnce({ html: '<p>Body</p>', svgCount: 0 }),
+    };
+
+    const markdown = await service.extractAndConvertPage(page, 'main');
+
+    expect(markdown).toContain('Body');
+    expect(logger.warn).toHaveBeenCalledWith('标签页/提示框预处理失败', {
+      error: 'Execution context was destroyed',
+    });
+  });
+
+  test('统一后的标签页应该转换为带标签名的代码块', () => {
+    const service = new MarkdownService({ logger });
+    const html = [
+      '<div data-doc-tabs>',
+      '<div data-doc-tab="npm"><pre><code class="language-bash">npm install foo</code></pre></div>',
+      '<div data-doc-tab="yarn"><pre><code class="language-bash">yarn add foo</code></pre></div>',
+      '</div>',
+    ].join('');
+
+    const markdown = service.convertHtmlToMarkdown(html);
+
+    expect(markdown).toBe(
+      [
+        '**npm**',
+        '',
+        '```bash',
+        'npm install foo',
+        '```',
+        '',
+        '**yarn**',
+        '',
+        '```bash',
+        'yarn add foo',
+        '```',
+      ].join('\n')
+    );
+  });
+
+  test('统一后的提示框应该转换为 Pandoc fenced div', () => {
+    const service = new MarkdownService({ logger });
+    const html = [
+      '<p>Before</p>',
+      '<div data-doc-callout="warning" data-doc-callout-title="Don\'t &quot;panic&quot;">',
+      '<p>Back up <strong>first</strong>.</p>',
+      '</div>',
+      '<div data-doc-callout="tip"><p>Short tip</p></div>',
+    ].join('');
+
+    const markdown = service.convertHtmlToMarkdown(html);
+
+    expect(markdown).toContain(
+      [
+        '::: {.callout .callout-warning title="Don\'t \\"panic\\""}',
+        'Back up **first**.',
+        ':::',
+      ].join('\n')
+    );
+    expect(markdown).toContain(['::: {.callout .callout-tip}', 'Short tip', ':::'].join('\n'));
+  });
+
+  test('_normalizeWidgets 应该从空格分隔的 class 中识别 success/check 与 error 提示框', async () => {
+    const service = new MarkdownService({ logger });
+    const dom = new JSDOM(
+      [
+        '<main>',
+        '<div class="callout success"><p>Saved</p></div>',
+        '<div class="check callout"><p>Verified</p></div>',
+        '<div class="callout error"><p>Broken</p></div>',
+        '<div class="callout"><p>Plain</p></div>',
+        '</main>',
+      ].join('')
+    );
+    // page.evaluate 在 jsdom 的 document 上执行页面内函数
+    const page = {
+      evaluate: async (fn, ...args) => {
+        globalThis.document = dom.window.document;
+        try {
+          return await fn(...args);
+        } finally {
+          delete globalThis.document;
+        }
+      },
+    };
+
+    const result = await service._normalizeWidgets(page, 'main');
+
+    expect(result).toEqual({ tabGroups: 0, callouts: 4 });
+    const kinds = Array.from(dom.window.document.querySelectorAll('[data-doc-callout]')).map(
+      (element) => [element.getAttribute('data-doc-callout'), element.textContent]
+    );
+    expect(kinds).toEqual([
+      ['tip', 'Saved'],
+      ['tip', 'Verified'],
+      ['danger', 'Broken'],
+      ['note', 'Plain'],
+    ]);
+  });
 });
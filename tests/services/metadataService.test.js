@@ -260,6 +260,34 @@ describe('MetadataService', () => {
         ])
       );
     });
+
+    test('应该记录具体图片地址与原因，并按图片去重', async () => {
+      mockFileService.readJson.mockResolvedValue([
+        { url: 'http://example.com/page', index: 3, imageUrl: 'http://cdn.example.com/a.png' },
+      ]);
+
+      await metadataService.logImageLoadFailure('http://example.com/page', 3, {
+        imageUrl: 'http://cdn.example.com/a.png',
+        reason: 'HTTP 404',
+      });
+      expect(mockFileService.writeJson).not.toHaveBeenCalled();
+
+      await metadataService.logImageLoadFailure('http://example.com/page', 3, {
+        imageUrl: 'http://cdn.example.com/b.svg',
+        reason: 'HTTP 403',
+      });
+      expect(mockFileService.writeJson).toHaveBeenCalledWith(
+        '/metadata/imageLoadFailures.json',
+        expect.arrayContaining([
+          expect.objectContaining({
+            url: 'http://example.com/page',
+            index: 3,
+            imageUrl: 'http://cdn.example.com/b.svg',
+            reason: 'HTTP 403',
+          }),
+        ])
+      );
+    });
   });
 
   describe('getImageLoadFailures', () => {
@@ -336,4 +364,24 @@ describe('MetadataService', () => {
       expect(result).toEqual(mapping);
     });
   });
+
+  describe('getUrlToIndex', () => {
+    test('应该从 progress.json 读取 urlToIndex', async () => {
+      mockFileService.readJson.mockResolvedValue({
+        processedUrls: [],
+        urlToIndex: { 'http://example1.com': 0 },
+      });
+
+      const result = await metadataService.getUrlToIndex();
+
+      expect(mockPathService.getMetadataPath).toHaveBeenCalledWith('progress');
+      expect(result).toEqual({ 'http://example1.com': 0 });
+    });
+
+    test('progress.json 不存在时应该返回空对象', async () => {
+      mockFileService.readJson.mockResolvedValue({});
+
+      expect(await metadataService.getUrlToIndex()).toEqual({});
+    });
+  });
 });
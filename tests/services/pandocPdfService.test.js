@@ -118,6 +118,488 @@ describe('PandocPdfService', () => {
       expect(args).toContain('pygments');
       expect(args).not.toContain('github');
     });
+
+    it('should render callouts as tcolorbox boxes through the lua filter', () => {
+      const args = service._buildPandocArgs('input.md', 'output.pdf', {});
+      const filter = args.find((arg) => arg.startsWith('--lua-filter='));
+
+      expect(filter).toMatch(/src[\\/]pandoc[\\/]callouts\.lua$/);
+      expect(fs.existsSync(filter.slice('--lua-filter='.length))).toBe(true);
+      expect(args.find((arg) => arg.startsWith('header-includes='))).toContain(
+        '\\usepackage{tcolorbox} \\tcbuselibrary{breakable}'
+      );
+    });
+
+    it('should add fancyhdr running heads when pdf.headerFooter is enabled', () => {
+      service.config.rootURL = 'https://docs.example.com/docs';
+      service.config.pdf = {
+        headerFooter: {
+          header: { right: '{section}' },
+          footer: { left: '{target}', right: '{pageNumber} / {totalPages}' },
+        },
+      };
+
+      const includes = service
+        ._buildPandocArgs('input.md', 'output.pdf', { wholeBook: true })
+        .filter((arg) => arg.startsWith('header-includes='));
+
+      expect(includes).toHaveLength(2);
+      expect(includes[1]).toContain('\\pagestyle{fancy}');
+      expect(includes[1]).toContain('\\fancyhead[R]{\\footnotesize \\leftmark{}}');
+      expect(includes[1]).toContain(
+        '\\fancyfoot[R]{\\footnotesize \\thepage{} / \\pageref*{LastPage}}'
+      );
+      expect(includes[1]).toContain('\\fancyfoot[L]{\\footnotesize docs.example.com}');
+
+      // 单页转换的页码每页重新开始，默认不加
+      expect(
+        service
+          ._buildPandocArgs('input.md', 'output.pdf', {})
+          .filter((arg) => arg.startsWith('header-includes='))
+      ).toHaveLength(1);
+
+      service.config.pdf.headerFooter.enabled = false;
+      expect(
+        service
+          ._buildPandocArgs('input.md', 'output.pdf', { wholeBook: true })
+          .filter((arg) => arg.startsWith('header-includes='))
+      ).toHaveLength(1);
+    });
+  });
+
+  describe('_buildEpubArgs', () => {
+    it('should build epub3 args with section chapters and metadata', () => {
+      const args = service._buildEpubArgs('input.md', 'book.epub', {
+        title: 'Claude Code Documentation',
+        author: 'Anthropic',
+        language: 'en',
+        resourcePath: 'pdfs/markdown',
+      });
+
+      expect(args.slice(0, 3)).toEqual(['input.md', '-o', 'book.epub']);
+      expect(args).toContain('--to=epub3');
+      expect(args).toContain('--split-level=1');
+      expect(args).toContain('title=Claude Code Documentation');
+      expect(args).toContain('author=Anthropic');
+      expect(args).toContain('lang=en');
+      expect(args).toContain(`--resource-path=pdfs/markdown${path.delimiter}.`);
+      expect(args).toContain('--toc');
+      expect(args).not.toContain('--pdf-engine=xelatex');
+    });
+
+    it('should fall back to --epub-chapter-level on pandoc 2.x', () => {
+      const args = service._buildEpubArgs('input.md', 'book.epub', { pandocVersion: [2, 19] });
+
+      expect(args).toContain('--epub-chapter-level=1');
+      expect(args).not.toContain('--split-level=1');
+      expect(service._buildEpubArgs('input.md', 'book.epub', { pandocVersion: [3, 1] })).toContain(
+        '--split-level=1'
+      );
+    });
+
+    it('should skip a missing cover image', () => {
+      const args = service._buildEpubArgs('input.md', 'book.epub', {
+        coverImage: path.join(tempDir, 'missing.png'),
+      });
+
+      expect(args.some((arg) => arg.startsWith('--epub-cover-image'))).toBe(false);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'EPUB cover image not found, skipping',
+        expect.any(Object)
+      );
+    });
+
+    it('should embed an existing cover image', () => {
+      const coverImage = path.join(tempDir, 'cover.png');
+      fs.writeFileSync(coverImage, 'png');
+
+      const args = service._buildEpubArgs('input.md', 'book.epub', { coverImage });
+
+      expect(args).toContain(`--epub-cover-image=${coverImage}`);
+    });
+  });
+
+  describe('generateBatchEpub', () => {
+    it('should build one epub from section-ordered markdown without latex page breaks', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      fs.mkdirSync(markdownDir, { recursive: true });
+      fs.writeFileSync(path.join(markdownDir, '000-intro.md'), '# Intro\n\nHello', 'utf8');
+      fs.writeFileSync(path.join(markdownDir, '001-setup.md'), '# Setup\n\nSteps', 'utf8');
+
+      service.metadataService = {
+        getSectionStructure: vi.fn().mockResolvedValue({
+          sections: [{ title: 'Getting started', pages: [{ index: '0' }, { index: '1' }] }],
+        }),
+        getArticleTitles: vi.fn().mockResolvedValue({ 0: 'Intro', 1: 'Setup' }),
+      };
+
+      let combined = '';
+      service._spawnPandoc = vi.fn(async (args) => {
+        combined = fs.readFileSync(args[0], 'utf8');
+      });
+
+      const outputPath = path.join(tempDir, 'final', 'book.epub');
+      const result = await service.generateBatchEpub(markdownDir, outputPath, {
+        title: 'Docs',
+      });
+
+      expect(result).toEqual({ success: true, filesProcessed: 2, outputPath });
+      expect(service._spawnPandoc).toHaveBeenCalledWith(
+        expect.arrayContaining(['--to=epub3', 'title=Docs']),
+        outputPath,
+        'EPUB'
+      );
+      expect(combined).toContain('# Getting started');
+      expect(combined).toContain('## Setup');
+      expect(combined).not.toContain('\\newpage');
+    });
+  });
+
+  describe('generateBatchHtml', () => {
+    // Minimal stand-in for `pandoc --to=html5` with the fragment template
+    const fakePandoc = (markdown) =>
+      '<style>\ncode span.kw { color: #007020; }\n</style>\n' +
+      markdown
+        .split(/\n{2,}/)
+        .map((block) => {
+          if (block.startsWith('<!--') || block.startsWith(':::')) return block;
+          const heading = block.match(/^(#+) (.+?) \{#(.+)\}$/);
+          if (heading) {
+            const level = heading[1].length;
+            return `<h${level} id="${heading[3]}">${heading[2]}</h${level}>`;
+          }
+          return `<p>${block
+            .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" />')
+            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>')}</p>`;
+        })
+        .join('\n');
+
+    let combined;
+
+    beforeEach(() => {
+      combined = '';
+      service._spawnPandoc = vi.fn(async (args, outputPath) => {
+        combined = fs.readFileSync(args[0], 'utf8');
+        fs.writeFileSync(outputPath, fakePandoc(combined), 'utf8');
+      });
+      service.metadataService = {
+        getSectionStructure: vi.fn().mockResolvedValue({
+          sections: [{ title: 'Getting started', pages: [{ index: '0' }, { index: '1' }] }],
+        }),
+        getArticleTitles: vi.fn().mockResolvedValue({ 0: 'Intro', 1: 'Setup' }),
+      };
+    });
+
+    it('should write one page per file with TOC, pager, search index and local assets', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      fs.mkdirSync(path.join(markdownDir, 'images'), { recursive: true });
+      fs.writeFileSync(path.join(markdownDir, 'images', 'flow.png'), 'png', 'utf8');
+      fs.writeFileSync(
+        path.join(markdownDir, '000-intro.md'),
+        '# Intro\n\nRead the [setup guide](#page-1) first.',
+        'utf8'
+      );
+      fs.writeFileSync(
+        path.join(markdownDir, '001-setup.md'),
+        '# Setup\n\nInstall the CLI.\n\n![Flow](images/flow.png)',
+        'utf8'
+      );
+
+      const outputDir = path.join(tempDir, 'final', 'book_html');
+      const result = await service.generateBatchHtml(markdownDir, outputDir, {
+        title: 'Docs',
+        highlightStyle: 'github',
+      });
+
+      expect(result).toEqual({
+        success: true,
+        filesProcessed: 2,
+        outputPath: path.join(outputDir, 'index.html'),
+      });
+      expect(service._spawnPandoc).toHaveBeenCalledWith(
+        expect.arrayContaining(['--to=html5', '--mathml', '--highlight-style', 'pygments']),
+        expect.stringMatching(/\.html$/),
+        'HTML'
+      );
+      expect(combined).toContain('<!-- book-page:0 -->\n\n## Intro {#page-0}');
+      expect(combined).not.toContain('\\newpage');
+
+      const index = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+      expect(index).toContain('<title>Docs</title>');
+      expect(index).toContain('<span>Getting started</span>');
+      expect(index).toContain('<a href="page-1.html">Setup</a>');
+
+      const intro = fs.readFileSync(path.join(outputDir, 'page-0.html'), 'utf8');
+      expect(intro).toContain('<title>Intro - Docs</title>');
+      expect(intro).toContain('<a href="page-1.html#page-1">setup guide</a>');
+      expect(intro).toContain('<a href="page-0.html" aria-current="page">Intro</a>');
+      expect(intro).toContain('<a class="book-next" href="page-1.html">Setup →</a>');
+      expect(intro).toContain('<link rel="stylesheet" href="assets/highlight.css">');
+
+      const setup = fs.readFileSync(path.join(outputDir, 'page-1.html'), 'utf8');
+      expect(setup).toContain('<img src="images/flow.png" alt="Flow" />');
+      expect(fs.existsSync(path.join(outputDir, 'images', 'flow.png'))).toBe(true);
+
+      for (const asset of ['book.css', 'book.js', 'highlight.css', 'search-index.js']) {
+        expect(fs.existsSync(path.join(outputDir, 'assets', asset))).toBe(true);
+      }
+      const script = fs.readFileSync(path.join(outputDir, 'assets', 'search-index.js'), 'utf8');
+      const searchIndex = JSON.parse(JSON.parse(script.match(/JSON\.parse\((.*)\);/)[1]));
+      expect(searchIndex.docs.map((doc) => doc.h)).toEqual(['page-0.html', 'page-1.html']);
+      expect(searchIndex.terms.install).toEqual([[1, 1]]);
+    });
+
+    it('should put the whole book into index.html and pair bilingual paragraphs', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      fs.mkdirSync(markdownDir, { recursive: true });
+      fs.writeFileSync(path.join(markdownDir, '000-intro.md'), '# Intro\n\nHello there.', 'utf8');
+      fs.writeFileSync(
+        path.join(markdownDir, '000-intro_translated.md'),
+        '# Intro\n\nHello there.\n\n你好。',
+        'utf8'
+      );
+      fs.writeFileSync(path.join(markdownDir, '001-setup.md'), '# Setup\n\nSteps', 'utf8');
+
+      const outputDir = path.join(tempDir, 'final', 'book_html');
+      await service.generateBatchHtml(markdownDir, outputDir, { title: 'Docs', layout: 'single' });
+
+      expect(combined).toContain(
+        ':::: {.bilingual}\n::: {.original}\nHello there.\n:::\n\n::: {.translation}\n你好。\n:::\n::::'
+      );
+      expect(fs.existsSync(path.join(outputDir, 'page-0.html'))).toBe(false);
+
+      const index = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+      expect(index).toContain('<h1 class="book-section">Getting started</h1>');
+      expect(index).toContain('<h2 id="page-0">Intro</h2>');
+      expect(index).toContain('<h2 id="page-1">Setup</h2>');
+      expect(index).toContain('<a href="#page-1">Setup</a>');
+    });
+  });
+
+  describe('internal links', () => {
+    const writePages = (markdownDir) => {
+      fs.mkdirSync(markdownDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(markdownDir, '000-intro.md'),
+        '---\ntitle: Intro\nurl: https://docs.example.com/en/intro\nindex: 0\n---\n# Intro\n\nConfigure [hooks](/en/settings#hooks) or read [RFC](https://www.rfc-editor.org/rfc/rfc9110).',
+        'utf8'
+      );
+      fs.writeFileSync(
+        path.join(markdownDir, '001-settings.md'),
+        '---\ntitle: Settings\nurl: https://docs.example.com/en/settings\nindex: 1\n---\n# Settings\n\n## Hooks\n\nBack to [intro](https://docs.example.com/en/intro).',
+        'utf8'
+      );
+      service.metadataService = {
+        getSectionStructure: vi.fn().mockResolvedValue({
+          sections: [
+            {
+              title: 'Docs',
+              pages: [
+                { index: '0', url: 'https://docs.example.com/en/intro' },
+                { index: '1', url: 'https://docs.example.com/en/settings' },
+              ],
+            },
+          ],
+        }),
+        getArticleTitles: vi.fn().mockResolvedValue({ 0: 'Intro', 1: 'Settings' }),
+        getProgress: vi.fn().mockResolvedValue({}),
+        getUrlMapping: vi.fn().mockResolvedValue({}),
+      };
+    };
+
+    it('should rewrite links between scraped pages to anchors in the batch markdown', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      writePages(markdownDir);
+
+      const { content } = await service._prepareBatchMarkdown(markdownDir);
+
+      expect(content).toContain('## Intro {#page-0}');
+      expect(content).toContain('## Settings {#page-1}');
+      expect(content).toContain('## Hooks {#page-1--hooks}');
+      expect(content).toContain('[hooks](#page-1--hooks)');
+      expect(content).toContain('[intro](#page-0)');
+      expect(content).toContain('[RFC](https://www.rfc-editor.org/rfc/rfc9110)');
+      expect(content).not.toContain('^[');
+      // Duplicate page titles are still stripped after anchors are added
+      expect(content).not.toContain('# Intro {#page-0--intro}');
+    });
+
+    it('should add footnotes for external links when enabled and skip rewriting when disabled', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      writePages(markdownDir);
+
+      service.config.links = { internal: true, footnotes: true };
+      const withFootnotes = await service._prepareBatchMarkdown(markdownDir);
+      expect(withFootnotes.content).toContain(
+        '[RFC](https://www.rfc-editor.org/rfc/rfc9110)^[<https://www.rfc-editor.org/rfc/rfc9110>]'
+      );
+
+      service.config.links = { internal: false };
+      const disabled = await service._prepareBatchMarkdown(markdownDir);
+      expect(disabled.content).toContain('[hooks](/en/settings#hooks)');
+      expect(disabled.content).toContain('## Intro\n');
+    });
+
+    it('should prepend the given chapter before the first page of the batch PDF', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      writePages(markdownDir);
+
+      let combined = '';
+      service._runPandoc = vi.fn(async (inputPath) => {
+        combined = fs.readFileSync(inputPath, 'utf8');
+      });
+
+      await service.generateBatchPdf(markdownDir, path.join(tempDir, 'final', 'book.pdf'), {
+        prependMarkdown: "# What's new\n\n- [Setup](https://docs.example.com/setup)\n",
+      });
+
+      expect(combined.startsWith("# What's new\n\n- [Setup]")).toBe(true);
+      expect(combined.indexOf('\\newpage')).toBeLessThan(combined.indexOf('# Docs'));
+      expect(service._runPandoc.mock.calls[0][2]).not.toHaveProperty('prependMarkdown');
+    });
+
+    it('should namespace anchors and nest each collection part under its own H1', async () => {
+      const markdownDir = path.join(tempDir, 'markdown');
+      writePages(markdownDir);
+
+      const part = await service.prepareCollectionPart(markdownDir, {
+        title: 'Claude Code',
+        namespace: 'claude-code',
+      });
+
+      expect(part.files).toHaveLength(2);
+      expect(part.content.startsWith('# Claude Code {#claude-code}\n\n')).toBe(true);
+      expect(part.content).toContain('## Docs');
+      expect(part.content).toContain('### Settings {#claude-code--page-1}');
+      expect(part.content).toContain('### Hooks {#claude-code--page-1--hooks}');
+      expect(part.content).toContain('[hooks](#claude-code--page-1--hooks)');
+
+      service._runPandoc = vi.fn().mockResolvedValue();
+      const outputPath = path.join(tempDir, 'final', 'reading.pdf');
+      const result = await service.generateCollectionPdf(
+        [
+          { ...part, resourcePath: markdownDir },
+          { content: '# Blog {#blog}', files: ['a.md'], resourcePath: '/blog' },
+        ],
+        outputPath,
+        { tocDepth: 2 }
+      );
+
+      expect(result).toEqual({ success: true, filesProcessed: 3, outputPath });
+      expect(service._runPandoc).toHaveBeenCalledWith(
+        expect.any(String),
+        outputPath,
+        expect.objectContaining({
+          toc: true,
+          tocDepth: 2,
+          resourcePath: [markdownDir, '/blog'].join(path.delimiter),
+        })
+      );
+    });
+  });
+
+  describe('book index', () => {
+    let markdownDir;
+
+    beforeEach(() => {
+      markdownDir = path.join(tempDir, 'markdown');
+      fs.mkdirSync(markdownDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(markdownDir, '000-intro.md'),
+        '# Intro\n\nRun `claude` and connect MCP servers.',
+        'utf8'
+      );
+      fs.writeFileSync(
+        path.join(markdownDir, '001-cli.md'),
+        '# CLI reference\n\n## Flags\n\nPass `--model` to pick a model.',
+        'utf8'
+      );
+      service.config.markdownPdf.index = { enabled: true, terms: ['MCP'] };
+      service.metadataService = {
+        getSectionStructure: vi.fn().mockResolvedValue({
+          sections: [{ title: 'Docs', pages: [{ index: '0' }, { index: '1' }] }],
+        }),
+        getArticleTitles: vi.fn().mockResolvedValue({ 0: 'Intro', 1: 'CLI reference' }),
+        getProgress: vi.fn().mockResolvedValue({}),
+        getUrlMapping: vi.fn().mockResolvedValue({}),
+      };
+    });
+
+    it('should add \\index entries to the batch PDF and print the index at the end', async () => {
+      let combined = '';
+      service._runPandoc = vi.fn(async (inputPath) => {
+        combined = fs.readFileSync(inputPath, 'utf8');
+      });
+
+      await service.generateBatchPdf(markdownDir, path.join(tempDir, 'final', 'book.pdf'));
+
+      expect(combined).toContain(
+        '## Intro {#page-0}\n\n```{=latex}\n\\index{intro@Intro}\\index{mcp@MCP}\n```'
+      );
+      expect(combined).toContain(
+        '## Flags {#page-1--flags}\n\n```{=latex}\n\\index{flags@Flags}\\index{model@\\texttt{--model}}\n```'
+      );
+      expect(combined.trimEnd().endsWith('\\printindex')).toBe(true);
+      expect(service._runPandoc.mock.calls[0][2]).toMatchObject({ makeIndex: true });
+
+      expect(service._buildPandocArgs('input.md', 'output.pdf', { makeIndex: true })).toContain(
+        'header-includes=\\usepackage{imakeidx} \\makeindex[intoc,columns=2,title=Index]'
+      );
+    });
+
+    it('should leave the batch markdown untouched when the index is disabled', async () => {
+      service.config.markdownPdf.index.enabled = false;
+      let combined = '';
+      service._runPandoc = vi.fn(async (inputPath) => {
+        combined = fs.readFileSync(inputPath, 'utf8');
+      });
+
+      await service.generateBatchPdf(markdownDir, path.join(tempDir, 'final', 'book.pdf'));
+
+      expect(combined).not.toContain('\\index{');
+      expect(combined).not.toContain('\\printindex');
+      expect(service._runPandoc.mock.calls[0][2]).toMatchObject({ makeIndex: false });
+      expect(service._buildPandocArgs('input.md', 'output.pdf', {}).join(' ')).not.toContain(
+        'imakeidx'
+      );
+    });
+
+    it('should append an index chapter to the EPUB', async () => {
+      let combined = '';
+      service._spawnPandoc = vi.fn(async (args) => {
+        combined = fs.readFileSync(args[0], 'utf8');
+      });
+
+      await service.generateBatchEpub(markdownDir, path.join(tempDir, 'final', 'book.epub'));
+
+      expect(combined).toContain('# Index {#book-index .unnumbered}');
+      expect(combined).toContain('- `--model` — [CLI reference](#page-1--flags)');
+      expect(combined).toContain('- MCP — [Intro](#page-0)');
+    });
+
+    it('should write an index page for the HTML book and link it from the TOC', async () => {
+      service._spawnPandoc = vi.fn(async (args, outputPath) => {
+        const pages = fs
+          .readFileSync(args[0], 'utf8')
+          .match(/<!-- book-page:\d+ -->/g)
+          .join('\n');
+        fs.writeFileSync(outputPath, pages, 'utf8');
+      });
+
+      const outputDir = path.join(tempDir, 'final', 'book_html');
+      await service.generateBatchHtml(markdownDir, outputDir, { title: 'Docs' });
+
+      const index = fs.readFileSync(path.join(outputDir, 'book-index.html'), 'utf8');
+      expect(index).toContain('<title>Index - Docs</title>');
+      expect(index).toContain('<a href="book-index.html" aria-current="page">Index</a>');
+      expect(index).toContain(
+        '<li><code>--model</code> — <a href="page-1.html#page-1--flags">CLI reference</a></li>'
+      );
+      expect(index).toContain('<li>MCP — <a href="page-0.html">Intro</a></li>');
+      expect(fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8')).toContain(
+        '<a href="book-index.html">Index</a>'
+      );
+    });
   });
 
   describe('convertContentToPdf', () => {
@@ -229,6 +711,87 @@ describe('PandocPdfService', () => {
       const result = service._cleanMarkdownContent(input);
       expect(result).toBe(expected);
     });
+
+    it('should turn MDX callouts into callout fenced divs', () => {
+      const input = [
+        '<Warning title="Heads up">',
+        'Back up first.',
+        '</Warning>',
+        '<Tip>',
+        'Done',
+        '</Tip>',
+      ].join('\n');
+      const result = service._cleanMarkdownContent(input);
+
+      expect(result).toContain(
+        ['::: {.callout .callout-warning title="Heads up"}', '', 'Back up first.', '', ':::'].join(
+          '\n'
+        )
+      );
+      expect(result).toContain(['::: {.callout .callout-tip}', '', 'Done', '', ':::'].join('\n'));
+      expect(result).not.toMatch(/<\/?(Warning|Tip)>/);
+    });
+
+    it('should label MDX tabs and CodeGroup code blocks', () => {
+      const input = [
+        '<Tabs>',
+        '<Tab title="macOS">',
+        'Use brew.',
+        '</Tab>',
+        '</Tabs>',
+        '<CodeGroup>',
+        '```bash npm theme={null}',
+        'npm i foo',
+        '```',
+        '```bash filename="yarn.sh"',
+        'yarn add foo',
+        '```',
+        '</CodeGroup>',
+      ].join('\n');
+      const result = service._cleanMarkdownContent(input);
+
+      expect(result).toContain('**macOS**\n\nUse brew.');
+      expect(result).toContain('**npm**\n\n```bash\nnpm i foo\n```');
+      expect(result).toContain('```bash\nyarn add foo\n```');
+      expect(result).not.toMatch(/<\/?(Tabs?|CodeGroup)\b/);
+    });
+  });
+
+  describe('_getPandocVersion', () => {
+    it('should parse pandoc --version once and cache the result', async () => {
+      const spawnSpy = vi.mocked(spawn).mockImplementation(() => ({
+        stdout: {
+          on: vi.fn((event, callback) => callback(Buffer.from('pandoc 2.19.2\nCompiled with'))),
+        },
+        on: vi.fn((event, callback) => {
+          if (event === 'close') {
+            setTimeout(() => callback(0), 0);
+          }
+        }),
+      }));
+
+      expect(await service._getPandocVersion()).toEqual([2, 19]);
+      expect(await service._getPandocVersion()).toEqual([2, 19]);
+      expect(spawnSpy).toHaveBeenCalledTimes(1);
+      expect(spawnSpy).toHaveBeenCalledWith('pandoc', ['--version']);
+
+      spawnSpy.mockReset();
+    });
+
+    it('should return null when pandoc cannot be started', async () => {
+      const spawnSpy = vi.mocked(spawn).mockImplementation(() => ({
+        stdout: { on: vi.fn() },
+        on: vi.fn((event, callback) => {
+          if (event === 'error') {
+            setTimeout(() => callback(new Error('spawn pandoc ENOENT')), 0);
+          }
+        }),
+      }));
+
+      expect(await service._getPandocVersion()).toBeNull();
+
+      spawnSpy.mockReset();
+    });
   });
 
   describe('_runPandoc', () => {
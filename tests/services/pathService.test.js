@@ -134,6 +134,54 @@ describe('PathService', () => {
     test('应该为未知类型抛出错误', () => {
       expect(() => pathService.getMetadataPath('unknown')).toThrow('未知的元数据类型: unknown');
     });
+
+    test('变更报告与上次运行副本应该位于 metadata 目录下', () => {
+      expect(pathService.getMetadataPath('changeReport')).toBe(
+        path.join(mockConfig.pdfDir, 'metadata', 'changeReport.json')
+      );
+      expect(pathService.getPreviousRunDir()).toBe(
+        path.join(mockConfig.pdfDir, 'metadata', 'previous-run')
+      );
+    });
+  });
+
+  describe('归档路径', () => {
+    test('归档目录应该按 archive.name、doc-target、主机名的顺序命名', () => {
+      const archive = { directory: '/data/archive' };
+      const forConfig = (extra) =>
+        new PathService({
+          ...mockConfig,
+          rootURL: 'https://docs.example.com/en',
+          archive,
+          ...extra,
+        });
+
+      expect(forConfig({}).getArchiveDir()).toBe(path.join('/data/archive', 'docs.example.com'));
+      expect(forConfig({ docTarget: 'doc-targets/claude-code.json' }).getArchiveDir()).toBe(
+        path.join('/data/archive', 'claude-code')
+      );
+      expect(
+        forConfig({ docTarget: 'claude-code', archive: { ...archive, name: 'cc' } }).getArchiveDir()
+      ).toBe(path.join('/data/archive', 'cc'));
+    });
+
+    test('快照目录应该拒绝不安全的编号', () => {
+      const archived = new PathService({ ...mockConfig, archive: { directory: '/a', name: 'x' } });
+
+      expect(archived.getSnapshotDir('20240315-120000')).toBe(
+        path.join('/a', 'x', '20240315-120000')
+      );
+      expect(() => archived.getSnapshotDir('../x')).toThrow('Invalid snapshot id: ../x');
+    });
+
+    test('withRoot 应该返回以另一目录为 pdfDir 的实例', () => {
+      const snapshotPaths = pathService.withRoot('/a/x/20240315-120000');
+
+      expect(snapshotPaths.getMetadataPath('articleTitles')).toBe(
+        path.join('/a/x/20240315-120000', 'metadata', 'articleTitles.json')
+      );
+      expect(pathService.config.pdfDir).toBe(mockConfig.pdfDir);
+    });
   });
 
   describe('getFinalPdfPath', () => {
@@ -331,4 +379,21 @@ describe('PathService', () => {
       );
     });
   });
+
+  describe('getPdfCacheDirectory', () => {
+    test('应该在临时目录下生成单页 PDF 缓存目录', () => {
+      expect(pathService.getPdfCacheDirectory()).toBe(
+        path.join(path.resolve('.temp'), 'pdf_cache')
+      );
+    });
+
+    test('应该拒绝越界的缓存目录', () => {
+      const unsafeService = new PathService({
+        pdfDir: '/home/user/pdfs',
+        output: { tempDirectory: '/../outside' },
+      });
+
+      expect(() => unsafeService.getPdfCacheDirectory()).toThrow('Unsafe PDF cache directory');
+    });
+  });
 });
@@ -0,0 +1,96 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/pdfCacheService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PdfCacheService } from '../../src/services/pdfCacheService.js';
+
+describe('PdfCacheService', () => {
+  let tempDir;
+  let logger;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-cache-'));
+    logger = { warn: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createService = (cache = {}) =>
+    new PdfCacheService({
+      config: { pdf: { cache: { directory: path.join(tempDir, 'cache'), ...cache } } },
+      logger,
+    });
+
+  test('缓存键应该取决于内容、PDF 选项与样式配置，而不是输出路径', () => {
+    const service = createService();
+    const input = {
+      content: '<html><body>Hello</body></html>',
+      pdfOptions: { format: 'A4', path: 'pdfs/001-a.pdf' },
+      style: { pdf: { fontSize: '14px' } },
+    };
+    const key = service.computeKey(input);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(service.computeKey({ ...input, pdfOptions: { format: 'A4', path: 'other.pdf' } })).toBe(
+      key
+    );
+    expect(service.computeKey({ ...input, content: '<html><body>Hi</body></html>' })).not.toBe(key);
+    expect(service.computeKey({ ...input, pdfOptions: { format: 'Letter' } })).not.toBe(key);
+    expect(service.computeKey({ ...input, style: { pdf: { fontSize: '16px' } } })).not.toBe(key);
+  });
+
+  test('应该保存渲染结果并在下次命中时复制到输出路径', async () => {
+    const service = createService();
+    const rendered = path.join(tempDir, '001-page.pdf');
+    await fs.writeFile(rendered, '%PDF-1.7 page');
+
+    const key = service.computeKey({ content: 'page' });
+    const target = path.join(tempDir, 'paperwhite', '001-page.pdf');
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    expect(await service.restore(key, target)).toBe(false);
+    await service.store(key, rendered);
+    expect(await service.restore(key, target)).toBe(true);
+
+    expect(await fs.readFile(target, 'utf8')).toBe('%PDF-1.7 page');
+    expect(await fs.readdir(path.join(tempDir, 'cache', key.slice(0, 2)))).toEqual([`${key}.pdf`]);
+    expect(service.getStats()).toEqual({ enabled: true, hits: 1, misses: 1, stored: 1 });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('禁用时既不读取也不写入缓存', async () => {
+    const service = createService({ enabled: false });
+    const rendered = path.join(tempDir, '001-page.pdf');
+    await fs.writeFile(rendered, '%PDF');
+
+    await service.store('abc', rendered);
+
+    expect(await service.restore('abc', path.join(tempDir, 'out.pdf'))).toBe(false);
+    await expect(fs.access(path.join(tempDir, 'cache'))).rejects.toThrow();
+    expect(service.getStats()).toEqual({ enabled: false, hits: 0, misses: 0, stored: 0 });
+  });
+
+  test('写入失败只记录警告', async () => {
+    const service = createService();
+
+    await service.store('abcdef', path.join(tempDir, 'missing.pdf'));
+
+    expect(service.getStats().stored).toBe(0);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Failed to write PDF cache entry',
+      expect.objectContaining({ key: 'abcdef' })
+    );
+  });
+
+  test('默认目录应该来自 PathService', () => {
+    const pathService = { getPdfCacheDirectory: vi.fn().mockReturnValue('/work/.temp/pdf_cache') };
+    const service = new PdfCacheService({ config: {}, pathService });
+
+    expect(service.enabled).toBe(true);
+    expect(service.directory).toBe('/work/.temp/pdf_cache');
+  });
+});
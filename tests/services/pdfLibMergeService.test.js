@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// tests/services/pdfLibMergeService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+import {
+  PdfLibMergeService,
+  buildHierarchicalOutline,
+  createBookmarkTitle,
+  friendlyFileName,
+  getPdfSortKey,
+} from '../../src/services/pdfLibMergeService.js';
+import { getOutline } from '../../src/utils/pdfOutline.js';
+
+const writePdf = async (filePath, pageCount, { link } = {}) => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    doc.addPage([200, 200]);
+  }
+  if (link) {
+    const annotation = doc.context.register(
+      doc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [0, 0, 50, 20],
+        A: { S: 'URI', URI: PDFString.of(link) },
+      })
+    );
+    doc.getPage(0).node.set(PDFName.of('Annots'), doc.context.obj([annotation]));
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, await doc.save());
+};
+
+const writeJson = async (filePath, data) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data), 'utf8');
+};
+
+describe('PdfLibMergeService', () => {
+  let tempDir;
+  let pdfDir;
+  let logger;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-lib-merge-'));
+    pdfDir = path.join(tempDir, 'pdfs');
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createService = (config = {}) =>
+    new PdfLibMergeService({ rootURL: 'https://docs.example.com/docs', pdfDir, ...config }, logger);
+
+  test('应该按数字索引排序、其次哈希前缀、最后按文件名', () => {
+    const files = ['b-x.pdf', '010-ten.pdf', '2-two_puppeteer.pdf', 'abcdef12-hash.pdf'];
+    const keys = files.map((file) => getPdfSortKey(file, 5));
+
+    expect(keys).toEqual([
+      [2, 0, 'b-x.pdf'],
+      [0, 10, '010-ten.pdf'],
+      [0, 2, '2-two_puppeteer.pdf'],
+      [1, 5, 'abcdef12-hash.pdf'],
+    ]);
+  });
+
+  test('书签标题与文件名应该与 Python 合并器一致', () => {
+    expect(createBookmarkTitle('003-get-started_puppeteer.pdf', { 3: 'Quickstart' })).toBe(
+      'Quickstart'
+    );
+    expect(createBookmarkTitle('004-sub_agents-GUIDE.pdf', {})).toBe('Sub Agents Guide');
+    expect(createBookmarkTitle('index.pdf', {})).toBe('index');
+
+    expect(friendlyFileName('docs.anthropic.com-docs', '20240102_030405')).toBe(
+      'Claude-Code-Docs_20240102_030405.pdf'
+    );
+    expect(friendlyFileName('platform.openai.com-api', 'T')).toBe('Openai-Api_T.pdf');
+    expect(friendlyFileName('guides', 'T')).toBe('Guides_T.pdf');
+  });
+
+  test('buildHierarchicalOutline 应该只包含已合并的页面并跳过空 section', () => {
+    const outline = buildHierarchicalOutline(
+      {
+        sections: [
+          { title: 'Intro', pages: [{ index: '0' }, { index: '9' }] },
+          { title: 'Empty', pages: [{ index: '9' }] },
+          { title: 'Guides', pages: [{ index: 1 }] },
+        ],
+      },
+      [
+        { index: '0', startPage: 0 },
+        { index: '1', startPage: 2 },
+      ],
+      { 0: 'Overview' }
+    );
+
+    expect(outline).toEqual([
+      { level: 1, title: 'Intro', pageIndex: 0 },
+      { level: 2, title: 'Overview', pageIndex: 0 },
+      { level: 1, title: 'Guides', pageIndex: 2 },
+      { level: 2, title: 'Page 1', pageIndex: 2 },
+    ]);
+    expect(buildHierarchicalOutline(null, [], {})).toBeNull();
+  });
+
+  test('应该合并目录中的页面 PDF，生成分层书签并改写站内链接', async () => {
+    const sourceDir = path.join(pdfDir, 'docs.example.com-docs');
+    await writePdf(path.join(sourceDir, '001-setup.pdf'), 1);
+    await writePdf(path.join(sourceDir, '000-overview.pdf'), 2, {
+      link: 'https://docs.example.com/docs/setup/#install',
+    });
+    await fs.writeFile(path.join(sourceDir, '002-broken.pdf'), 'not a pdf');
+
+    await writeJson(path.join(pdfDir, 'metadata', 'articleTitles.json'), {
+      0: 'Overview',
+      1: 'Setup',
+    });
+    await writeJson(path.join(pdfDir, 'metadata', 'sectionStructure.json'), {
+      sections: [
+        {
+          title: 'Getting started',
+          pages: [
+            { index: '0', url: 'https://docs.example.com/docs' },
+            { index: '1', url: 'https://docs.example.com/docs/setup' },
+          ],
+        },
+      ],
+    });
+
+    const result = await createService().mergePDFs({ directory: 'docs.example.com-docs' });
+
+    expect(result).toMatchObject({
+      success: true,
+      engine: 'pdf-lib',
+      filesProcessed: 2,
+      totalPages: 3,
+      statistics: expect.objectContaining({ errorsCount: 1 }),
+    });
+    expect(result.mergedFiles).toHaveLength(1);
+    expect(path.basename(result.outputFile)).toMatch(/^Example-Docs_\d{8}_\d{6}\.pdf$/);
+    expect(path.dirname(result.outputFile)).toBe(path.join(pdfDir, 'finalPdf'));
+
+    const merged = await PDFDocument.load(await fs.readFile(result.outputFile));
+    expect(merged.getPageCount()).toBe(3);
+    expect(getOutline(merged)).toEqual([
+      { level: 1, title: 'Getting started', pageIndex: 0 },
+      { level: 2, title: 'Overview', pageIndex: 0 },
+      { level: 2, title: 'Setup', pageIndex: 2 },
+    ]);
+
+    const link = merged.getPage(0).node.Annots().lookup(0);
+    expect(link.lookup(PDFName.of('Dest')).get(0)).toBe(merged.getPage(2).ref);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('002-broken.pdf'));
+  });
+
+  test('没有 sectionStructure 且关闭站内链接时使用平铺书签并保留原链接', async () => {
+    await writePdf(path.join(pdfDir, 'docs', '000-intro-page.pdf'), 1, {
+      link: 'https://docs.example.com/docs/intro-page',
+    });
+    await writeJson(path.join(pdfDir, 'metadata', 'progress.json'), {
+      urlToIndex: { 'https://docs.example.com/docs/intro-page': 0 },
+    });
+
+    const result = await createService({ links: { internal: false } }).mergePDFs();
+
+    // pdfDir 根目录没有 PDF，只合并子目录
+    expect(result.mergedFiles).toHaveLength(1);
+    expect(path.basename(result.outputFile)).toMatch(/^docs_\d{8}_\d{6}\.pdf$/);
+
+    const merged = await PDFDocument.load(await fs.readFile(result.outputFile));
+    expect(getOutline(merged)).toEqual([{ level: 1, title: 'Intro Page', pageIndex: 0 }]);
+    expect(merged.getPage(0).node.Annots().lookup(0).lookup(PDFName.of('A'))).toBeDefined();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('articleTitles.json'));
+  });
+
+  test('合集：每个目标成为一级书签，目标自身的书签下移一级', async () => {
+    const partA = path.join(tempDir, 'a.pdf');
+    const partB = path.join(tempDir, 'b.pdf');
+    await writePdf(path.join(pdfDir, 'a', '000-one.pdf'), 1);
+    await writePdf(path.join(pdfDir, 'a', '001-two.pdf'), 1);
+    const { outputFile } = await createService().mergePDFs({ directory: 'a' });
+    await fs.rename(outputFile, partA);
+    await writePdf(partB, 2);
+
+    const manifestPath = path.join(tempDir, 'collection.json');
+    const output = path.join(tempDir, 'book', 'collection.pdf');
+    await writeJson(manifestPath, {
+      output,
+      bookmarks: true,
+      parts: [
+        { title: 'Target A', pdf: partA },
+        { title: 'Target B', pdf: partB },
+      ],
+    });
+
+    const result = await createService().mergePDFs({ collection: manifestPath });
+
+    expect(result).toMatchObject({ mergedFiles: [output], filesProcessed: 2, totalPages: 4 });
+    const book = await PDFDocument.load(await fs.readFile(output));
+    expect(getOutline(book)).toEqual([
+      { level: 1, title: 'Target A', pageIndex: 0 },
+      { level: 2, title: 'One', pageIndex: 0 },
+      { level: 2, title: 'Two', pageIndex: 1 },
+      { level: 1, title: 'Target B', pageIndex: 2 },
+    ]);
+
+    await writeJson(manifestPath, { output, parts: [{ title: 'Missing', pdf: 'nope.pdf' }] });
+    await expect(createService().mergePDFs({ collection: manifestPath })).rejects.toThrow(
+      '合集目标的PDF不存在'
+    );
+  });
+});
@@ -233,6 +233,44 @@ describe('PDFStyleService', () => {
         tagged: false,
       });
     });
+
+    it('should render header and footer templates with page info', () => {
+      const service = new PDFStyleService({
+        headerFooter: {
+          header: { left: '', center: '', right: '{section}' },
+          footer: { left: '{target} · {date}', center: '', right: '{pageNumber}/{totalPages}' },
+          fontSize: '9px',
+        },
+        headerFooterTarget: 'claude-code',
+      });
+      service.buildDate = '2024-01-02';
+
+      const options = service.getPDFOptions({ title: 'Setup', section: 'Getting <started>' });
+
+      expect(options.displayHeaderFooter).toBe(true);
+      expect(options.headerTemplate).toContain('Getting &lt;started&gt;');
+      expect(options.headerTemplate).toContain('font-size: 9px');
+      expect(options.footerTemplate).toContain('claude-code · 2024-01-02');
+      expect(options.footerTemplate).toContain(
+        '<span class="pageNumber"></span>/<span class="totalPages"></span>'
+      );
+    });
+
+    it('should use the book header and footer when the whole book is printed at once', () => {
+      const service = new PDFStyleService({
+        headerFooter: null,
+        bookHeaderFooter: {
+          header: { left: '', center: '', right: '' },
+          footer: { left: '', center: '', right: '{pageNumber}' },
+          fontSize: '8px',
+        },
+      });
+
+      expect(service.getPDFOptions({ title: 'Setup' }).displayHeaderFooter).toBe(false);
+      const options = service.getPDFOptions({ title: 'Book' }, { wholeBook: true });
+      expect(options.displayHeaderFooter).toBe(true);
+      expect(options.footerTemplate).toContain('<span class="pageNumber"></span>');
+    });
   });
 
   describe('processSpecialContent', () => {
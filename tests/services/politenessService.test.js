@@ -0,0 +1,216 @@
+import { describe, test, expect, vi } from 'vitest';
+
+// tests/services/politenessService.test.js
+import { PolitenessService, parseRetryAfter } from '../../src/services/politenessService.js';
+
+describe('PolitenessService', () => {
+  const createLogger = () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  });
+
+  const response = (status, { body = '', headers = {} } = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    body: { cancel: vi.fn().mockResolvedValue() },
+    text: async () => body,
+  });
+
+  /**
+   * 使用虚拟时钟：sleep 只推进时间，不真正等待
+   */
+  const createService = ({ network = {}, routes = {} } = {}) => {
+    let clock = 0;
+    const sleeps = [];
+    const wakeups = [];
+    const fetchImpl = vi.fn(async (url) => {
+      const route = routes[url];
+      if (Array.isArray(route)) {
+        return route.length > 1 ? route.shift() : route[0];
+      }
+      return route || response(404);
+    });
+    const service = new PolitenessService({
+      config: { network: { rateLimitDelay: 1000, ...network } },
+      logger: createLogger(),
+      fetchImpl,
+      now: () => clock,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        wakeups.push(clock + ms);
+        clock += ms;
+      },
+    });
+    return { service, fetchImpl, sleeps, wakeups };
+  };
+
+  describe('parseRetryAfter', () => {
+    test('应该支持秒数与 HTTP 日期', () => {
+      expect(parseRetryAfter('5')).toBe(5000);
+      expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:10 GMT', 4000)).toBe(6000);
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+  });
+
+  describe('robots.txt', () => {
+    test('应该按主机缓存 robots.txt 并判断是否允许', async () => {
+      const { service, fetchImpl } = createService({
+        routes: {
+          'https://docs.example.com/robots.txt': response(200, {
+            body: 'User-agent: *\nDisallow: /internal/\n',
+          }),
+        },
+      });
+
+      expect(await service.isAllowed('https://docs.example.com/guide')).toBe(true);
+      expect(await service.isAllowed('https://docs.example.com/internal/x')).toBe(false);
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      expect(service.getStats().robotsBlocked).toBe(1);
+    });
+
+    test('robots.txt 不存在或关闭检查时应该全部允许', async () => {
+      const { service } = createService();
+      expect(await service.isAllowed('https://docs.example.com/internal/x')).toBe(true);
+
+      const disabled = createService({
+        network: { respectRobotsTxt: false },
+        routes: {
+          'https://docs.example.com/robots.txt': response(200, {
+            body: 'User-agent: *\nDisallow: /',
+          }),
+        },
+      });
+      expect(await disabled.service.isAllowed('https://docs.example.com/a')).toBe(true);
+      expect(disabled.fetchImpl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitForTurn', () => {
+    test('同一主机的并发请求应该按间隔错开，不同主机互不影响', async () => {
+      const { service, wakeups } = createService();
+
+      await Promise.all([
+        service.waitForTurn('https://a.example.com/1'),
+        service.waitForTurn('https://a.example.com/2'),
+        service.waitForTurn('https://a.example.com/3'),
+        service.waitForTurn('https://b.example.com/1'),
+      ]);
+
+      expect(wakeups).toEqual([1000, 2000]);
+    });
+
+    test('应该使用 Crawl-delay 与 rateLimitDelay 中较大的值', async () => {
+      const { service } = createService({
+        routes: {
+          'https://a.example.com/robots.txt': response(200, {
+            body: 'User-agent: *\nCrawl-delay: 3\n',
+          }),
+        },
+      });
+
+      expect(await service.getHostDelay('https://a.example.com/page')).toBe(3000);
+    });
+  });
+
+  describe('noteResponse', () => {
+    test('429 应该按 Retry-After 退避，并让后续请求等待', async () => {
+      const { service, sleeps } = createService();
+
+      expect(service.noteResponse('https://a.example.com/x', 200)).toBeNull();
+      expect(service.noteResponse('https://a.example.com/x', 429, '7', 0)).toBe(7000);
+
+      await service.waitForTurn('https://a.example.com/y');
+      expect(sleeps).toEqual([7000]);
+    });
+
+    test('没有 Retry-After 时应该指数退避，并受 maxRetryAfter 限制', () => {
+      const { service } = createService({ network: { maxRetryAfter: 5000 } });
+
+      expect(service.noteResponse('https://a.example.com/x', 503, null, 0)).toBe(2000);
+      expect(service.noteResponse('https://a.example.com/x', 503, null, 1)).toBe(4000);
+      expect(service.noteResponse('https://a.example.com/x', 503, '600', 2)).toBe(5000);
+    });
+
+    test('超过重试次数或关闭 retryOn429 时不应该重试', () => {
+      const { service } = createService({ network: { maxThrottleRetries: 1 } });
+      expect(service.noteResponse('https://a.example.com/x', 429, '1', 1)).toBeNull();
+
+      const disabled = createService({ network: { retryOn429: false } });
+      expect(disabled.service.noteResponse('https://a.example.com/x', 429, '1', 0)).toBeNull();
+    });
+  });
+
+  describe('fetch', () => {
+    test('应该在 429 后等待并重试', async () => {
+      const throttled = response(429, { headers: { 'retry-after': '2' } });
+      const { service, fetchImpl, sleeps } = createService({
+        routes: {
+          'https://a.example.com/page.md': [throttled, response(200, { body: '# Page' })],
+        },
+      });
+
+      const result = await service.fetch('https://a.example.com/page.md', { headers: {} });
+
+      expect(result.status).toBe(200);
+      expect(throttled.body.cancel).toHaveBeenCalledTimes(1);
+      expect(result.body.cancel).not.toHaveBeenCalled();
+      expect(sleeps).toContain(2000);
+      const pageCalls = fetchImpl.mock.calls.filter(([url]) => url.endsWith('page.md'));
+      expect(pageCalls).toHaveLength(2);
+      expect(pageCalls[0][1].redirect).toBe('manual');
+    });
+
+    test('应该跟随重定向并限制次数', async () => {
+      const { service } = createService({
+        network: { maxRedirects: 1 },
+        routes: {
+          'https://a.example.com/old': response(301, { headers: { location: '/new' } }),
+          'https://a.example.com/new': response(200, { body: 'ok' }),
+          'https://a.example.com/loop': response(302, { headers: { location: '/loop2' } }),
+          'https://a.example.com/loop2': response(302, { headers: { location: '/loop' } }),
+        },
+      });
+
+      expect((await service.fetch('https://a.example.com/old')).status).toBe(200);
+      await expect(service.fetch('https://a.example.com/loop')).rejects.toThrow(
+        'Too many redirects'
+      );
+    });
+
+    test('重定向到其他主机时应该检查目标主机的 robots.txt', async () => {
+      const redirect = response(302, {
+        headers: { location: 'https://b.example.com/private/doc' },
+      });
+      const { service, fetchImpl } = createService({
+        routes: {
+          'https://a.example.com/doc': redirect,
+          'https://b.example.com/robots.txt': response(200, {
+            body: 'User-agent: *\nDisallow: /private',
+          }),
+          'https://b.example.com/private/doc': response(200, { body: 'secret' }),
+        },
+      });
+
+      await expect(service.fetch('https://a.example.com/doc')).rejects.toThrow(
+        'blocked by robots.txt: https://b.example.com/private/doc'
+      );
+      expect(redirect.body.cancel).toHaveBeenCalledTimes(1);
+      expect(fetchImpl.mock.calls.map(([url]) => url)).not.toContain(
+        'https://b.example.com/private/doc'
+      );
+      expect(service.getStats().robotsBlocked).toBe(1);
+    });
+
+    test('304 不应该被当作重定向', async () => {
+      const { service } = createService({
+        routes: { 'https://a.example.com/page.md': response(304) },
+      });
+
+      expect((await service.fetch('https://a.example.com/page.md')).status).toBe(304);
+    });
+  });
+});
@@ -379,6 +379,61 @@ describe('StateManager', () => {
     });
   });
 
+  describe('页面指纹', () => {
+    const fingerprint = {
+      etag: '"abc"',
+      lastModified: 'Mon, 01 Sep 2025 00:00:00 GMT',
+      contentHash: 'hash-1',
+      hashSource: 'markdown',
+      title: 'Overview',
+      outputPath: '/pdfs/markdown/000-overview_translated.md',
+    };
+
+    test('setPageFingerprint应该记录指纹和检查时间', () => {
+      stateManager.setPageFingerprint('http://example.com/a', fingerprint);
+
+      expect(stateManager.getPageFingerprint('http://example.com/a')).toEqual({
+        ...fingerprint,
+        checkedAt: expect.any(String),
+      });
+      expect(stateManager.getPageFingerprint('http://example.com/missing')).toBeNull();
+    });
+
+    test('save/load应该持久化页面指纹', async () => {
+      stateManager.setPageFingerprint('http://example.com/a', fingerprint);
+      await stateManager.save(true);
+
+      const progress = mockFileService.writeJson.mock.calls.find(
+        ([filePath]) => filePath === '/metadata/progress.json'
+      )[1];
+      expect(progress.pageFingerprints['http://example.com/a']).toMatchObject(fingerprint);
+
+      const restored = new StateManager(mockFileService, mockPathService, mockLogger);
+      mockFileService.readJson
+        .mockResolvedValueOnce(progress)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce({});
+      await restored.load();
+
+      expect(restored.getPageFingerprint('http://example.com/a')).toMatchObject(fingerprint);
+    });
+
+    test('forgetUrl应该移除URL的全部状态', () => {
+      const url = 'http://example.com/removed';
+      stateManager.setUrlIndex(url, 3);
+      stateManager.markProcessed(url, '/pdfs/003-removed.pdf');
+      stateManager.setPageFingerprint(url, fingerprint);
+
+      stateManager.forgetUrl(url);
+
+      expect(stateManager.isProcessed(url)).toBe(false);
+      expect(stateManager.getPageFingerprint(url)).toBeNull();
+      expect(stateManager.getOutputEntries()).toEqual([]);
+      expect(stateManager.state.urlToIndex.has(url)).toBe(false);
+      expect(stateManager.state.indexToUrl.has(3)).toBe(false);
+    });
+  });
+
   describe('图片加载失败管理', () => {
     test('markImageLoadFailure应该记录失败', () => {
       const failurePromise = new Promise((resolve) => {
@@ -0,0 +1,56 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/services/translationProviders.test.js
+import { createTranslationClient } from '../../src/services/translationProviders.js';
+import { GeminiClient } from '../../src/services/geminiClient.js';
+import { OpenAICompatibleClient, OllamaClient } from '../../src/services/httpTranslationClients.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+describe('createTranslationClient', () => {
+  test('默认使用 gemini-cli', () => {
+    const client = createTranslationClient({}, { timeoutMs: 1000 });
+
+    expect(client).toBeInstanceOf(GeminiClient);
+    expect(client.command).toBe('gemini');
+    expect(client.timeoutMs).toBe(1000);
+  });
+
+  test('应该传递 gemini-cli 的命令与参数', () => {
+    const client = createTranslationClient({
+      provider: 'gemini-cli',
+      geminiCli: { command: '/opt/bin/gemini', args: ['-m', 'gemini-2.5-flash'] },
+    });
+
+    expect(client.command).toBe('/opt/bin/gemini');
+    expect(client.args).toEqual(['-m', 'gemini-2.5-flash']);
+  });
+
+  test('openai-compatible 应该从环境变量读取 API Key', () => {
+    const client = createTranslationClient(
+      {
+        provider: 'openai-compatible',
+        openaiCompatible: {
+          baseUrl: 'https://api.example.com/v1',
+          model: 'gpt-4o-mini',
+          apiKeyEnv: 'DOCS_TRANSLATE_KEY',
+        },
+      },
+      { env: { DOCS_TRANSLATE_KEY: 'sk-env' } }
+    );
+
+    expect(client).toBeInstanceOf(OpenAICompatibleClient);
+    expect(client.apiKey).toBe('sk-env');
+    expect(client.baseUrl).toBe('https://api.example.com/v1');
+  });
+
+  test('ollama 应该使用默认地址', () => {
+    const client = createTranslationClient({ provider: 'ollama', ollama: { model: 'llama3.1' } });
+
+    expect(client).toBeInstanceOf(OllamaClient);
+    expect(client.baseUrl).toBe('http://localhost:11434');
+  });
+
+  test('未知 provider 应该抛出 ValidationError', () => {
+    expect(() => createTranslationClient({ provider: 'deepl' })).toThrow(ValidationError);
+  });
+});
@@ -317,4 +317,96 @@ describe('TranslationService', () => {
     // No segment-level retries should be triggered for empty-string translations
     expect(service._translateSingleSegment).not.toHaveBeenCalled();
   });
+
+  describe('术语表', () => {
+    const glossaryConfig = {
+      ...baseConfig,
+      translation: {
+        ...baseConfig.translation,
+        glossary: {
+          terms: { subagent: '子代理' },
+          protectedTerms: ['Claude Code', 'hooks'],
+        },
+      },
+    };
+
+    test('应该把相关术语注入提示词', async () => {
+      const client = { translateJson: vi.fn(async () => ({ a: 'Claude Code 会启动子代理' })) };
+      const service = createService({ config: glossaryConfig, logger, client });
+
+      await service._translateBatch([{ id: 'a', text: 'Claude Code starts a subagent' }]);
+
+      const { instructions } = client.translateJson.mock.calls[0][0];
+      expect(instructions).toContain('"subagent" -> "子代理"');
+      expect(instructions).toContain('"Claude Code"');
+      expect(instructions).not.toContain('"hooks"');
+      expect(service.getGlossaryIssues()).toEqual([]);
+    });
+
+    test('译文丢失受保护术语时应该记录问题', async () => {
+      const client = { translateJson: vi.fn(async () => ({ a: '钩子让你自定义代理' })) };
+      const service = createService({ config: glossaryConfig, logger, client });
+
+      const result = await service._translateBatch([
+        { id: 'a', text: 'Hooks let you customize the subagent' },
+      ]);
+
+      expect(result).toEqual({ a: '钩子让你自定义代理' });
+      expect(service.getGlossaryIssues()).toEqual([
+        expect.objectContaining({
+          segmentId: 'a',
+          missingProtected: ['hooks'],
+          missingTerms: ['subagent -> 子代理'],
+        }),
+      ]);
+    });
+
+    test('不符合术语表的译文不应该写入缓存', async () => {
+      const translateJson = vi.fn(async ({ inputMap }) =>
+        Object.fromEntries(
+          Object.entries(inputMap).map(([id, text]) => [
+            id,
+            text.startsWith('Hooks') ? '钩子让你自定义代理' : 'Claude Code 会启动子代理',
+          ])
+        )
+      );
+      const markdown = 'Hooks let you customize the subagent\n\nClaude Code starts a subagent\n';
+
+      const first = createService({ config: glossaryConfig, logger, client: { translateJson } });
+      await first.translateMarkdown(markdown);
+      await first._flushCacheWrites();
+      expect(first.getGlossaryIssues()).toHaveLength(1);
+
+      translateJson.mockClear();
+      const second = createService({ config: glossaryConfig, logger, client: { translateJson } });
+      await second.translateMarkdown(markdown);
+
+      const retranslated = translateJson.mock.calls.flatMap(([{ inputMap }]) =>
+        Object.values(inputMap)
+      );
+      expect(retranslated).toEqual(['Hooks let you customize the subagent']);
+      expect(second.getGlossaryIssues()).toHaveLength(1);
+    });
+
+    test('修改相关术语应该改变缓存键，无关段落保持不变', () => {
+      const service = createService({ config: glossaryConfig, logger });
+      const edited = createService({
+        config: {
+          ...glossaryConfig,
+          translation: {
+            ...glossaryConfig.translation,
+            glossary: { terms: { subagent: '子智能体' }, protectedTerms: ['Claude Code'] },
+          },
+        },
+        logger,
+      });
+      const plain = createService({ config: baseConfig, logger });
+
+      expect(edited._getCacheKey('Run a subagent')).not.toBe(
+        service._getCacheKey('Run a subagent')
+      );
+      expect(edited._getCacheKey('Install the CLI')).toBe(service._getCacheKey('Install the CLI'));
+      expect(service._getCacheKey('Install the CLI')).toBe(plain._getCacheKey('Install the CLI'));
+    });
+  });
 });
@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/bookFrontMatter.test.js
+import {
+  extractSiteInfo,
+  renderColophonHtml,
+  renderCoverHtml,
+  translationModel,
+} from '../../src/utils/bookFrontMatter.js';
+
+const info = {
+  title: 'Claude Code <Docs>',
+  subtitle: 'Offline edition',
+  site: { name: 'docs.example.com', url: 'https://docs.example.com/docs' },
+  language: 'en',
+  date: '2024-01-02',
+  pageCount: 42,
+  logo: null,
+  translation: null,
+  license: 'CC BY 4.0',
+  sourceUrls: ['https://docs.example.com/docs', 'https://docs.example.com/docs/a?x=1&y=2'],
+};
+
+describe('bookFrontMatter', () => {
+  test('extractSiteInfo 应该优先使用 og:image，并读取页面语言', () => {
+    const html = `<!DOCTYPE html><html lang="zh-CN"><head>
+      <link rel="icon" href="/favicon.svg">
+      <link rel="apple-touch-icon" href="touch.png">
+      <meta content="/og.png?a=1&amp;b=2" property="og:image">
+    </head></html>`;
+
+    expect(extractSiteInfo(html, 'https://docs.example.com/docs/start')).toEqual({
+      logoUrl: 'https://docs.example.com/og.png?a=1&b=2',
+      language: 'zh-CN',
+    });
+    expect(
+      extractSiteInfo(
+        '<link rel="shortcut icon" href=\'icons/site.ico\'>',
+        'https://docs.example.com/docs/'
+      )
+    ).toEqual({ logoUrl: 'https://docs.example.com/docs/icons/site.ico', language: null });
+    expect(extractSiteInfo('', 'https://docs.example.com/docs').logoUrl).toBe(
+      'https://docs.example.com/favicon.ico'
+    );
+  });
+
+  test('translationModel 应该包含提供方与模型名', () => {
+    expect(translationModel({ enabled: false, provider: 'ollama' })).toBeNull();
+    expect(translationModel({ enabled: true, provider: 'gemini-cli' })).toBe('gemini-cli');
+    expect(
+      translationModel({
+        enabled: true,
+        provider: 'openai-compatible',
+        openaiCompatible: { model: 'gpt-4o-mini' },
+      })
+    ).toBe('gpt-4o-mini (openai-compatible)');
+  });
+
+  test('封面应该转义文本并只显示有值的字段', () => {
+    const html = renderCoverHtml({ ...info, language: null });
+
+    expect(html).toContain('<h1>Claude Code &lt;Docs&gt;</h1>');
+    expect(html).toContain('<p class="subtitle">Offline edition</p>');
+    expect(html).toContain('<dt>Pages</dt><dd>42</dd>');
+    expect(html).toContain('docs.example.com — https://docs.example.com/docs');
+    expect(html).not.toContain('<dt>Language</dt>');
+    expect(html).not.toContain('<img');
+    expect(renderCoverHtml({ ...info, logo: 'data:image/png;base64,AAA' })).toContain(
+      '<img class="logo" src="data:image/png;base64,AAA"'
+    );
+  });
+
+  test('版权页应该列出来源 URL、许可声明与翻译模型', () => {
+    const html = renderColophonHtml({ ...info, translation: 'qwen2.5 (ollama)' });
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<dt>Translation</dt><dd>qwen2.5 (ollama)</dd>');
+    expect(html).toContain('<p class="license">CC BY 4.0</p>');
+    expect(html).toContain('<h3>Sources (2)</h3>');
+    expect(html).toContain('<li>https://docs.example.com/docs/a?x=1&amp;y=2</li>');
+    expect(renderColophonHtml({ ...info, sourceUrls: [] })).not.toContain('Sources');
+  });
+});
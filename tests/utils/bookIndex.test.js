@@ -0,0 +1,135 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/bookIndex.test.js
+import {
+  buildIndexGroups,
+  codeIdentifier,
+  indexMarkdown,
+  latexIndexEntry,
+  renderIndexHtml,
+  renderIndexMarkdown,
+  resolveIndexOptions,
+} from '../../src/utils/bookIndex.js';
+
+describe('bookIndex', () => {
+  test('resolveIndexOptions 未启用时返回 null，并过滤空术语', () => {
+    expect(resolveIndexOptions(undefined)).toBeNull();
+    expect(resolveIndexOptions({ enabled: false })).toBeNull();
+    expect(resolveIndexOptions({ enabled: true, code: false, terms: ['MCP', ' '] })).toEqual({
+      headings: true,
+      code: false,
+      terms: ['MCP'],
+    });
+  });
+
+  test('codeIdentifier 只接受 CLI 参数、命令、配置键与环境变量等标识符', () => {
+    expect(codeIdentifier('--model sonnet')).toBe('--model');
+    expect(codeIdentifier('--output-format=json')).toBe('--output-format');
+    expect(codeIdentifier('-p')).toBe('-p');
+    expect(codeIdentifier('/compact')).toBe('/compact');
+    expect(codeIdentifier('ANTHROPIC_API_KEY')).toBe('ANTHROPIC_API_KEY');
+    expect(codeIdentifier('permissions.allow')).toBe('permissions.allow');
+    expect(codeIdentifier('settings.json')).toBe('settings.json');
+    expect(codeIdentifier('max_tokens')).toBe('max_tokens');
+    expect(codeIdentifier('allowedTools')).toBe('allowedTools');
+
+    expect(codeIdentifier('claude')).toBeNull();
+    expect(codeIdentifier('npm install -g foo')).toBeNull();
+    expect(codeIdentifier('1.2.3')).toBeNull();
+    expect(codeIdentifier(`--${'x'.repeat(50)}`)).toBeNull();
+  });
+
+  test('indexMarkdown 在页面开头与标题后插入 \\index 条目，跳过代码块', () => {
+    const markdown = [
+      'Use `--model` to pick a model. Configure MCP servers.',
+      '',
+      '## Permission modes {#page-3--permission-modes}',
+      '',
+      'Set `permissions.defaultMode` or press `Tab`.',
+      '',
+      '```bash',
+      '# not a heading',
+      'claude --verbose',
+      '```',
+    ].join('\n');
+
+    const { content, terms } = indexMarkdown(markdown, {
+      title: 'CLI reference',
+      anchor: 'page-3',
+      terms: ['mcp', 'hooks'],
+    });
+
+    expect(terms).toEqual([
+      { term: 'CLI reference', code: false, anchor: 'page-3' },
+      { term: '--model', code: true, anchor: 'page-3' },
+      { term: 'mcp', code: false, anchor: 'page-3' },
+      { term: 'Permission modes', code: false, anchor: 'page-3--permission-modes' },
+      { term: 'permissions.defaultMode', code: true, anchor: 'page-3--permission-modes' },
+    ]);
+    expect(
+      content.startsWith(
+        '```{=latex}\n\\index{cli reference@CLI reference}\\index{model@\\texttt{--model}}' +
+          '\\index{mcp@mcp}\n```\n\nUse `--model`'
+      )
+    ).toBe(true);
+    expect(content).toContain(
+      '## Permission modes {#page-3--permission-modes}\n\n```{=latex}\n' +
+        '\\index{permission modes@Permission modes}' +
+        '\\index{permissions.defaultmode@\\texttt{permissions.defaultMode}}\n```\n\n'
+    );
+    expect(content).toContain('```bash\n# not a heading\nclaude --verbose\n```');
+  });
+
+  test('LaTeX 条目应该转义 LaTeX 与 makeindex 的特殊字符', () => {
+    expect(latexIndexEntry({ term: 'ANTHROPIC_API_KEY', code: true })).toBe(
+      '\\index{anthropic_api_key@\\texttt{ANTHROPIC\\_API\\_KEY}}'
+    );
+    expect(latexIndexEntry({ term: 'Q&A @ work!', code: false })).toBe(
+      '\\index{qa  work@Q\\&A "@ work"!}'
+    );
+  });
+
+  test('buildIndexGroups 合并同一词条的页面并按首字母分组', () => {
+    const groups = buildIndexGroups([
+      { term: 'MCP', code: false, title: 'MCP', href: 'page-2.html' },
+      { term: '--model', code: true, title: 'CLI', href: 'page-1.html#page-1--flags' },
+      { term: 'mcp', code: false, title: 'Settings', href: 'page-4.html' },
+      { term: 'MCP', code: false, title: 'MCP', href: 'page-2.html' },
+      { term: '/compact', code: true, title: 'Commands', href: null },
+      { term: '2FA', code: false, title: 'Security', href: 'page-5.html' },
+    ]);
+
+    expect(groups.map((group) => group.letter)).toEqual(['#', 'C', 'M']);
+    expect(groups[2].terms).toEqual([
+      {
+        term: 'MCP',
+        code: false,
+        pages: [
+          { title: 'MCP', href: 'page-2.html' },
+          { title: 'Settings', href: 'page-4.html' },
+        ],
+      },
+      { term: '--model', code: true, pages: [{ title: 'CLI', href: 'page-1.html#page-1--flags' }] },
+    ]);
+  });
+
+  test('HTML 与 Markdown 索引页应该链接到出现词条的页面', () => {
+    const groups = buildIndexGroups([
+      { term: '--model', code: true, title: 'CLI <reference>', href: 'page-1.html#flags' },
+      { term: 'hooks', code: false, title: 'Hooks', href: null },
+    ]);
+
+    const html = renderIndexHtml(groups);
+    expect(html).toContain('<a href="#index-0">H</a>');
+    expect(html).toContain(
+      '<li><code>--model</code> — <a href="page-1.html#flags">CLI &lt;reference&gt;</a></li>'
+    );
+
+    const markdown = renderIndexMarkdown(groups);
+    expect(markdown.startsWith('# Index {#book-index .unnumbered}\n\n## H {.unnumbered}')).toBe(
+      true
+    );
+    expect(markdown).toContain('- hooks — Hooks');
+    expect(markdown).toContain('- `--model` — [CLI \\<reference\\>](page-1.html#flags)');
+  });
+});
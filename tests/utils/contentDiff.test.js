@@ -0,0 +1,68 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/contentDiff.test.js
+import { diffLines, buildHunks, unifiedDiff } from '../../src/utils/contentDiff.js';
+
+describe('contentDiff', () => {
+  test('diffLines 应该得到能还原两侧文本的最短编辑脚本', () => {
+    const ops = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']);
+
+    expect(ops).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: ' ', line: 'c' },
+      { type: ' ', line: 'd' },
+      { type: '+', line: 'e' },
+    ]);
+  });
+
+  test('编辑距离超过 maxEdits 时应该按整段替换处理', () => {
+    expect(diffLines(['a', 'b'], ['c', 'd'], { maxEdits: 1 })).toEqual([
+      { type: '-', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'c' },
+      { type: '+', line: 'd' },
+    ]);
+  });
+
+  test('buildHunks 应该按上下文合并相邻的改动', () => {
+    const oldLines = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`);
+    const newLines = [...oldLines];
+    newLines[1] = 'changed 2';
+    newLines[3] = 'changed 4';
+    newLines.push('line 13');
+
+    const hunks = buildHunks(diffLines(oldLines, newLines), 2);
+
+    expect(
+      hunks.map(({ oldStart, oldLines: o, newStart, newLines: n }) => [o, oldStart, n, newStart])
+    ).toEqual([
+      [6, 1, 6, 1],
+      [2, 11, 3, 11],
+    ]);
+  });
+
+  test('unifiedDiff 应该输出带文件头的 diff，并统计增删行数', () => {
+    const result = unifiedDiff('# Title\n\nOld text\n', '# Title\n\nNew text\nMore\n', {
+      oldName: 'a/000-intro.md',
+      newName: 'b/000-intro.md',
+    });
+
+    expect(result).toEqual({
+      additions: 2,
+      deletions: 1,
+      diff: [
+        '--- a/000-intro.md',
+        '+++ b/000-intro.md',
+        '@@ -1,3 +1,4 @@',
+        ' # Title',
+        ' ',
+        '-Old text',
+        '+New text',
+        '+More',
+      ].join('\n'),
+    });
+    expect(unifiedDiff('same\r\n', 'same\n').diff).toBe('');
+    expect(unifiedDiff('', 'new').diff).toContain('@@ -0,0 +1,1 @@');
+  });
+});
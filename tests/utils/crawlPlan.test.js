@@ -0,0 +1,107 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/crawlPlan.test.js
+import { buildCrawlPlan, formatCrawlPlanTree } from '../../src/utils/crawlPlan.js';
+
+describe('crawlPlan', () => {
+  const config = { rootURL: 'https://docs.example.com/overview' };
+  const report = {
+    rawUrlCount: 6,
+    sections: [
+      {
+        index: 0,
+        title: 'Getting started',
+        entryUrl: 'https://docs.example.com/overview',
+        pages: [
+          { index: '0', url: 'https://docs.example.com/overview', order: 0 },
+          { index: '1', url: 'https://docs.example.com/install', order: 1 },
+        ],
+      },
+      {
+        index: 1,
+        title: 'Guides',
+        entryUrl: 'https://docs.example.com/guides',
+        pages: [{ index: '2', url: 'https://docs.example.com/guides', order: 0 }],
+      },
+      { index: 2, title: 'Legacy', entryUrl: 'https://docs.example.com/legacy', pages: [] },
+    ],
+    dropped: [
+      {
+        url: 'https://docs.example.com/install',
+        reason: 'duplicate',
+        section: 'Guides',
+        duplicateOf: 'https://docs.example.com/install',
+      },
+      { url: 'https://github.com/example', reason: 'out-of-domain', section: 'Guides' },
+      { url: 'https://docs.example.com/admin', reason: 'ignored', section: 'Guides' },
+    ],
+    sectionConflicts: [
+      {
+        url: 'https://docs.example.com/install',
+        existingSection: 'Getting started',
+        conflictSection: 'Guides',
+      },
+    ],
+  };
+  const urlQueue = [
+    'https://docs.example.com/overview',
+    'https://docs.example.com/install',
+    'https://docs.example.com/guides',
+  ];
+
+  describe('buildCrawlPlan', () => {
+    test('应该汇总页面、section 与丢弃原因', () => {
+      const plan = buildCrawlPlan({ config, urlQueue, report });
+
+      expect(plan.discovery).toBe('navigation');
+      expect(plan.summary).toEqual({
+        rawUrls: 6,
+        pages: 3,
+        sections: 3,
+        emptySections: 1,
+        dropped: 3,
+        droppedByReason: { duplicate: 1, 'out-of-domain': 1, ignored: 1 },
+        sectionConflicts: 1,
+      });
+      expect(plan.sections[0].pages).toEqual([
+        { index: '0', url: 'https://docs.example.com/overview' },
+        { index: '1', url: 'https://docs.example.com/install' },
+      ]);
+      expect(plan.unsectioned).toEqual([]);
+    });
+
+    test('应该列出不属于任何 section 的页面，并识别 targetUrls 模式', () => {
+      const plan = buildCrawlPlan({
+        config: { ...config, targetUrls: ['https://docs.example.com/extra'] },
+        urlQueue: [...urlQueue, 'https://docs.example.com/extra'],
+        report,
+      });
+
+      expect(plan.discovery).toBe('targetUrls');
+      expect(plan.unsectioned).toEqual([{ index: '3', url: 'https://docs.example.com/extra' }]);
+    });
+  });
+
+  describe('formatCrawlPlanTree', () => {
+    test('应该输出树形结构、丢弃列表与冲突', () => {
+      const text = formatCrawlPlanTree(buildCrawlPlan({ config, urlQueue, report }));
+
+      expect(text).toContain(
+        [
+          '├─ Getting started (2) - https://docs.example.com/overview',
+          '│  ├─ [0] https://docs.example.com/overview',
+          '│  └─ [1] https://docs.example.com/install',
+          '├─ Guides (1) - https://docs.example.com/guides',
+          '│  └─ [2] https://docs.example.com/guides',
+          '└─ Legacy (0) - https://docs.example.com/legacy',
+          '   └─ (empty)',
+        ].join('\n')
+      );
+      expect(text).toContain('3 pages in 3 sections, 3 dropped, 1 section conflicts');
+      expect(text).toContain('  out-of-domain  https://github.com/example');
+      expect(text).toContain(
+        'https://docs.example.com/install: kept in "Getting started", also linked from "Guides"'
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/headerFooter.test.js
+import {
+  buildDate,
+  escapeLatex,
+  headerFooterTarget,
+  renderFancyhdr,
+  renderHeaderFooterHtml,
+  resolveHeaderFooter,
+} from '../../src/utils/headerFooter.js';
+
+describe('headerFooter', () => {
+  test('resolveHeaderFooter 应该补全空位置，关闭时返回 null', () => {
+    expect(resolveHeaderFooter({ header: { right: '{section}' } })).toEqual({
+      header: { left: '', center: '', right: '{section}' },
+      footer: { left: '', center: '', right: '' },
+      fontSize: '8px',
+    });
+    expect(resolveHeaderFooter({ enabled: false, header: { right: '{section}' } })).toBeNull();
+    expect(resolveHeaderFooter(undefined)).toBeNull();
+  });
+
+  test('逐页打印的 PDF 只有显式启用时才打印页眉页脚', () => {
+    expect(
+      resolveHeaderFooter({ footer: { right: '{pageNumber}' } }, { perPage: true })
+    ).toBeNull();
+    expect(
+      resolveHeaderFooter({ enabled: true, footer: { right: '{pageNumber}' } }, { perPage: true })
+    ).toMatchObject({ footer: { left: '', center: '', right: '{pageNumber}' } });
+  });
+
+  test('{target} 使用 doc target 名称，没有时使用主机名', () => {
+    expect(headerFooterTarget({ docTarget: 'doc-targets/claude-code.json' })).toBe('claude-code');
+    expect(headerFooterTarget({ rootURL: 'https://docs.example.com/docs' })).toBe(
+      'docs.example.com'
+    );
+    expect(headerFooterTarget({})).toBe('');
+    expect(buildDate(new Date('2024-01-02T12:00:00Z'))).toBe('2024-01-02');
+  });
+
+  test('Chrome 模板应该转义文本并用 Chrome 的元素显示页码', () => {
+    const html = renderHeaderFooterHtml(
+      { left: '{title} <{url}>', center: '', right: 'Page {pageNumber} of {totalPages}' },
+      { title: 'A & B', url: 'https://docs.example.com/a?x=1&y=2' },
+      { fontSize: '9px', margin: { left: '2cm', right: '1.5cm' } }
+    );
+
+    expect(html).toContain('A &amp; B &lt;https://docs.example.com/a?x=1&amp;y=2&gt;');
+    expect(html).toContain(
+      'Page <span class="pageNumber"></span> of <span class="totalPages"></span>'
+    );
+    expect(html).toContain('font-size: 9px');
+    expect(html).toContain('padding: 0 1.5cm 0 2cm');
+    // 空模板也输出容器，避免 Chrome 显示默认页眉
+    expect(renderHeaderFooterHtml({}, {})).toMatch(/^<div style="display: flex;/);
+  });
+
+  test('fancyhdr 页眉页脚应该映射占位符并转义 LaTeX 特殊字符', () => {
+    const latex = renderFancyhdr(
+      {
+        header: { left: '', center: '', right: '' },
+        footer: { left: '{target} {date}', center: '{title}', right: '{pageNumber}/{totalPages}' },
+      },
+      { target: 'api_docs & more', date: '2024-01-02' }
+    );
+
+    expect(latex).toContain('\\fancyfoot[L]{\\footnotesize api\\_docs \\& more 2024-01-02}');
+    expect(latex).toContain('\\fancyfoot[C]{\\footnotesize \\rightmark{}}');
+    expect(latex).toContain('\\fancyfoot[R]{\\footnotesize \\thepage{}/\\pageref*{LastPage}}');
+    expect(latex).not.toContain('\\fancyhead[');
+    expect(latex).toContain('\\renewcommand{\\headrulewidth}{0pt}');
+    expect(escapeLatex('50% ~ $x^2$ \\n')).toBe(
+      '50\\% \\textasciitilde{} \\$x\\textasciicircum{}2\\$ \\textbackslash{}n'
+    );
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/htmlBook.test.js
+import {
+  escapeHtml,
+  splitTranslationSegments,
+  markBilingualBlocks,
+  splitBookHtml,
+  htmlToText,
+  tokenize,
+  buildSearchIndex,
+  renderSearchIndexScript,
+  findLocalAssets,
+  rewriteBookLinks,
+  renderToc,
+  renderBookPage,
+} from '../../src/utils/htmlBook.js';
+
+describe('htmlBook', () => {
+  test('splitTranslationSegments 应该与翻译时的分段一致', () => {
+    const markdown = [
+      '---',
+      'title: Setup',
+      '---',
+      '## Setup',
+      'Install the tool.',
+      'It is fast.',
+      '',
+      '- one',
+      '- two',
+      '',
+      '```js',
+      'run()',
+      '```',
+      '![Flow](images/flow.png)',
+    ].join('\n');
+
+    expect(splitTranslationSegments(markdown)).toEqual([
+      '## Setup\nInstall the tool.\nIt is fast.',
+      '- one',
+      '- two',
+    ]);
+  });
+
+  test('markBilingualBlocks 应该把原文与译文包进并排的 fenced div', () => {
+    const original = '## Setup\n\nInstall the tool.\n\n```sh\nnpm i\n```\n\nDone.';
+    const translated =
+      '## Setup\n\n## 安装\n\nInstall the tool.\n\n安装工具。\n\n```sh\nnpm i\n```\n\nDone.\n\nDone.';
+
+    const { content, pairs } = markBilingualBlocks(translated, original);
+
+    expect(pairs).toBe(2);
+    expect(content).toContain(
+      ':::: {.bilingual}\n::: {.original}\nInstall the tool.\n:::\n\n::: {.translation}\n安装工具。\n:::\n::::'
+    );
+    expect(content).toContain('```sh\nnpm i\n```');
+    // 翻译失败（译文与原文相同）只保留一份
+    expect(content.endsWith('\n\nDone.')).toBe(true);
+  });
+
+  test('markBilingualBlocks 不应该改动单语译文', () => {
+    const original = 'First paragraph.\n\nSecond paragraph.\n\n`npm test`';
+    const translated = '第一段。\n\n第二段。\n\n`npm test`';
+
+    expect(markBilingualBlocks(translated, original)).toEqual({ content: translated, pairs: 0 });
+  });
+
+  test('splitBookHtml 应该分离高亮样式并按页面标记切分', () => {
+    const html =
+      '<style>\ncode span.kw { color: red; }\n</style>\n' +
+      '<!-- book-page:0 -->\n<h2 id="page-0">Intro</h2>\n<!-- book-page:1 -->\n<p>Setup</p>\n';
+
+    expect(splitBookHtml(html, 2)).toEqual({
+      css: 'code span.kw { color: red; }',
+      pages: ['<h2 id="page-0">Intro</h2>', '<p>Setup</p>'],
+    });
+  });
+
+  test('htmlToText 应该去掉标签、TeX 注释并解码实体', () => {
+    expect(
+      htmlToText(
+        '<p>A &amp; B <math><annotation encoding="application/x-tex">x^2</annotation></math>&#x4e2d;</p>'
+      )
+    ).toBe('A & B 中');
+  });
+
+  test('tokenize 应该按单词与中日韩二元组分词', () => {
+    expect(tokenize('Hello, World! a 3 安装配置')).toEqual([
+      'hello',
+      'world',
+      '3',
+      '安装',
+      '装配',
+      '配置',
+    ]);
+    expect(tokenize('设')).toEqual(['设']);
+  });
+
+  test('buildSearchIndex 应该建立带标题权重的倒排索引', () => {
+    const index = buildSearchIndex([
+      { title: 'Hooks', section: 'Guides', href: 'page-1.html', text: 'Hooks run commands.' },
+      { title: 'Settings', section: null, href: 'page-2.html', text: 'Configure hooks here.' },
+    ]);
+
+    expect(index.docs[0]).toEqual({
+      t: 'Hooks',
+      s: 'Guides',
+      h: 'page-1.html',
+      x: 'Hooks run commands.',
+    });
+    expect(index.terms.hooks).toEqual([
+      [0, 11],
+      [1, 1],
+    ]);
+  });
+
+  test('renderSearchIndexScript 应该把 __proto__ 等词作为普通属性', () => {
+    const index = buildSearchIndex([
+      { title: 'Objects', href: 'a.html', text: 'constructor __proto__' },
+    ]);
+    const script = renderSearchIndexScript(index);
+    const window = {};
+    new Function('window', script)(window);
+
+    expect(Object.keys(window.BOOK_SEARCH_INDEX.terms)).toContain('__proto__');
+    expect(window.BOOK_SEARCH_INDEX.terms.constructor).toEqual([[0, 1]]);
+  });
+
+  test('findLocalAssets 应该只返回相对路径的图片', () => {
+    const html =
+      '<img src="images/a.png" /><img src="https://cdn.example.com/b.png" />' +
+      '<img src="data:image/png;base64,AA" /><img src="/abs.png" /><img src="images/a.png?v=2" />';
+
+    expect(findLocalAssets(html)).toEqual(['images/a.png']);
+  });
+
+  test('rewriteBookLinks 应该让跨页面锚点指向所在文件', () => {
+    const fileForId = new Map([
+      ['page-1--hooks', 'page-1.html'],
+      ['page-0', 'page-0.html'],
+    ]);
+    const html = '<a href="#page-1--hooks">Hooks</a> <a href="#page-0">Top</a> <a href="#x">X</a>';
+
+    expect(rewriteBookLinks(html, fileForId, 'page-0.html')).toBe(
+      '<a href="page-1.html#page-1--hooks">Hooks</a> <a href="#page-0">Top</a> <a href="#x">X</a>'
+    );
+  });
+
+  test('renderToc 与 renderBookPage 应该转义标题并标记当前页面', () => {
+    const toc = renderToc(
+      [
+        { title: 'Guides & tips', pages: [{ title: 'Hooks', href: 'page-1.html' }] },
+        { title: null, pages: [{ title: '<Extra>', href: 'page-extra-1.html' }] },
+      ],
+      'page-1.html'
+    );
+
+    expect(toc).toContain('<span>Guides &amp; tips</span>');
+    expect(toc).toContain('<a href="page-1.html" aria-current="page">Hooks</a>');
+    expect(toc).toContain('<li><a href="page-extra-1.html">&lt;Extra&gt;</a></li>');
+
+    const page = renderBookPage({
+      title: 'Hooks',
+      bookTitle: 'Docs',
+      language: 'zh-CN',
+      toc,
+      content: '<h2>Hooks</h2>',
+      stylesheets: ['assets/book.css'],
+      scripts: ['assets/book.js'],
+    });
+    expect(page).toContain('<html lang="zh-CN">');
+    expect(page).toContain('<title>Hooks - Docs</title>');
+    expect(page).toContain('<script src="assets/book.js"></script>');
+    expect(escapeHtml(`"it's"`)).toBe('&quot;it&#39;s&quot;');
+  });
+});
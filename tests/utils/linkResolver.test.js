@@ -0,0 +1,145 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/linkResolver.test.js
+import {
+  slugifyHeading,
+  buildLinkTargets,
+  addHeadingAnchors,
+  rewriteLinks,
+  namespaceAnchors,
+  shiftHeadings,
+} from '../../src/utils/linkResolver.js';
+
+describe('linkResolver', () => {
+  test('slugifyHeading 应该生成与文档站一致的 slug', () => {
+    expect(slugifyHeading('Permission modes')).toBe('permission-modes');
+    expect(slugifyHeading('Use `--print` mode!')).toBe('use---print-mode');
+    expect(slugifyHeading('配置 Hooks')).toBe('配置-hooks');
+  });
+
+  test('buildLinkTargets 应该合并 sectionStructure、urlToIndex 与 urlMapping', () => {
+    const targets = buildLinkTargets({
+      sectionStructure: {
+        sections: [{ pages: [{ index: '0', url: 'https://docs.example.com/en/overview' }] }],
+      },
+      urlToIndex: { 'https://docs.example.com/en/settings/': 3 },
+      processedUrls: ['https://docs.example.com/en/settings'],
+      urlMapping: {
+        'https://docs.example.com/en/hooks': { path: 'pdfs/docs.example.com/007-hooks.pdf' },
+      },
+    });
+
+    expect(targets.get('https://docs.example.com/en/overview')).toBe('0');
+    expect(targets.get('https://docs.example.com/en/settings')).toBe('3');
+    expect(targets.get('https://docs.example.com/en/hooks')).toBe('7');
+  });
+
+  test('buildLinkTargets 应该忽略未在本次处理或索引已被其他页面使用的 urlToIndex 条目', () => {
+    const targets = buildLinkTargets({
+      sectionStructure: {
+        sections: [{ pages: [{ index: '0', url: 'https://docs.example.com/en/overview' }] }],
+      },
+      urlMapping: {
+        'https://docs.example.com/en/hooks': { path: 'pdfs/docs.example.com/001-hooks.pdf' },
+      },
+      urlToIndex: {
+        'https://docs.example.com/en/old-overview': 0,
+        'https://docs.example.com/en/removed': 2,
+        'https://docs.example.com/en/settings': 3,
+      },
+      processedUrls: [
+        'https://docs.example.com/en/old-overview',
+        'https://docs.example.com/en/settings',
+      ],
+    });
+
+    expect(targets.has('https://docs.example.com/en/old-overview')).toBe(false);
+    expect(targets.has('https://docs.example.com/en/removed')).toBe(false);
+    expect(targets.get('https://docs.example.com/en/hooks')).toBe('1');
+    expect(targets.get('https://docs.example.com/en/settings')).toBe('3');
+  });
+
+  test('addHeadingAnchors 应该添加带页面前缀的 id 并跳过代码块', () => {
+    const markdown = [
+      '## Setup',
+      '',
+      '```bash',
+      '# not a heading',
+      '```',
+      '',
+      '## Setup',
+      '### Custom {#custom-id .unnumbered}',
+    ].join('\n');
+
+    const { content, slugs } = addHeadingAnchors(markdown, '3');
+
+    expect(content).toContain('## Setup {#page-3--setup}');
+    expect(content).toContain('## Setup {#page-3--setup-1}');
+    expect(content).toContain('### Custom {#page-3--custom-id}');
+    expect(content).toContain('# not a heading');
+    expect([...slugs]).toEqual(['setup', 'setup-1', 'custom-id']);
+  });
+
+  test('rewriteLinks 应该把站内链接改写为锚点，站外链接保持不变', () => {
+    const targets = new Map([
+      ['https://docs.example.com/en/settings', '3'],
+      ['https://docs.example.com/en/overview', '0'],
+    ]);
+    const headingSlugs = new Map([
+      ['3', new Set(['hooks'])],
+      ['0', new Set(['intro'])],
+    ]);
+    const markdown = [
+      'See [hooks](https://docs.example.com/en/settings#hooks "Hooks") and [missing](/en/settings#nope).',
+      'Back to [intro](#intro), read [GitHub](https://github.com/org/repo) or <https://docs.example.com/en/settings>.',
+      '![diagram](https://docs.example.com/en/settings)',
+      'Code: `[x](https://docs.example.com/en/settings)`',
+      '```',
+      '[y](https://docs.example.com/en/settings)',
+      '```',
+    ].join('\n');
+
+    const result = rewriteLinks(markdown, {
+      pageUrl: 'https://docs.example.com/en/overview',
+      pageIndex: '0',
+      targets,
+      headingSlugs,
+    });
+
+    expect(result.content).toContain('[hooks](#page-3--hooks "Hooks")');
+    expect(result.content).toContain('[missing](#page-3)');
+    expect(result.content).toContain('[intro](#page-0--intro)');
+    expect(result.content).toContain('[GitHub](https://github.com/org/repo)');
+    expect(result.content).toContain('[https://docs.example.com/en/settings](#page-3)');
+    expect(result.content).toContain('![diagram](https://docs.example.com/en/settings)');
+    expect(result.content).toContain('`[x](https://docs.example.com/en/settings)`');
+    expect(result.content).toContain('[y](https://docs.example.com/en/settings)');
+    expect(result.internal).toBe(4);
+    expect(result.external).toBe(1);
+  });
+
+  test('开启 footnotes 时站外链接应该追加 URL 脚注', () => {
+    const { content } = rewriteLinks(
+      'Read [the spec](https://spec.example.org/a) or [https://x.dev](https://x.dev).',
+      { pageUrl: 'https://docs.example.com/en/a', targets: new Map(), footnotes: true }
+    );
+
+    expect(content).toBe(
+      'Read [the spec](https://spec.example.org/a)^[<https://spec.example.org/a>] or [https://x.dev](https://x.dev).'
+    );
+  });
+
+  test('namespaceAnchors 应该给页面锚点加上前缀，且不修改代码', () => {
+    const markdown = '## Hooks {#page-1--hooks}\n\nSee [intro](#page-0).\n\n```\n[x](#page-0)\n```';
+
+    expect(namespaceAnchors(markdown, 'claude-code')).toBe(
+      '## Hooks {#claude-code--page-1--hooks}\n\nSee [intro](#claude-code--page-0).\n\n```\n[x](#page-0)\n```'
+    );
+  });
+
+  test('shiftHeadings 应该把标题下移一级，最多到 H6，且跳过代码块', () => {
+    const markdown = '# A\n\n###### F\n\n```bash\n# comment\n```\n\n#hashtag';
+
+    expect(shiftHeadings(markdown)).toBe('## A\n\n###### F\n\n```bash\n# comment\n```\n\n#hashtag');
+  });
+});
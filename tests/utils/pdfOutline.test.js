@@ -0,0 +1,152 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/pdfOutline.test.js
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+import {
+  attachPageDestinations,
+  detachPageDestinations,
+  getOutline,
+  rewriteUriLinks,
+  setOutline,
+} from '../../src/utils/pdfOutline.js';
+
+const addLink = (doc, page, action) => {
+  const annotation = doc.context.register(
+    doc.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 50, 20], ...action })
+  );
+  page.node.set(PDFName.of('Annots'), doc.context.obj([annotation]));
+  return annotation;
+};
+
+describe('pdfOutline', () => {
+  test('setOutline 与 getOutline 应该往返保留层级、标题与页码', async () => {
+    const doc = await PDFDocument.create();
+    [0, 1, 2].forEach(() => doc.addPage([200, 200]));
+
+    setOutline(doc, [
+      { level: 1, title: 'Getting started', pageIndex: 0 },
+      { level: 2, title: '安装', pageIndex: 1 },
+      // 跳级的条目挂到上一级下面
+      { level: 4, title: 'Deep', pageIndex: 2 },
+      { level: 1, title: 'Reference', pageIndex: 2 },
+    ]);
+
+    const reloaded = await PDFDocument.load(await doc.save());
+    expect(getOutline(reloaded)).toEqual([
+      { level: 1, title: 'Getting started', pageIndex: 0 },
+      { level: 2, title: '安装', pageIndex: 1 },
+      { level: 3, title: 'Deep', pageIndex: 2 },
+      { level: 1, title: 'Reference', pageIndex: 2 },
+    ]);
+  });
+
+  test('getOutline 应该解析命名目标（Chrome 生成的书签）', async () => {
+    const doc = await PDFDocument.create();
+    const pages = [0, 1].map(() => doc.addPage([200, 200]));
+    setOutline(doc, [
+      { level: 1, title: 'Intro', pageIndex: 0 },
+      { level: 1, title: 'Setup', pageIndex: 0 },
+    ]);
+
+    // 一个目标在 /Names 名称树中，一个在 /Dests 字典中
+    const first = doc.catalog.lookup(PDFName.of('Outlines')).lookup(PDFName.of('First'));
+    first.set(PDFName.of('Dest'), PDFString.of('intro'));
+    first.lookup(PDFName.of('Next')).set(PDFName.of('Dest'), PDFName.of('setup'));
+    doc.catalog.set(
+      PDFName.of('Names'),
+      doc.context.obj({
+        Dests: {
+          Kids: [{ Names: [PDFString.of('intro'), [pages[1].ref, 'XYZ', 0, 200, null]] }],
+        },
+      })
+    );
+    doc.catalog.set(PDFName.of('Dests'), doc.context.obj({ setup: { D: [pages[1].ref, 'Fit'] } }));
+
+    expect(getOutline(await PDFDocument.load(await doc.save()))).toEqual([
+      { level: 1, title: 'Intro', pageIndex: 1 },
+      { level: 1, title: 'Setup', pageIndex: 1 },
+    ]);
+  });
+
+  test('复制页面时页面间链接应该指向新文档中的页面，且不复制多余页面', async () => {
+    const source = await PDFDocument.create();
+    const [first, second] = [source.addPage([200, 200]), source.addPage([200, 200])];
+    addLink(source, first, { Dest: [second.ref, 'XYZ', 0, 200, null], P: first.ref });
+
+    const merged = await PDFDocument.create();
+    merged.addPage([200, 200]);
+    detachPageDestinations(source);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+    attachPageDestinations(pages);
+
+    const reloaded = await PDFDocument.load(await merged.save());
+    const [, copiedFirst, copiedSecond] = reloaded.getPages();
+    const annotation = copiedFirst.node.Annots().lookup(0);
+
+    expect(annotation.lookup(PDFName.of('Dest')).get(0)).toBe(copiedSecond.ref);
+    expect(
+      reloaded.context
+        .enumerateIndirectObjects()
+        .filter(([, obj]) => obj.get?.(PDFName.of('Type')) === PDFName.of('Page'))
+    ).toHaveLength(3);
+  });
+
+  test('复制页面时命名目标链接应该改写为指向新文档页面的显式目标', async () => {
+    const source = await PDFDocument.create();
+    const [first, second] = [source.addPage([200, 200]), source.addPage([200, 200])];
+    const link = (action) =>
+      source.context.register(
+        source.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 50, 20], ...action })
+      );
+    // Chrome：GoTo 动作指向 /Names 名称树中的目标；另一个链接使用 /Dests 字典
+    first.node.set(
+      PDFName.of('Annots'),
+      source.context.obj([
+        link({ A: { S: 'GoTo', D: PDFString.of('flags') } }),
+        link({ Dest: PDFName.of('intro') }),
+      ])
+    );
+    source.catalog.set(
+      PDFName.of('Names'),
+      source.context.obj({
+        Dests: { Names: [PDFString.of('flags'), [second.ref, 'XYZ', 0, 120, null]] },
+      })
+    );
+    source.catalog.set(PDFName.of('Dests'), source.context.obj({ intro: [first.ref, 'Fit'] }));
+
+    const merged = await PDFDocument.create();
+    merged.addPage([200, 200]);
+    detachPageDestinations(source);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+    attachPageDestinations(pages);
+
+    const reloaded = await PDFDocument.load(await merged.save());
+    const [, copiedFirst, copiedSecond] = reloaded.getPages();
+    const [flags, intro] = [0, 1].map((i) => copiedFirst.node.Annots().lookup(i));
+
+    expect(flags.get(PDFName.of('A'))).toBeUndefined();
+    expect(flags.lookup(PDFName.of('Dest')).toString()).toBe(
+      `[ ${copiedSecond.ref} /XYZ 0 120 null ]`
+    );
+    expect(intro.lookup(PDFName.of('Dest')).toString()).toBe(`[ ${copiedFirst.ref} /Fit ]`);
+  });
+
+  test('rewriteUriLinks 应该只改写能解析到页码的 URI 链接', async () => {
+    const doc = await PDFDocument.create();
+    const [first, second] = [doc.addPage([200, 200]), doc.addPage([200, 300])];
+    addLink(doc, first, { A: { S: 'URI', URI: PDFString.of('https://docs.example.com/b') } });
+    addLink(doc, second, { A: { S: 'URI', URI: PDFString.of('https://other.example.com/') } });
+
+    const rewritten = rewriteUriLinks(doc, (uri) => (uri.includes('docs.example.com') ? 1 : null));
+
+    expect(rewritten).toBe(1);
+    const internal = first.node.Annots().lookup(0);
+    expect(internal.get(PDFName.of('A'))).toBeUndefined();
+    expect(internal.lookup(PDFName.of('Dest')).toString()).toBe(
+      `[ ${second.ref} /XYZ 0 300 null ]`
+    );
+    expect(second.node.Annots().lookup(0).lookup(PDFName.of('A'))).toBeDefined();
+  });
+});
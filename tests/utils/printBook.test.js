@@ -0,0 +1,96 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/printBook.test.js
+import { renderMarkdownHtml, renderPrintBook, renderPrintToc } from '../../src/utils/printBook.js';
+
+describe('printBook', () => {
+  test('应该渲染 Pandoc 标题属性、分页与 callout fenced div', () => {
+    const html = renderMarkdownHtml(
+      [
+        '# Getting started',
+        '',
+        '\\newpage',
+        '',
+        '## Intro {#page-0}',
+        '',
+        '::: {.callout .callout-warning title="Careful"}',
+        'Do **not** run this as root.',
+        ':::',
+        '',
+        '## Index {#book-index .unnumbered}',
+      ].join('\n')
+    );
+
+    expect(html).toContain('<h1>Getting started</h1>');
+    expect(html).toContain('<div class="page-break"></div>');
+    expect(html).toContain('<h2 id="page-0">Intro</h2>');
+    expect(html).toContain(
+      '<div class="callout callout-warning" title="Careful">\n<p>Do <strong>not</strong> run this as root.</p>\n</div>'
+    );
+    expect(html).toContain('<h2 id="book-index">Index</h2>');
+  });
+
+  test('LaTeX 原始块不输出，HTML 原始块原样输出，内联脚注放在括号样式中', () => {
+    const html = renderMarkdownHtml(
+      [
+        '```{=latex}',
+        '\\index{model@\\texttt{--model}}',
+        '```',
+        '',
+        '```{=html}',
+        '<hr class="raw">',
+        '```',
+        '',
+        'See [RFC](https://www.rfc-editor.org/rfc/rfc9110)^[<https://www.rfc-editor.org/rfc/rfc9110>].',
+        '',
+        '```bash',
+        'claude --model sonnet',
+        '```',
+      ].join('\n')
+    );
+
+    expect(html).not.toContain('\\index');
+    expect(html).toContain('<hr class="raw">');
+    expect(html).toContain(
+      '<span class="footnote"><a href="https://www.rfc-editor.org/rfc/rfc9110">https://www.rfc-editor.org/rfc/rfc9110</a></span>.'
+    );
+    expect(html).toContain('<pre><code class="language-bash">claude --model sonnet\n</code></pre>');
+  });
+
+  test('目录只包含 tocDepth 以内的书签，页码从正文第一页开始', () => {
+    const toc = renderPrintToc(
+      [
+        { level: 1, title: 'Getting started', pageIndex: 0 },
+        { level: 2, title: 'Intro & setup', pageIndex: 1 },
+        { level: 3, title: 'Details', pageIndex: 2 },
+        { level: 2, title: 'Unknown', pageIndex: null },
+      ],
+      2
+    );
+
+    expect(toc).toContain(
+      '<li class="print-toc-level-2"><span class="print-toc-title">Intro &amp; setup</span><span class="print-toc-page">2</span></li>'
+    );
+    expect(toc).not.toContain('Details');
+    expect(toc).toContain(
+      '<span class="print-toc-title">Unknown</span><span class="print-toc-page"></span>'
+    );
+  });
+
+  test('打印页面应该包含语言、base 地址与样式', () => {
+    const html = renderPrintBook({
+      title: 'Docs <1>',
+      language: 'zh-CN',
+      baseUrl: 'file:///tmp/markdown/',
+      css: 'body { color: red; }',
+      body: '<p>Hi</p>',
+    });
+
+    expect(html).toContain('<html lang="zh-CN">');
+    expect(html).toContain('<title>Docs &lt;1&gt;</title>');
+    expect(html).toContain('<base href="file:///tmp/markdown/">');
+    expect(html).toContain('<style>\nbody { color: red; }\n</style>');
+    expect(html).toContain('<main class="book-content">\n<p>Hi</p>\n</main>');
+    expect(renderPrintBook({ title: 'Docs', css: '', body: '' })).not.toContain('<base');
+  });
+});
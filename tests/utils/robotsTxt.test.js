@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/robotsTxt.test.js
+import { parseRobotsTxt, selectRobotsRules, isAllowedByRobots } from '../../src/utils/robotsTxt.js';
+
+describe('robotsTxt', () => {
+  const robots = `
+# comment
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Crawl-delay: 2
+
+User-agent: documentation-pdf-scraper
+User-agent: other-bot
+Disallow: /drafts/
+Disallow: /*.pdf$
+Disallow:
+`;
+
+  test('应该解析分组、规则与 Crawl-delay', () => {
+    const groups = parseRobotsTxt(robots);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toEqual({
+      agents: ['*'],
+      rules: [
+        { allow: false, path: '/private/' },
+        { allow: true, path: '/private/public-page' },
+      ],
+      crawlDelay: 2,
+    });
+    expect(groups[1].agents).toEqual(['documentation-pdf-scraper', 'other-bot']);
+    expect(groups[1].rules).toHaveLength(2);
+  });
+
+  test('应该优先使用匹配 user-agent 的分组，否则回退到 *', () => {
+    const groups = parseRobotsTxt(robots);
+
+    const specific = selectRobotsRules(groups, 'documentation-pdf-scraper');
+    expect(specific.rules.map((rule) => rule.path)).toEqual(['/drafts/', '/*.pdf$']);
+    expect(specific.crawlDelay).toBeNull();
+
+    const fallback = selectRobotsRules(groups, 'some-crawler');
+    expect(fallback.crawlDelay).toBe(2);
+  });
+
+  test('应该按最长匹配判断是否允许，长度相同时 Allow 优先', () => {
+    const rules = selectRobotsRules(parseRobotsTxt(robots), '*');
+
+    expect(isAllowedByRobots(rules, '/docs/intro')).toBe(true);
+    expect(isAllowedByRobots(rules, '/private/secret')).toBe(false);
+    expect(isAllowedByRobots(rules, '/private/public-page')).toBe(true);
+
+    const tie = {
+      rules: [
+        { allow: false, path: '/a' },
+        { allow: true, path: '/a' },
+      ],
+    };
+    expect(isAllowedByRobots(tie, '/a/b')).toBe(true);
+  });
+
+  test('应该支持 * 通配符与 $ 结尾锚点', () => {
+    const rules = selectRobotsRules(parseRobotsTxt(robots), 'documentation-pdf-scraper');
+
+    expect(isAllowedByRobots(rules, '/files/guide.pdf')).toBe(false);
+    expect(isAllowedByRobots(rules, '/files/guide.pdf?download=1')).toBe(true);
+    expect(isAllowedByRobots(rules, '/drafts/next')).toBe(false);
+  });
+
+  test('没有规则时应该全部允许', () => {
+    expect(isAllowedByRobots(null, '/anything')).toBe(true);
+    expect(isAllowedByRobots(selectRobotsRules([], 'bot'), '/anything')).toBe(true);
+  });
+});
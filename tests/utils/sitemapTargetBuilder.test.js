@@ -1,6 +1,11 @@
 import { describe, it, test, expect, beforeAll, beforeEach, afterAll, afterEach, vi } from 'vitest';
 
-import { extractTargetUrlsFromSitemap } from '../../src/utils/sitemapTargetBuilder.js';
+import {
+  extractTargetUrlsFromSitemap,
+  extractSitemapIndexUrls,
+  groupUrlsIntoSections,
+  isSitemapIndex,
+} from '../../src/utils/sitemapTargetBuilder.js';
 
 describe('sitemapTargetBuilder', () => {
   test('extracts zh-CN URLs from sitemap and normalizes entries', () => {
@@ -38,4 +43,64 @@ describe('sitemapTargetBuilder', () => {
 
     expect(urls).toEqual(['https://docs.openclaw.ai/zh-CN/cli']);
   });
+
+  test('extracts child sitemap URLs from a sitemap index', () => {
+    const indexXml = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://docs.example.com/sitemap-docs.xml.gz</loc></sitemap>
+  <sitemap><loc>https://docs.example.com/sitemap.xml?page=2&amp;lang=en</loc></sitemap>
+  <sitemap><loc>ftp://docs.example.com/sitemap-old.xml</loc></sitemap>
+</sitemapindex>`;
+
+    expect(isSitemapIndex(indexXml)).toBe(true);
+    expect(isSitemapIndex('<urlset></urlset>')).toBe(false);
+    expect(extractSitemapIndexUrls(indexXml)).toEqual([
+      'https://docs.example.com/sitemap-docs.xml.gz',
+      'https://docs.example.com/sitemap.xml?page=2&lang=en',
+    ]);
+  });
+
+  test('groups URLs into sections by first path segment below the prefix', () => {
+    const sections = groupUrlsIntoSections(
+      [
+        'https://docs.example.com/docs/guides/setup',
+        'https://docs.example.com/docs/quickstart',
+        'https://docs.example.com/docs/overview',
+        'https://docs.example.com/docs/guides',
+        'https://docs.example.com/docs/api-reference/chat',
+      ],
+      {
+        pathPrefix: '/docs/',
+        rootUrl: 'https://docs.example.com/docs/overview',
+        sectionTitles: { 'api-reference': 'API' },
+      }
+    );
+
+    expect(sections).toEqual([
+      {
+        index: 0,
+        title: 'Overview',
+        entryUrl: 'https://docs.example.com/docs/overview',
+        urls: [
+          'https://docs.example.com/docs/overview',
+          'https://docs.example.com/docs/quickstart',
+        ],
+      },
+      {
+        index: 1,
+        title: 'Guides',
+        entryUrl: 'https://docs.example.com/docs/guides/setup',
+        urls: [
+          'https://docs.example.com/docs/guides/setup',
+          'https://docs.example.com/docs/guides',
+        ],
+      },
+      {
+        index: 2,
+        title: 'API',
+        entryUrl: 'https://docs.example.com/docs/api-reference/chat',
+        urls: ['https://docs.example.com/docs/api-reference/chat'],
+      },
+    ]);
+  });
 });
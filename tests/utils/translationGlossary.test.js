@@ -0,0 +1,62 @@
+import { describe, test, expect } from 'vitest';
+
+// tests/utils/translationGlossary.test.js
+import {
+  normalizeGlossary,
+  containsTerm,
+  selectGlossaryEntries,
+  getGlossarySignature,
+  buildGlossaryInstructions,
+  findGlossaryViolations,
+} from '../../src/utils/translationGlossary.js';
+
+describe('translationGlossary', () => {
+  const glossary = normalizeGlossary({
+    terms: { hook: '钩子', subagent: '子代理', ' ': 'ignored' },
+    protectedTerms: ['--dangerously-skip-permissions', 'Claude Code', 'Claude Code'],
+  });
+
+  test('normalizeGlossary 应该去重、去空并按长度排序', () => {
+    expect(glossary.terms.map((t) => t.source)).toEqual(['subagent', 'hook']);
+    expect(glossary.protectedTerms).toEqual(['--dangerously-skip-permissions', 'Claude Code']);
+    expect(normalizeGlossary(undefined)).toEqual({ terms: [], protectedTerms: [] });
+  });
+
+  test('containsTerm 应该按词边界匹配英文术语并忽略大小写', () => {
+    expect(containsTerm('Configure Hook scripts', 'hook')).toBe(true);
+    expect(containsTerm('Configure hooks', 'hook')).toBe(false);
+    expect(
+      containsTerm('run with --dangerously-skip-permissions.', '--dangerously-skip-permissions')
+    ).toBe(true);
+    expect(containsTerm('使用子代理完成任务', '子代理')).toBe(true);
+  });
+
+  test('selectGlossaryEntries 只返回文本中出现的术语', () => {
+    const entries = selectGlossaryEntries(glossary, ['Claude Code can spawn a subagent']);
+
+    expect(entries.terms).toEqual([{ source: 'subagent', target: '子代理' }]);
+    expect(entries.protectedTerms).toEqual(['Claude Code']);
+    expect(getGlossarySignature(selectGlossaryEntries(glossary, 'Plain text'))).toBe('');
+  });
+
+  test('buildGlossaryInstructions 应该列出固定译法与受保护术语', () => {
+    const instructions = buildGlossaryInstructions(
+      selectGlossaryEntries(glossary, 'Claude Code hook')
+    );
+
+    expect(instructions).toContain('"hook" -> "钩子"');
+    expect(instructions).toContain('keep them exactly as written');
+    expect(instructions).toContain('"Claude Code"');
+  });
+
+  test('findGlossaryViolations 应该找出丢失的术语', () => {
+    const violations = findGlossaryViolations(
+      'Claude Code runs the hook',
+      'Claude 代码会运行该挂钩',
+      glossary
+    );
+
+    expect(violations.missingProtected).toEqual(['Claude Code']);
+    expect(violations.missingTerms).toEqual([{ source: 'hook', target: '钩子' }]);
+  });
+});